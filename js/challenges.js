@@ -1,9 +1,22 @@
 /**
  * monkeycmd Challenge System
  * Generates keyboard shortcut challenges for terminal-like text manipulation
- * Supports macOS, Windows, and Linux keyboard shortcuts
+ * Supports macOS, Windows, and Linux keyboard shortcuts, plus a modal Vim profile
  */
 
+import { WORD_STRATEGIES, findWordBoundary, findWords, getWordStrategy } from './words.js';
+import { KEYMAP_PROFILES, EDITOR_PROFILES, getKeymapBindings, getKeymapSequenceBindings } from './keymap.js';
+import { applyKeymapSteps, findShortestPath } from './solver.js';
+import { createRandom, createSeed } from './random.js';
+import { LOCALES, DEFAULT_LOCALE, formatInstruction, translateCommand } from './locales.js';
+import {
+  getGraphemeBoundaries,
+  nextGraphemeBoundary,
+  previousGraphemeBoundary,
+  snapToGrapheme,
+  splitGraphemes
+} from './graphemes.js';
+
 /**
  * Detect the current operating system
  * @returns {'mac' | 'windows' | 'linux'} The detected OS
@@ -26,7 +39,7 @@ let currentOS = detectOS();
 
 /**
  * Get the current OS setting
- * @returns {'mac' | 'windows' | 'linux'} Current OS
+ * @returns {'mac' | 'windows' | 'linux' | 'vim' | 'emacs'} Current OS or keyboard profile
  */
 export function getCurrentOS() {
   return currentOS;
@@ -34,342 +47,567 @@ export function getCurrentOS() {
 
 /**
  * Set the OS for keyboard shortcuts (useful for testing or manual override)
- * @param {'mac' | 'windows' | 'linux'} os - The OS to use
+ * @param {'mac' | 'windows' | 'linux' | 'vim' | 'emacs'} os - The OS or keyboard profile to use
  */
 export function setOS(os) {
-  if (['mac', 'windows', 'linux'].includes(os)) {
+  if (['mac', 'windows', 'linux', 'vim', 'emacs'].includes(os)) {
     currentOS = os;
   }
 }
 
+// Seed of the current challenge sequence, and the generator every random choice draws from
+let currentSeed = createSeed();
+let random = createRandom(currentSeed);
+
+/**
+ * Get the seed of the current challenge sequence
+ * @returns {string} The seed
+ */
+export function getSeed() {
+  return currentSeed;
+}
+
+/**
+ * Restart the challenge sequence from a seed
+ * The same seed, OS and settings always generate the same challenges in the same order
+ * @param {string} [seed] - Seed to use (a new random one if omitted)
+ * @returns {string} The seed now in use
+ */
+export function setSeed(seed = createSeed()) {
+  currentSeed = String(seed);
+  random = createRandom(currentSeed);
+  return currentSeed;
+}
+
+// How strongly each command type is favoured when one is picked at random (null = all alike)
+let commandWeights = null;
+
+/**
+ * Set how strongly each command type is favoured when generateChallenge picks one
+ * @param {Object<string, number>|null} weights - Weight per command type (missing types weigh 1),
+ *        or null to pick uniformly
+ */
+export function setCommandWeights(weights) {
+  commandWeights = weights || null;
+}
+
+// Editor profile layered on the OS shortcuts (key in EDITOR_PROFILES, keymap.js)
+let currentEditorProfile = 'default';
+
+/**
+ * Get the current editor profile
+ * @returns {string} Key in EDITOR_PROFILES
+ */
+export function getEditorProfile() {
+  return currentEditorProfile;
+}
+
+/**
+ * Set the editor profile the commands' key combinations and word rules follow
+ * @param {string} profile - Key in EDITOR_PROFILES (unknown profiles are ignored)
+ */
+export function setEditorProfile(profile) {
+  if (EDITOR_PROFILES[profile]) {
+    currentEditorProfile = profile;
+    Object.assign(COMMANDS, createCommands(currentEditorProfile));
+  }
+}
+
 // Supported keyboard commands with OS-specific key combinations
-export const COMMANDS = {
+// Key combinations come from the keymap (keymap.js), which the terminal editor also dispatches from
+// A missing or null OS entry means the shortcut doesn't exist on that OS (no challenges are generated for it)
+// The modal 'vim' profile only has the VIM_* commands; the 'emacs' profile has the readline commands
+// plus the mark and region ones
+// Commands with `sequence: true` list one key combination per step in `keys` and `keyCode`; so does an OS
+// entry with `chord: true`, whose keys are pressed one after another as a single shortcut (Control + X Control + U)
+// Word commands use the OS's word boundary rules (words.js) unless they pin a `wordStrategy`
+// The key combinations follow the current editor profile: setEditorProfile rebuilds them in place
+const createCommands = (profile = 'default') => ({
   DELETE_WORD: {
     name: "Delete Word",
     description: "Delete the previous word",
-    mac: {
-      keys: ["Option", "Delete"],
-      keyCode: { altKey: true, key: "Backspace" }
-    },
-    windows: {
-      keys: ["Ctrl", "Backspace"],
-      keyCode: { ctrlKey: true, key: "Backspace" }
-    },
-    linux: {
-      keys: ["Alt", "Backspace"],
-      keyCode: { altKey: true, key: "Backspace" }
-    }
+    ...getKeymapBindings('DELETE_WORD', profile)
   },
   DELETE_WORD_FORWARD: {
     name: "Delete Word Forward",
     description: "Delete the next word",
-    mac: {
-      keys: ["Fn", "Option", "Delete"],
-      keyCode: { altKey: true, key: "Delete" }
-    },
-    windows: {
-      keys: ["Ctrl", "Delete"],
-      keyCode: { ctrlKey: true, key: "Delete" }
-    },
-    linux: {
-      keys: ["Alt", "D"],
-      keyCode: { altKey: true, key: "d" }
-    }
+    ...getKeymapBindings('DELETE_WORD_FORWARD', profile)
   },
   MOVE_WORD_LEFT: {
     name: "Move Word Left",
     description: "Move cursor one word to the left",
-    mac: {
-      keys: ["Option", "Left"],
-      keyCode: { altKey: true, key: "ArrowLeft" }
-    },
-    windows: {
-      keys: ["Ctrl", "Left"],
-      keyCode: { ctrlKey: true, key: "ArrowLeft" }
-    },
-    linux: {
-      keys: ["Ctrl", "Left"],
-      keyCode: { ctrlKey: true, key: "ArrowLeft" }
-    }
+    ...getKeymapBindings('MOVE_WORD_LEFT', profile)
   },
   MOVE_WORD_RIGHT: {
     name: "Move Word Right",
     description: "Move cursor one word to the right",
-    mac: {
-      keys: ["Option", "Right"],
-      keyCode: { altKey: true, key: "ArrowRight" }
-    },
-    windows: {
-      keys: ["Ctrl", "Right"],
-      keyCode: { ctrlKey: true, key: "ArrowRight" }
-    },
-    linux: {
-      keys: ["Ctrl", "Right"],
-      keyCode: { ctrlKey: true, key: "ArrowRight" }
-    }
+    ...getKeymapBindings('MOVE_WORD_RIGHT', profile)
   },
   JUMP_LINE_START: {
     name: "Jump to Line Start",
     description: "Jump cursor to start of line",
-    mac: {
-      keys: ["Command", "Left"],
-      keyCode: { metaKey: true, key: "ArrowLeft" }
-    },
-    windows: {
-      keys: ["Home"],
-      keyCode: { key: "Home" }
-    },
-    linux: {
-      keys: ["Home"],
-      keyCode: { key: "Home" }
-    }
+    ...getKeymapBindings('JUMP_LINE_START', profile)
   },
   JUMP_LINE_END: {
     name: "Jump to Line End",
     description: "Jump cursor to end of line",
-    mac: {
-      keys: ["Command", "Right"],
-      keyCode: { metaKey: true, key: "ArrowRight" }
-    },
-    windows: {
-      keys: ["End"],
-      keyCode: { key: "End" }
-    },
-    linux: {
-      keys: ["End"],
-      keyCode: { key: "End" }
-    }
+    ...getKeymapBindings('JUMP_LINE_END', profile)
   },
   DELETE_TO_LINE_START: {
     name: "Delete to Line Start",
     description: "Delete everything from cursor to start of line",
-    mac: {
-      keys: ["Command", "Delete"],
-      keyCode: { metaKey: true, key: "Backspace" }
-    },
-    windows: {
-      keys: ["Ctrl", "Shift", "Backspace"],
-      keyCode: { ctrlKey: true, shiftKey: true, key: "Backspace" }
-    },
-    linux: {
-      keys: ["Ctrl", "U"],
-      keyCode: { ctrlKey: true, key: "u" }
-    }
+    ...getKeymapBindings('DELETE_TO_LINE_START', profile)
   },
   DELETE_TO_LINE_END: {
     name: "Delete to Line End",
     description: "Delete everything from cursor to end of line",
-    mac: {
-      keys: ["Control", "K"],
-      keyCode: { ctrlKey: true, key: "k" }
-    },
-    windows: {
-      keys: ["Ctrl", "Shift", "Delete"],
-      keyCode: { ctrlKey: true, shiftKey: true, key: "Delete" }
-    },
-    linux: {
-      keys: ["Ctrl", "K"],
-      keyCode: { ctrlKey: true, key: "k" }
-    }
+    ...getKeymapBindings('DELETE_TO_LINE_END', profile)
   },
   CONTROL_DELETE_TO_START: {
     name: "Kill Line Start",
     description: "Delete from cursor to start of line (terminal style)",
-    mac: {
-      keys: ["Control", "U"],
-      keyCode: { ctrlKey: true, key: "u" }
-    },
-    windows: {
-      keys: ["Ctrl", "U"],
-      keyCode: { ctrlKey: true, key: "u" }
-    },
-    linux: {
-      keys: ["Ctrl", "U"],
-      keyCode: { ctrlKey: true, key: "u" }
-    }
+    ...getKeymapBindings('CONTROL_DELETE_TO_START', profile)
   },
   SELECT_WORD_LEFT: {
     name: "Select Word Left",
     description: "Select the word to the left",
-    mac: {
-      keys: ["Option", "Shift", "Left"],
-      keyCode: { altKey: true, shiftKey: true, key: "ArrowLeft" }
-    },
-    windows: {
-      keys: ["Ctrl", "Shift", "Left"],
-      keyCode: { ctrlKey: true, shiftKey: true, key: "ArrowLeft" }
-    },
-    linux: {
-      keys: ["Ctrl", "Shift", "Left"],
-      keyCode: { ctrlKey: true, shiftKey: true, key: "ArrowLeft" }
-    }
+    ...getKeymapBindings('SELECT_WORD_LEFT', profile)
   },
   SELECT_WORD_RIGHT: {
     name: "Select Word Right",
     description: "Select the word to the right",
-    mac: {
-      keys: ["Option", "Shift", "Right"],
-      keyCode: { altKey: true, shiftKey: true, key: "ArrowRight" }
-    },
-    windows: {
-      keys: ["Ctrl", "Shift", "Right"],
-      keyCode: { ctrlKey: true, shiftKey: true, key: "ArrowRight" }
-    },
-    linux: {
-      keys: ["Ctrl", "Shift", "Right"],
-      keyCode: { ctrlKey: true, shiftKey: true, key: "ArrowRight" }
-    }
+    ...getKeymapBindings('SELECT_WORD_RIGHT', profile)
   },
   SELECT_TO_LINE_START: {
     name: "Select to Line Start",
     description: "Select from cursor to start of line",
-    mac: {
-      keys: ["Command", "Shift", "Left"],
-      keyCode: { metaKey: true, shiftKey: true, key: "ArrowLeft" }
-    },
-    windows: {
-      keys: ["Shift", "Home"],
-      keyCode: { shiftKey: true, key: "Home" }
-    },
-    linux: {
-      keys: ["Shift", "Home"],
-      keyCode: { shiftKey: true, key: "Home" }
-    }
+    ...getKeymapBindings('SELECT_TO_LINE_START', profile)
   },
   SELECT_TO_LINE_END: {
     name: "Select to Line End",
     description: "Select from cursor to end of line",
-    mac: {
-      keys: ["Command", "Shift", "Right"],
-      keyCode: { metaKey: true, shiftKey: true, key: "ArrowRight" }
-    },
-    windows: {
-      keys: ["Shift", "End"],
-      keyCode: { shiftKey: true, key: "End" }
-    },
-    linux: {
-      keys: ["Shift", "End"],
-      keyCode: { shiftKey: true, key: "End" }
-    }
+    ...getKeymapBindings('SELECT_TO_LINE_END', profile)
   },
   SELECT_ALL: {
     name: "Select All",
     description: "Select all text",
-    mac: {
-      keys: ["Command", "A"],
-      keyCode: { metaKey: true, key: "a" }
-    },
-    windows: {
-      keys: ["Ctrl", "A"],
-      keyCode: { ctrlKey: true, key: "a" }
-    },
-    linux: {
-      keys: ["Ctrl", "A"],
-      keyCode: { ctrlKey: true, key: "a" }
-    }
+    ...getKeymapBindings('SELECT_ALL', profile)
   },
   SELECT_CHAR_LEFT: {
     name: "Select Character Left",
     description: "Extend selection one character to the left",
-    mac: {
-      keys: ["Shift", "Left"],
-      keyCode: { shiftKey: true, key: "ArrowLeft" }
-    },
-    windows: {
-      keys: ["Shift", "Left"],
-      keyCode: { shiftKey: true, key: "ArrowLeft" }
-    },
-    linux: {
-      keys: ["Shift", "Left"],
-      keyCode: { shiftKey: true, key: "ArrowLeft" }
-    }
+    ...getKeymapBindings('SELECT_CHAR_LEFT', profile)
   },
   SELECT_CHAR_RIGHT: {
     name: "Select Character Right",
     description: "Extend selection one character to the right",
-    mac: {
-      keys: ["Shift", "Right"],
-      keyCode: { shiftKey: true, key: "ArrowRight" }
-    },
-    windows: {
-      keys: ["Shift", "Right"],
-      keyCode: { shiftKey: true, key: "ArrowRight" }
-    },
-    linux: {
-      keys: ["Shift", "Right"],
-      keyCode: { shiftKey: true, key: "ArrowRight" }
-    }
+    ...getKeymapBindings('SELECT_CHAR_RIGHT', profile)
   },
   CONTROL_LINE_START: {
     name: "Control Line Start",
     description: "Move cursor to start of line",
-    mac: {
-      keys: ["Control", "A"],
-      keyCode: { ctrlKey: true, key: "a" }
-    },
-    windows: {
-      keys: ["Home"],
-      keyCode: { key: "Home" }
-    },
-    linux: {
-      keys: ["Ctrl", "A"],
-      keyCode: { ctrlKey: true, key: "a" }
-    }
+    ...getKeymapBindings('CONTROL_LINE_START', profile)
   },
   CONTROL_LINE_END: {
     name: "Control Line End",
     description: "Move cursor to end of line",
-    mac: {
-      keys: ["Control", "E"],
-      keyCode: { ctrlKey: true, key: "e" }
-    },
-    windows: {
-      keys: ["End"],
-      keyCode: { key: "End" }
-    },
-    linux: {
-      keys: ["Ctrl", "E"],
-      keyCode: { ctrlKey: true, key: "e" }
-    }
+    ...getKeymapBindings('CONTROL_LINE_END', profile)
   },
   CONTROL_FORWARD: {
     name: "Move Forward",
     description: "Move cursor forward one character",
-    mac: {
-      keys: ["Control", "F"],
-      keyCode: { ctrlKey: true, key: "f" }
-    },
-    windows: {
-      keys: ["Right"],
-      keyCode: { key: "ArrowRight" }
-    },
-    linux: {
-      keys: ["Ctrl", "F"],
-      keyCode: { ctrlKey: true, key: "f" }
-    }
+    ...getKeymapBindings('CONTROL_FORWARD', profile)
   },
   CONTROL_BACKWARD: {
     name: "Move Backward",
     description: "Move cursor backward one character",
-    mac: {
-      keys: ["Control", "B"],
-      keyCode: { ctrlKey: true, key: "b" }
-    },
-    windows: {
-      keys: ["Left"],
-      keyCode: { key: "ArrowLeft" }
-    },
-    linux: {
-      keys: ["Ctrl", "B"],
-      keyCode: { ctrlKey: true, key: "b" }
+    ...getKeymapBindings('CONTROL_BACKWARD', profile)
+  },
+  ALT_WORD_BACKWARD: {
+    name: "Alt Word Backward",
+    description: "Move back to the start of the word (terminal style, letters and digits only)",
+    wordStrategy: 'readline',
+    ...getKeymapBindings('ALT_WORD_BACKWARD', profile)
+  },
+  ALT_WORD_FORWARD: {
+    name: "Alt Word Forward",
+    description: "Move forward to the end of the word (terminal style, letters and digits only)",
+    wordStrategy: 'readline',
+    ...getKeymapBindings('ALT_WORD_FORWARD', profile)
+  },
+  CONTROL_DELETE_FORWARD: {
+    name: "Control Delete Forward",
+    description: "Delete the character under the cursor (terminal style)",
+    ...getKeymapBindings('CONTROL_DELETE_FORWARD', profile)
+  },
+  CONTROL_DELETE_WORD: {
+    name: "Control Delete Word",
+    description: "Delete back to the previous space (terminal style)",
+    wordStrategy: 'whitespace',
+    ...getKeymapBindings('CONTROL_DELETE_WORD', profile)
+  },
+  UNDO: {
+    name: "Undo",
+    description: "Undo the last edit",
+    ...getKeymapBindings('UNDO', profile)
+  },
+  REDO: {
+    name: "Redo",
+    description: "Redo the last undone edit",
+    ...getKeymapBindings('REDO', profile)
+  },
+  CONTROL_UNDO: {
+    name: "Control Undo",
+    description: "Undo the last edit (terminal style)",
+    ...getKeymapBindings('CONTROL_UNDO', profile)
+  },
+  MOVE_LINE_UP: {
+    name: "Move Line Up",
+    description: "Move cursor to the line above",
+    ...getKeymapBindings('MOVE_LINE_UP', profile)
+  },
+  MOVE_LINE_DOWN: {
+    name: "Move Line Down",
+    description: "Move cursor to the line below",
+    ...getKeymapBindings('MOVE_LINE_DOWN', profile)
+  },
+  CONTROL_PREVIOUS_LINE: {
+    name: "Control Previous Line",
+    description: "Move cursor to the line above (terminal style)",
+    ...getKeymapBindings('CONTROL_PREVIOUS_LINE', profile)
+  },
+  CONTROL_NEXT_LINE: {
+    name: "Control Next Line",
+    description: "Move cursor to the line below (terminal style)",
+    ...getKeymapBindings('CONTROL_NEXT_LINE', profile)
+  },
+  JUMP_DOCUMENT_START: {
+    name: "Jump to Document Start",
+    description: "Jump cursor to the start of the text",
+    ...getKeymapBindings('JUMP_DOCUMENT_START', profile)
+  },
+  JUMP_DOCUMENT_END: {
+    name: "Jump to Document End",
+    description: "Jump cursor to the end of the text",
+    ...getKeymapBindings('JUMP_DOCUMENT_END', profile)
+  },
+  GO_TO_LINE_START: {
+    name: "Go to Line Start",
+    description: "Move to another line and jump to its start",
+    sequence: true,
+    ...getKeymapSequenceBindings(['MOVE_LINE_DOWN', 'JUMP_LINE_START'], ['Up/Down'], profile)
+  },
+  GO_TO_LINE_END: {
+    name: "Go to Line End",
+    description: "Move to another line and jump to its end",
+    sequence: true,
+    ...getKeymapSequenceBindings(['MOVE_LINE_DOWN', 'JUMP_LINE_END'], ['Up/Down'], profile)
+  },
+  YANK: {
+    name: "Yank",
+    description: "Paste the most recently killed text (terminal style)",
+    ...getKeymapBindings('YANK', profile)
+  },
+  YANK_POP: {
+    name: "Yank Pop",
+    description: "Replace the yanked text with the previous kill (terminal style)",
+    ...getKeymapBindings('YANK_POP', profile)
+  },
+  MOVE_ARGUMENT_TO_END: {
+    name: "Move Argument to End",
+    description: "Kill an argument, jump to the end of the line and yank it back",
+    sequence: true,
+    wordStrategy: 'whitespace',
+    ...getKeymapSequenceBindings(['CONTROL_DELETE_WORD', 'CONTROL_LINE_END', 'YANK'], [], profile)
+  },
+  TRANSPOSE_CHARS: {
+    name: "Transpose Characters",
+    description: "Swap the character before the cursor with the one under it (terminal style)",
+    ...getKeymapBindings('TRANSPOSE_CHARS', profile)
+  },
+  TRANSPOSE_WORDS: {
+    name: "Transpose Words",
+    description: "Swap the word before the cursor with the next word (terminal style)",
+    ...getKeymapBindings('TRANSPOSE_WORDS', profile)
+  },
+  UPCASE_WORD: {
+    name: "Uppercase Word",
+    description: "Uppercase from the cursor to the end of the word (terminal style)",
+    ...getKeymapBindings('UPCASE_WORD', profile)
+  },
+  DOWNCASE_WORD: {
+    name: "Lowercase Word",
+    description: "Lowercase from the cursor to the end of the word (terminal style)",
+    ...getKeymapBindings('DOWNCASE_WORD', profile)
+  },
+  CAPITALIZE_WORD: {
+    name: "Capitalize Word",
+    description: "Capitalize the word from the cursor (terminal style)",
+    ...getKeymapBindings('CAPITALIZE_WORD', profile)
+  },
+  COPY: {
+    name: "Copy",
+    description: "Copy the selection to the clipboard",
+    ...getKeymapBindings('COPY', profile)
+  },
+  CUT: {
+    name: "Cut",
+    description: "Cut the selection to the clipboard",
+    ...getKeymapBindings('CUT', profile)
+  },
+  PASTE: {
+    name: "Paste",
+    description: "Paste the clipboard at the cursor",
+    ...getKeymapBindings('PASTE', profile)
+  },
+  MOVE_WORD_WITH_CLIPBOARD: {
+    name: "Move Word with Clipboard",
+    description: "Select a word, cut it, jump to the other end of the line and paste it",
+    sequence: true,
+    // Where word selection takes the following space along (Windows), the word moves to the line start instead
+    ...Object.fromEntries(KEYMAP_PROFILES.map(os => {
+      const jump = WORD_STRATEGIES[getWordStrategy(os, profile)].stopAtWordEnd ? 'JUMP_LINE_END' : 'JUMP_LINE_START';
+      return [os, getKeymapSequenceBindings(['SELECT_WORD_RIGHT', 'CUT', jump, 'PASTE'], [], profile)[os]];
+    }))
+  },
+  SET_MARK: {
+    name: "Set Mark",
+    description: "Set the mark at the cursor, starting a region (Emacs)",
+    ...getKeymapBindings('SET_MARK', profile)
+  },
+  EXCHANGE_POINT_AND_MARK: {
+    name: "Exchange Point and Mark",
+    description: "Jump to the mark, leaving the mark where the cursor was (Emacs)",
+    ...getKeymapBindings('EXCHANGE_POINT_AND_MARK', profile)
+  },
+  KILL_REGION: {
+    name: "Kill Region",
+    description: "Kill the text between the mark and the cursor (Emacs)",
+    ...getKeymapBindings('KILL_REGION', profile)
+  },
+  DUPLICATE_REGION: {
+    name: "Duplicate Region",
+    description: "Copy the region to the kill ring and yank it back after itself (Emacs)",
+    sequence: true,
+    ...getKeymapSequenceBindings(['COPY_REGION_AS_KILL', 'YANK'], [], profile)
+  },
+  MOVE_REGION_TO_END: {
+    name: "Move Region to End",
+    description: "Kill the region, jump to the end of the line and yank it there (Emacs)",
+    sequence: true,
+    ...getKeymapSequenceBindings(['KILL_REGION', 'CONTROL_LINE_END', 'YANK'], [], profile)
+  },
+  UPCASE_REGION: {
+    name: "Upcase Region",
+    description: "Uppercase the region (Emacs) or the selection (Sublime Text)",
+    ...getKeymapBindings('UPCASE_REGION', profile)
+  },
+  DOWNCASE_REGION: {
+    name: "Downcase Region",
+    description: "Lowercase the region (Emacs) or the selection (Sublime Text)",
+    ...getKeymapBindings('DOWNCASE_REGION', profile)
+  },
+  TRIM_TRAILING_WHITESPACE: {
+    name: "Trim Trailing Whitespace",
+    description: "Remove the spaces at the end of every line (VS Code)",
+    ...getKeymapBindings('TRIM_TRAILING_WHITESPACE', profile)
+  },
+  MULTI_STEP_EDIT: {
+    name: "Multi-Step Edit",
+    description: "Chain shortcuts to reach the target, in as few keystrokes as you can",
+    sequence: true,
+    // Keys depend on the challenge: the generator fills in the solver's shortest path
+    ...Object.fromEntries(KEYMAP_PROFILES.map(os => [os, { keys: [], keyCode: [] }]))
+  },
+  NAVIGATE_TO_TARGET: {
+    name: "Go to Target",
+    description: "Put the cursor on the highlighted character, by any route",
+    sequence: true,
+    // Keys depend on the challenge: the generator fills in the solver's shortest route
+    ...Object.fromEntries(KEYMAP_PROFILES.map(os => [os, { keys: [], keyCode: [] }]))
+  },
+  VIM_WORD_FORWARD: {
+    name: "Vim Word Forward",
+    description: "Move to the start of the next word (normal mode)",
+    vim: {
+      keys: ["w"],
+      keyCode: { key: "w" }
+    }
+  },
+  VIM_WORD_BACKWARD: {
+    name: "Vim Word Backward",
+    description: "Move to the start of the previous word (normal mode)",
+    vim: {
+      keys: ["b"],
+      keyCode: { key: "b" }
+    }
+  },
+  VIM_WORD_END: {
+    name: "Vim Word End",
+    description: "Move to the end of the word (normal mode)",
+    vim: {
+      keys: ["e"],
+      keyCode: { key: "e" }
+    }
+  },
+  VIM_BIG_WORD_FORWARD: {
+    name: "Vim WORD Forward",
+    description: "Move to the start of the next whitespace-separated WORD (normal mode)",
+    vim: {
+      keys: ["W"],
+      keyCode: { shiftKey: true, key: "W" }
+    }
+  },
+  VIM_BIG_WORD_BACKWARD: {
+    name: "Vim WORD Backward",
+    description: "Move to the start of the previous whitespace-separated WORD (normal mode)",
+    vim: {
+      keys: ["B"],
+      keyCode: { shiftKey: true, key: "B" }
+    }
+  },
+  VIM_BIG_WORD_END: {
+    name: "Vim WORD End",
+    description: "Move to the end of the whitespace-separated WORD (normal mode)",
+    vim: {
+      keys: ["E"],
+      keyCode: { shiftKey: true, key: "E" }
+    }
+  },
+  VIM_LINE_START: {
+    name: "Vim Line Start",
+    description: "Move to the first column of the line (normal mode)",
+    vim: {
+      keys: ["0"],
+      keyCode: { key: "0" }
+    }
+  },
+  VIM_FIRST_NON_BLANK: {
+    name: "Vim First Non-Blank",
+    description: "Move to the first non-blank character of the line (normal mode)",
+    vim: {
+      keys: ["^"],
+      keyCode: { shiftKey: true, key: "^" }
+    }
+  },
+  VIM_LINE_END: {
+    name: "Vim Line End",
+    description: "Move to the last character of the line (normal mode)",
+    vim: {
+      keys: ["$"],
+      keyCode: { shiftKey: true, key: "$" }
+    }
+  },
+  VIM_VISUAL_WORD_END: {
+    name: "Vim Visual to Word End",
+    description: "Start visual mode and extend the selection to the end of the word",
+    sequence: true,
+    vim: {
+      keys: ["v", "e"],
+      keyCode: [{ key: "v" }, { key: "e" }]
+    }
+  },
+  VIM_VISUAL_LINE_END: {
+    name: "Vim Visual to Line End",
+    description: "Start visual mode and extend the selection to the end of the line",
+    sequence: true,
+    vim: {
+      keys: ["v", "$"],
+      keyCode: [{ key: "v" }, { shiftKey: true, key: "$" }]
+    }
+  },
+  VIM_DELETE_CHAR: {
+    name: "Vim Delete Character",
+    description: "Delete the character under the cursor (normal mode)",
+    vim: {
+      keys: ["x"],
+      keyCode: { key: "x" }
+    }
+  },
+  VIM_DELETE_WORD: {
+    name: "Vim Delete Word",
+    description: "Delete from the cursor to the start of the next word",
+    sequence: true,
+    vim: {
+      keys: ["d", "w"],
+      keyCode: [{ key: "d" }, { key: "w" }]
+    }
+  },
+  VIM_DELETE_WORD_BACKWARD: {
+    name: "Vim Delete Word Backward",
+    description: "Delete from the start of the previous word to the cursor",
+    sequence: true,
+    vim: {
+      keys: ["d", "b"],
+      keyCode: [{ key: "d" }, { key: "b" }]
+    }
+  },
+  VIM_DELETE_TO_LINE_END: {
+    name: "Vim Delete to Line End",
+    description: "Delete from the cursor to the end of the line",
+    sequence: true,
+    vim: {
+      keys: ["d", "$"],
+      keyCode: [{ key: "d" }, { shiftKey: true, key: "$" }]
+    }
+  },
+  VIM_DELETE_LINE: {
+    name: "Vim Delete Line",
+    description: "Delete the whole line",
+    sequence: true,
+    vim: {
+      keys: ["d", "d"],
+      keyCode: [{ key: "d" }, { key: "d" }]
+    }
+  },
+  VIM_CHANGE_WORD: {
+    name: "Vim Change Word",
+    description: "Replace a word: change it, type the new word, then return to normal mode",
+    sequence: true,
+    vim: {
+      keys: ["c", "w", "(new word)", "Esc"],
+      // The new word is typed freely, so that step has no fixed key
+      keyCode: [{ key: "c" }, { key: "w" }, null, { key: "Escape" }]
+    }
+  },
+  VIM_YANK_WORD_PUT: {
+    name: "Vim Duplicate Word",
+    description: "Yank a word and put it back before the cursor",
+    sequence: true,
+    vim: {
+      keys: ["y", "w", "P"],
+      keyCode: [{ key: "y" }, { key: "w" }, { shiftKey: true, key: "P" }]
+    }
+  },
+  VIM_PUT: {
+    name: "Vim Put",
+    description: "Put the register contents after the cursor (normal mode)",
+    vim: {
+      keys: ["p"],
+      keyCode: { key: "p" }
     }
   }
-};
+});
+
+export const COMMANDS = createCommands();
+
+/**
+ * Check whether a command has a shortcut on the given OS
+ * @param {string} commandType - The command type key
+ * @param {'mac' | 'windows' | 'linux' | 'vim' | 'emacs'} [os] - The OS or profile to check (defaults to current OS)
+ * @param {string} [profile] - Editor profile to check (defaults to the current one)
+ * @returns {boolean} True if the command exists and is bound on that OS
+ */
+export function isCommandAvailable(commandType, os = currentOS, profile = currentEditorProfile) {
+  const commands = profile === currentEditorProfile ? COMMANDS : createCommands(profile);
+  const command = commands[commandType];
+  return Boolean(command && command[os]);
+}
 
 /**
  * Get command with OS-specific keys
  * @param {string} commandType - The command type key
- * @param {'mac' | 'windows' | 'linux'} [os] - The OS to get keys for (defaults to current OS)
+ * @param {'mac' | 'windows' | 'linux' | 'vim' | 'emacs'} [os] - The OS or profile to get keys for (defaults to current OS)
  * @returns {Object|null} Command object with OS-specific keys or null if not found
  */
 export function getCommandForOS(commandType, os = currentOS) {
@@ -377,12 +615,15 @@ export function getCommandForOS(commandType, os = currentOS) {
   if (!command) return null;
 
   const osConfig = command[os] || command.mac; // Fallback to mac if OS not found
+  if (!osConfig) return null;
 
   return {
-    name: command.name,
-    description: command.description,
+    type: commandType,
+    ...translateCommand(currentLocale, commandType, command),
     keys: osConfig.keys,
-    keyCode: osConfig.keyCode
+    keyCode: osConfig.keyCode,
+    sequence: Boolean(command.sequence),
+    chord: Boolean(osConfig.chord)
   };
 }
 
@@ -417,153 +658,894 @@ export const TEXT_POOL = [
   "const [state, setState] = useState()",
   "addEventListener('click', handler)",
   "document.getElementById('root')",
-  "process.env.NODE_ENV === 'production'"
+  "process.env.NODE_ENV === 'production'",
+  // Emoji, flags and accented letters span several code units but move and delete as one character
+  "git commit -m '✨ Add dark mode toggle'",
+  "git commit -m '🐛 Fix café menu crash'",
+  "t('welcome', 'Bienvenue à Paris 🇫🇷')",
+  "const greeting = 'こんにちは 👋'",
+  "i18n.t('likes', '❤️ Gefällt mir')",
+  // Decomposed accents: a letter followed by a combining mark
+  "echo 'nai\u0308ve re\u0301sume\u0301' >> notes.txt"
+];
+
+// Pool of multi-line snippets for line-aware navigation challenges
+export const MULTILINE_TEXT_POOL = [
+  "function add(a, b) {\n  return a + b\n}",
+  "if (user) {\n  console.log(user.name)\n} else {\n  redirect('/login')\n}",
+  "const config = {\n  port: 3000,\n  host: 'localhost',\n  debug: true\n}",
+  "for (const item of items) {\n  if (!item.active) continue\n  process(item)\n}",
+  "SELECT id, name\nFROM users\nWHERE active = 1\nORDER BY name",
+  "try {\n  await connect()\n} catch (e) {\n  console.error(e)\n}",
+  "def greet(name):\n    message = f'Hello {name}'\n    return message",
+  "git add .\ngit commit -m 'fix typo'\ngit push origin main",
+  "FROM node:20\nWORKDIR /app\nCOPY . .\nRUN npm install\nCMD [\"npm\", \"start\"]",
+  "<ul>\n  <li>one</li>\n  <li>two</li>\n</ul>",
+  "export default {\n  name: 'app',\n  data() {\n    return { count: 0 }\n  }\n}",
+  "fn main() {\n    let x = 5;\n    println!(\"{}\", x);\n}"
+];
+
+// Long one-line shell commands for mark and region practice
+export const LONG_COMMAND_POOL = [
+  "docker run --rm -it -v $PWD:/app -w /app node:20 npm test",
+  "git log --oneline --graph --decorate --all --since=2.weeks",
+  "find . -type f -name '*.log' -mtime +7 -exec rm {} +",
+  "rsync -avz --delete --exclude node_modules ./dist/ deploy@web-01:/var/www/app",
+  "kubectl get pods -n production -l app=api -o wide --watch",
+  "curl -fsSL --retry 3 --max-time 10 -o install.sh https://example.com/install.sh",
+  "ffmpeg -i input.mov -vf scale=1280:-2 -c:v libx264 -crf 23 output.mp4",
+  "tar --exclude=.git --exclude=node_modules -czvf backup.tar.gz ~/projects/app",
+  "ssh -i ~/.ssh/deploy_key -L 5432:localhost:5432 admin@db.example.com",
+  "npm install --save-dev eslint prettier eslint-config-prettier husky lint-staged"
 ];
 
+// Named text pools, so practice can match the language you work in
+// `lines` are single-line texts, `snippets` multi-line ones for line-aware challenges.
+// The mixed pool is the original combined list, and the default.
+export const TEXT_POOLS = {
+  mixed: {
+    name: 'Mixed',
+    lines: TEXT_POOL,
+    snippets: MULTILINE_TEXT_POOL
+  },
+  javascript: {
+    name: 'JavaScript/TypeScript',
+    lines: [
+      "const total = items.reduce((sum, item) => sum + item.price, 0)",
+      "export async function getUser(id: string): Promise<User>",
+      "import { useEffect, useState } from 'react'",
+      "type Status = 'idle' | 'loading' | 'error'",
+      "const { data, error } = await supabase.from('posts').select()",
+      "if (!response.ok) throw new Error(response.statusText)",
+      "setTimeout(() => controller.abort(), 5000)",
+      "const sorted = [...users].sort((a, b) => a.age - b.age)",
+      "app.get('/api/health', (req, res) => res.json({ ok: true }))",
+      "interface Props { title: string; onClose?: () => void }",
+      "export const config = { runtime: 'edge' } as const",
+      "const debounced = useMemo(() => debounce(search, 300), [])",
+      "Object.entries(headers).forEach(([key, value]) => set(key, value))",
+      "document.querySelector('#app')?.classList.add('ready')"
+    ],
+    snippets: [
+      "function add(a, b) {\n  return a + b\n}",
+      "const config = {\n  port: 3000,\n  host: 'localhost',\n  debug: true\n}",
+      "try {\n  await connect()\n} catch (e) {\n  console.error(e)\n}",
+      "export function useToggle(initial = false) {\n  const [on, setOn] = useState(initial)\n  return [on, () => setOn(v => !v)]\n}"
+    ]
+  },
+  python: {
+    name: 'Python',
+    lines: [
+      "def parse_args(argv: list[str]) -> Namespace:",
+      "with open('config.yaml') as f: config = yaml.safe_load(f)",
+      "results = [row['id'] for row in rows if row['active']]",
+      "from dataclasses import dataclass, field",
+      "raise ValueError(f'unknown mode: {mode}')",
+      "df = pd.read_csv('sales.csv', parse_dates=['date'])",
+      "logger.info('processed %d records in %.2fs', count, elapsed)",
+      "async with httpx.AsyncClient(timeout=10) as client:",
+      "if __name__ == '__main__': main()",
+      "counts = Counter(word.lower() for word in text.split())",
+      "return sorted(users, key=lambda u: u.last_login, reverse=True)",
+      "assert response.status_code == 200, response.text",
+      "python -m pip install --upgrade requests",
+      "settings = {k: v for k, v in pairs if v is not None}"
+    ],
+    snippets: [
+      "def greet(name):\n    message = f'Hello {name}'\n    return message",
+      "for path in paths:\n    if path.suffix == '.py':\n        files.append(path)",
+      "class Point:\n    def __init__(self, x, y):\n        self.x = x\n        self.y = y",
+      "try:\n    value = int(raw)\nexcept ValueError:\n    value = 0"
+    ]
+  },
+  go: {
+    name: 'Go',
+    lines: [
+      "func (s *Server) ServeHTTP(w http.ResponseWriter, r *http.Request)",
+      "if err != nil { return nil, fmt.Errorf(\"open config: %w\", err) }",
+      "ctx, cancel := context.WithTimeout(ctx, 5*time.Second)",
+      "defer rows.Close()",
+      "for i, item := range items { total += item.Price }",
+      "go func() { results <- fetch(url) }()",
+      "type Handler func(ctx context.Context, req Request) error",
+      "json.NewEncoder(w).Encode(map[string]string{\"status\": \"ok\"})",
+      "var ErrNotFound = errors.New(\"record not found\")",
+      "select { case msg := <-ch: handle(msg) case <-ctx.Done(): return }",
+      "mu.Lock(); defer mu.Unlock()",
+      "go test ./... -run TestParse -v",
+      "users := make(map[string]*User, len(ids))",
+      "log.Fatal(http.ListenAndServe(\":8080\", mux))"
+    ],
+    snippets: [
+      "func main() {\n    fmt.Println(\"hello\")\n}",
+      "if err := run(); err != nil {\n    log.Fatal(err)\n}",
+      "type Config struct {\n    Port int\n    Host string\n}"
+    ]
+  },
+  rust: {
+    name: 'Rust',
+    lines: [
+      "fn parse(input: &str) -> Result<Config, ParseError>",
+      "let total: u64 = items.iter().map(|i| i.size).sum();",
+      "#[derive(Debug, Clone, PartialEq, Eq)]",
+      "let file = File::open(&path).context(\"opening config\")?;",
+      "impl Display for Version { fn fmt(&self, f: &mut Formatter) -> fmt::Result }",
+      "match command { Command::Run => run(), Command::Stop => stop() }",
+      "let mut cache: HashMap<String, Vec<u8>> = HashMap::new();",
+      "pub async fn handler(State(db): State<Pool>) -> impl IntoResponse",
+      "if let Some(user) = users.get(&id) { println!(\"{}\", user.name); }",
+      "use std::sync::{Arc, Mutex};",
+      "cargo build --release --target wasm32-unknown-unknown",
+      "let names: Vec<_> = people.into_iter().filter(|p| p.active).collect();",
+      "thread::spawn(move || tx.send(compute(n)).unwrap());",
+      "const MAX_RETRIES: usize = 3;",
+      "let mut retries = 0;"
+    ],
+    snippets: [
+      "fn main() {\n    let x = 5;\n    println!(\"{}\", x);\n}",
+      "struct Point {\n    x: f64,\n    y: f64,\n}",
+      "match value {\n    Some(v) => v,\n    None => 0,\n}"
+    ]
+  },
+  sql: {
+    name: 'SQL',
+    lines: [
+      "SELECT * FROM users WHERE id = 1",
+      "SELECT name, COUNT(*) FROM orders GROUP BY name HAVING COUNT(*) > 5",
+      "UPDATE accounts SET balance = balance - 100 WHERE id = 42",
+      "DELETE FROM sessions WHERE expires_at < NOW()",
+      "INSERT INTO tags (name, color) VALUES ('urgent', 'red')",
+      "CREATE INDEX idx_orders_user_id ON orders (user_id)",
+      "ALTER TABLE products ADD COLUMN sku VARCHAR(32) NOT NULL",
+      "SELECT u.email FROM users u JOIN orders o ON o.user_id = u.id",
+      "WITH recent AS (SELECT * FROM events WHERE day > '2024-01-01')",
+      "SELECT DISTINCT country FROM customers ORDER BY country",
+      "BEGIN; UPDATE stock SET qty = qty - 1 WHERE sku = 'A1'; COMMIT;",
+      "CREATE TABLE notes (id SERIAL PRIMARY KEY, body TEXT)",
+      "SELECT COALESCE(nickname, first_name) AS display_name FROM people",
+      "EXPLAIN ANALYZE SELECT * FROM logs WHERE level = 'error'"
+    ],
+    snippets: [
+      "SELECT id, name\nFROM users\nWHERE active = 1\nORDER BY name",
+      "UPDATE orders\nSET status = 'shipped'\nWHERE id = 7\n  AND paid = true",
+      "SELECT category, SUM(total)\nFROM sales\nGROUP BY category\nHAVING SUM(total) > 1000",
+      "SELECT name, total\nFROM orders\nWHERE total > 100\n  AND status = 'paid'\nORDER BY total DESC"
+    ]
+  },
+  shell: {
+    name: 'Shell one-liners',
+    lines: [
+      "grep -rn 'TODO' --include='*.js' src/",
+      "find . -name '*.log' -mtime +7 -delete",
+      "du -sh * | sort -h | tail -n 5",
+      "ps aux | grep node | awk '{print $2}'",
+      "tar -czvf backup.tar.gz ~/projects",
+      "curl -s https://api.github.com/users/octocat | jq .name",
+      "for f in *.png; do convert \"$f\" \"${f%.png}.jpg\"; done",
+      "chmod +x deploy.sh && ./deploy.sh production",
+      "ssh -L 5432:localhost:5432 user@db.example.com",
+      "sed -i 's/localhost/127.0.0.1/g' config.ini",
+      "export PATH=\"$HOME/.local/bin:$PATH\"",
+      "docker ps -q | xargs docker stop",
+      "lsof -i :3000 | grep LISTEN",
+      "history | grep ssh | tail -n 20"
+    ],
+    snippets: [
+      "#!/bin/sh\nset -e\nnpm ci\nnpm run build",
+      "if [ -f .env ]; then\n  source .env\nfi",
+      "for host in web1 web2 web3; do\n  ssh \"$host\" uptime\ndone"
+    ]
+  },
+  git: {
+    name: 'git commands',
+    lines: [
+      "git commit -m 'Initial commit'",
+      "git checkout -b feature/login-form",
+      "git rebase -i HEAD~3",
+      "git push --force-with-lease origin main",
+      "git log --oneline --graph --decorate",
+      "git stash push -m 'wip: header styles'",
+      "git cherry-pick a1b2c3d",
+      "git reset --soft HEAD~1",
+      "git diff --staged -- src/app.js",
+      "git remote add upstream git@github.com:org/repo.git",
+      "git bisect start HEAD v1.2.0",
+      "git branch -d fix/typo-in-readme",
+      "git fetch --all --prune",
+      "git tag -a v2.0.0 -m 'Release 2.0.0'"
+    ],
+    snippets: [
+      "git add .\ngit commit -m 'fix typo'\ngit push origin main",
+      "git fetch upstream\ngit rebase upstream/main\ngit push --force-with-lease",
+      "git stash\ngit pull --rebase\ngit stash pop",
+      "for branch in $(git branch --merged); do\n  git branch -d \"$branch\"\ndone",
+      "if git diff --quiet; then\n  echo clean\nfi"
+    ]
+  },
+  markdown: {
+    name: 'Markdown prose',
+    lines: [
+      "## Getting started with the command line",
+      "Run `npm install` before starting the dev server.",
+      "See the [contributing guide](CONTRIBUTING.md) for details.",
+      "- [ ] Write tests for the new parser",
+      "> **Note:** this setting only applies to new projects.",
+      "The quick brown fox jumps over the lazy dog.",
+      "Keyboard shortcuts save a surprising amount of time.",
+      "**Warning:** deleting a branch can't be undone.",
+      "1. Clone the repository and open it in your editor",
+      "Our café serves crème brûlée on Fridays 🍮",
+      "Thanks to everyone who reported bugs this week!",
+      "Press `Ctrl + K` to open the command palette.",
+      "![Screenshot of the dashboard](docs/dashboard.png)",
+      "_Last updated: March 2024_"
+    ],
+    snippets: [
+      "# Project title\nA short description of the project.\nSee the docs folder for more.",
+      "## Install\n```\nnpm install\n```",
+      "- first item\n  - nested item\n- second item",
+      "- Setup\n  - install deps"
+    ]
+  }
+};
+
+// How many texts to try before giving up on a generator that needs longer text
+const MAX_GENERATION_ATTEMPTS = 10;
+
+// Whether texts are picked from the difficulty's share of the pool (off while falling back to the whole pool)
+let filterTextsByDifficulty = true;
+
+// Difficulty levels for generated challenges
+// textLength: which half of the pool (by length) texts come from - 'short', 'long' or 'any'
+// cursorDistance: where the cursor starts relative to its target - 'near', 'far' or 'any'
+// repeatedWords: prefer texts with (true) or without (false) a repeated word, which makes
+//   instructions that name a word ambiguous (null = no preference)
+// namesTarget: whether instructions name the word to act on (true) or only give the direction
+//   (false); null keeps each challenge's usual wording
+// maxWordMoves: most word motions a multi-step edit is built from
+export const DIFFICULTIES = {
+  easy: {
+    name: 'Easy',
+    textLength: 'short',
+    cursorDistance: 'near',
+    repeatedWords: false,
+    namesTarget: true,
+    maxWordMoves: 1
+  },
+  normal: {
+    name: 'Normal',
+    textLength: 'any',
+    cursorDistance: 'any',
+    repeatedWords: null,
+    namesTarget: null,
+    maxWordMoves: 3
+  },
+  hard: {
+    name: 'Hard',
+    textLength: 'long',
+    cursorDistance: 'far',
+    repeatedWords: true,
+    namesTarget: false,
+    maxWordMoves: 4
+  }
+};
+
+let currentDifficulty = 'normal';
+
 /**
- * Generate a unique ID for challenges
- * @returns {string} Unique challenge ID
+ * Get the difficulty of generated challenges
+ * @returns {string} Key in DIFFICULTIES
  */
-function generateId() {
-  return `challenge_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+export function getDifficulty() {
+  return currentDifficulty;
 }
 
 /**
- * Get a random item from an array
- * @param {Array} array - The array to pick from
- * @returns {*} Random item from the array
+ * Set the difficulty of generated challenges
+ * @param {string} difficulty - Key in DIFFICULTIES (unknown keys select normal)
  */
-function getRandomItem(array) {
-  return array[Math.floor(Math.random() * array.length)];
+export function setDifficulty(difficulty) {
+  currentDifficulty = DIFFICULTIES[difficulty] ? difficulty : 'normal';
 }
 
+let currentLocale = DEFAULT_LOCALE;
+
 /**
- * Find word boundaries in text
- * @param {string} text - The text to analyze
- * @returns {Array<{start: number, end: number, word: string}>} Array of word positions
+ * Get the language of instructions and command names
+ * @returns {string} Key in LOCALES
  */
-function findWordBoundaries(text) {
-  const words = [];
-  const regex = /\S+/g;
-  let match;
-
-  while ((match = regex.exec(text)) !== null) {
-    words.push({
-      start: match.index,
-      end: match.index + match[0].length,
-      word: match[0]
-    });
-  }
-
-  return words;
+export function getLocale() {
+  return currentLocale;
 }
 
 /**
- * Find the word boundary to the left of the cursor
- * @param {string} text - The text
- * @param {number} cursorPos - Current cursor position
- * @returns {number} Position of word boundary to the left
+ * Set the language of instructions and command names
+ * @param {string} locale - Key in LOCALES (unknown keys select English)
  */
-function findWordBoundaryLeft(text, cursorPos) {
-  if (cursorPos === 0) return 0;
+export function setLocale(locale) {
+  currentLocale = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+}
 
-  let pos = cursorPos - 1;
+// Limits for lines of the player's own practice text: shorter lines leave most generators
+// nothing to work with, longer ones wrap in the terminal
+const CUSTOM_TEXT_MIN_LENGTH = 12;
+const CUSTOM_TEXT_MIN_WORDS = 2;
+const CUSTOM_TEXT_MAX_LENGTH = 100;
+const CUSTOM_TEXT_MAX_LINES = 500;
 
-  // Skip any whitespace first
-  while (pos > 0 && /\s/.test(text[pos])) {
-    pos--;
-  }
+// Lines per snippet (at most) when multi-line challenges are built from the player's text
+const CUSTOM_MULTILINE_LINES = 3;
 
-  // Then find the start of the word
-  while (pos > 0 && /\S/.test(text[pos - 1])) {
-    pos--;
-  }
+// Selected built-in pool (key in TEXT_POOLS) and the player's own practice text (null = use the built-in pool)
+let currentTextPool = 'mixed';
+let customTextPool = null;
 
-  return pos;
+/**
+ * Get the selected built-in text pool
+ * @returns {string} Key in TEXT_POOLS
+ */
+export function getTextPoolId() {
+  return currentTextPool;
 }
 
 /**
- * Find the word boundary to the right of the cursor
- * @param {string} text - The text
- * @param {number} cursorPos - Current cursor position
- * @returns {number} Position of word boundary to the right
+ * Select the built-in text pool challenges draw from
+ * @param {string} poolId - Key in TEXT_POOLS (unknown keys select the mixed pool)
  */
-function findWordBoundaryRight(text, cursorPos) {
-  if (cursorPos >= text.length) return text.length;
-
-  let pos = cursorPos;
-
-  // Skip current word characters first
-  while (pos < text.length && /\S/.test(text[pos])) {
-    pos++;
-  }
-
-  // Then skip any whitespace
-  while (pos < text.length && /\s/.test(text[pos])) {
-    pos++;
-  }
-
-  return pos;
+export function setTextPool(poolId) {
+  currentTextPool = TEXT_POOLS[poolId] ? poolId : 'mixed';
 }
 
 /**
- * Generate a DELETE_WORD challenge
- * @param {string} text - The text to work with
- * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
- * @returns {Object} Challenge object
+ * Split pasted or loaded text into lines suitable for challenges
+ * Tabs become spaces and trailing whitespace is dropped (indentation stays, for line-start motions);
+ * short, long and duplicate lines are skipped
+ * @param {string} source - Raw text (a pasted snippet or the contents of a file)
+ * @returns {string[]} Usable lines, in their original order
  */
-function generateDeleteWordChallenge(text, os = currentOS) {
-  const words = findWordBoundaries(text);
-  if (words.length < 2) return null;
+export function parseCustomText(source) {
+  const lines = [];
 
-  // Pick a word that's not at the start (so there's something to delete)
-  const wordIndex = Math.floor(Math.random() * (words.length - 1)) + 1;
-  const targetWord = words[wordIndex];
+  String(source ?? '').split(/\r\n|\r|\n/).forEach(rawLine => {
+    const line = rawLine
+      .replace(/\t/g, '  ')
+      .replace(/[\u0000-\u001f\u007f]/g, '')
+      .trimEnd();
+    const content = line.trim();
 
-  // Position cursor at the end of the word
-  const cursorPosition = targetWord.end;
-  const wordStart = findWordBoundaryLeft(text, cursorPosition);
+    if (content.length < CUSTOM_TEXT_MIN_LENGTH || line.length > CUSTOM_TEXT_MAX_LENGTH) return;
+    if (findWordBoundaries(content).length < CUSTOM_TEXT_MIN_WORDS) return;
+    if (lines.includes(line) || lines.length >= CUSTOM_TEXT_MAX_LINES) return;
 
-  // Expected result: word deleted, cursor at word start
-  const expectedText = text.slice(0, wordStart) + text.slice(cursorPosition);
+    lines.push(line);
+  });
 
-  return {
-    id: generateId(),
-    instruction: `Delete the word '${targetWord.word}'`,
-    text,
-    cursorPosition,
-    expectedResult: {
-      text: expectedText,
-      cursorPosition: wordStart
-    },
-    command: getCommandForOS('DELETE_WORD', os)
-  };
+  return lines;
 }
 
 /**
- * Generate a DELETE_WORD_FORWARD challenge
- * @param {string} text - The text to work with
- * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
- * @returns {Object} Challenge object
+ * Get the player's practice text lines
+ * @returns {string[]|null} Lines, or null when the built-in pools are in use
  */
-function generateDeleteWordForwardChallenge(text, os = currentOS) {
+export function getCustomTextPool() {
+  return customTextPool;
+}
+
+/**
+ * Use the player's own lines as the text pool for every generator
+ * @param {string[]|null} lines - Lines from parseCustomText (null or empty to go back to the built-in pools)
+ */
+export function setCustomTextPool(lines) {
+  customTextPool = lines && lines.length > 0 ? [...lines] : null;
+}
+
+/**
+ * Get the pool single-line challenges draw their text from
+ * @returns {string[]} The player's lines if set, otherwise the selected pool's lines
+ */
+function getTextPool() {
+  return customTextPool || TEXT_POOLS[currentTextPool].lines;
+}
+
+// Steps multi-step challenges are built from: a jump to one end of the line, a few word
+// motions back in, then an edit - "jump to start, move two words right, delete word"
+const MULTI_STEP_LINE_JUMPS = {
+  right: ['JUMP_LINE_START', 'CONTROL_LINE_START'],
+  left: ['JUMP_LINE_END', 'CONTROL_LINE_END']
+};
+const MULTI_STEP_WORD_MOTIONS = {
+  right: ['MOVE_WORD_RIGHT', 'ALT_WORD_FORWARD'],
+  left: ['MOVE_WORD_LEFT', 'ALT_WORD_BACKWARD']
+};
+const MULTI_STEP_EDITS = [
+  'DELETE_WORD',
+  'DELETE_WORD_FORWARD',
+  'CONTROL_DELETE_WORD',
+  'DELETE_TO_LINE_START',
+  'DELETE_TO_LINE_END'
+];
+
+// Keystrokes over the optimal path a multi-step challenge allows before it counts as a miss
+const MULTI_STEP_EXTRA_KEYSTROKES = 6;
+
+// Fewest keystrokes a navigation target is away from the cursor (one key is just a shortcut drill)
+const NAVIGATION_MIN_KEYSTROKES = 2;
+
+// Targets one navigation challenge runs a full search for: each search blocks the page, so after
+// a few misses the challenge settles for a target the solver finds in a few states
+const NAVIGATION_FULL_SEARCHES = 4;
+const NAVIGATION_QUICK_SEARCH_STATES = 2500;
+let navigationSearches = 0;
+
+/**
+ * Generate a unique ID for challenges
+ * @returns {string} Unique challenge ID
+ */
+function generateId() {
+  // Not drawn from the seeded sequence: IDs only need to be unique
+  return `challenge_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Get a random item from an array
+ * @param {Array} array - The array to pick from
+ * @returns {*} Random item from the array
+ */
+function getRandomItem(array) {
+  return array[Math.floor(random() * array.length)];
+}
+
+/**
+ * Pick a command type, favouring the heavier ones when command weights are set
+ * @param {string[]} commandTypes - Command types to pick from
+ * @returns {string} A command type
+ */
+function pickCommandType(commandTypes) {
+  if (!commandWeights) return getRandomItem(commandTypes);
+
+  const weights = commandTypes.map(type => Math.max(0, commandWeights[type] ?? 1));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (total <= 0) return getRandomItem(commandTypes);
+
+  let roll = random() * total;
+  for (let i = 0; i < commandTypes.length; i++) {
+    roll -= weights[i];
+    if (roll < 0) return commandTypes[i];
+  }
+  return commandTypes[commandTypes.length - 1];
+}
+
+/**
+ * Pick a random cursor position that doesn't split a grapheme cluster
+ * Given the position the cursor has to get to, easy difficulty starts it in the nearest third
+ * of the range and hard in the farthest
+ * @param {string} text - The text
+ * @param {number} [min=0] - Lowest allowed position
+ * @param {number} [max=text.length] - Highest allowed position
+ * @param {number|null} [target=null] - Position the challenge moves the cursor to
+ * @returns {number} A cluster boundary between min and max (inclusive)
+ */
+function getRandomCursorPosition(text, min = 0, max = text.length, target = null) {
+  let positions = getGraphemeBoundaries(text).filter(pos => pos >= min && pos <= max);
+
+  const { cursorDistance } = DIFFICULTIES[currentDifficulty];
+  if (target !== null && cursorDistance !== 'any' && positions.length >= 3) {
+    const byDistance = [...positions].sort((a, b) => Math.abs(a - target) - Math.abs(b - target));
+    const third = Math.ceil(byDistance.length / 3);
+    positions = cursorDistance === 'near' ? byDistance.slice(0, third) : byDistance.slice(-third);
+  }
+
+  return positions.length > 0 ? getRandomItem(positions) : snapToGrapheme(text, max);
+}
+
+/**
+ * Check whether the same identifier appears more than once in a text
+ * @param {string} text - The text
+ * @returns {boolean} True if some word (two or more letters) is repeated
+ */
+function hasRepeatedWord(text) {
+  const words = text.match(/[A-Za-z_][A-Za-z0-9_]+/g) || [];
+  return new Set(words).size < words.length;
+}
+
+/**
+ * Pick a text from a pool to suit the difficulty
+ * Easy draws from the shorter half and avoids repeated words, hard from the longer half and
+ * prefers them; normal picks from the whole pool
+ * @param {string[]} pool - Texts to pick from
+ * @returns {string} A text
+ */
+function pickText(pool) {
+  const { textLength, repeatedWords } = DIFFICULTIES[currentDifficulty];
+  let candidates = pool;
+  if (!filterTextsByDifficulty) return getRandomItem(candidates);
+
+  if (textLength !== 'any' && pool.length >= 2) {
+    const byLength = [...pool].sort((a, b) => a.length - b.length);
+    const half = Math.ceil(byLength.length / 2);
+    candidates = textLength === 'short' ? byLength.slice(0, half) : byLength.slice(-half);
+  }
+  if (repeatedWords !== null) {
+    const matching = candidates.filter(text => hasRepeatedWord(text) === repeatedWords);
+    if (matching.length > 0) candidates = matching;
+  }
+
+  return getRandomItem(candidates);
+}
+
+/**
+ * Get an instruction in the current language
+ * @param {string} key - Command type, or command type and variant (e.g. 'UPCASE_REGION.selection')
+ * @param {Object} [params] - Values for the instruction's placeholders
+ * @returns {string} The instruction
+ */
+function instructionFor(key, params) {
+  return formatInstruction(currentLocale, key, params);
+}
+
+/**
+ * Word an instruction for the difficulty: easy names the word to act on, hard only gives the direction
+ * @param {string} commandType - The command type (its '.unnamed' variant only gives the direction)
+ * @param {Object} params - Values for the named instruction's placeholders
+ * @param {boolean} [namedByDefault=true] - Which one normal difficulty uses
+ * @returns {string} The instruction
+ */
+function describeTarget(commandType, params, namedByDefault = true) {
+  const { namesTarget } = DIFFICULTIES[currentDifficulty];
+  return (namesTarget ?? namedByDefault) ? instructionFor(commandType, params) : instructionFor(`${commandType}.unnamed`);
+}
+
+/**
+ * Find word boundaries in text
+ * @param {string} text - The text to analyze
+ * @returns {Array<{start: number, end: number, word: string}>} Array of word positions
+ */
+function findWordBoundaries(text) {
+  const words = [];
+  const regex = /\S+/g;
+  let match;
+
+  while ((match = regex.exec(text)) !== null) {
+    words.push({
+      start: match.index,
+      end: match.index + match[0].length,
+      word: match[0]
+    });
+  }
+
+  return words;
+}
+
+/**
+ * Get the word boundary strategy a command uses on an OS
+ * @param {string} commandType - The command type key
+ * @param {'mac' | 'windows' | 'linux' | 'vim'} os - The OS to generate for
+ * @returns {string} Strategy key in WORD_STRATEGIES (words.js)
+ */
+function getCommandWordStrategy(commandType, os) {
+  return COMMANDS[commandType].wordStrategy || getWordStrategy(os, currentEditorProfile);
+}
+
+/**
+ * Split text into lines
+ * @param {string} text - The text to analyze
+ * @returns {Array<{start: number, end: number}>} Line ranges (end excludes the newline)
+ */
+function findLines(text) {
+  const lines = [];
+  let start = 0;
+
+  text.split('\n').forEach(line => {
+    lines.push({ start, end: start + line.length });
+    start += line.length + 1;
+  });
+
+  return lines;
+}
+
+/**
+ * Find the position one line up or down, keeping the given column where the line is long enough
+ * Moving up from the first line goes to the start of the text, down from the last line to the end
+ * @param {string} text - The text
+ * @param {number} position - Position to move from
+ * @param {'up' | 'down'} direction - Direction to move
+ * @param {number} goalColumn - Column to aim for
+ * @returns {number} New cursor position
+ */
+function findVerticalPosition(text, position, direction, goalColumn) {
+  const lines = findLines(text);
+  const lineIndex = lines.findIndex(line => position >= line.start && position <= line.end);
+  const targetIndex = direction === 'up' ? lineIndex - 1 : lineIndex + 1;
+
+  if (targetIndex < 0) return 0;
+  if (targetIndex >= lines.length) return text.length;
+
+  const target = lines[targetIndex];
+  return Math.min(target.start + goalColumn, target.end);
+}
+
+/**
+ * Get a multi-line snippet, using the given text if it already spans several lines
+ * @param {string} text - Candidate text
+ * @returns {string} Multi-line text
+ */
+function getMultilineText(text) {
+  if (text.includes('\n')) return text;
+
+  // Consecutive lines of the player's text make a snippet
+  const lineCount = customTextPool ? Math.min(CUSTOM_MULTILINE_LINES, customTextPool.length) : 0;
+  if (lineCount >= 2) {
+    const start = Math.floor(random() * (customTextPool.length - lineCount + 1));
+    return customTextPool.slice(start, start + lineCount).join('\n');
+  }
+
+  return pickText(TEXT_POOLS[currentTextPool].snippets);
+}
+
+/**
+ * Get a long shell command, using the given text if it already is one
+ * @param {string} text - Candidate text
+ * @returns {string} Single-line text with plenty of arguments
+ */
+function getLongCommandText(text) {
+  if (isLongCommand(text)) return text;
+
+  const poolLongCommands = getTextPool().filter(isLongCommand);
+  return pickText(poolLongCommands.length > 0 ? poolLongCommands : LONG_COMMAND_POOL);
+}
+
+/**
+ * Check whether text is one long line with plenty of arguments
+ * @param {string} text - Candidate text
+ * @returns {boolean} True if it suits mark and region practice
+ */
+function isLongCommand(text) {
+  return !text.includes('\n') && text.length >= 50 && findWordBoundaries(text).length >= 6;
+}
+
+/**
+ * Pick a run of one to three arguments to use as a region
+ * The region takes the space after the arguments along, or the space before them at the end of the line
+ * @param {string} text - Single-line text
+ * @param {boolean} [trailingSpace=false] - Only pick runs that are followed by another argument
+ * @returns {{start: number, end: number, label: string}|null} Region bounds and the arguments it covers
+ */
+function pickRegion(text, trailingSpace = false) {
   const words = findWordBoundaries(text);
+  const lastIndex = trailingSpace ? words.length - 2 : words.length - 1;
+  if (lastIndex < 1) return null;
+
+  // Never the command itself
+  const first = Math.floor(random() * lastIndex) + 1;
+  const last = Math.min(lastIndex, first + Math.floor(random() * 3));
+  const label = text.slice(words[first].start, words[last].end);
+
+  if (last < words.length - 1) {
+    return { start: words[first].start, end: words[last + 1].start, label };
+  }
+  return { start: words[first - 1].end, end: words[last].end, label };
+}
+
+/**
+ * Find the start and end of the line containing a position
+ * @param {string} text - The text
+ * @param {number} position - Position within the text
+ * @returns {{start: number, end: number}} Line range (end excludes the newline)
+ */
+function findLineBounds(text, position) {
+  const start = text.lastIndexOf('\n', position - 1) + 1;
+  const newline = text.indexOf('\n', position);
+  return { start, end: newline === -1 ? text.length : newline };
+}
+
+/**
+ * Classify the grapheme cluster at a position for Vim word motions
+ * A cluster takes the class of its base character, so accented letters are word characters
+ * @param {string} text - The text
+ * @param {number} position - Start of the cluster
+ * @param {boolean} bigWord - WORD motions (W/B/E) only split on whitespace
+ * @returns {number} 0 for whitespace, 1 for word characters, 2 for punctuation
+ */
+function vimCharClassAt(text, position, bigWord) {
+  const char = text.slice(position, nextGraphemeBoundary(text, position));
+  if (char === '' || /^\s/.test(char)) return 0;
+  if (bigWord || /^[\p{L}\p{M}\p{N}_]/u.test(char)) return 1;
+  return 2;
+}
+
+/**
+ * Find where Vim's w/W lands (start of the next word)
+ * @param {string} text - The text
+ * @param {number} position - Cursor position
+ * @param {boolean} bigWord - Whether this is the WORD motion
+ * @returns {number} Start of the next word, or the text length if there is none
+ */
+function findVimWordStart(text, position, bigWord) {
+  let pos = position;
+  const charClass = vimCharClassAt(text, pos, bigWord);
+
+  if (charClass !== 0) {
+    while (pos < text.length && vimCharClassAt(text, pos, bigWord) === charClass) {
+      pos = nextGraphemeBoundary(text, pos);
+    }
+  }
+  while (pos < text.length && vimCharClassAt(text, pos, bigWord) === 0) {
+    pos = nextGraphemeBoundary(text, pos);
+  }
+
+  return pos;
+}
+
+/**
+ * Find where Vim's e/E lands (end of the current or next word)
+ * @param {string} text - The text
+ * @param {number} position - Cursor position
+ * @param {boolean} bigWord - Whether this is the WORD motion
+ * @returns {number} Position of the last character of the word
+ */
+function findVimWordEnd(text, position, bigWord) {
+  let pos = nextGraphemeBoundary(text, position);
+
+  while (pos < text.length && vimCharClassAt(text, pos, bigWord) === 0) {
+    pos = nextGraphemeBoundary(text, pos);
+  }
+  if (pos >= text.length) {
+    return previousGraphemeBoundary(text, text.length);
+  }
+
+  const charClass = vimCharClassAt(text, pos, bigWord);
+  let next = nextGraphemeBoundary(text, pos);
+  while (next < text.length && vimCharClassAt(text, next, bigWord) === charClass) {
+    pos = next;
+    next = nextGraphemeBoundary(text, pos);
+  }
+
+  return pos;
+}
+
+/**
+ * Find where Vim's b/B lands (start of the current or previous word)
+ * @param {string} text - The text
+ * @param {number} position - Cursor position
+ * @param {boolean} bigWord - Whether this is the WORD motion
+ * @returns {number} Start of the word
+ */
+function findVimWordBackward(text, position, bigWord) {
+  if (position <= 0) return 0;
+
+  let pos = previousGraphemeBoundary(text, position);
+  while (pos > 0 && vimCharClassAt(text, pos, bigWord) === 0) {
+    pos = previousGraphemeBoundary(text, pos);
+  }
+
+  const charClass = vimCharClassAt(text, pos, bigWord);
+  while (pos > 0 && vimCharClassAt(text, previousGraphemeBoundary(text, pos), bigWord) === charClass) {
+    pos = previousGraphemeBoundary(text, pos);
+  }
+
+  return pos;
+}
+
+/**
+ * Keep a Vim normal-mode cursor on a character (never past the end of a non-empty line)
+ * @param {string} text - The text
+ * @param {number} position - Cursor position
+ * @returns {number} Clamped position, on the start of a grapheme cluster
+ */
+function clampVimCursor(text, position) {
+  const line = findLineBounds(text, position);
+  return line.end > line.start
+    ? Math.min(snapToGrapheme(text, position), previousGraphemeBoundary(text, line.end))
+    : line.start;
+}
+
+/**
+ * Find Vim keyword runs (letters, digits and underscores) in text
+ * Keywords with multi-unit clusters (combining accents) are left out, so the Vim generators can
+ * count characters by string index
+ * @param {string} text - The text to analyze
+ * @returns {Array<{start: number, end: number, word: string}>} Array of keyword positions
+ */
+function findVimKeywords(text) {
+  const words = [];
+  const regex = /[\p{L}\p{M}\p{N}_]+/gu;
+  let match;
+
+  while ((match = regex.exec(text)) !== null) {
+    if (snapToGrapheme(text, match.index) !== match.index ||
+        splitGraphemes(match[0]).length !== match[0].length) {
+      continue;
+    }
+    words.push({
+      start: match.index,
+      end: match.index + match[0].length,
+      word: match[0]
+    });
+  }
+
+  return words;
+}
+
+/**
+ * Generate a DELETE_WORD challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateDeleteWordChallenge(text, os = currentOS) {
+  const strategy = getCommandWordStrategy('DELETE_WORD', os);
+  const words = findWords(text, strategy);
+  if (words.length < 2) return null;
+
+  // Pick a word that's not at the start (so there's something to delete)
+  const wordIndex = Math.floor(random() * (words.length - 1)) + 1;
+  const targetWord = words[wordIndex];
+
+  // Position cursor at the end of the word
+  const cursorPosition = targetWord.end;
+  const wordStart = findWordBoundary(text, cursorPosition, 'left', strategy);
+
+  // Expected result: word deleted, cursor at word start
+  const expectedText = text.slice(0, wordStart) + text.slice(cursorPosition);
+
+  return {
+    id: generateId(),
+    instruction: describeTarget('DELETE_WORD', { word: targetWord.word }),
+    text,
+    cursorPosition,
+    expectedResult: {
+      text: expectedText,
+      cursorPosition: wordStart
+    },
+    command: getCommandForOS('DELETE_WORD', os)
+  };
+}
+
+/**
+ * Generate a DELETE_WORD_FORWARD challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateDeleteWordForwardChallenge(text, os = currentOS) {
+  const strategy = getCommandWordStrategy('DELETE_WORD_FORWARD', os);
+  const words = findWords(text, strategy);
   if (words.length < 2) return null;
 
   // Pick a word that's not at the end (so there's something to delete forward)
-  const wordIndex = Math.floor(Math.random() * (words.length - 1));
+  const wordIndex = Math.floor(random() * (words.length - 1));
   const targetWord = words[wordIndex];
 
   // Position cursor at the start of the word
   const cursorPosition = targetWord.start;
-  const wordEnd = findWordBoundaryRight(text, cursorPosition);
+  const wordEnd = findWordBoundary(text, cursorPosition, 'right', strategy);
 
   // Expected result: word deleted, cursor stays at same position
   const expectedText = text.slice(0, cursorPosition) + text.slice(wordEnd);
 
   return {
     id: generateId(),
-    instruction: `Delete the word '${targetWord.word}' forward`,
+    instruction: describeTarget('DELETE_WORD_FORWARD', { word: targetWord.word }),
     text,
     cursorPosition,
     expectedResult: {
@@ -581,17 +1563,22 @@ function generateDeleteWordForwardChallenge(text, os = currentOS) {
  * @returns {Object} Challenge object
  */
 function generateMoveWordLeftChallenge(text, os = currentOS) {
-  const words = findWordBoundaries(text);
+  const strategy = getCommandWordStrategy('MOVE_WORD_LEFT', os);
+  const words = findWords(text, strategy);
   if (words.length < 2) return null;
 
   // Start somewhere in the middle or end
-  const wordIndex = Math.floor(Math.random() * (words.length - 1)) + 1;
+  const wordIndex = Math.floor(random() * (words.length - 1)) + 1;
   const cursorPosition = words[wordIndex].end;
-  const expectedPosition = findWordBoundaryLeft(text, cursorPosition);
+  const expectedPosition = findWordBoundary(text, cursorPosition, 'left', strategy);
 
   return {
     id: generateId(),
-    instruction: "Move the cursor one word to the left",
+    instruction: describeTarget(
+      'MOVE_WORD_LEFT',
+      { word: text.slice(expectedPosition, cursorPosition).trim() },
+      false
+    ),
     text,
     cursorPosition,
     expectedResult: {
@@ -609,17 +1596,22 @@ function generateMoveWordLeftChallenge(text, os = currentOS) {
  * @returns {Object} Challenge object
  */
 function generateMoveWordRightChallenge(text, os = currentOS) {
-  const words = findWordBoundaries(text);
+  const strategy = getCommandWordStrategy('MOVE_WORD_RIGHT', os);
+  const words = findWords(text, strategy);
   if (words.length < 2) return null;
 
   // Start somewhere at the beginning or middle
-  const wordIndex = Math.floor(Math.random() * (words.length - 1));
+  const wordIndex = Math.floor(random() * (words.length - 1));
   const cursorPosition = words[wordIndex].start;
-  const expectedPosition = findWordBoundaryRight(text, cursorPosition);
+  const expectedPosition = findWordBoundary(text, cursorPosition, 'right', strategy);
 
   return {
     id: generateId(),
-    instruction: "Move the cursor one word to the right",
+    instruction: describeTarget(
+      'MOVE_WORD_RIGHT',
+      { word: text.slice(cursorPosition, expectedPosition).trim() },
+      false
+    ),
     text,
     cursorPosition,
     expectedResult: {
@@ -638,11 +1630,11 @@ function generateMoveWordRightChallenge(text, os = currentOS) {
  */
 function generateJumpLineStartChallenge(text, os = currentOS) {
   // Place cursor somewhere in the middle or end
-  const cursorPosition = Math.floor(Math.random() * (text.length - 1)) + 1;
+  const cursorPosition = getRandomCursorPosition(text, 1, text.length - 1, 0);
 
   return {
     id: generateId(),
-    instruction: "Move the cursor to the start of the line",
+    instruction: instructionFor('JUMP_LINE_START'),
     text,
     cursorPosition,
     expectedResult: {
@@ -661,11 +1653,11 @@ function generateJumpLineStartChallenge(text, os = currentOS) {
  */
 function generateJumpLineEndChallenge(text, os = currentOS) {
   // Place cursor somewhere at the start or middle
-  const cursorPosition = Math.floor(Math.random() * (text.length - 1));
+  const cursorPosition = getRandomCursorPosition(text, 0, text.length - 1, text.length);
 
   return {
     id: generateId(),
-    instruction: "Move the cursor to the end of the line",
+    instruction: instructionFor('JUMP_LINE_END'),
     text,
     cursorPosition,
     expectedResult: {
@@ -685,13 +1677,13 @@ function generateJumpLineEndChallenge(text, os = currentOS) {
 function generateDeleteToLineStartChallenge(text, os = currentOS) {
   // Place cursor somewhere after the first few characters
   const minPos = Math.min(5, Math.floor(text.length / 4));
-  const cursorPosition = Math.floor(Math.random() * (text.length - minPos)) + minPos;
+  const cursorPosition = getRandomCursorPosition(text, minPos, text.length - 1, 0);
 
   const expectedText = text.slice(cursorPosition);
 
   return {
     id: generateId(),
-    instruction: "Delete everything before the cursor",
+    instruction: instructionFor('DELETE_TO_LINE_START'),
     text,
     cursorPosition,
     expectedResult: {
@@ -711,14 +1703,14 @@ function generateDeleteToLineStartChallenge(text, os = currentOS) {
 function generateDeleteToLineEndChallenge(text, os = currentOS) {
   // Place cursor somewhere before the last few characters
   const maxPos = text.length - Math.min(5, Math.floor(text.length / 4));
-  const cursorPosition = Math.floor(Math.random() * maxPos);
+  const cursorPosition = getRandomCursorPosition(text, 0, maxPos - 1, text.length);
 
   const expectedText = text.slice(0, cursorPosition);
   const command = getCommandForOS('DELETE_TO_LINE_END', os);
 
   return {
     id: generateId(),
-    instruction: "Delete everything after the cursor",
+    instruction: instructionFor('DELETE_TO_LINE_END'),
     text,
     cursorPosition,
     expectedResult: {
@@ -738,13 +1730,13 @@ function generateDeleteToLineEndChallenge(text, os = currentOS) {
 function generateControlDeleteToStartChallenge(text, os = currentOS) {
   // Place cursor somewhere after the first few characters
   const minPos = Math.min(5, Math.floor(text.length / 4));
-  const cursorPosition = Math.floor(Math.random() * (text.length - minPos)) + minPos;
+  const cursorPosition = getRandomCursorPosition(text, minPos, text.length - 1, 0);
 
   const expectedText = text.slice(cursorPosition);
 
   return {
     id: generateId(),
-    instruction: "Delete everything before the cursor (terminal style)",
+    instruction: instructionFor('CONTROL_DELETE_TO_START'),
     text,
     cursorPosition,
     expectedResult: {
@@ -756,277 +1748,2065 @@ function generateControlDeleteToStartChallenge(text, os = currentOS) {
 }
 
 /**
- * Generate a SELECT_WORD_LEFT challenge
+ * Generate a SELECT_WORD_LEFT challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateSelectWordLeftChallenge(text, os = currentOS) {
+  const strategy = getCommandWordStrategy('SELECT_WORD_LEFT', os);
+  const words = findWords(text, strategy);
+  if (words.length < 2) return null;
+
+  // Position cursor at end of a word (not the first one)
+  const wordIndex = Math.floor(random() * (words.length - 1)) + 1;
+  const cursorPosition = words[wordIndex].end;
+  const selectionStart = findWordBoundary(text, cursorPosition, 'left', strategy);
+
+  return {
+    id: generateId(),
+    instruction: describeTarget(
+      'SELECT_WORD_LEFT',
+      { word: text.slice(selectionStart, cursorPosition).trim() },
+      false
+    ),
+    text,
+    cursorPosition,
+    expectedResult: {
+      text,
+      cursorPosition: selectionStart,
+      selection: [selectionStart, cursorPosition]
+    },
+    command: getCommandForOS('SELECT_WORD_LEFT', os)
+  };
+}
+
+/**
+ * Generate a SELECT_WORD_RIGHT challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateSelectWordRightChallenge(text, os = currentOS) {
+  const strategy = getCommandWordStrategy('SELECT_WORD_RIGHT', os);
+  const words = findWords(text, strategy);
+  if (words.length < 2) return null;
+
+  // Position cursor at start of a word (not the last one)
+  const wordIndex = Math.floor(random() * (words.length - 1));
+  const cursorPosition = words[wordIndex].start;
+  const selectionEnd = findWordBoundary(text, cursorPosition, 'right', strategy);
+
+  return {
+    id: generateId(),
+    instruction: describeTarget(
+      'SELECT_WORD_RIGHT',
+      { word: text.slice(cursorPosition, selectionEnd).trim() },
+      false
+    ),
+    text,
+    cursorPosition,
+    expectedResult: {
+      text,
+      cursorPosition: selectionEnd,
+      selection: [cursorPosition, selectionEnd]
+    },
+    command: getCommandForOS('SELECT_WORD_RIGHT', os)
+  };
+}
+
+/**
+ * Generate a SELECT_TO_LINE_START challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateSelectToLineStartChallenge(text, os = currentOS) {
+  // Place cursor somewhere in the middle or end
+  const minPos = Math.min(5, Math.floor(text.length / 4));
+  const cursorPosition = getRandomCursorPosition(text, minPos, text.length - 1, 0);
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('SELECT_TO_LINE_START'),
+    text,
+    cursorPosition,
+    expectedResult: {
+      text,
+      cursorPosition: 0,
+      selection: [0, cursorPosition]
+    },
+    command: getCommandForOS('SELECT_TO_LINE_START', os)
+  };
+}
+
+/**
+ * Generate a SELECT_TO_LINE_END challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateSelectToLineEndChallenge(text, os = currentOS) {
+  // Place cursor somewhere at the start or middle
+  const maxPos = text.length - Math.min(5, Math.floor(text.length / 4));
+  const cursorPosition = getRandomCursorPosition(text, 0, maxPos - 1, text.length);
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('SELECT_TO_LINE_END'),
+    text,
+    cursorPosition,
+    expectedResult: {
+      text,
+      cursorPosition: text.length,
+      selection: [cursorPosition, text.length]
+    },
+    command: getCommandForOS('SELECT_TO_LINE_END', os)
+  };
+}
+
+/**
+ * Generate a SELECT_ALL challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateSelectAllChallenge(text, os = currentOS) {
+  // Place cursor somewhere in the middle
+  const cursorPosition = getRandomCursorPosition(text, 0, text.length - 1);
+  const command = getCommandForOS('SELECT_ALL', os);
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('SELECT_ALL'),
+    text,
+    cursorPosition,
+    expectedResult: {
+      text,
+      cursorPosition: text.length,
+      selection: [0, text.length]
+    },
+    command
+  };
+}
+
+/**
+ * Generate a SELECT_CHAR_LEFT challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateSelectCharLeftChallenge(text, os = currentOS) {
+  // Place cursor somewhere after the start
+  const cursorPosition = getRandomCursorPosition(text, 1, text.length - 1);
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('SELECT_CHAR_LEFT'),
+    text,
+    cursorPosition,
+    expectedResult: {
+      text,
+      cursorPosition: previousGraphemeBoundary(text, cursorPosition),
+      selection: [previousGraphemeBoundary(text, cursorPosition), cursorPosition]
+    },
+    command: getCommandForOS('SELECT_CHAR_LEFT', os)
+  };
+}
+
+/**
+ * Generate a SELECT_CHAR_RIGHT challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateSelectCharRightChallenge(text, os = currentOS) {
+  // Place cursor somewhere before the end
+  const cursorPosition = getRandomCursorPosition(text, 0, text.length - 1);
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('SELECT_CHAR_RIGHT'),
+    text,
+    cursorPosition,
+    expectedResult: {
+      text,
+      cursorPosition: nextGraphemeBoundary(text, cursorPosition),
+      selection: [cursorPosition, nextGraphemeBoundary(text, cursorPosition)]
+    },
+    command: getCommandForOS('SELECT_CHAR_RIGHT', os)
+  };
+}
+
+/**
+ * Generate a CONTROL_LINE_START challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateControlLineStartChallenge(text, os = currentOS) {
+  const cursorPosition = getRandomCursorPosition(text, 1, text.length - 1, 0);
+  const command = getCommandForOS('CONTROL_LINE_START', os);
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('CONTROL_LINE_START'),
+    text,
+    cursorPosition,
+    expectedResult: {
+      text,
+      cursorPosition: 0
+    },
+    command
+  };
+}
+
+/**
+ * Generate a CONTROL_LINE_END challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateControlLineEndChallenge(text, os = currentOS) {
+  const cursorPosition = getRandomCursorPosition(text, 0, text.length - 1, text.length);
+  const command = getCommandForOS('CONTROL_LINE_END', os);
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('CONTROL_LINE_END'),
+    text,
+    cursorPosition,
+    expectedResult: {
+      text,
+      cursorPosition: text.length
+    },
+    command
+  };
+}
+
+/**
+ * Generate a CONTROL_FORWARD challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateControlForwardChallenge(text, os = currentOS) {
+  // Place cursor somewhere before the end
+  const cursorPosition = getRandomCursorPosition(text, 0, text.length - 1);
+  const command = getCommandForOS('CONTROL_FORWARD', os);
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('CONTROL_FORWARD'),
+    text,
+    cursorPosition,
+    expectedResult: {
+      text,
+      cursorPosition: nextGraphemeBoundary(text, cursorPosition)
+    },
+    command
+  };
+}
+
+/**
+ * Generate a CONTROL_BACKWARD challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateControlBackwardChallenge(text, os = currentOS) {
+  // Place cursor somewhere after the start
+  const cursorPosition = getRandomCursorPosition(text, 1, text.length - 1);
+  const command = getCommandForOS('CONTROL_BACKWARD', os);
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('CONTROL_BACKWARD'),
+    text,
+    cursorPosition,
+    expectedResult: {
+      text,
+      cursorPosition: previousGraphemeBoundary(text, cursorPosition)
+    },
+    command
+  };
+}
+
+/**
+ * Generate a CONTROL_DELETE_FORWARD challenge
+ * A letter is doubled; delete the extra one from under the cursor
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object|null} Challenge object
+ */
+function generateControlDeleteForwardChallenge(text, os = currentOS) {
+  const words = findWords(text, 'readline').filter(w => w.word.length >= 3);
+  if (words.length === 0) return null;
+
+  const target = getRandomItem(words);
+  const index = getRandomCursorPosition(text, target.start, target.end - 1);
+  const extra = text.slice(index, nextGraphemeBoundary(text, index));
+  const typoText = text.slice(0, index) + extra + text.slice(index);
+  const typoWord = typoText.slice(target.start, target.end + extra.length);
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('CONTROL_DELETE_FORWARD', { extra, word: typoWord }),
+    text: typoText,
+    cursorPosition: index,
+    expectedResult: {
+      text,
+      cursorPosition: index
+    },
+    command: getCommandForOS('CONTROL_DELETE_FORWARD', os)
+  };
+}
+
+/**
+ * Generate an ALT_WORD_BACKWARD challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateAltWordBackwardChallenge(text, os = currentOS) {
+  const strategy = getCommandWordStrategy('ALT_WORD_BACKWARD', os);
+  const words = findWords(text, strategy);
+  if (words.length < 2) return null;
+
+  const wordIndex = Math.floor(random() * (words.length - 1)) + 1;
+  const cursorPosition = words[wordIndex].end;
+
+  return {
+    id: generateId(),
+    instruction: describeTarget('ALT_WORD_BACKWARD', { word: words[wordIndex].word }),
+    text,
+    cursorPosition,
+    expectedResult: {
+      text,
+      cursorPosition: findWordBoundary(text, cursorPosition, 'left', strategy)
+    },
+    command: getCommandForOS('ALT_WORD_BACKWARD', os)
+  };
+}
+
+/**
+ * Generate an ALT_WORD_FORWARD challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateAltWordForwardChallenge(text, os = currentOS) {
+  const strategy = getCommandWordStrategy('ALT_WORD_FORWARD', os);
+  const words = findWords(text, strategy);
+  if (words.length < 2) return null;
+
+  const wordIndex = Math.floor(random() * (words.length - 1));
+  const cursorPosition = words[wordIndex].start;
+
+  return {
+    id: generateId(),
+    instruction: describeTarget('ALT_WORD_FORWARD', { word: words[wordIndex].word }),
+    text,
+    cursorPosition,
+    expectedResult: {
+      text,
+      cursorPosition: findWordBoundary(text, cursorPosition, 'right', strategy)
+    },
+    command: getCommandForOS('ALT_WORD_FORWARD', os)
+  };
+}
+
+/**
+ * Generate a CONTROL_DELETE_WORD challenge
+ * Prefers words with punctuation, where Control + W deletes more than the OS word delete would
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateControlDeleteWordChallenge(text, os = currentOS) {
+  const strategy = getCommandWordStrategy('CONTROL_DELETE_WORD', os);
+  const words = findWords(text, strategy).slice(1);
+  if (words.length === 0) return null;
+
+  const osStrategy = getWordStrategy(os, currentEditorProfile);
+  const punctuated = words.filter(word =>
+    findWordBoundary(text, word.end, 'left', osStrategy) !== word.start
+  );
+  const targetWord = getRandomItem(punctuated.length > 0 ? punctuated : words);
+
+  const cursorPosition = targetWord.end;
+  const wordStart = findWordBoundary(text, cursorPosition, 'left', strategy);
+
+  return {
+    id: generateId(),
+    instruction: describeTarget('CONTROL_DELETE_WORD', { word: targetWord.word }),
+    text,
+    cursorPosition,
+    expectedResult: {
+      text: text.slice(0, wordStart) + text.slice(cursorPosition),
+      cursorPosition: wordStart
+    },
+    command: getCommandForOS('CONTROL_DELETE_WORD', os)
+  };
+}
+
+/**
+ * Build a vertical move challenge (one line up or down)
+ * @param {string} text - The text to work with
+ * @param {'up' | 'down'} direction - Direction to move
+ * @param {string} commandType - Command type for the key hint
+ * @param {'mac' | 'windows' | 'linux'} os - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function createVerticalMoveChallenge(text, direction, commandType, os) {
+  const snippet = getMultilineText(text);
+  const lines = findLines(snippet);
+  if (lines.length < 2) return null;
+
+  // Start on a line that has a line above (up) or below (down)
+  const lineIndex = direction === 'up'
+    ? Math.floor(random() * (lines.length - 1)) + 1
+    : Math.floor(random() * (lines.length - 1));
+  const line = lines[lineIndex];
+  const column = Math.floor(random() * (line.end - line.start + 1));
+  const cursorPosition = line.start + column;
+
+  return {
+    id: generateId(),
+    instruction: instructionFor(commandType),
+    text: snippet,
+    cursorPosition,
+    expectedResult: {
+      text: snippet,
+      cursorPosition: findVerticalPosition(snippet, cursorPosition, direction, column)
+    },
+    command: getCommandForOS(commandType, os)
+  };
+}
+
+/**
+ * Generate a MOVE_LINE_UP challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateMoveLineUpChallenge(text, os = currentOS) {
+  return createVerticalMoveChallenge(text, 'up', 'MOVE_LINE_UP', os);
+}
+
+/**
+ * Generate a MOVE_LINE_DOWN challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateMoveLineDownChallenge(text, os = currentOS) {
+  return createVerticalMoveChallenge(text, 'down', 'MOVE_LINE_DOWN', os);
+}
+
+/**
+ * Generate a CONTROL_PREVIOUS_LINE challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateControlPreviousLineChallenge(text, os = currentOS) {
+  return createVerticalMoveChallenge(text, 'up', 'CONTROL_PREVIOUS_LINE', os);
+}
+
+/**
+ * Generate a CONTROL_NEXT_LINE challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateControlNextLineChallenge(text, os = currentOS) {
+  return createVerticalMoveChallenge(text, 'down', 'CONTROL_NEXT_LINE', os);
+}
+
+/**
+ * Generate a JUMP_DOCUMENT_START challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateJumpDocumentStartChallenge(text, os = currentOS) {
+  const snippet = getMultilineText(text);
+  const lines = findLines(snippet);
+  if (lines.length < 2) return null;
+
+  // Start below the first line, so line start alone isn't enough
+  const minPos = lines[1].start;
+  const cursorPosition = Math.floor(random() * (snippet.length - minPos + 1)) + minPos;
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('JUMP_DOCUMENT_START'),
+    text: snippet,
+    cursorPosition,
+    expectedResult: {
+      text: snippet,
+      cursorPosition: 0
+    },
+    command: getCommandForOS('JUMP_DOCUMENT_START', os)
+  };
+}
+
+/**
+ * Generate a JUMP_DOCUMENT_END challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateJumpDocumentEndChallenge(text, os = currentOS) {
+  const snippet = getMultilineText(text);
+  const lines = findLines(snippet);
+  if (lines.length < 2) return null;
+
+  // Start above the last line, so line end alone isn't enough
+  const maxPos = lines[lines.length - 2].end;
+  const cursorPosition = Math.floor(random() * (maxPos + 1));
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('JUMP_DOCUMENT_END'),
+    text: snippet,
+    cursorPosition,
+    expectedResult: {
+      text: snippet,
+      cursorPosition: snippet.length
+    },
+    command: getCommandForOS('JUMP_DOCUMENT_END', os)
+  };
+}
+
+/**
+ * Build a "go to the start/end of line N" challenge
+ * Moving vertically to the target line and then jumping within it is the expected route,
+ * so the positions passed on the way are accepted as intermediate states
+ * @param {string} text - The text to work with
+ * @param {'start' | 'end'} boundary - Which end of the target line
+ * @param {string} commandType - Command type for the key hint
+ * @param {'mac' | 'windows' | 'linux'} os - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function createGoToLineChallenge(text, boundary, commandType, os) {
+  const snippet = getMultilineText(text);
+  const lines = findLines(snippet);
+  if (lines.length < 3) return null;
+
+  const startIndex = Math.floor(random() * lines.length);
+  // Any other line; skip over the start line
+  let targetIndex = Math.floor(random() * (lines.length - 1));
+  if (targetIndex >= startIndex) targetIndex++;
+
+  const startLine = lines[startIndex];
+  const column = Math.floor(random() * (startLine.end - startLine.start + 1));
+  const cursorPosition = startLine.start + column;
+  const direction = targetIndex < startIndex ? 'up' : 'down';
+
+  const intermediateStates = [];
+  let position = cursorPosition;
+  for (let i = 0; i < Math.abs(targetIndex - startIndex); i++) {
+    position = findVerticalPosition(snippet, position, direction, column);
+    intermediateStates.push({ text: snippet, cursorPosition: position });
+  }
+
+  const targetLine = lines[targetIndex];
+  const expectedPosition = boundary === 'start' ? targetLine.start : targetLine.end;
+
+  return {
+    id: generateId(),
+    instruction: instructionFor(commandType, { line: targetIndex + 1 }),
+    text: snippet,
+    cursorPosition,
+    intermediateStates,
+    expectedResult: {
+      text: snippet,
+      cursorPosition: expectedPosition
+    },
+    command: getCommandForOS(commandType, os)
+  };
+}
+
+/**
+ * Generate a GO_TO_LINE_START challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateGoToLineStartChallenge(text, os = currentOS) {
+  return createGoToLineChallenge(text, 'start', 'GO_TO_LINE_START', os);
+}
+
+/**
+ * Generate a GO_TO_LINE_END challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateGoToLineEndChallenge(text, os = currentOS) {
+  return createGoToLineChallenge(text, 'end', 'GO_TO_LINE_END', os);
+}
+
+/**
+ * Simulate a deletion the user "just performed" on the given text
+ * Picks either a backward word delete or a delete to line end
+ * @param {string} text - The original text
+ * @returns {{before: Object, after: Object, deleted: string}|null} States before and after the deletion
+ */
+function simulateDeletion(text) {
+  const words = findWordBoundaries(text);
+  if (words.length < 2) return null;
+
+  let cursorPosition;
+  let deleteStart;
+  let deleteEnd;
+
+  if (random() < 0.5) {
+    // Delete a word backward from the end of a word (not the first one)
+    const wordIndex = Math.floor(random() * (words.length - 1)) + 1;
+    cursorPosition = words[wordIndex].end;
+    deleteStart = findWordBoundary(text, cursorPosition, 'left', 'whitespace');
+    deleteEnd = cursorPosition;
+  } else {
+    // Delete from the start of a word (not the first one) to the end of the line
+    const wordIndex = Math.floor(random() * (words.length - 1)) + 1;
+    cursorPosition = words[wordIndex].start;
+    deleteStart = cursorPosition;
+    deleteEnd = text.length;
+  }
+
+  return {
+    before: { text, cursorPosition },
+    after: {
+      text: text.slice(0, deleteStart) + text.slice(deleteEnd),
+      cursorPosition: deleteStart
+    },
+    deleted: text.slice(deleteStart, deleteEnd).trim()
+  };
+}
+
+/**
+ * Create an undo challenge
+ * The terminal starts right after a deletion; undoing it restores the original text
+ * @param {string} text - The text to work with
+ * @param {string} commandType - UNDO or CONTROL_UNDO
+ * @param {'mac' | 'windows' | 'linux'} os - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function createUndoChallenge(text, commandType, os) {
+  const deletion = simulateDeletion(text);
+  if (!deletion) return null;
+
+  return {
+    id: generateId(),
+    instruction: instructionFor(commandType, { deleted: deletion.deleted }),
+    text: deletion.after.text,
+    cursorPosition: deletion.after.cursorPosition,
+    history: {
+      undo: [deletion.before],
+      redo: []
+    },
+    expectedResult: {
+      text: deletion.before.text,
+      cursorPosition: deletion.before.cursorPosition
+    },
+    command: getCommandForOS(commandType, os)
+  };
+}
+
+/**
+ * Generate an UNDO challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateUndoChallenge(text, os = currentOS) {
+  return createUndoChallenge(text, 'UNDO', os);
+}
+
+/**
+ * Generate a REDO challenge
+ * The terminal starts right after a deletion was undone; redoing it deletes the text again
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateRedoChallenge(text, os = currentOS) {
+  const deletion = simulateDeletion(text);
+  if (!deletion) return null;
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('REDO', { deleted: deletion.deleted }),
+    text: deletion.before.text,
+    cursorPosition: deletion.before.cursorPosition,
+    history: {
+      undo: [],
+      redo: [deletion.after]
+    },
+    expectedResult: {
+      text: deletion.after.text,
+      cursorPosition: deletion.after.cursorPosition
+    },
+    command: getCommandForOS('REDO', os)
+  };
+}
+
+/**
+ * Generate a CONTROL_UNDO challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateControlUndoChallenge(text, os = currentOS) {
+  return createUndoChallenge(text, 'CONTROL_UNDO', os);
+}
+
+/**
+ * Generate a YANK challenge
+ * A word was just killed; yanking it puts it back in place
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateYankChallenge(text, os = currentOS) {
+  const words = findWordBoundaries(text);
+  if (words.length < 2) return null;
+
+  // Kill a word backward from its end (not the first one)
+  const wordIndex = Math.floor(random() * (words.length - 1)) + 1;
+  const killEnd = words[wordIndex].end;
+  const killStart = findWordBoundary(text, killEnd, 'left', 'whitespace');
+  const killed = text.slice(killStart, killEnd);
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('YANK', { word: killed }),
+    text: text.slice(0, killStart) + text.slice(killEnd),
+    cursorPosition: killStart,
+    killRing: [killed],
+    expectedResult: {
+      text,
+      cursorPosition: killEnd
+    },
+    command: getCommandForOS('YANK', os)
+  };
+}
+
+/**
+ * Generate a YANK_POP challenge
+ * The wrong kill was just yanked; yank-pop swaps it for the previous kill
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateYankPopChallenge(text, os = currentOS) {
+  const words = findWordBoundaries(text);
+  if (words.length < 2) return null;
+
+  const wordIndex = Math.floor(random() * (words.length - 1)) + 1;
+  const target = words[wordIndex];
+
+  // A more recent kill from another line, which got yanked by mistake
+  const otherWords = findWordBoundaries(getRandomItem(getTextPool()))
+    .map(w => w.word)
+    .filter(w => w !== target.word);
+  if (otherWords.length === 0) return null;
+  const wrongKill = getRandomItem(otherWords);
+
+  const before = text.slice(0, target.start);
+  const after = text.slice(target.end);
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('YANK_POP', { yanked: wrongKill, word: target.word }),
+    text: before + wrongKill + after,
+    cursorPosition: target.start + wrongKill.length,
+    killRing: [wrongKill, target.word],
+    yank: {
+      start: target.start,
+      end: target.start + wrongKill.length
+    },
+    expectedResult: {
+      text,
+      cursorPosition: target.end
+    },
+    command: getCommandForOS('YANK_POP', os)
+  };
+}
+
+/**
+ * Generate a MOVE_ARGUMENT_TO_END challenge
+ * Cut an argument with a backward word kill, jump to the end and yank it there
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateMoveArgumentToEndChallenge(text, os = currentOS) {
+  // Work on the line as typed at a prompt, with a trailing space after the last argument
+  const lineText = text.endsWith(' ') ? text : `${text} `;
+  const words = findWordBoundaries(lineText);
+  if (words.length < 3) return null;
+
+  // Pick an argument that is neither the command itself nor the last argument
+  const wordIndex = Math.floor(random() * (words.length - 2)) + 1;
+  const target = words[wordIndex];
+
+  // Cursor sits before the next argument, so the kill takes the argument and its trailing space
+  const cursorPosition = words[wordIndex + 1].start;
+  const killed = lineText.slice(target.start, cursorPosition);
+  const afterKill = lineText.slice(0, target.start) + lineText.slice(cursorPosition);
+  const expectedText = afterKill + killed;
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('MOVE_ARGUMENT_TO_END', { word: target.word }),
+    text: lineText,
+    cursorPosition,
+    killRing: [],
+    // States reached by the individual steps - not mistakes, just not done yet
+    intermediateStates: [
+      { text: afterKill, cursorPosition: target.start },
+      { text: afterKill, cursorPosition: afterKill.length }
+    ],
+    expectedResult: {
+      text: expectedText,
+      cursorPosition: expectedText.length
+    },
+    command: getCommandForOS('MOVE_ARGUMENT_TO_END', os)
+  };
+}
+
+/**
+ * Generate a TRANSPOSE_CHARS challenge
+ * Two neighbouring letters in a word are swapped (e.g. 'gti'); the cursor sits between them
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object|null} Challenge object
+ */
+function generateTransposeCharsChallenge(text, os = currentOS) {
+  const candidates = [];
+  findWords(text, 'readline').forEach(word => {
+    // Swap whole grapheme clusters so accented letters keep their accents
+    const boundaries = getGraphemeBoundaries(text).filter(pos => pos >= word.start && pos <= word.end);
+    for (let i = 0; i + 2 < boundaries.length; i++) {
+      const [start, middle, end] = boundaries.slice(i, i + 3);
+      if (text.slice(start, middle) !== text.slice(middle, end)) {
+        candidates.push({ word, start, middle, end });
+      }
+    }
+  });
+  if (candidates.length === 0) return null;
+
+  const { word, start, middle, end } = getRandomItem(candidates);
+  const typoText = text.slice(0, start) + text.slice(middle, end) + text.slice(start, middle) + text.slice(end);
+  const typoWord = typoText.slice(word.start, word.end);
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('TRANSPOSE_CHARS', { typo: typoWord, fixed: word.word }),
+    text: typoText,
+    cursorPosition: start + (end - middle),
+    expectedResult: {
+      text,
+      cursorPosition: end
+    },
+    command: getCommandForOS('TRANSPOSE_CHARS', os)
+  };
+}
+
+/**
+ * Generate a TRANSPOSE_WORDS challenge
+ * Two neighbouring words are in the wrong order; the cursor sits at the start of the second
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object|null} Challenge object
+ */
+function generateTransposeWordsChallenge(text, os = currentOS) {
+  const words = findWords(text, 'readline');
+  const pairs = [];
+  for (let i = 0; i < words.length - 1; i++) {
+    const [first, second] = [words[i], words[i + 1]];
+    if (/^ +$/.test(text.slice(first.end, second.start)) && first.word !== second.word) {
+      pairs.push([first, second]);
+    }
+  }
+  if (pairs.length === 0) return null;
+
+  const [first, second] = getRandomItem(pairs);
+  const gap = text.slice(first.end, second.start);
+  const swappedText = text.slice(0, first.start) + second.word + gap + first.word + text.slice(second.end);
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('TRANSPOSE_WORDS', {
+      typo: `${second.word}${gap}${first.word}`,
+      fixed: `${first.word}${gap}${second.word}`
+    }),
+    text: swappedText,
+    cursorPosition: first.start + second.word.length + gap.length,
+    expectedResult: {
+      text,
+      cursorPosition: second.end
+    },
+    command: getCommandForOS('TRANSPOSE_WORDS', os)
+  };
+}
+
+/**
+ * Build a case-change challenge: the cursor sits at the start of a word whose case is wrong
+ * @param {string} text - The text to work with
+ * @param {string} commandType - UPCASE_WORD, DOWNCASE_WORD or CAPITALIZE_WORD
+ * @param {Function} isCorrect - (word) => boolean, words already in the case the command produces
+ * @param {Function} isWrong - (word) => boolean, words the command would fix as they are
+ * @param {Function} miscase - (word) => string, turns a correct word into a typo
+ * @param {Function} fix - (word) => string, what the command makes of a word
+ * @param {'mac' | 'windows' | 'linux'} os - The OS to generate for
+ * @returns {Object|null} Challenge object
+ */
+function createCaseChallenge(text, commandType, isCorrect, isWrong, miscase, fix, os) {
+  const words = findWords(text, 'readline');
+
+  // Prefer undoing a realistic typo in a word that is correct in the text, else fix a word as it is
+  const correct = words.filter(word => isCorrect(word.word) && miscase(word.word) !== word.word);
+  const wrong = words.filter(word => isWrong(word.word));
+  let target, typo;
+  if (correct.length > 0) {
+    target = getRandomItem(correct);
+    typo = miscase(target.word);
+  } else if (wrong.length > 0) {
+    target = getRandomItem(wrong);
+    typo = target.word;
+  } else {
+    return null;
+  }
+
+  const before = text.slice(0, target.start);
+  const after = text.slice(target.end);
+  const fixed = fix(typo);
+
+  return {
+    id: generateId(),
+    instruction: instructionFor(commandType, { word: typo }),
+    text: before + typo + after,
+    cursorPosition: target.start,
+    expectedResult: {
+      text: before + fixed + after,
+      cursorPosition: target.start + fixed.length
+    },
+    command: getCommandForOS(commandType, os)
+  };
+}
+
+/**
+ * Generate an UPCASE_WORD challenge
+ * An uppercase keyword was typed in lowercase (e.g. 'select'), or a lowercase word needs shouting
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object|null} Challenge object
+ */
+function generateUpcaseWordChallenge(text, os = currentOS) {
+  return createCaseChallenge(
+    text,
+    'UPCASE_WORD',
+    word => /^[A-Z]{2,}$/.test(word),
+    word => /^[a-z]{2,}$/.test(word),
+    word => word.toLowerCase(),
+    word => word.toUpperCase(),
+    os
+  );
+}
+
+/**
+ * Generate a DOWNCASE_WORD challenge
+ * A lowercase word was typed with Caps Lock on (e.g. 'GIT')
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object|null} Challenge object
+ */
+function generateDowncaseWordChallenge(text, os = currentOS) {
+  return createCaseChallenge(
+    text,
+    'DOWNCASE_WORD',
+    word => /^[a-z]{2,}$/.test(word),
+    () => false,
+    word => word.toUpperCase(),
+    word => word.toLowerCase(),
+    os
+  );
+}
+
+/**
+ * Generate a CAPITALIZE_WORD challenge
+ * A capitalized word lost its capital (e.g. 'react'), or a lowercase word needs one
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object|null} Challenge object
+ */
+function generateCapitalizeWordChallenge(text, os = currentOS) {
+  return createCaseChallenge(
+    text,
+    'CAPITALIZE_WORD',
+    word => /^[A-Z][a-z0-9]+$/.test(word),
+    word => /^[a-z][a-z0-9]+$/.test(word),
+    word => word.toLowerCase(),
+    word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase(),
+    os
+  );
+}
+
+/**
+ * Pick a whitespace-separated word that is followed by another word
+ * @param {string} text - The text to work with
+ * @returns {{start: number, end: number, word: string}|null} The word, or null if the text has fewer than two
+ */
+function pickClipboardWord(text) {
+  const words = findWordBoundaries(text);
+  if (words.length < 2) return null;
+  return words[Math.floor(random() * (words.length - 1))];
+}
+
+/**
+ * Generate a COPY challenge
+ * A word is already selected; copy it
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateCopyChallenge(text, os = currentOS) {
+  const target = pickClipboardWord(text);
+  if (!target) return null;
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('COPY', { word: target.word }),
+    text,
+    cursorPosition: target.end,
+    selection: { start: target.start, end: target.end },
+    expectedResult: {
+      text,
+      cursorPosition: target.end,
+      selection: [target.start, target.end],
+      clipboard: target.word
+    },
+    command: getCommandForOS('COPY', os)
+  };
+}
+
+/**
+ * Generate a CUT challenge
+ * A word and the space after it are selected; cut them
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateCutChallenge(text, os = currentOS) {
+  const target = pickClipboardWord(text);
+  if (!target) return null;
+
+  const end = target.end + 1;
+  const cut = text.slice(target.start, end);
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('CUT', { word: target.word }),
+    text,
+    cursorPosition: end,
+    selection: { start: target.start, end },
+    expectedResult: {
+      text: text.slice(0, target.start) + text.slice(end),
+      cursorPosition: target.start,
+      clipboard: cut
+    },
+    command: getCommandForOS('CUT', os)
+  };
+}
+
+/**
+ * Generate a PASTE challenge
+ * A word was cut out of the line; paste it back in place
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generatePasteChallenge(text, os = currentOS) {
+  const target = pickClipboardWord(text);
+  if (!target) return null;
+
+  const end = target.end + 1;
+  const cut = text.slice(target.start, end);
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('PASTE', { word: target.word }),
+    text: text.slice(0, target.start) + text.slice(end),
+    cursorPosition: target.start,
+    clipboard: cut,
+    expectedResult: {
+      text,
+      cursorPosition: end
+    },
+    command: getCommandForOS('PASTE', os)
+  };
+}
+
+/**
+ * Generate a MOVE_WORD_WITH_CLIPBOARD challenge
+ * Select a word, cut it, jump to the end of the line and paste it there. Where word selection
+ * stops at the start of the next word (Windows), the selection ends in a space, so the word
+ * moves to the start of the line instead.
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object|null} Challenge object
+ */
+function generateMoveWordWithClipboardChallenge(text, os = currentOS) {
+  const strategy = getCommandWordStrategy('MOVE_WORD_WITH_CLIPBOARD', os);
+  const { stopAtWordEnd } = WORD_STRATEGIES[strategy];
+  const words = findWords(text, strategy);
+
+  // Whole words between spaces (not punctuation or part of a path), away from both line ends
+  const candidates = words.filter((word, i) => {
+    if (i === 0 || i === words.length - 1 || !/\w/.test(word.word)) return false;
+    if (text[word.start - 1] !== ' ' || text[word.end] !== ' ') return false;
+    // The selection picks up exactly one space next to the word
+    return stopAtWordEnd ? words[i - 1].end === word.start - 1 : words[i + 1].start === word.end + 1;
+  });
+  if (candidates.length === 0) return null;
+
+  const target = getRandomItem(candidates);
+  const command = getCommandForOS('MOVE_WORD_WITH_CLIPBOARD', os);
+
+  if (stopAtWordEnd) {
+    // Start at the end of the previous word, so the selection is the word with its leading space
+    const cursorPosition = target.start - 1;
+    const afterCut = text.slice(0, cursorPosition) + text.slice(target.end);
+    const expectedText = afterCut + text.slice(cursorPosition, target.end);
+
+    return {
+      id: generateId(),
+      instruction: instructionFor('MOVE_WORD_WITH_CLIPBOARD.end', { word: target.word }),
+      text,
+      cursorPosition,
+      intermediateStates: [
+        { text, cursorPosition: target.end },
+        { text: afterCut, cursorPosition },
+        { text: afterCut, cursorPosition: afterCut.length }
+      ],
+      expectedResult: {
+        text: expectedText,
+        cursorPosition: expectedText.length
+      },
+      command
+    };
+  }
+
+  // Start at the word, so the selection is the word with its trailing space
+  const selectionEnd = target.end + 1;
+  const selected = text.slice(target.start, selectionEnd);
+  const afterCut = text.slice(0, target.start) + text.slice(selectionEnd);
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('MOVE_WORD_WITH_CLIPBOARD', { word: target.word }),
+    text,
+    cursorPosition: target.start,
+    intermediateStates: [
+      { text, cursorPosition: selectionEnd },
+      { text: afterCut, cursorPosition: target.start },
+      { text: afterCut, cursorPosition: 0 }
+    ],
+    expectedResult: {
+      text: selected + afterCut,
+      cursorPosition: selected.length
+    },
+    command
+  };
+}
+
+/**
+ * Generate a SET_MARK challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux' | 'emacs'} [os] - The OS to generate for
+ * @returns {Object|null} Challenge object
+ */
+function generateSetMarkChallenge(text, os = currentOS) {
+  const commandText = getLongCommandText(text);
+  const words = findWordBoundaries(commandText).slice(1);
+  if (words.length === 0) return null;
+
+  const target = getRandomItem(words);
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('SET_MARK', { word: target.word }),
+    text: commandText,
+    cursorPosition: target.start,
+    expectedResult: {
+      text: commandText,
+      cursorPosition: target.start,
+      mark: target.start
+    },
+    command: getCommandForOS('SET_MARK', os)
+  };
+}
+
+/**
+ * Generate an EXCHANGE_POINT_AND_MARK challenge
+ * The mark is at one end of a region, the cursor at the other
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux' | 'emacs'} [os] - The OS to generate for
+ * @returns {Object|null} Challenge object
+ */
+function generateExchangePointAndMarkChallenge(text, os = currentOS) {
+  const commandText = getLongCommandText(text);
+  const region = pickRegion(commandText);
+  if (!region) return null;
+
+  const [mark, cursorPosition] = random() < 0.5
+    ? [region.start, region.end]
+    : [region.end, region.start];
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('EXCHANGE_POINT_AND_MARK', { region: region.label }),
+    text: commandText,
+    cursorPosition,
+    mark,
+    expectedResult: {
+      text: commandText,
+      cursorPosition: mark,
+      mark: cursorPosition
+    },
+    command: getCommandForOS('EXCHANGE_POINT_AND_MARK', os)
+  };
+}
+
+/**
+ * Generate a KILL_REGION challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux' | 'emacs'} [os] - The OS to generate for
+ * @returns {Object|null} Challenge object
+ */
+function generateKillRegionChallenge(text, os = currentOS) {
+  const commandText = getLongCommandText(text);
+  const region = pickRegion(commandText);
+  if (!region) return null;
+
+  const [mark, cursorPosition] = random() < 0.5
+    ? [region.start, region.end]
+    : [region.end, region.start];
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('KILL_REGION', { region: region.label }),
+    text: commandText,
+    cursorPosition,
+    mark,
+    killRing: [],
+    expectedResult: {
+      text: commandText.slice(0, region.start) + commandText.slice(region.end),
+      cursorPosition: region.start
+    },
+    command: getCommandForOS('KILL_REGION', os)
+  };
+}
+
+/**
+ * Create an UPCASE_REGION or DOWNCASE_REGION challenge
+ * Emacs marks the arguments as the region; editors select them
+ * @param {string} text - The text to work with
+ * @param {'UPCASE_REGION' | 'DOWNCASE_REGION'} commandType - The command
+ * @param {'mac' | 'windows' | 'linux' | 'emacs'} os - The OS to generate for
+ * @returns {Object|null} Challenge object
+ */
+function createRegionCaseChallenge(text, commandType, os) {
+  const upcase = commandType === 'UPCASE_REGION';
+  const commandText = getLongCommandText(text);
+  const region = pickRegion(commandText);
+  if (!region) return null;
+
+  const changeCase = value => (upcase ? value.toUpperCase() : value.toLowerCase());
+  const original = commandText.slice(region.start, region.end);
+  // Downcasing fixes arguments typed with Caps Lock on
+  const typed = upcase ? original : original.toUpperCase();
+  if (changeCase(typed) === typed) return null;
+
+  const before = commandText.slice(0, region.start);
+  const after = commandText.slice(region.end);
+  const label = upcase ? region.label : region.label.toUpperCase();
+  const expectedText = before + changeCase(typed) + after;
+
+  if (os !== 'emacs') {
+    return {
+      id: generateId(),
+      instruction: instructionFor(`${commandType}.selection`, { region: label }),
+      text: before + typed + after,
+      cursorPosition: region.end,
+      selection: { start: region.start, end: region.end },
+      expectedResult: {
+        text: expectedText,
+        cursorPosition: region.end,
+        selection: [region.start, region.end]
+      },
+      command: getCommandForOS(commandType, os)
+    };
+  }
+
+  const [mark, cursorPosition] = random() < 0.5
+    ? [region.start, region.end]
+    : [region.end, region.start];
+
+  return {
+    id: generateId(),
+    instruction: instructionFor(commandType, { region: label }),
+    text: before + typed + after,
+    cursorPosition,
+    mark,
+    expectedResult: {
+      text: expectedText,
+      cursorPosition
+    },
+    command: getCommandForOS(commandType, os)
+  };
+}
+
+/**
+ * Generate an UPCASE_REGION challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux' | 'emacs'} [os] - The OS to generate for
+ * @returns {Object|null} Challenge object
+ */
+function generateUpcaseRegionChallenge(text, os = currentOS) {
+  return createRegionCaseChallenge(text, 'UPCASE_REGION', os);
+}
+
+/**
+ * Generate a DOWNCASE_REGION challenge
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux' | 'emacs'} [os] - The OS to generate for
+ * @returns {Object|null} Challenge object
+ */
+function generateDowncaseRegionChallenge(text, os = currentOS) {
+  return createRegionCaseChallenge(text, 'DOWNCASE_REGION', os);
+}
+
+/**
+ * Generate a TRIM_TRAILING_WHITESPACE challenge
+ * Some lines of a snippet end in stray spaces; the cursor is at the start of one of the lines
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @returns {Object|null} Challenge object
+ */
+function generateTrimTrailingWhitespaceChallenge(text, os = currentOS) {
+  const lines = getMultilineText(text).split('\n').map(line => line.replace(/[ \t]+$/, ''));
+  if (lines.length < 2) return null;
+
+  // One to three lines get one to four trailing spaces
+  const padded = new Set();
+  const padCount = Math.min(lines.length, 1 + Math.floor(random() * 3));
+  while (padded.size < padCount) {
+    padded.add(Math.floor(random() * lines.length));
+  }
+  const paddedLines = lines.map((line, i) => (padded.has(i) ? line + ' '.repeat(1 + Math.floor(random() * 4)) : line));
+
+  const cursorLine = Math.floor(random() * lines.length);
+  const lineStart = list => list.slice(0, cursorLine).reduce((start, line) => start + line.length + 1, 0);
+  const lineNumbers = [...padded].sort((a, b) => a - b).map(i => i + 1);
+
+  return {
+    id: generateId(),
+    instruction: instructionFor(
+      lineNumbers.length > 1 ? 'TRIM_TRAILING_WHITESPACE.lines' : 'TRIM_TRAILING_WHITESPACE',
+      { lines: lineNumbers.join(', ') }
+    ),
+    text: paddedLines.join('\n'),
+    cursorPosition: lineStart(paddedLines),
+    expectedResult: {
+      text: lines.join('\n'),
+      cursorPosition: lineStart(lines)
+    },
+    command: getCommandForOS('TRIM_TRAILING_WHITESPACE', os)
+  };
+}
+
+/**
+ * Generate a DUPLICATE_REGION challenge
+ * The region covers some arguments and their trailing space; the cursor is at its end, so the
+ * yanked copy lands right after the original
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux' | 'emacs'} [os] - The OS to generate for
+ * @returns {Object|null} Challenge object
+ */
+function generateDuplicateRegionChallenge(text, os = currentOS) {
+  const commandText = getLongCommandText(text);
+  const region = pickRegion(commandText, true);
+  if (!region) return null;
+
+  const copied = commandText.slice(region.start, region.end);
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('DUPLICATE_REGION', { region: region.label }),
+    text: commandText,
+    cursorPosition: region.end,
+    mark: region.start,
+    killRing: [],
+    expectedResult: {
+      text: commandText.slice(0, region.end) + copied + commandText.slice(region.end),
+      cursorPosition: region.end + copied.length
+    },
+    command: getCommandForOS('DUPLICATE_REGION', os)
+  };
+}
+
+/**
+ * Generate a MOVE_REGION_TO_END challenge
+ * Kill a run of arguments marked as the region, jump to the end and yank them there
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux' | 'emacs'} [os] - The OS to generate for
+ * @returns {Object|null} Challenge object
+ */
+function generateMoveRegionToEndChallenge(text, os = currentOS) {
+  // Work on the line as typed at a prompt, with a trailing space after the last argument
+  const commandText = getLongCommandText(text);
+  const lineText = commandText.endsWith(' ') ? commandText : `${commandText} `;
+  const region = pickRegion(lineText, true);
+  if (!region) return null;
+
+  const [mark, cursorPosition] = random() < 0.5
+    ? [region.start, region.end]
+    : [region.end, region.start];
+  const killed = lineText.slice(region.start, region.end);
+  const afterKill = lineText.slice(0, region.start) + lineText.slice(region.end);
+  const expectedText = afterKill + killed;
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('MOVE_REGION_TO_END', { region: region.label }),
+    text: lineText,
+    cursorPosition,
+    mark,
+    killRing: [],
+    intermediateStates: [
+      { text: afterKill, cursorPosition: region.start },
+      { text: afterKill, cursorPosition: afterKill.length }
+    ],
+    expectedResult: {
+      text: expectedText,
+      cursorPosition: expectedText.length
+    },
+    command: getCommandForOS('MOVE_REGION_TO_END', os)
+  };
+}
+
+/**
+ * Check that a solver route, played key after key in the editor, ends on the target
+ * @param {{text: string, cursorPosition: number}} start - Starting state
+ * @param {{text: string, cursorPosition: number}} target - State the route should reach
+ * @param {string[]} path - Keymap entry names of the route
+ * @param {'mac' | 'windows' | 'linux' | 'emacs'} os - The OS or profile
+ * @returns {boolean} True if the route ends on the target
+ */
+function routeReachesTarget(start, target, path, os) {
+  const end = applyKeymapSteps(start, path, os, currentEditorProfile);
+  return end.text === target.text && end.cursorPosition === target.cursorPosition;
+}
+
+/**
+ * Generate a MULTI_STEP_EDIT challenge
+ * Chains a line jump, word motions and an edit to get a target, then asks the solver for the
+ * shortest way there - which may skip steps of the chain that generated it
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux' | 'emacs'} [os] - The OS to generate for
+ * @returns {Object|null} Challenge object, or null if the edit is a single shortcut or unclear
+ */
+function generateMultiStepEditChallenge(text, os = currentOS) {
+  if (text.includes('\n')) return null;
+
+  const isBound = name => Boolean(getKeymapBindings(name, currentEditorProfile)[os]);
+  const direction = random() < 0.5 ? 'right' : 'left';
+  const lineJumps = MULTI_STEP_LINE_JUMPS[direction].filter(isBound);
+  const wordMotions = MULTI_STEP_WORD_MOTIONS[direction].filter(isBound);
+  const edits = MULTI_STEP_EDITS.filter(isBound);
+  if (lineJumps.length === 0 || wordMotions.length === 0 || edits.length === 0) return null;
+
+  const wordMoves = 1 + Math.floor(random() * DIFFICULTIES[currentDifficulty].maxWordMoves);
+  const steps = [
+    getRandomItem(lineJumps),
+    ...Array.from({ length: wordMoves }, () => getRandomItem(wordMotions)),
+    getRandomItem(edits)
+  ];
+  const start = { text, cursorPosition: getRandomCursorPosition(text) };
+  const target = applyKeymapSteps(start, steps, os, currentEditorProfile);
+  if (target.text === text || !target.text.trim()) return null;
+
+  // What was removed: the part between the common prefix and suffix
+  let prefix = 0;
+  while (text[prefix] === target.text[prefix]) prefix++;
+  if (snapToGrapheme(text, prefix) !== prefix) return null;
+  const removed = text.slice(prefix, prefix + text.length - target.text.length);
+  // Only ask for edits the player can pin down from the instruction
+  if (!removed.trim() || text.indexOf(removed) !== text.lastIndexOf(removed)) return null;
+
+  const solution = findShortestPath(start, target, os, { profile: currentEditorProfile });
+  if (!solution || solution.path.length < 2) return null;
+  if (!routeReachesTarget(start, target, solution.path, os)) return null;
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('MULTI_STEP_EDIT', { deleted: removed }),
+    text,
+    cursorPosition: start.cursorPosition,
+    // Any route counts; the player is scored against the shortest one
+    multiStep: true,
+    optimalKeystrokes: solution.keystrokes,
+    expectedResult: {
+      text: target.text,
+      cursorPosition: target.cursorPosition
+    },
+    command: {
+      ...getCommandForOS('MULTI_STEP_EDIT', os),
+      ...getKeymapSequenceBindings(solution.path, [], currentEditorProfile)[os]
+    }
+  };
+}
+
+/**
+ * Generate a NAVIGATE_TO_TARGET challenge
+ * A character is highlighted and the player gets the cursor onto it with whatever keys they like:
+ * only where the cursor ends up counts, and the solver's shortest route is the benchmark
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux' | 'emacs'} [os] - The OS to generate for
+ * @returns {Object|null} Challenge object, or null if the target is a single key or out of the solver's reach
+ */
+function generateNavigateToTargetChallenge(text, os = currentOS) {
+  const snippet = random() < 0.5 ? getMultilineText(text) : text;
+
+  // A visible character; difficulty decides how far away the cursor starts
+  const targets = getGraphemeBoundaries(snippet).filter(position => snippet[position] && snippet[position].trim());
+  if (targets.length === 0) return null;
+  const target = getRandomItem(targets);
+  const cursorPosition = getRandomCursorPosition(snippet, 0, snippet.length, target);
+  if (cursorPosition === target) return null;
+
+  const start = { text: snippet, cursorPosition };
+  const goal = { text: snippet, cursorPosition: target };
+  const options = { profile: currentEditorProfile };
+  navigationSearches++;
+  if (navigationSearches > NAVIGATION_FULL_SEARCHES) {
+    options.maxStates = NAVIGATION_QUICK_SEARCH_STATES;
+  }
+  const solution = findShortestPath(start, goal, os, options);
+  if (!solution || solution.keystrokes < NAVIGATION_MIN_KEYSTROKES) return null;
+  // The route is shown as the hint, so it has to land on the target when followed
+  if (!routeReachesTarget(start, goal, solution.path, os)) return null;
+
+  return {
+    id: generateId(),
+    instruction: instructionFor('NAVIGATE_TO_TARGET', { target: snippet.slice(target, nextGraphemeBoundary(snippet, target)) }),
+    text: snippet,
+    cursorPosition,
+    target,
+    // Any keys count; the player is scored against the shortest route
+    freeNavigation: true,
+    optimalKeystrokes: solution.keystrokes,
+    expectedResult: {
+      text: snippet,
+      cursorPosition: target
+    },
+    command: {
+      ...getCommandForOS('NAVIGATE_TO_TARGET', os),
+      ...getKeymapSequenceBindings(solution.path, [], currentEditorProfile)[os]
+    }
+  };
+}
+
+/**
+ * Build a single-motion Vim challenge from a random cursor position the motion moves away from
+ * @param {string} text - The text to work with
+ * @param {string} commandType - Command type for the key hint
+ * @param {Function} findTarget - (text, position) => position the motion lands on
+ * @param {'mac' | 'windows' | 'linux' | 'vim'} os - The OS to generate for
+ * @param {Function} [accept] - Optional (position, target) => boolean filter for start positions
+ * @returns {Object|null} Challenge object, or null if no position works in this text
+ */
+function createVimMotionChallenge(text, commandType, findTarget, os, accept = () => true) {
+  const candidates = [];
+
+  for (let position = 0; position < text.length; position++) {
+    // Normal mode cursor always sits on a character
+    if (clampVimCursor(text, position) !== position) continue;
+
+    const target = clampVimCursor(text, findTarget(text, position));
+    if (target !== position && accept(position, target)) {
+      candidates.push({ position, target });
+    }
+  }
+
+  if (candidates.length === 0) return null;
+
+  const { position, target } = getRandomItem(candidates);
+
+  return {
+    id: generateId(),
+    instruction: instructionFor(commandType),
+    text,
+    cursorPosition: position,
+    expectedResult: {
+      text,
+      cursorPosition: target,
+      mode: 'normal'
+    },
+    command: getCommandForOS(commandType, os)
+  };
+}
+
+/**
+ * Generate a VIM_WORD_FORWARD challenge (w)
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux' | 'vim'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateVimWordForwardChallenge(text, os = currentOS) {
+  return createVimMotionChallenge(text, 'VIM_WORD_FORWARD',
+    (t, pos) => findVimWordStart(t, pos, false), os);
+}
+
+/**
+ * Generate a VIM_WORD_BACKWARD challenge (b)
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux' | 'vim'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateVimWordBackwardChallenge(text, os = currentOS) {
+  return createVimMotionChallenge(text, 'VIM_WORD_BACKWARD',
+    (t, pos) => findVimWordBackward(t, pos, false), os);
+}
+
+/**
+ * Generate a VIM_WORD_END challenge (e)
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux' | 'vim'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateVimWordEndChallenge(text, os = currentOS) {
+  return createVimMotionChallenge(text, 'VIM_WORD_END',
+    (t, pos) => findVimWordEnd(t, pos, false), os);
+}
+
+/**
+ * Generate a VIM_BIG_WORD_FORWARD challenge (W)
+ * Only uses positions where w would stop at punctuation first, so W is needed
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux' | 'vim'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateVimBigWordForwardChallenge(text, os = currentOS) {
+  return createVimMotionChallenge(text, 'VIM_BIG_WORD_FORWARD',
+    (t, pos) => findVimWordStart(t, pos, true), os,
+    (pos, target) => target !== clampVimCursor(text, findVimWordStart(text, pos, false)));
+}
+
+/**
+ * Generate a VIM_BIG_WORD_BACKWARD challenge (B)
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux' | 'vim'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateVimBigWordBackwardChallenge(text, os = currentOS) {
+  return createVimMotionChallenge(text, 'VIM_BIG_WORD_BACKWARD',
+    (t, pos) => findVimWordBackward(t, pos, true), os,
+    (pos, target) => target !== findVimWordBackward(text, pos, false));
+}
+
+/**
+ * Generate a VIM_BIG_WORD_END challenge (E)
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux' | 'vim'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateVimBigWordEndChallenge(text, os = currentOS) {
+  return createVimMotionChallenge(text, 'VIM_BIG_WORD_END',
+    (t, pos) => findVimWordEnd(t, pos, true), os,
+    (pos, target) => target !== findVimWordEnd(text, pos, false));
+}
+
+/**
+ * Generate a VIM_LINE_START challenge (0)
  * @param {string} text - The text to work with
- * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @param {'mac' | 'windows' | 'linux' | 'vim'} [os] - The OS to generate for
  * @returns {Object} Challenge object
  */
-function generateSelectWordLeftChallenge(text, os = currentOS) {
-  const words = findWordBoundaries(text);
-  if (words.length < 2) return null;
-
-  // Position cursor at end of a word (not the first one)
-  const wordIndex = Math.floor(Math.random() * (words.length - 1)) + 1;
-  const cursorPosition = words[wordIndex].end;
-  const selectionStart = findWordBoundaryLeft(text, cursorPosition);
+function generateVimLineStartChallenge(text, os = currentOS) {
+  return createVimMotionChallenge(getMultilineText(text), 'VIM_LINE_START',
+    (t, pos) => findLineBounds(t, pos).start, os);
+}
 
-  return {
-    id: generateId(),
-    instruction: "Select the word to the left of the cursor",
-    text,
-    cursorPosition,
-    expectedResult: {
-      text,
-      cursorPosition: selectionStart,
-      selection: [selectionStart, cursorPosition]
-    },
-    command: getCommandForOS('SELECT_WORD_LEFT', os)
+/**
+ * Generate a VIM_FIRST_NON_BLANK challenge (^)
+ * Uses indented lines, where the first non-blank character isn't the first column
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux' | 'vim'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateVimFirstNonBlankChallenge(text, os = currentOS) {
+  const snippet = getMultilineText(text);
+  const findFirstNonBlank = (t, pos) => {
+    const line = findLineBounds(t, pos);
+    const indent = t.slice(line.start, line.end).search(/\S/);
+    return indent === -1 ? line.start : line.start + indent;
   };
+
+  return createVimMotionChallenge(snippet, 'VIM_FIRST_NON_BLANK',
+    findFirstNonBlank, os,
+    (pos, target) => target !== findLineBounds(snippet, pos).start);
 }
 
 /**
- * Generate a SELECT_WORD_RIGHT challenge
+ * Generate a VIM_LINE_END challenge ($)
  * @param {string} text - The text to work with
- * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @param {'mac' | 'windows' | 'linux' | 'vim'} [os] - The OS to generate for
  * @returns {Object} Challenge object
  */
-function generateSelectWordRightChallenge(text, os = currentOS) {
-  const words = findWordBoundaries(text);
-  if (words.length < 2) return null;
+function generateVimLineEndChallenge(text, os = currentOS) {
+  return createVimMotionChallenge(text, 'VIM_LINE_END',
+    (t, pos) => findLineBounds(t, pos).end - 1, os);
+}
 
-  // Position cursor at start of a word (not the last one)
-  const wordIndex = Math.floor(Math.random() * (words.length - 1));
-  const cursorPosition = words[wordIndex].start;
-  const selectionEnd = findWordBoundaryRight(text, cursorPosition);
+/**
+ * Generate a VIM_VISUAL_WORD_END challenge (v then e)
+ * @param {string} text - The text to work with
+ * @param {'mac' | 'windows' | 'linux' | 'vim'} [os] - The OS to generate for
+ * @returns {Object} Challenge object
+ */
+function generateVimVisualWordEndChallenge(text, os = currentOS) {
+  const words = findVimKeywords(text).filter(w => w.word.length >= 2);
+  if (words.length === 0) return null;
+
+  const target = getRandomItem(words);
+  const wordEnd = target.end - 1;
 
   return {
     id: generateId(),
-    instruction: "Select the word to the right of the cursor",
+    instruction: instructionFor('VIM_VISUAL_WORD_END', { word: target.word }),
     text,
-    cursorPosition,
+    cursorPosition: target.start,
+    // Entering visual mode doesn't move the cursor yet
+    intermediateStates: [
+      { text, cursorPosition: target.start, mode: 'visual' }
+    ],
     expectedResult: {
       text,
-      cursorPosition: selectionEnd,
-      selection: [cursorPosition, selectionEnd]
+      cursorPosition: wordEnd,
+      selection: [target.start, target.end],
+      mode: 'visual'
     },
-    command: getCommandForOS('SELECT_WORD_RIGHT', os)
+    command: getCommandForOS('VIM_VISUAL_WORD_END', os)
   };
 }
 
 /**
- * Generate a SELECT_TO_LINE_START challenge
+ * Generate a VIM_VISUAL_LINE_END challenge (v then $)
  * @param {string} text - The text to work with
- * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @param {'mac' | 'windows' | 'linux' | 'vim'} [os] - The OS to generate for
  * @returns {Object} Challenge object
  */
-function generateSelectToLineStartChallenge(text, os = currentOS) {
-  // Place cursor somewhere in the middle or end
-  const minPos = Math.min(5, Math.floor(text.length / 4));
-  const cursorPosition = Math.floor(Math.random() * (text.length - minPos)) + minPos;
+function generateVimVisualLineEndChallenge(text, os = currentOS) {
+  if (text.length < 4) return null;
+
+  // Start somewhere before the last character
+  const lastChar = previousGraphemeBoundary(text, text.length);
+  const cursorPosition = getRandomCursorPosition(text, 0, previousGraphemeBoundary(text, lastChar));
 
   return {
     id: generateId(),
-    instruction: "Select from the cursor to the start of the line",
+    instruction: instructionFor('VIM_VISUAL_LINE_END', { text: text.slice(cursorPosition) }),
     text,
     cursorPosition,
+    intermediateStates: [
+      { text, cursorPosition, mode: 'visual' }
+    ],
     expectedResult: {
       text,
-      cursorPosition: 0,
-      selection: [0, cursorPosition]
+      cursorPosition: lastChar,
+      selection: [cursorPosition, text.length],
+      mode: 'visual'
     },
-    command: getCommandForOS('SELECT_TO_LINE_START', os)
+    command: getCommandForOS('VIM_VISUAL_LINE_END', os)
   };
 }
 
 /**
- * Generate a SELECT_TO_LINE_END challenge
+ * Generate a VIM_DELETE_CHAR challenge (x)
+ * A letter in one word is doubled; delete the extra one
  * @param {string} text - The text to work with
- * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @param {'mac' | 'windows' | 'linux' | 'vim'} [os] - The OS to generate for
  * @returns {Object} Challenge object
  */
-function generateSelectToLineEndChallenge(text, os = currentOS) {
-  // Place cursor somewhere at the start or middle
-  const maxPos = text.length - Math.min(5, Math.floor(text.length / 4));
-  const cursorPosition = Math.floor(Math.random() * maxPos);
+function generateVimDeleteCharChallenge(text, os = currentOS) {
+  const words = findVimKeywords(text).filter(w => w.word.length >= 3);
+  if (words.length === 0) return null;
+
+  const target = getRandomItem(words);
+  const index = getRandomCursorPosition(text, target.start, target.end - 1);
+  const extra = text.slice(index, nextGraphemeBoundary(text, index));
+  const typoText = text.slice(0, index) + extra + text.slice(index);
+  const typoWord = typoText.slice(target.start, target.end + extra.length);
 
   return {
     id: generateId(),
-    instruction: "Select from the cursor to the end of the line",
-    text,
-    cursorPosition,
+    instruction: instructionFor('VIM_DELETE_CHAR', { extra, word: typoWord }),
+    text: typoText,
+    cursorPosition: index,
     expectedResult: {
       text,
-      cursorPosition: text.length,
-      selection: [cursorPosition, text.length]
+      cursorPosition: index,
+      mode: 'normal',
+      register: extra
     },
-    command: getCommandForOS('SELECT_TO_LINE_END', os)
+    command: getCommandForOS('VIM_DELETE_CHAR', os)
   };
 }
 
 /**
- * Generate a SELECT_ALL challenge
+ * Generate a VIM_DELETE_WORD challenge (d then w)
  * @param {string} text - The text to work with
- * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @param {'mac' | 'windows' | 'linux' | 'vim'} [os] - The OS to generate for
  * @returns {Object} Challenge object
  */
-function generateSelectAllChallenge(text, os = currentOS) {
-  // Place cursor somewhere in the middle
-  const cursorPosition = Math.floor(Math.random() * text.length);
-  const command = getCommandForOS('SELECT_ALL', os);
+function generateVimDeleteWordChallenge(text, os = currentOS) {
+  const words = findVimKeywords(text).filter(w => w.word.length >= 2);
+  if (words.length < 2) return null;
+
+  const target = getRandomItem(words);
+  // dw deletes up to the next word start (never past the end of the line)
+  const end = Math.min(findVimWordStart(text, target.start, false), findLineBounds(text, target.start).end);
+  const deleted = text.slice(target.start, end);
+  const newText = text.slice(0, target.start) + text.slice(end);
 
   return {
     id: generateId(),
-    instruction: "Select all text",
+    instruction: describeTarget('VIM_DELETE_WORD', { word: target.word }),
     text,
-    cursorPosition,
+    cursorPosition: target.start,
     expectedResult: {
-      text,
-      cursorPosition: text.length,
-      selection: [0, text.length]
+      text: newText,
+      cursorPosition: clampVimCursor(newText, target.start),
+      mode: 'normal',
+      register: deleted
     },
-    command
+    command: getCommandForOS('VIM_DELETE_WORD', os)
   };
 }
 
 /**
- * Generate a SELECT_CHAR_LEFT challenge
+ * Generate a VIM_DELETE_WORD_BACKWARD challenge (d then b)
  * @param {string} text - The text to work with
- * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @param {'mac' | 'windows' | 'linux' | 'vim'} [os] - The OS to generate for
  * @returns {Object} Challenge object
  */
-function generateSelectCharLeftChallenge(text, os = currentOS) {
-  // Place cursor somewhere after the start
-  const cursorPosition = Math.floor(Math.random() * (text.length - 1)) + 1;
+function generateVimDeleteWordBackwardChallenge(text, os = currentOS) {
+  // The cursor sits on the character right after the word
+  const words = findVimKeywords(text).filter(w => w.word.length >= 2 && w.end < text.length);
+  if (words.length === 0) return null;
+
+  const target = getRandomItem(words);
+  const newText = text.slice(0, target.start) + text.slice(target.end);
 
   return {
     id: generateId(),
-    instruction: "Select one character to the left",
+    instruction: describeTarget('VIM_DELETE_WORD_BACKWARD', { word: target.word }),
     text,
-    cursorPosition,
+    cursorPosition: target.end,
     expectedResult: {
-      text,
-      cursorPosition: cursorPosition - 1,
-      selection: [cursorPosition - 1, cursorPosition]
+      text: newText,
+      cursorPosition: clampVimCursor(newText, target.start),
+      mode: 'normal',
+      register: target.word
     },
-    command: getCommandForOS('SELECT_CHAR_LEFT', os)
+    command: getCommandForOS('VIM_DELETE_WORD_BACKWARD', os)
   };
 }
 
 /**
- * Generate a SELECT_CHAR_RIGHT challenge
+ * Generate a VIM_DELETE_TO_LINE_END challenge (d then $)
  * @param {string} text - The text to work with
- * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @param {'mac' | 'windows' | 'linux' | 'vim'} [os] - The OS to generate for
  * @returns {Object} Challenge object
  */
-function generateSelectCharRightChallenge(text, os = currentOS) {
-  // Place cursor somewhere before the end
-  const cursorPosition = Math.floor(Math.random() * (text.length - 1));
+function generateVimDeleteToLineEndChallenge(text, os = currentOS) {
+  const words = findWordBoundaries(text);
+  if (words.length < 2) return null;
+
+  // Cut from the start of any word but the first
+  const target = getRandomItem(words.slice(1));
+  const deleted = text.slice(target.start);
+  const newText = text.slice(0, target.start);
 
   return {
     id: generateId(),
-    instruction: "Select one character to the right",
+    instruction: instructionFor('VIM_DELETE_TO_LINE_END', { deleted }),
     text,
-    cursorPosition,
+    cursorPosition: target.start,
     expectedResult: {
-      text,
-      cursorPosition: cursorPosition + 1,
-      selection: [cursorPosition, cursorPosition + 1]
+      text: newText,
+      cursorPosition: clampVimCursor(newText, target.start),
+      mode: 'normal',
+      register: deleted
     },
-    command: getCommandForOS('SELECT_CHAR_RIGHT', os)
+    command: getCommandForOS('VIM_DELETE_TO_LINE_END', os)
   };
 }
 
 /**
- * Generate a CONTROL_LINE_START challenge
+ * Generate a VIM_DELETE_LINE challenge (d then d)
  * @param {string} text - The text to work with
- * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @param {'mac' | 'windows' | 'linux' | 'vim'} [os] - The OS to generate for
  * @returns {Object} Challenge object
  */
-function generateControlLineStartChallenge(text, os = currentOS) {
-  const cursorPosition = Math.floor(Math.random() * (text.length - 1)) + 1;
-  const command = getCommandForOS('CONTROL_LINE_START', os);
+function generateVimDeleteLineChallenge(text, os = currentOS) {
+  const snippet = getMultilineText(text);
+  const lines = findLines(snippet);
+  if (lines.length < 2) return null;
+
+  const lineIndex = Math.floor(random() * lines.length);
+  const line = lines[lineIndex];
+  const cursorPosition = clampVimCursor(snippet, line.start + Math.floor(random() * (line.end - line.start + 1)));
+
+  // The line goes together with one of its line breaks
+  const isLastLine = lineIndex === lines.length - 1;
+  const start = isLastLine ? line.start - 1 : line.start;
+  const end = isLastLine ? line.end : line.end + 1;
+  const newText = snippet.slice(0, start) + snippet.slice(end);
+
+  // The cursor lands on the first non-blank character of the line that takes its place
+  const newLine = findLineBounds(newText, Math.min(start, newText.length));
+  const indent = newText.slice(newLine.start, newLine.end).search(/\S/);
 
   return {
     id: generateId(),
-    instruction: "Move to the start of the line (terminal style)",
-    text,
+    instruction: instructionFor('VIM_DELETE_LINE', { line: lineIndex + 1 }),
+    text: snippet,
     cursorPosition,
     expectedResult: {
-      text,
-      cursorPosition: 0
+      text: newText,
+      cursorPosition: indent === -1 ? newLine.start : newLine.start + indent,
+      mode: 'normal',
+      register: snippet.slice(line.start, line.end) + '\n'
     },
-    command
+    command: getCommandForOS('VIM_DELETE_LINE', os)
   };
 }
 
 /**
- * Generate a CONTROL_LINE_END challenge
+ * Generate a VIM_CHANGE_WORD challenge (c, w, type the new word, Escape)
  * @param {string} text - The text to work with
- * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @param {'mac' | 'windows' | 'linux' | 'vim'} [os] - The OS to generate for
  * @returns {Object} Challenge object
  */
-function generateControlLineEndChallenge(text, os = currentOS) {
-  const cursorPosition = Math.floor(Math.random() * (text.length - 1));
-  const command = getCommandForOS('CONTROL_LINE_END', os);
+function generateVimChangeWordChallenge(text, os = currentOS) {
+  const words = findVimKeywords(text).filter(w => w.word.length >= 2);
+  if (words.length === 0) return null;
+
+  const target = getRandomItem(words);
+
+  // Replacement word comes from another line of the pool (the built-in one if the player's has only this line)
+  const otherLine = getRandomItem(getTextPool().filter(t => t !== text)) || getRandomItem(TEXT_POOL);
+  const replacements = findVimKeywords(otherLine)
+    .map(w => w.word)
+    .filter(word => word.length >= 2 && word !== target.word);
+  if (replacements.length === 0) return null;
+
+  const replacement = getRandomItem(replacements);
+  const before = text.slice(0, target.start);
+  const after = text.slice(target.end);
+
+  // After cw the word is gone and we're in insert mode; then each typed character
+  const intermediateStates = [];
+  for (let i = 0; i <= replacement.length; i++) {
+    intermediateStates.push({
+      text: before + replacement.slice(0, i) + after,
+      cursorPosition: target.start + i,
+      mode: 'insert'
+    });
+  }
 
   return {
     id: generateId(),
-    instruction: "Move to the end of the line (terminal style)",
+    instruction: instructionFor('VIM_CHANGE_WORD', { word: target.word, replacement }),
     text,
-    cursorPosition,
+    cursorPosition: target.start,
+    intermediateStates,
     expectedResult: {
-      text,
-      cursorPosition: text.length
+      text: before + replacement + after,
+      cursorPosition: target.start + replacement.length - 1,
+      mode: 'normal'
     },
-    command
+    command: getCommandForOS('VIM_CHANGE_WORD', os)
   };
 }
 
 /**
- * Generate a CONTROL_FORWARD challenge
+ * Generate a VIM_YANK_WORD_PUT challenge (y, w, P)
  * @param {string} text - The text to work with
- * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @param {'mac' | 'windows' | 'linux' | 'vim'} [os] - The OS to generate for
  * @returns {Object} Challenge object
  */
-function generateControlForwardChallenge(text, os = currentOS) {
-  // Place cursor somewhere before the end
-  const cursorPosition = Math.floor(Math.random() * (text.length - 1));
-  const command = getCommandForOS('CONTROL_FORWARD', os);
+function generateVimYankWordPutChallenge(text, os = currentOS) {
+  // Words followed by a single space, so yw yanks "word "
+  const words = findVimKeywords(text).filter(w =>
+    w.word.length >= 2 && text[w.end] === ' ' && /\S/.test(text[w.end + 1] || '')
+  );
+  if (words.length === 0) return null;
+
+  const target = getRandomItem(words);
+  const yanked = text.slice(target.start, target.end + 1);
 
   return {
     id: generateId(),
-    instruction: "Move forward one character",
+    instruction: instructionFor('VIM_YANK_WORD_PUT', { word: target.word }),
     text,
-    cursorPosition,
+    cursorPosition: target.start,
     expectedResult: {
-      text,
-      cursorPosition: cursorPosition + 1
+      text: text.slice(0, target.start) + yanked + text.slice(target.start),
+      cursorPosition: target.start + yanked.length - 1,
+      mode: 'normal',
+      register: yanked
     },
-    command
+    command: getCommandForOS('VIM_YANK_WORD_PUT', os)
   };
 }
 
 /**
- * Generate a CONTROL_BACKWARD challenge
+ * Generate a VIM_PUT challenge (p)
+ * A word was deleted into the register; put it back after the space before it
  * @param {string} text - The text to work with
- * @param {'mac' | 'windows' | 'linux'} [os] - The OS to generate for
+ * @param {'mac' | 'windows' | 'linux' | 'vim'} [os] - The OS to generate for
  * @returns {Object} Challenge object
  */
-function generateControlBackwardChallenge(text, os = currentOS) {
-  // Place cursor somewhere after the start
-  const cursorPosition = Math.floor(Math.random() * (text.length - 1)) + 1;
-  const command = getCommandForOS('CONTROL_BACKWARD', os);
+function generateVimPutChallenge(text, os = currentOS) {
+  const words = findVimKeywords(text).filter(w =>
+    w.word.length >= 2 && text[w.start - 1] === ' ' && text[w.end] === ' '
+  );
+  if (words.length === 0) return null;
+
+  const target = getRandomItem(words);
+  const deleted = text.slice(target.start, target.end + 1);
 
   return {
     id: generateId(),
-    instruction: "Move backward one character",
-    text,
-    cursorPosition,
+    instruction: instructionFor('VIM_PUT', { word: target.word }),
+    text: text.slice(0, target.start) + text.slice(target.end + 1),
+    cursorPosition: target.start - 1,
+    register: { text: deleted, linewise: false },
     expectedResult: {
       text,
-      cursorPosition: cursorPosition - 1
+      cursorPosition: target.end,
+      mode: 'normal'
     },
-    command
+    command: getCommandForOS('VIM_PUT', os)
   };
 }
 
@@ -1051,7 +3831,63 @@ const CHALLENGE_GENERATORS = {
   CONTROL_LINE_START: generateControlLineStartChallenge,
   CONTROL_LINE_END: generateControlLineEndChallenge,
   CONTROL_FORWARD: generateControlForwardChallenge,
-  CONTROL_BACKWARD: generateControlBackwardChallenge
+  CONTROL_BACKWARD: generateControlBackwardChallenge,
+  CONTROL_DELETE_FORWARD: generateControlDeleteForwardChallenge,
+  ALT_WORD_BACKWARD: generateAltWordBackwardChallenge,
+  ALT_WORD_FORWARD: generateAltWordForwardChallenge,
+  CONTROL_DELETE_WORD: generateControlDeleteWordChallenge,
+  MOVE_LINE_UP: generateMoveLineUpChallenge,
+  MOVE_LINE_DOWN: generateMoveLineDownChallenge,
+  CONTROL_PREVIOUS_LINE: generateControlPreviousLineChallenge,
+  CONTROL_NEXT_LINE: generateControlNextLineChallenge,
+  JUMP_DOCUMENT_START: generateJumpDocumentStartChallenge,
+  JUMP_DOCUMENT_END: generateJumpDocumentEndChallenge,
+  GO_TO_LINE_START: generateGoToLineStartChallenge,
+  GO_TO_LINE_END: generateGoToLineEndChallenge,
+  UNDO: generateUndoChallenge,
+  REDO: generateRedoChallenge,
+  CONTROL_UNDO: generateControlUndoChallenge,
+  YANK: generateYankChallenge,
+  YANK_POP: generateYankPopChallenge,
+  MOVE_ARGUMENT_TO_END: generateMoveArgumentToEndChallenge,
+  TRANSPOSE_CHARS: generateTransposeCharsChallenge,
+  TRANSPOSE_WORDS: generateTransposeWordsChallenge,
+  UPCASE_WORD: generateUpcaseWordChallenge,
+  DOWNCASE_WORD: generateDowncaseWordChallenge,
+  CAPITALIZE_WORD: generateCapitalizeWordChallenge,
+  COPY: generateCopyChallenge,
+  CUT: generateCutChallenge,
+  PASTE: generatePasteChallenge,
+  MOVE_WORD_WITH_CLIPBOARD: generateMoveWordWithClipboardChallenge,
+  SET_MARK: generateSetMarkChallenge,
+  EXCHANGE_POINT_AND_MARK: generateExchangePointAndMarkChallenge,
+  KILL_REGION: generateKillRegionChallenge,
+  DUPLICATE_REGION: generateDuplicateRegionChallenge,
+  MOVE_REGION_TO_END: generateMoveRegionToEndChallenge,
+  UPCASE_REGION: generateUpcaseRegionChallenge,
+  DOWNCASE_REGION: generateDowncaseRegionChallenge,
+  TRIM_TRAILING_WHITESPACE: generateTrimTrailingWhitespaceChallenge,
+  MULTI_STEP_EDIT: generateMultiStepEditChallenge,
+  NAVIGATE_TO_TARGET: generateNavigateToTargetChallenge,
+  VIM_WORD_FORWARD: generateVimWordForwardChallenge,
+  VIM_WORD_BACKWARD: generateVimWordBackwardChallenge,
+  VIM_WORD_END: generateVimWordEndChallenge,
+  VIM_BIG_WORD_FORWARD: generateVimBigWordForwardChallenge,
+  VIM_BIG_WORD_BACKWARD: generateVimBigWordBackwardChallenge,
+  VIM_BIG_WORD_END: generateVimBigWordEndChallenge,
+  VIM_LINE_START: generateVimLineStartChallenge,
+  VIM_FIRST_NON_BLANK: generateVimFirstNonBlankChallenge,
+  VIM_LINE_END: generateVimLineEndChallenge,
+  VIM_VISUAL_WORD_END: generateVimVisualWordEndChallenge,
+  VIM_VISUAL_LINE_END: generateVimVisualLineEndChallenge,
+  VIM_DELETE_CHAR: generateVimDeleteCharChallenge,
+  VIM_DELETE_WORD: generateVimDeleteWordChallenge,
+  VIM_DELETE_WORD_BACKWARD: generateVimDeleteWordBackwardChallenge,
+  VIM_DELETE_TO_LINE_END: generateVimDeleteToLineEndChallenge,
+  VIM_DELETE_LINE: generateVimDeleteLineChallenge,
+  VIM_CHANGE_WORD: generateVimChangeWordChallenge,
+  VIM_YANK_WORD_PUT: generateVimYankWordPutChallenge,
+  VIM_PUT: generateVimPutChallenge
 };
 
 // Command type arrays by category - exported for external use
@@ -1063,7 +3899,28 @@ export const NAVIGATION_COMMANDS = [
   'CONTROL_LINE_START',
   'CONTROL_LINE_END',
   'CONTROL_FORWARD',
-  'CONTROL_BACKWARD'
+  'CONTROL_BACKWARD',
+  'ALT_WORD_BACKWARD',
+  'ALT_WORD_FORWARD',
+  'MOVE_LINE_UP',
+  'MOVE_LINE_DOWN',
+  'CONTROL_PREVIOUS_LINE',
+  'CONTROL_NEXT_LINE',
+  'JUMP_DOCUMENT_START',
+  'JUMP_DOCUMENT_END',
+  'GO_TO_LINE_START',
+  'GO_TO_LINE_END',
+  'EXCHANGE_POINT_AND_MARK',
+  'NAVIGATE_TO_TARGET',
+  'VIM_WORD_FORWARD',
+  'VIM_WORD_BACKWARD',
+  'VIM_WORD_END',
+  'VIM_BIG_WORD_FORWARD',
+  'VIM_BIG_WORD_BACKWARD',
+  'VIM_BIG_WORD_END',
+  'VIM_LINE_START',
+  'VIM_FIRST_NON_BLANK',
+  'VIM_LINE_END'
 ];
 
 export const SELECTION_COMMANDS = [
@@ -1073,7 +3930,10 @@ export const SELECTION_COMMANDS = [
   'SELECT_TO_LINE_END',
   'SELECT_ALL',
   'SELECT_CHAR_LEFT',
-  'SELECT_CHAR_RIGHT'
+  'SELECT_CHAR_RIGHT',
+  'SET_MARK',
+  'VIM_VISUAL_WORD_END',
+  'VIM_VISUAL_LINE_END'
 ];
 
 export const DELETION_COMMANDS = [
@@ -1081,11 +3941,46 @@ export const DELETION_COMMANDS = [
   'DELETE_WORD_FORWARD',
   'DELETE_TO_LINE_START',
   'DELETE_TO_LINE_END',
-  'CONTROL_DELETE_TO_START'
+  'CONTROL_DELETE_TO_START',
+  'CONTROL_DELETE_FORWARD',
+  'CONTROL_DELETE_WORD',
+  'KILL_REGION',
+  'VIM_DELETE_CHAR',
+  'VIM_DELETE_WORD',
+  'VIM_DELETE_WORD_BACKWARD',
+  'VIM_DELETE_TO_LINE_END',
+  'VIM_DELETE_LINE'
+];
+
+export const EDITING_COMMANDS = [
+  'UNDO',
+  'REDO',
+  'CONTROL_UNDO',
+  'YANK',
+  'YANK_POP',
+  'MOVE_ARGUMENT_TO_END',
+  'TRANSPOSE_CHARS',
+  'TRANSPOSE_WORDS',
+  'UPCASE_WORD',
+  'DOWNCASE_WORD',
+  'CAPITALIZE_WORD',
+  'COPY',
+  'CUT',
+  'PASTE',
+  'MOVE_WORD_WITH_CLIPBOARD',
+  'DUPLICATE_REGION',
+  'MOVE_REGION_TO_END',
+  'UPCASE_REGION',
+  'DOWNCASE_REGION',
+  'TRIM_TRAILING_WHITESPACE',
+  'MULTI_STEP_EDIT',
+  'VIM_CHANGE_WORD',
+  'VIM_YANK_WORD_PUT',
+  'VIM_PUT'
 ];
 
 // All commands combined
-export const ALL_COMMANDS = [...NAVIGATION_COMMANDS, ...SELECTION_COMMANDS, ...DELETION_COMMANDS];
+export const ALL_COMMANDS = [...NAVIGATION_COMMANDS, ...SELECTION_COMMANDS, ...DELETION_COMMANDS, ...EDITING_COMMANDS];
 
 // Command categories for filtering challenges
 export const COMMAND_CATEGORIES = {
@@ -1112,6 +4007,12 @@ export const COMMAND_CATEGORIES = {
     name: 'Deletion',
     description: 'Delete with precision',
     commandTypes: DELETION_COMMANDS
+  },
+  editing: {
+    id: 'editing',
+    name: 'Editing',
+    description: 'Undo, redo and other editing tricks',
+    commandTypes: EDITING_COMMANDS
   }
 };
 
@@ -1147,15 +4048,18 @@ export function getCategoryCommandTypes(categoryId) {
 
 /**
  * Generate a random challenge
+ * Without a command type, one is picked from the available ones (weighted if setCommandWeights was given weights)
  * @param {string} [commandType] - Optional specific command type to generate
- * @param {string} [customText] - Optional custom text to use
+ * @param {string} [customText] - Optional custom text to use (otherwise a line from the text pool)
  * @param {string|Object} [categoryOrEnabledCategories] - Optional category ID (string) for backwards compatibility,
- *        or an object with enabled categories: { navigation: true, selection: true, deletion: true }
+ *        or an object with enabled categories: { navigation: true, selection: true, deletion: true, editing: true }
  * @param {'mac' | 'windows' | 'linux'} [os] - Optional OS to generate for (defaults to current OS)
- * @returns {Object} Challenge object
+ * @returns {Object|null} Challenge object; without a command type, another available command is
+ *          played when no text suits the picked one, so null only means nothing could be generated
  */
 export function generateChallenge(commandType = null, customText = null, categoryOrEnabledCategories = null, os = currentOS) {
-  const text = customText || getRandomItem(TEXT_POOL);
+  const text = customText || pickText(getTextPool());
+  navigationSearches = 0;
 
   // Get available command types based on category configuration
   let availableCommands;
@@ -1164,14 +4068,15 @@ export function generateChallenge(commandType = null, customText = null, categor
   } else if (categoryOrEnabledCategories) {
     // Check if it's the new format (object with enabled categories) or old format (string category ID)
     if (typeof categoryOrEnabledCategories === 'object' && categoryOrEnabledCategories !== null) {
-      // New format: { navigation: true, selection: true, deletion: true }
+      // New format: { navigation: true, selection: true, deletion: true, editing: true }
       const enabledCategories = categoryOrEnabledCategories;
 
       // Default to all categories enabled if object is empty or all false
       const categories = {
         navigation: enabledCategories.navigation ?? true,
         selection: enabledCategories.selection ?? true,
-        deletion: enabledCategories.deletion ?? true
+        deletion: enabledCategories.deletion ?? true,
+        editing: enabledCategories.editing ?? true
       };
 
       // Build list of available commands based on enabled categories
@@ -1185,6 +4090,9 @@ export function generateChallenge(commandType = null, customText = null, categor
       if (categories.deletion) {
         availableCommands = availableCommands.concat(DELETION_COMMANDS);
       }
+      if (categories.editing) {
+        availableCommands = availableCommands.concat(EDITING_COMMANDS);
+      }
 
       // If nothing enabled, default to all
       if (availableCommands.length === 0) {
@@ -1198,19 +4106,68 @@ export function generateChallenge(commandType = null, customText = null, categor
     availableCommands = Object.keys(CHALLENGE_GENERATORS);
   }
 
-  const selectedCommand = commandType || getRandomItem(availableCommands);
+  // Skip commands that have no shortcut on this OS (e.g. the kill ring on Windows)
+  if (!commandType) {
+    availableCommands = availableCommands.filter(type => isCommandAvailable(type, os));
+    if (availableCommands.length === 0) {
+      availableCommands = ALL_COMMANDS.filter(type => isCommandAvailable(type, os));
+    }
+  }
+
+  const selectedCommand = commandType || pickCommandType(availableCommands);
 
   const generator = CHALLENGE_GENERATORS[selectedCommand];
   if (!generator) {
     throw new Error(`Unknown command type: ${selectedCommand}`);
   }
 
-  const challenge = generator(text, os);
+  let challenge = runGenerator(generator, text, os);
+
+  // No text suits this command at all: play another one rather than nothing
+  if (!challenge && !commandType) {
+    const others = availableCommands.filter(type => type !== selectedCommand && CHALLENGE_GENERATORS[type]);
+    while (!challenge && others.length > 0) {
+      const [type] = others.splice(Math.floor(random() * others.length), 1);
+      challenge = runGenerator(CHALLENGE_GENERATORS[type], pickText(getTextPool()), os);
+    }
+  }
+
+  return challenge;
+}
+
+/**
+ * Run a challenge generator until it finds a text it can use
+ * @param {Function} generator - (text, os) => challenge or null
+ * @param {string} text - Text to try first
+ * @param {'mac' | 'windows' | 'linux' | 'vim' | 'emacs'} os - The OS to generate for
+ * @returns {Object|null} Challenge object, or null if no text in the pool suits the generator
+ */
+function runGenerator(generator, text, os) {
+  let challenge = generator(text, os);
 
   // If generation failed (e.g., text too short), try with different text
+  for (let attempt = 0; !challenge && attempt < MAX_GENERATION_ATTEMPTS; attempt++) {
+    const newText = pickText(getTextPool());
+    challenge = generator(newText, os);
+  }
+
+  // The difficulty's share of the pool may have nothing the generator can use (e.g. no indented lines)
   if (!challenge) {
-    const newText = getRandomItem(TEXT_POOL);
-    return generator(newText, os);
+    filterTextsByDifficulty = false;
+    for (let attempt = 0; !challenge && attempt < MAX_GENERATION_ATTEMPTS; attempt++) {
+      challenge = generator(pickText(getTextPool()), os);
+    }
+    filterTextsByDifficulty = true;
+  }
+
+  // The player's text may not suit every generator (e.g. no indented lines): fall back to the built-in pool
+  if (!challenge && customTextPool) {
+    const pool = customTextPool;
+    customTextPool = null;
+    for (let attempt = 0; !challenge && attempt < MAX_GENERATION_ATTEMPTS; attempt++) {
+      challenge = generator(pickText(getTextPool()), os);
+    }
+    customTextPool = pool;
   }
 
   return challenge;
@@ -1228,7 +4185,8 @@ export function generateChallenge(commandType = null, customText = null, categor
 export function generateChallenges(count, options = {}) {
   const { commandTypes = null, unique = false, os = currentOS } = options;
   const challenges = [];
-  const availableTypes = commandTypes || Object.keys(CHALLENGE_GENERATORS);
+  const availableTypes = (commandTypes || Object.keys(CHALLENGE_GENERATORS))
+    .filter(type => isCommandAvailable(type, os));
   const usedTypes = new Set();
 
   for (let i = 0; i < count; i++) {
@@ -1249,6 +4207,230 @@ export function generateChallenges(count, options = {}) {
   return challenges;
 }
 
+// Vim modes a challenge can expect to end in
+const CHALLENGE_MODES = ['normal', 'insert', 'visual'];
+
+/**
+ * Check that a challenge has the shape validateChallenge and the terminal expect
+ * Used on challenges that weren't generated here, like those loaded from a challenge pack
+ * @param {Object} challenge - Challenge object, with the command as a command type
+ * @returns {string[]} Problems found, empty if the challenge is well-formed
+ */
+export function getChallengeProblems(challenge) {
+  const problems = [];
+  const isPosition = (value, text) => Number.isInteger(value) && value >= 0 && value <= text.length &&
+    snapToGrapheme(text, value) === value;
+  const isRange = (range, text) => Array.isArray(range) && range.length === 2 &&
+    isPosition(range[0], text) && isPosition(range[1], text) && range[0] <= range[1];
+
+  if (!challenge || typeof challenge !== 'object') {
+    return ['not an object'];
+  }
+
+  const { command } = challenge;
+  if (command === undefined || command === null || command === '') {
+    problems.push('command is missing');
+  } else if (typeof command !== 'string' || !Object.hasOwn(COMMANDS, command)) {
+    problems.push(`unknown command '${typeof command === 'string' ? command : JSON.stringify(command)}'`);
+  }
+
+  if (typeof challenge.text !== 'string') {
+    problems.push('text must be a string');
+    return problems;
+  }
+  if (!isPosition(challenge.cursorPosition, challenge.text)) {
+    problems.push('cursorPosition must be a position in text (not inside a character)');
+  }
+  if (challenge.selection && !(isPosition(challenge.selection.start, challenge.text) &&
+    isPosition(challenge.selection.end, challenge.text) && challenge.selection.start <= challenge.selection.end)) {
+    problems.push('selection must be a range in text');
+  }
+  if (challenge.clipboard !== undefined && typeof challenge.clipboard !== 'string') {
+    problems.push('clipboard must be a string');
+  }
+  if (challenge.killRing !== undefined &&
+    !(Array.isArray(challenge.killRing) && challenge.killRing.every(kill => typeof kill === 'string'))) {
+    problems.push('killRing must be a list of strings');
+  }
+  if (challenge.mark !== undefined && challenge.mark !== null && !isPosition(challenge.mark, challenge.text)) {
+    problems.push('mark must be a position in text, or null');
+  }
+
+  const expected = challenge.expectedResult;
+  if (!expected || typeof expected !== 'object') {
+    problems.push('expectedResult is missing');
+    return problems;
+  }
+  if (typeof expected.text !== 'string') {
+    problems.push('expectedResult.text must be a string');
+    return problems;
+  }
+  if (!isPosition(expected.cursorPosition, expected.text)) {
+    problems.push('expectedResult.cursorPosition must be a position in the expected text');
+  }
+  if (expected.selection !== undefined && !isRange(expected.selection, expected.text)) {
+    problems.push('expectedResult.selection must be [start, end] in the expected text');
+  }
+  if (expected.mode !== undefined && !CHALLENGE_MODES.includes(expected.mode)) {
+    problems.push(`expectedResult.mode must be one of ${CHALLENGE_MODES.join(', ')}`);
+  }
+  ['register', 'clipboard'].forEach(field => {
+    if (expected[field] !== undefined && typeof expected[field] !== 'string') {
+      problems.push(`expectedResult.${field} must be a string`);
+    }
+  });
+  if (expected.mark !== undefined && expected.mark !== null && !isPosition(expected.mark, expected.text)) {
+    problems.push('expectedResult.mark must be a position in the expected text, or null');
+  }
+
+  // A challenge that starts solved would pass on the first key
+  const startSelection = challenge.selection ? [challenge.selection.start, challenge.selection.end] : undefined;
+  if (problems.length === 0 && expected.text === challenge.text && expected.cursorPosition === challenge.cursorPosition &&
+    (expected.selection === undefined || String(expected.selection) === String(startSelection)) &&
+    Object.keys(expected).every(key => ['text', 'cursorPosition', 'selection'].includes(key))) {
+    problems.push('expectedResult is the same as the starting state');
+  }
+
+  return problems;
+}
+
+// Kinds of miss validateChallenge tells apart, with how they're described to the player
+export const VALIDATION_ERRORS = {
+  'overshoot-word': 'One word too far',
+  'undershoot-word': 'One word short',
+  overshoot: 'Too far',
+  undershoot: 'Not far enough',
+  'wrong-direction': 'Wrong direction',
+  'wrong-command': 'Wrong command'
+};
+
+// Most credit a miss earns, however close it came - a near miss never counts as much as a success
+const MAX_PARTIAL_CREDIT = 0.5;
+
+/**
+ * Count the single-character insertions, deletions and substitutions between two strings (Levenshtein)
+ * @param {string} a - One string
+ * @param {string} b - The other
+ * @returns {number} Edit distance
+ */
+function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Measure how much two ranges overlap
+ * @param {[number, number]} a - One range
+ * @param {[number, number]} b - The other
+ * @returns {number} Shared length over combined length: 1 for the same range, 0 for ranges that don't touch
+ */
+function getRangeOverlap([aStart, aEnd], [bStart, bEnd]) {
+  const combined = Math.max(aEnd, bEnd) - Math.min(aStart, bStart);
+  if (combined === 0) return 1;
+  return Math.max(0, Math.min(aEnd, bEnd) - Math.max(aStart, bStart)) / combined;
+}
+
+/**
+ * Work out what kind of miss a result is, from how it differs from the start and the target
+ * @param {Object} challenge - The challenge
+ * @param {Object} userResult - The player's result (see validateChallenge)
+ * @param {Object} result - The validation result so far
+ * @returns {string} Key in VALIDATION_ERRORS
+ */
+function classifyMiss(challenge, userResult, result) {
+  const { expectedResult } = challenge;
+  const commandType = challenge.command && challenge.command.type;
+  const strategy = (COMMANDS[commandType] && COMMANDS[commandType].wordStrategy) ||
+    getWordStrategy(currentOS, currentEditorProfile);
+
+  // Whether deleting one more word at the cursor, either way, turns one state into the other
+  const isOneWordDeletion = (from, to) => ['left', 'right'].some(direction => {
+    const boundary = findWordBoundary(from.text, from.cursorPosition, direction, strategy);
+    const start = Math.min(boundary, from.cursorPosition);
+    const end = Math.max(boundary, from.cursorPosition);
+    return end > start && from.text.slice(0, start) + from.text.slice(end) === to.text;
+  });
+
+  // An edit: compare how much the text grew or shrank with how much it should have
+  if (!result.textMatch) {
+    const wanted = expectedResult.text.length - challenge.text.length;
+    const made = userResult.text.length - challenge.text.length;
+    if (userResult.text === challenge.text || expectedResult.text === challenge.text ||
+      Math.sign(made) !== Math.sign(wanted) || made === wanted) {
+      return 'wrong-command';
+    }
+    if (Math.abs(made) > Math.abs(wanted)) {
+      return isOneWordDeletion(expectedResult, userResult) ? 'overshoot-word' : 'overshoot';
+    }
+    return isOneWordDeletion(userResult, expectedResult) ? 'undershoot-word' : 'undershoot';
+  }
+
+  // A motion: the right way, too far or not far enough? A word off is the classic slip
+  if (!result.cursorMatch) {
+    const start = challenge.cursorPosition;
+    const expected = expectedResult.cursorPosition;
+    const received = userResult.cursorPosition;
+    const wanted = Math.sign(expected - start);
+    const went = Math.sign(received - start);
+    if (wanted === 0 || went === 0) return 'wrong-command';
+    if (went !== wanted) return 'wrong-direction';
+
+    const direction = wanted > 0 ? 'right' : 'left';
+    if (Math.abs(received - start) > Math.abs(expected - start)) {
+      return findWordBoundary(userResult.text, expected, direction, strategy) === received ? 'overshoot-word' : 'overshoot';
+    }
+    return findWordBoundary(userResult.text, received, direction, strategy) === expected ? 'undershoot-word' : 'undershoot';
+  }
+
+  // A selection: selected more or less than the target (or moved without selecting)
+  const selectionDetail = result.details.find(detail => detail.type === 'selection');
+  if (selectionDetail && userResult.selection) {
+    const [expectedStart, expectedEnd] = selectionDetail.expected;
+    const [receivedStart, receivedEnd] = selectionDetail.received;
+    return receivedEnd - receivedStart > expectedEnd - expectedStart ? 'overshoot' : 'undershoot';
+  }
+
+  // Anything else (mode, register, clipboard, mark) means another command did the job
+  return 'wrong-command';
+}
+
+/**
+ * Give a miss partial credit for how close it came
+ * Each difference counts against the distance the challenge covers (a cursor off by two on a ten
+ * character jump keeps 80%); wrong commands and directions earn nothing
+ * @param {Object} challenge - The challenge
+ * @param {Object} result - The validation result, with its error classified
+ * @returns {number} Score between 0 and MAX_PARTIAL_CREDIT
+ */
+function scoreMiss(challenge, result) {
+  if (result.error === 'wrong-command' || result.error === 'wrong-direction') return 0;
+
+  const { expectedResult } = challenge;
+  const closeness = (miss, span) => Math.max(0, 1 - miss / Math.max(span, 1));
+  const score = result.details.reduce((product, detail) => {
+    if (detail.type === 'text') {
+      return product * closeness(detail.distance, getEditDistance(challenge.text, expectedResult.text));
+    }
+    if (detail.type === 'cursor') {
+      return product * closeness(Math.abs(detail.distance), Math.abs(expectedResult.cursorPosition - challenge.cursorPosition));
+    }
+    if (detail.type === 'selection') {
+      return product * detail.overlap;
+    }
+    return 0;
+  }, 1);
+
+  return Math.round(score * MAX_PARTIAL_CREDIT * 100) / 100;
+}
+
 /**
  * Validate user's result against expected result
  * @param {Object} challenge - The challenge object
@@ -1256,26 +4438,46 @@ export function generateChallenges(count, options = {}) {
  * @param {string} userResult.text - The text after user action
  * @param {number} userResult.cursorPosition - Cursor position after action
  * @param {[number, number]} [userResult.selection] - Selection range if any
- * @returns {Object} Validation result with success flag and details
+ * @param {string} [userResult.mode] - Vim mode ('normal', 'insert' or 'visual')
+ * @param {{text: string, linewise: boolean}} [userResult.register] - Vim register contents
+ * @param {string} [userResult.clipboard] - Editor clipboard contents
+ * @param {number|null} [userResult.mark] - Emacs mark position
+ * @param {number} [userResult.keystrokes] - Keys pressed since the challenge started
+ * @returns {Object} Validation result with success flag and details.
+ *          `inProgress` is true when the result is one of the challenge's intermediate states
+ *          (a multi-step challenge that isn't finished yet, or free navigation that hasn't reached
+ *          the target). Challenges with an optimal solution
+ *          also report `keystrokes`, `optimalKeystrokes` and `extraKeystrokes`.
+ *          Details say how far off each part is: `distance` (edit distance for text, signed character
+ *          offset for the cursor) or `overlap` (selection, 0 to 1). A miss gets an `error` (key in
+ *          VALIDATION_ERRORS) and a partial credit `score`; a success scores 1
  */
 export function validateChallenge(challenge, userResult) {
   const { expectedResult } = challenge;
   const result = {
     success: true,
+    inProgress: false,
     textMatch: true,
     cursorMatch: true,
     selectionMatch: true,
+    modeMatch: true,
+    registerMatch: true,
+    clipboardMatch: true,
+    markMatch: true,
+    score: 1,
+    error: null,
     details: []
   };
 
-  // Check text
-  if (userResult.text !== expectedResult.text) {
+  // Check text (free navigation is only about where the cursor ends up)
+  if (!challenge.freeNavigation && userResult.text !== expectedResult.text) {
     result.success = false;
     result.textMatch = false;
     result.details.push({
       type: 'text',
       expected: expectedResult.text,
-      received: userResult.text
+      received: userResult.text,
+      distance: getEditDistance(expectedResult.text, userResult.text)
     });
   }
 
@@ -1286,7 +4488,8 @@ export function validateChallenge(challenge, userResult) {
     result.details.push({
       type: 'cursor',
       expected: expectedResult.cursorPosition,
-      received: userResult.cursorPosition
+      received: userResult.cursorPosition,
+      distance: userResult.cursorPosition - expectedResult.cursorPosition
     });
   }
 
@@ -1302,11 +4505,94 @@ export function validateChallenge(challenge, userResult) {
       result.details.push({
         type: 'selection',
         expected: expectedResult.selection,
-        received: userSelection
+        received: userSelection,
+        overlap: getRangeOverlap(expectedResult.selection, userSelection)
       });
     }
   }
 
+  // Check Vim mode if expected (e.g. a change must end back in normal mode)
+  if (expectedResult.mode !== undefined && userResult.mode !== expectedResult.mode) {
+    result.success = false;
+    result.modeMatch = false;
+    result.details.push({
+      type: 'mode',
+      expected: expectedResult.mode,
+      received: userResult.mode
+    });
+  }
+
+  // Check Vim register contents if expected
+  if (expectedResult.register !== undefined) {
+    const userRegister = userResult.register ? userResult.register.text : null;
+    if (userRegister !== expectedResult.register) {
+      result.success = false;
+      result.registerMatch = false;
+      result.details.push({
+        type: 'register',
+        expected: expectedResult.register,
+        received: userRegister
+      });
+    }
+  }
+
+  // Check clipboard contents if expected (copy/cut)
+  if (expectedResult.clipboard !== undefined && userResult.clipboard !== expectedResult.clipboard) {
+    result.success = false;
+    result.clipboardMatch = false;
+    result.details.push({
+      type: 'clipboard',
+      expected: expectedResult.clipboard,
+      received: userResult.clipboard
+    });
+  }
+
+  // Check the Emacs mark if expected (set mark, exchange point and mark)
+  if (expectedResult.mark !== undefined && userResult.mark !== expectedResult.mark) {
+    result.success = false;
+    result.markMatch = false;
+    result.details.push({
+      type: 'mark',
+      expected: expectedResult.mark,
+      received: userResult.mark
+    });
+  }
+
+  if (!result.success && challenge.intermediateStates) {
+    result.inProgress = challenge.intermediateStates.some(state =>
+      state.text === userResult.text && state.cursorPosition === userResult.cursorPosition &&
+      (state.mode === undefined || state.mode === userResult.mode)
+    );
+  }
+
+  // Compare the keystrokes used with the solver's shortest path
+  const { optimalKeystrokes } = challenge;
+  const { keystrokes } = userResult;
+  if (optimalKeystrokes !== undefined && keystrokes !== undefined) {
+    result.keystrokes = keystrokes;
+    result.optimalKeystrokes = optimalKeystrokes;
+    result.extraKeystrokes = Math.max(0, keystrokes - optimalKeystrokes);
+  }
+
+  // A free-form multi-step challenge is in progress until the player runs out of keystrokes
+  if (!result.success && challenge.multiStep) {
+    result.inProgress = keystrokes === undefined ||
+      keystrokes <= optimalKeystrokes + MULTI_STEP_EXTRA_KEYSTROKES;
+  }
+
+  // Free navigation goes on until the cursor gets to the target, however long the route
+  if (!result.success && challenge.freeNavigation) {
+    result.inProgress = true;
+  }
+
+  if (!result.success) {
+    result.score = 0;
+    if (!result.inProgress) {
+      result.error = classifyMiss(challenge, userResult, result);
+      result.score = scoreMiss(challenge, result);
+    }
+  }
+
   return result;
 }
 
@@ -1340,23 +4626,45 @@ export function formatKeyCombination(keys) {
 // Default export with all main functions
 export default {
   COMMANDS,
+  VALIDATION_ERRORS,
   COMMAND_CATEGORIES,
   NAVIGATION_COMMANDS,
   SELECTION_COMMANDS,
   DELETION_COMMANDS,
+  EDITING_COMMANDS,
   ALL_COMMANDS,
   TEXT_POOL,
+  MULTILINE_TEXT_POOL,
+  LONG_COMMAND_POOL,
+  TEXT_POOLS,
+  getTextPoolId,
+  setTextPool,
+  parseCustomText,
+  getCustomTextPool,
+  setCustomTextPool,
   generateChallenge,
   generateChallenges,
+  getChallengeProblems,
   validateChallenge,
   getCommandTypes,
   getCommand,
   getCommandForOS,
+  isCommandAvailable,
   formatKeyCombination,
   getCategories,
   getCategory,
   getCategoryCommandTypes,
   detectOS,
   getCurrentOS,
-  setOS
+  setOS,
+  getEditorProfile,
+  setEditorProfile,
+  getSeed,
+  setSeed,
+  setCommandWeights,
+  DIFFICULTIES,
+  getDifficulty,
+  setDifficulty,
+  getLocale,
+  setLocale
 };
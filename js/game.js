@@ -17,6 +17,17 @@ const TimerModes = {
   LONG: 60
 };
 
+// Game modes: beat the clock, play a round of holes scored in strokes over par,
+// or work through a challenge pack from start to finish
+const GameModes = {
+  TIMED: 'timed',
+  GOLF: 'golf',
+  PACK: 'pack'
+};
+
+// Holes in a round of keystroke golf
+const GOLF_HOLES = 9;
+
 /**
  * Simple event emitter for game events
  */
@@ -90,6 +101,9 @@ class Game extends EventEmitter {
    * Create a new game instance
    * @param {Object} options - Game options
    * @param {number} [options.duration=30] - Game duration in seconds
+   * @param {string} [options.mode='timed'] - Game mode (see GameModes)
+   * @param {number} [options.holes=9] - Holes in a round of golf
+   * @param {number} [options.packLength=0] - Challenges in the loaded challenge pack
    */
   constructor(options = {}) {
     super();
@@ -99,16 +113,27 @@ class Game extends EventEmitter {
     this.timeRemaining = this.duration;
     this.timerInterval = null;
 
+    // Mode configuration
+    this.mode = options.mode || GameModes.TIMED;
+    this.holes = options.holes || GOLF_HOLES;
+    this.packLength = options.packLength || 0;
+
     // Game state
     this.state = GameState.IDLE;
     this.currentChallenge = null;
+    this.pausedAt = null;
 
     // Statistics
     this.stats = {
       commandsAttempted: 0,
       commandsCompleted: 0,
+      credit: 0,
+      strokes: 0,
+      par: 0,
+      routes: [],
       startTime: null,
-      endTime: null
+      endTime: null,
+      pausedTime: 0
     };
 
     // Bind methods to preserve context
@@ -139,6 +164,14 @@ class Game extends EventEmitter {
     return this.state === GameState.ACTIVE;
   }
 
+  /**
+   * Check if an active game is paused
+   * @returns {boolean}
+   */
+  isPaused() {
+    return this.pausedAt !== null;
+  }
+
   /**
    * Check if game is finished
    * @returns {boolean}
@@ -166,6 +199,85 @@ class Game extends EventEmitter {
     this.timeRemaining = seconds;
   }
 
+  /**
+   * Set the game mode
+   * @param {string} mode - One of GameModes
+   */
+  setMode(mode) {
+    if (this.state !== GameState.IDLE) {
+      console.warn('Cannot change mode while game is active');
+      return;
+    }
+
+    if (!Object.values(GameModes).includes(mode)) {
+      console.warn(`Unknown game mode: ${mode}`);
+      return;
+    }
+
+    this.mode = mode;
+  }
+
+  /**
+   * Get the current game mode
+   * @returns {string} One of GameModes
+   */
+  getMode() {
+    return this.mode;
+  }
+
+  /**
+   * Get the number of holes in a round of golf
+   * @returns {number} Holes
+   */
+  getHoles() {
+    return this.holes;
+  }
+
+  /**
+   * Check if this is a round of keystroke golf
+   * @returns {boolean}
+   */
+  isGolf() {
+    return this.mode === GameModes.GOLF;
+  }
+
+  /**
+   * Set the number of challenges in the loaded challenge pack
+   * @param {number} length - Challenges in the pack
+   */
+  setPackLength(length) {
+    if (this.state !== GameState.IDLE) {
+      console.warn('Cannot change the pack while game is active');
+      return;
+    }
+
+    this.packLength = length;
+  }
+
+  /**
+   * Get the number of challenges in the loaded challenge pack
+   * @returns {number} Challenges
+   */
+  getPackLength() {
+    return this.packLength;
+  }
+
+  /**
+   * Check if this session plays a challenge pack
+   * @returns {boolean}
+   */
+  isPack() {
+    return this.mode === GameModes.PACK;
+  }
+
+  /**
+   * Check if the session runs against the clock (golf and packs end when the last challenge is done)
+   * @returns {boolean}
+   */
+  isTimed() {
+    return this.mode === GameModes.TIMED;
+  }
+
   /**
    * Get the current duration setting
    * @returns {number} Duration in seconds
@@ -195,6 +307,7 @@ class Game extends EventEmitter {
   /**
    * Start the game timer
    * Called automatically on first valid command input
+   * A round of golf or a challenge pack has no timer: it ends after the last challenge
    */
   start() {
     if (this.state !== GameState.IDLE) {
@@ -206,10 +319,13 @@ class Game extends EventEmitter {
     this.timeRemaining = this.duration;
 
     // Start the countdown timer
-    this.timerInterval = setInterval(this.tick, 1000);
+    if (this.isTimed()) {
+      this.timerInterval = setInterval(this.tick, 1000);
+    }
 
     this.emit('gameStart', {
       duration: this.duration,
+      mode: this.mode,
       timestamp: this.stats.startTime
     });
   }
@@ -250,6 +366,10 @@ class Game extends EventEmitter {
 
     this.state = GameState.FINISHED;
     this.stats.endTime = Date.now();
+    if (this.pausedAt !== null) {
+      this.stats.pausedTime += this.stats.endTime - this.pausedAt;
+      this.pausedAt = null;
+    }
 
     const results = this.getResults();
 
@@ -279,6 +399,11 @@ class Game extends EventEmitter {
    * Starts the game on first valid attempt if idle
    * @param {boolean} success - Whether the command was successful
    * @param {Object} [details] - Additional details about the attempt
+   * @param {number} [details.strokes] - Golf: keystrokes used on the hole
+   * @param {number} [details.par] - Golf: fewest keystrokes the hole can be done in
+   * @param {Object} [details.route] - Free navigation: the route taken to the target,
+   *   { strokes, par, time } - keystrokes used, the fewest possible and milliseconds (null if unknown)
+   * @param {number} [details.score] - A miss: partial credit between 0 and 1 for coming close
    */
   handleCommandAttempt(success, details = {}) {
     // Start game on first attempt if idle
@@ -294,12 +419,28 @@ class Game extends EventEmitter {
 
     if (success) {
       this.stats.commandsCompleted++;
+      this.stats.credit++;
+      if (this.isGolf()) {
+        this.stats.strokes += details.strokes || 0;
+        this.stats.par += details.par || 0;
+      }
+      if (details.route) {
+        this.stats.routes.push({ ...details.route });
+      }
       this.emit('commandSuccess', {
         challenge: this.currentChallenge,
         stats: this.getStats(),
         ...details
       });
+
+      // The round is over once every hole is holed out, or every challenge of the pack is done
+      const { commandsCompleted } = this.stats;
+      if ((this.isGolf() && commandsCompleted >= this.holes) ||
+        (this.isPack() && commandsCompleted >= this.packLength)) {
+        this.end();
+      }
     } else {
+      this.stats.credit += Math.min(Math.max(details.score || 0, 0), 1);
       this.emit('commandFail', {
         challenge: this.currentChallenge,
         stats: this.getStats(),
@@ -336,6 +477,27 @@ class Game extends EventEmitter {
     return Math.round(accuracy * 10) / 10;
   }
 
+  /**
+   * Calculate accuracy with partial credit: a near miss counts for part of a success
+   * @returns {number} Graded accuracy percentage rounded to 1 decimal place
+   */
+  getGradedAccuracy() {
+    if (this.stats.commandsAttempted === 0) {
+      return 100;
+    }
+
+    const accuracy = (this.stats.credit / this.stats.commandsAttempted) * 100;
+    return Math.round(accuracy * 10) / 10;
+  }
+
+  /**
+   * Get the golf score: keystrokes used beyond par so far
+   * @returns {number} Strokes over par (0 is even)
+   */
+  getStrokesOverPar() {
+    return this.stats.strokes - this.stats.par;
+  }
+
   /**
    * Get elapsed time in milliseconds
    * @returns {number} Elapsed time
@@ -345,8 +507,9 @@ class Game extends EventEmitter {
       return 0;
     }
 
-    const endTime = this.stats.endTime || Date.now();
-    return endTime - this.stats.startTime;
+    // Time spent paused doesn't count
+    const endTime = this.stats.endTime || this.pausedAt || Date.now();
+    return endTime - this.stats.startTime - this.stats.pausedTime;
   }
 
   /**
@@ -359,8 +522,12 @@ class Game extends EventEmitter {
       commandsCompleted: this.stats.commandsCompleted,
       cpm: this.getCPM(),
       accuracy: this.getAccuracy(),
+      gradedAccuracy: this.getGradedAccuracy(),
       timeRemaining: this.timeRemaining,
-      elapsedTime: this.getElapsedTime()
+      elapsedTime: this.getElapsedTime(),
+      strokes: this.stats.strokes,
+      par: this.stats.par,
+      overPar: this.getStrokesOverPar()
     };
   }
 
@@ -370,11 +537,19 @@ class Game extends EventEmitter {
    */
   getResults() {
     return {
+      mode: this.mode,
       duration: this.duration,
+      holes: this.holes,
+      packLength: this.packLength,
+      strokes: this.stats.strokes,
+      par: this.stats.par,
+      overPar: this.getStrokesOverPar(),
+      routes: this.stats.routes.map(route => ({ ...route })),
       commandsAttempted: this.stats.commandsAttempted,
       commandsCompleted: this.stats.commandsCompleted,
       cpm: this.getCPM(),
       accuracy: this.getAccuracy(),
+      gradedAccuracy: this.getGradedAccuracy(),
       totalTime: this.getElapsedTime(),
       startTime: this.stats.startTime,
       endTime: this.stats.endTime
@@ -395,13 +570,19 @@ class Game extends EventEmitter {
     this.state = GameState.IDLE;
     this.timeRemaining = this.duration;
     this.currentChallenge = null;
+    this.pausedAt = null;
 
     // Reset statistics
     this.stats = {
       commandsAttempted: 0,
       commandsCompleted: 0,
+      credit: 0,
+      strokes: 0,
+      par: 0,
+      routes: [],
       startTime: null,
-      endTime: null
+      endTime: null,
+      pausedTime: 0
     };
   }
 
@@ -410,7 +591,7 @@ class Game extends EventEmitter {
    * @returns {boolean} Whether pause was successful
    */
   pause() {
-    if (this.state !== GameState.ACTIVE) {
+    if (this.state !== GameState.ACTIVE || this.pausedAt !== null) {
       return false;
     }
 
@@ -419,6 +600,7 @@ class Game extends EventEmitter {
       this.timerInterval = null;
     }
 
+    this.pausedAt = Date.now();
     return true;
   }
 
@@ -427,11 +609,15 @@ class Game extends EventEmitter {
    * @returns {boolean} Whether resume was successful
    */
   resume() {
-    if (this.state !== GameState.ACTIVE || this.timerInterval) {
+    if (this.state !== GameState.ACTIVE || this.pausedAt === null) {
       return false;
     }
 
-    this.timerInterval = setInterval(this.tick, 1000);
+    this.stats.pausedTime += Date.now() - this.pausedAt;
+    this.pausedAt = null;
+    if (this.isTimed()) {
+      this.timerInterval = setInterval(this.tick, 1000);
+    }
     return true;
   }
 
@@ -448,5 +634,5 @@ class Game extends EventEmitter {
 }
 
 // Export as ES6 module
-export { Game, GameState, TimerModes, EventEmitter };
+export { Game, GameState, TimerModes, GameModes, GOLF_HOLES, EventEmitter };
 export default Game;
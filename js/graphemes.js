@@ -0,0 +1,115 @@
+/**
+ * monkeycmd Grapheme Clusters
+ * What the player sees as one character (an emoji, a flag, a letter with a combining accent) can
+ * span several UTF-16 code units. Cursor motion, selection and deletion step over whole clusters
+ * so they never split one in half.
+ */
+
+// Created on first use; false when the engine has no Intl.Segmenter (falls back to code points)
+let segmenter = null;
+
+// Boundaries of the last text segmented - the editor asks about the same text many times per key
+let cachedText = null;
+let cachedBoundaries = null;
+
+/**
+ * Get the shared grapheme segmenter
+ * @returns {Intl.Segmenter|false} Segmenter, or false if unsupported
+ */
+function getSegmenter() {
+  if (segmenter === null) {
+    segmenter = typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function'
+      ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+      : false;
+  }
+  return segmenter;
+}
+
+/**
+ * Get every position in text where a cursor may sit
+ * @param {string} text - The text to segment
+ * @returns {number[]} Ascending positions from 0 to text.length
+ */
+export function getGraphemeBoundaries(text) {
+  if (text === cachedText) {
+    return cachedBoundaries;
+  }
+
+  const boundaries = [];
+  const graphemeSegmenter = getSegmenter();
+  if (graphemeSegmenter) {
+    for (const { index } of graphemeSegmenter.segment(text)) {
+      boundaries.push(index);
+    }
+  } else {
+    let index = 0;
+    for (const char of text) {
+      boundaries.push(index);
+      index += char.length;
+    }
+  }
+  boundaries.push(text.length);
+
+  cachedText = text;
+  cachedBoundaries = text.length === 0 ? [0] : boundaries;
+  return cachedBoundaries;
+}
+
+/**
+ * Split text into grapheme clusters
+ * @param {string} text - The text to split
+ * @returns {string[]} The clusters in order
+ */
+export function splitGraphemes(text) {
+  const boundaries = getGraphemeBoundaries(text);
+  return boundaries.slice(0, -1).map((start, i) => text.slice(start, boundaries[i + 1]));
+}
+
+/**
+ * Find the cluster boundary before a position
+ * @param {string} text - The text
+ * @param {number} position - Cursor position
+ * @returns {number} Start of the cluster before the position, or 0
+ */
+export function previousGraphemeBoundary(text, position) {
+  const boundaries = getGraphemeBoundaries(text);
+  for (let i = boundaries.length - 1; i >= 0; i--) {
+    if (boundaries[i] < position) return boundaries[i];
+  }
+  return 0;
+}
+
+/**
+ * Find the cluster boundary after a position
+ * @param {string} text - The text
+ * @param {number} position - Cursor position
+ * @returns {number} End of the cluster at the position, or text.length
+ */
+export function nextGraphemeBoundary(text, position) {
+  return getGraphemeBoundaries(text).find(boundary => boundary > position) ?? text.length;
+}
+
+/**
+ * Move a position that may be inside a cluster onto a boundary
+ * @param {string} text - The text
+ * @param {number} position - Position to snap
+ * @param {'backward' | 'forward'} [direction='backward'] - Snap to the cluster's start or end
+ * @returns {number} The position itself if it is a boundary, else the nearest boundary in that direction
+ */
+export function snapToGrapheme(text, position, direction = 'backward') {
+  const boundaries = getGraphemeBoundaries(text);
+  if (boundaries.includes(position)) {
+    return position;
+  }
+  return direction === 'forward'
+    ? nextGraphemeBoundary(text, position)
+    : previousGraphemeBoundary(text, position);
+}
+
+export default {
+  getGraphemeBoundaries,
+  splitGraphemes,
+  previousGraphemeBoundary,
+  nextGraphemeBoundary,
+  snapToGrapheme
+};
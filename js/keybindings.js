@@ -0,0 +1,347 @@
+/**
+ * monkeycmd Keybindings Import
+ * Turns a VS Code keybindings.json into a personal editor profile, so challenges teach the keys
+ * the player actually has. The file is layered on VS Code's default keys: a binding adds a key to
+ * a command, "-command" removes one (the default overrides), and a key bound to anything else
+ * stops doing what it did before.
+ *
+ * [
+ *   { "key": "ctrl+alt+left", "command": "cursorWordLeft", "when": "textInputFocus" },
+ *   { "key": "ctrl+left", "command": "-cursorWordLeft" }
+ * ]
+ *
+ * Only bindings that apply while typing in the editor count (no `when`, or one that needs editor
+ * focus); commands monkeycmd doesn't practice are ignored.
+ */
+
+import { KEYMAP, EDITOR_PROFILE_OSES, getKeymapDescriptors } from './keymap.js';
+
+// VS Code commands and the keymap entries that run the same edit
+// New keys go to the first entry; removals look in all of them (Control + A on macOS is
+// cursorLineStart too, but a separate keymap entry)
+const VSCODE_COMMANDS = {
+  cursorLeft: ['MOVE_CHAR_LEFT', 'CONTROL_BACKWARD'],
+  cursorRight: ['MOVE_CHAR_RIGHT', 'CONTROL_FORWARD'],
+  cursorLeftSelect: ['SELECT_CHAR_LEFT'],
+  cursorRightSelect: ['SELECT_CHAR_RIGHT'],
+  deleteLeft: ['DELETE_CHAR_BACKWARD'],
+  deleteRight: ['DELETE_CHAR_FORWARD', 'CONTROL_DELETE_FORWARD'],
+  cursorWordLeft: ['MOVE_WORD_LEFT'],
+  cursorWordStartLeft: ['MOVE_WORD_LEFT'],
+  cursorWordEndRight: ['MOVE_WORD_RIGHT'],
+  cursorWordLeftSelect: ['SELECT_WORD_LEFT'],
+  cursorWordStartLeftSelect: ['SELECT_WORD_LEFT'],
+  cursorWordEndRightSelect: ['SELECT_WORD_RIGHT'],
+  deleteWordLeft: ['DELETE_WORD'],
+  deleteWordRight: ['DELETE_WORD_FORWARD'],
+  cursorHome: ['JUMP_LINE_START', 'CONTROL_LINE_START'],
+  cursorLineStart: ['JUMP_LINE_START', 'CONTROL_LINE_START'],
+  cursorEnd: ['JUMP_LINE_END', 'CONTROL_LINE_END'],
+  cursorLineEnd: ['JUMP_LINE_END', 'CONTROL_LINE_END'],
+  cursorHomeSelect: ['SELECT_TO_LINE_START'],
+  cursorLineStartSelect: ['SELECT_TO_LINE_START'],
+  cursorEndSelect: ['SELECT_TO_LINE_END'],
+  cursorLineEndSelect: ['SELECT_TO_LINE_END'],
+  deleteAllLeft: ['DELETE_TO_LINE_START'],
+  deleteAllRight: ['DELETE_TO_LINE_END'],
+  cursorUp: ['MOVE_LINE_UP', 'CONTROL_PREVIOUS_LINE'],
+  cursorDown: ['MOVE_LINE_DOWN', 'CONTROL_NEXT_LINE'],
+  cursorUpSelect: ['SELECT_LINE_UP'],
+  cursorDownSelect: ['SELECT_LINE_DOWN'],
+  cursorTop: ['JUMP_DOCUMENT_START'],
+  cursorBottom: ['JUMP_DOCUMENT_END'],
+  cursorTopSelect: ['SELECT_TO_DOCUMENT_START'],
+  cursorBottomSelect: ['SELECT_TO_DOCUMENT_END'],
+  'editor.action.selectAll': ['SELECT_ALL'],
+  'editor.action.transposeLetters': ['TRANSPOSE_CHARS'],
+  'editor.action.transformToUppercase': ['UPCASE_REGION'],
+  'editor.action.transformToLowercase': ['DOWNCASE_REGION'],
+  'editor.action.trimTrailingWhitespace': ['TRIM_TRAILING_WHITESPACE'],
+  'editor.action.clipboardCopyAction': ['COPY'],
+  'editor.action.clipboardCutAction': ['CUT'],
+  'editor.action.clipboardPasteAction': ['PASTE'],
+  undo: ['UNDO'],
+  redo: ['REDO']
+};
+
+// VS Code modifier names (cmd on macOS, win on Windows and meta on Linux are the same key)
+const VSCODE_MODIFIERS = {
+  ctrl: 'ctrlKey',
+  shift: 'shiftKey',
+  alt: 'altKey',
+  cmd: 'metaKey',
+  win: 'metaKey',
+  meta: 'metaKey'
+};
+
+// VS Code key names that differ from KeyboardEvent key values
+const VSCODE_KEYS = {
+  left: 'ArrowLeft',
+  right: 'ArrowRight',
+  up: 'ArrowUp',
+  down: 'ArrowDown',
+  home: 'Home',
+  end: 'End',
+  pageup: 'PageUp',
+  pagedown: 'PageDown',
+  backspace: 'Backspace',
+  delete: 'Delete',
+  insert: 'Insert',
+  escape: 'Escape',
+  enter: 'Enter',
+  tab: 'Tab',
+  space: ' '
+};
+
+// `when` contexts that hold while typing in the editor
+const EDITOR_CONTEXTS = ['editorTextFocus', 'textInputFocus', 'editorFocus', 'inputFocus'];
+
+// Largest keybindings file read (a full dump of the defaults is well under this)
+const MAX_KEYBINDINGS_LENGTH = 1024 * 1024;
+
+/**
+ * Find where a JSON string ends
+ * @param {string} source - JSON text
+ * @param {number} start - Index of the string's opening quote
+ * @returns {number} Index just past the closing quote
+ */
+function skipJSONString(source, start) {
+  let end = start + 1;
+  while (end < source.length && source[end] !== '"') {
+    end += source[end] === '\\' ? 2 : 1;
+  }
+  return end + 1;
+}
+
+/**
+ * Strip comments and trailing commas, which VS Code allows in its JSON files
+ * Comments go first, so a comma before a commented-out entry is seen as trailing
+ * @param {string} source - JSON with comments
+ * @returns {string} Plain JSON
+ */
+function stripJSONComments(source) {
+  let withoutComments = '';
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    if (char === '"') {
+      // Copy strings whole, escapes included
+      const end = skipJSONString(source, i);
+      withoutComments += source.slice(i, end);
+      i = end;
+    } else if (char === '/' && source[i + 1] === '/') {
+      while (i < source.length && source[i] !== '\n') i++;
+    } else if (char === '/' && source[i + 1] === '*') {
+      const end = source.indexOf('*/', i + 2);
+      i = end === -1 ? source.length : end + 2;
+    } else {
+      withoutComments += char;
+      i++;
+    }
+  }
+
+  let output = '';
+  i = 0;
+  while (i < withoutComments.length) {
+    const char = withoutComments[i];
+    if (char === '"') {
+      const end = skipJSONString(withoutComments, i);
+      output += withoutComments.slice(i, end);
+      i = end;
+    } else if (char === ',' && /^\s*[\]}]/.test(withoutComments.slice(i + 1))) {
+      i++;
+    } else {
+      output += char;
+      i++;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Parse one VS Code key press, e.g. 'ctrl+shift+left'
+ * @param {string} press - Key press in VS Code's notation
+ * @returns {Object|null} Key descriptor, or null if the key isn't one monkeycmd knows
+ */
+function parseKeyPress(press) {
+  const descriptor = {};
+  let rest = press.toLowerCase();
+  let match;
+
+  while ((match = /^(ctrl|shift|alt|cmd|win|meta)\+(.+)$/.exec(rest))) {
+    descriptor[VSCODE_MODIFIERS[match[1]]] = true;
+    rest = match[2];
+  }
+
+  const key = VSCODE_KEYS[rest] || (rest.length === 1 ? rest : null);
+  if (!key) return null;
+
+  descriptor.key = key;
+  // On macOS Option types another character, so letters and digits are matched by their code
+  if (descriptor.altKey && /^[a-z]$/.test(key)) {
+    descriptor.code = `Key${key.toUpperCase()}`;
+  } else if (descriptor.altKey && /^[0-9]$/.test(key)) {
+    descriptor.code = `Digit${key}`;
+  }
+  return descriptor;
+}
+
+/**
+ * Parse a VS Code key binding, e.g. 'ctrl+k ctrl+backspace' (a chord)
+ * @param {string} key - Binding in VS Code's notation
+ * @returns {Object|Object[]|null} Key descriptor or chord, or null if any key is unknown
+ */
+function parseKey(key) {
+  const presses = key.trim().split(/\s+/).map(parseKeyPress);
+  if (presses.length === 0 || presses.some(press => !press)) return null;
+  return presses.length === 1 ? presses[0] : presses;
+}
+
+/**
+ * Identify a key descriptor or chord, for comparing bindings
+ * @param {Object|Object[]} binding - Key descriptor or chord
+ * @returns {string} e.g. 'ctrl+arrowleft'
+ */
+function bindingSignature(binding) {
+  const presses = Array.isArray(binding) ? binding : [binding];
+  return presses.map(press => {
+    const modifiers = ['metaKey', 'ctrlKey', 'altKey', 'shiftKey'].filter(modifier => press[modifier]);
+    return [...modifiers, press.key.toLowerCase()].join('+');
+  }).join(' ');
+}
+
+/**
+ * Check whether a binding's `when` clause holds while typing in the editor
+ * Every condition must be editor focus or a negation (of something other than editor focus)
+ * @param {*} when - The `when` clause
+ * @returns {boolean} True if the binding applies to editing text
+ */
+function appliesToEditor(when) {
+  if (when === undefined || when === null || when === '') return true;
+  if (typeof when !== 'string' || /\|\||[=<>~]/.test(when)) return false;
+
+  return when.split('&&').map(term => term.trim()).every(term => {
+    if (term.startsWith('!')) return !EDITOR_CONTEXTS.includes(term.slice(1).trim());
+    return EDITOR_CONTEXTS.includes(term);
+  });
+}
+
+/**
+ * Read a VS Code keybindings.json
+ * @param {string} source - The file's contents
+ * @returns {Array<{key: Object|Object[]|null, command: string, remove: boolean, editor: boolean}>} Bindings
+ *          in file order, leaving out keys monkeycmd can't press: `key` is null for a removal of all
+ *          of a command's keys, `editor` says whether the binding applies while typing
+ * @throws {Error} If the file isn't a list of key bindings
+ */
+export function parseVSCodeKeybindings(source) {
+  if (typeof source !== 'string' || source.length > MAX_KEYBINDINGS_LENGTH) {
+    throw new Error('Not a keybindings file');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(stripJSONComments(source));
+  } catch (error) {
+    throw new Error('Not a JSON file');
+  }
+  if (!Array.isArray(data)) {
+    throw new Error('keybindings.json should be a list of bindings');
+  }
+
+  return data.flatMap(entry => {
+    if (!entry || typeof entry !== 'object' || typeof entry.command !== 'string') return [];
+
+    const hasKey = typeof entry.key === 'string' && entry.key.trim() !== '';
+    const key = hasKey ? parseKey(entry.key) : null;
+    if (hasKey && !key) return [];
+
+    const remove = entry.command.startsWith('-');
+    return [{
+      key,
+      command: remove ? entry.command.slice(1) : entry.command,
+      remove,
+      // Commands run with arguments do something else than the plain command
+      editor: appliesToEditor(entry.when) && entry.args === undefined
+    }];
+  });
+}
+
+/**
+ * Build an editor profile from a VS Code keybindings.json
+ * @param {string} source - The file's contents
+ * @param {string} [name='My VS Code'] - Name of the profile in the selector
+ * @returns {{profile: Object, applied: number}} The profile (EDITOR_PROFILES format) and how many
+ *          of the file's bindings changed a shortcut monkeycmd practices
+ * @throws {Error} If the file is malformed or changes none of those shortcuts
+ */
+export function createVSCodeProfile(source, name = 'My VS Code') {
+  const bindings = parseVSCodeKeybindings(source);
+
+  // Start from VS Code's own keys: entry name -> OS -> descriptors
+  const table = {};
+  Object.keys(KEYMAP).forEach(entryName => {
+    table[entryName] = {};
+    EDITOR_PROFILE_OSES.forEach(os => {
+      table[entryName][os] = getKeymapDescriptors(entryName, os, 'vscode');
+    });
+  });
+
+  const without = (descriptors, signature) => descriptors.filter(binding => bindingSignature(binding) !== signature);
+  let applied = 0;
+
+  bindings.forEach(({ key, command, remove, editor }) => {
+    const entryNames = VSCODE_COMMANDS[command];
+    if (!editor || (!key && !remove)) return;
+
+    const signature = key && bindingSignature(key);
+    let changed = false;
+
+    EDITOR_PROFILE_OSES.forEach(os => {
+      if (remove) {
+        if (!entryNames) return;
+        entryNames.forEach(entryName => {
+          const before = table[entryName][os];
+          table[entryName][os] = signature ? without(before, signature) : [];
+          changed = changed || table[entryName][os].length !== before.length;
+        });
+        return;
+      }
+
+      // The key now runs this command, and nothing else
+      Object.keys(table).forEach(entryName => {
+        const before = table[entryName][os];
+        table[entryName][os] = without(before, signature);
+        changed = changed || table[entryName][os].length !== before.length;
+      });
+      if (entryNames) {
+        // The player's own key is the one to teach
+        table[entryNames[0]][os] = [key, ...table[entryNames[0]][os]];
+        changed = true;
+      }
+    });
+
+    if (changed) applied++;
+  });
+
+  if (applied === 0) {
+    throw new Error('No bindings for the shortcuts monkeycmd practices');
+  }
+
+  return {
+    profile: {
+      name,
+      description: 'VS Code with your keybindings.json',
+      wordStrategy: 'editor',
+      bindings: table
+    },
+    applied
+  };
+}
+
+export default {
+  parseVSCodeKeybindings,
+  createVSCodeProfile
+};
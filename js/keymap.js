@@ -0,0 +1,870 @@
+/**
+ * monkeycmd Keymap
+ * Declarative key bindings: which key combination runs which editor operation on each OS
+ * The terminal editor dispatches keydown events from this table and the challenge COMMANDS
+ * read their key combinations from it, so a shortcut is defined exactly once
+ * Editor profiles (VS Code, a bash prompt...) override some of an OS's bindings
+ */
+
+// Keyboard profiles with a column in the keymap ('emacs' is a readline-style binding set, not an OS)
+export const KEYMAP_PROFILES = ['mac', 'windows', 'linux', 'emacs'];
+
+// Keymap entries, checked in order
+// `action` is a TerminalEditor method, called with `args`
+// Each OS lists its key descriptors; the first one is the canonical shortcut shown in challenges,
+// the rest are alternatives the editor also accepts. A missing OS entry means no shortcut there.
+// Descriptor: { key, code?, metaKey?, ctrlKey?, altKey?, shiftKey? } - `code` also matches when the
+// OS turns the key into another character (macOS Option + Y types '¥')
+// An array of descriptors is a chord: keys pressed one after another (Emacs Control + X Control + X)
+// Entries named after a COMMANDS key back that challenge command; the others are editor-only
+export const KEYMAP = {
+  // Characters
+  MOVE_CHAR_LEFT: {
+    action: 'moveByCharacter',
+    args: ['left'],
+    mac: [{ key: 'ArrowLeft' }],
+    windows: [{ key: 'ArrowLeft' }],
+    linux: [{ key: 'ArrowLeft' }],
+    emacs: [{ key: 'ArrowLeft' }]
+  },
+  MOVE_CHAR_RIGHT: {
+    action: 'moveByCharacter',
+    args: ['right'],
+    mac: [{ key: 'ArrowRight' }],
+    windows: [{ key: 'ArrowRight' }],
+    linux: [{ key: 'ArrowRight' }],
+    emacs: [{ key: 'ArrowRight' }]
+  },
+  CONTROL_BACKWARD: {
+    action: 'moveByCharacter',
+    args: ['left'],
+    mac: [{ ctrlKey: true, key: 'b' }],
+    linux: [{ ctrlKey: true, key: 'b' }],
+    emacs: [{ ctrlKey: true, key: 'b' }]
+  },
+  CONTROL_FORWARD: {
+    action: 'moveByCharacter',
+    args: ['right'],
+    mac: [{ ctrlKey: true, key: 'f' }],
+    linux: [{ ctrlKey: true, key: 'f' }],
+    emacs: [{ ctrlKey: true, key: 'f' }]
+  },
+  SELECT_CHAR_LEFT: {
+    action: 'selectByCharacter',
+    args: ['left'],
+    mac: [{ shiftKey: true, key: 'ArrowLeft' }],
+    windows: [{ shiftKey: true, key: 'ArrowLeft' }],
+    linux: [{ shiftKey: true, key: 'ArrowLeft' }]
+  },
+  SELECT_CHAR_RIGHT: {
+    action: 'selectByCharacter',
+    args: ['right'],
+    mac: [{ shiftKey: true, key: 'ArrowRight' }],
+    windows: [{ shiftKey: true, key: 'ArrowRight' }],
+    linux: [{ shiftKey: true, key: 'ArrowRight' }]
+  },
+  DELETE_CHAR_BACKWARD: {
+    action: 'deleteCharacter',
+    args: ['backward'],
+    mac: [{ key: 'Backspace' }],
+    windows: [{ key: 'Backspace' }],
+    linux: [{ key: 'Backspace' }],
+    emacs: [{ key: 'Backspace' }]
+  },
+  DELETE_CHAR_FORWARD: {
+    action: 'deleteCharacter',
+    args: ['forward'],
+    mac: [{ key: 'Delete' }],
+    windows: [{ key: 'Delete' }],
+    linux: [{ key: 'Delete' }],
+    emacs: [{ key: 'Delete' }]
+  },
+  CONTROL_DELETE_FORWARD: {
+    action: 'deleteCharacter',
+    args: ['forward'],
+    mac: [{ ctrlKey: true, key: 'd' }],
+    linux: [{ ctrlKey: true, key: 'd' }],
+    emacs: [{ ctrlKey: true, key: 'd' }]
+  },
+
+  // Words
+  MOVE_WORD_LEFT: {
+    action: 'moveByWord',
+    args: ['left'],
+    mac: [{ altKey: true, key: 'ArrowLeft' }],
+    windows: [{ ctrlKey: true, key: 'ArrowLeft' }],
+    linux: [{ ctrlKey: true, key: 'ArrowLeft' }]
+  },
+  MOVE_WORD_RIGHT: {
+    action: 'moveByWord',
+    args: ['right'],
+    mac: [{ altKey: true, key: 'ArrowRight' }],
+    windows: [{ ctrlKey: true, key: 'ArrowRight' }],
+    linux: [{ ctrlKey: true, key: 'ArrowRight' }]
+  },
+  ALT_WORD_BACKWARD: {
+    action: 'moveByWord',
+    args: ['left', 'readline'],
+    mac: [{ altKey: true, key: 'b', code: 'KeyB' }],
+    linux: [{ altKey: true, key: 'b', code: 'KeyB' }],
+    emacs: [{ altKey: true, key: 'b', code: 'KeyB' }]
+  },
+  ALT_WORD_FORWARD: {
+    action: 'moveByWord',
+    args: ['right', 'readline'],
+    mac: [{ altKey: true, key: 'f', code: 'KeyF' }],
+    linux: [{ altKey: true, key: 'f', code: 'KeyF' }],
+    emacs: [{ altKey: true, key: 'f', code: 'KeyF' }]
+  },
+  SELECT_WORD_LEFT: {
+    action: 'selectByWord',
+    args: ['left'],
+    mac: [{ altKey: true, shiftKey: true, key: 'ArrowLeft' }],
+    windows: [{ ctrlKey: true, shiftKey: true, key: 'ArrowLeft' }],
+    linux: [{ ctrlKey: true, shiftKey: true, key: 'ArrowLeft' }]
+  },
+  SELECT_WORD_RIGHT: {
+    action: 'selectByWord',
+    args: ['right'],
+    mac: [{ altKey: true, shiftKey: true, key: 'ArrowRight' }],
+    windows: [{ ctrlKey: true, shiftKey: true, key: 'ArrowRight' }],
+    linux: [{ ctrlKey: true, shiftKey: true, key: 'ArrowRight' }]
+  },
+  DELETE_WORD: {
+    action: 'deleteWord',
+    mac: [{ altKey: true, key: 'Backspace' }],
+    windows: [{ ctrlKey: true, key: 'Backspace' }],
+    linux: [{ altKey: true, key: 'Backspace' }, { ctrlKey: true, key: 'Backspace' }],
+    emacs: [{ altKey: true, key: 'Backspace' }]
+  },
+  DELETE_WORD_FORWARD: {
+    action: 'deleteWordForward',
+    mac: [{ altKey: true, key: 'Delete' }],
+    windows: [{ ctrlKey: true, key: 'Delete' }],
+    linux: [{ altKey: true, key: 'd' }, { ctrlKey: true, key: 'Delete' }],
+    emacs: [{ altKey: true, key: 'd', code: 'KeyD' }]
+  },
+  CONTROL_DELETE_WORD: {
+    action: 'deleteWord',
+    args: ['whitespace'],
+    mac: [{ ctrlKey: true, key: 'w' }],
+    windows: [{ ctrlKey: true, key: 'w' }],
+    linux: [{ ctrlKey: true, key: 'w' }]
+  },
+
+  // Lines
+  JUMP_LINE_START: {
+    action: 'moveToLineStart',
+    mac: [{ metaKey: true, key: 'ArrowLeft' }, { key: 'Home' }],
+    windows: [{ key: 'Home' }],
+    linux: [{ key: 'Home' }]
+  },
+  JUMP_LINE_END: {
+    action: 'moveToLineEnd',
+    mac: [{ metaKey: true, key: 'ArrowRight' }, { key: 'End' }],
+    windows: [{ key: 'End' }],
+    linux: [{ key: 'End' }]
+  },
+  CONTROL_LINE_START: {
+    action: 'moveToLineStart',
+    mac: [{ ctrlKey: true, key: 'a' }],
+    linux: [{ ctrlKey: true, key: 'a' }],
+    emacs: [{ ctrlKey: true, key: 'a' }, { key: 'Home' }]
+  },
+  CONTROL_LINE_END: {
+    action: 'moveToLineEnd',
+    mac: [{ ctrlKey: true, key: 'e' }],
+    linux: [{ ctrlKey: true, key: 'e' }],
+    emacs: [{ ctrlKey: true, key: 'e' }, { key: 'End' }]
+  },
+  SELECT_TO_LINE_START: {
+    action: 'selectToLineStart',
+    mac: [{ metaKey: true, shiftKey: true, key: 'ArrowLeft' }, { shiftKey: true, key: 'Home' }],
+    windows: [{ shiftKey: true, key: 'Home' }],
+    linux: [{ shiftKey: true, key: 'Home' }]
+  },
+  SELECT_TO_LINE_END: {
+    action: 'selectToLineEnd',
+    mac: [{ metaKey: true, shiftKey: true, key: 'ArrowRight' }, { shiftKey: true, key: 'End' }],
+    windows: [{ shiftKey: true, key: 'End' }],
+    linux: [{ shiftKey: true, key: 'End' }]
+  },
+  DELETE_TO_LINE_START: {
+    action: 'deleteToLineStart',
+    mac: [{ metaKey: true, key: 'Backspace' }],
+    windows: [{ ctrlKey: true, shiftKey: true, key: 'Backspace' }],
+    linux: [{ ctrlKey: true, key: 'u' }, { ctrlKey: true, shiftKey: true, key: 'Backspace' }]
+  },
+  DELETE_TO_LINE_END: {
+    action: 'deleteToLineEnd',
+    mac: [{ ctrlKey: true, key: 'k' }],
+    windows: [{ ctrlKey: true, shiftKey: true, key: 'Delete' }, { ctrlKey: true, key: 'k' }],
+    linux: [{ ctrlKey: true, key: 'k' }, { ctrlKey: true, shiftKey: true, key: 'Delete' }],
+    emacs: [{ ctrlKey: true, key: 'k' }]
+  },
+  CONTROL_DELETE_TO_START: {
+    action: 'deleteToLineStart',
+    mac: [{ ctrlKey: true, key: 'u' }],
+    windows: [{ ctrlKey: true, key: 'u' }],
+    linux: [{ ctrlKey: true, key: 'u' }],
+    emacs: [{ ctrlKey: true, key: 'u' }]
+  },
+  MOVE_LINE_UP: {
+    action: 'moveVertical',
+    args: ['up'],
+    mac: [{ key: 'ArrowUp' }],
+    windows: [{ key: 'ArrowUp' }],
+    linux: [{ key: 'ArrowUp' }]
+  },
+  MOVE_LINE_DOWN: {
+    action: 'moveVertical',
+    args: ['down'],
+    mac: [{ key: 'ArrowDown' }],
+    windows: [{ key: 'ArrowDown' }],
+    linux: [{ key: 'ArrowDown' }]
+  },
+  CONTROL_PREVIOUS_LINE: {
+    action: 'moveVertical',
+    args: ['up'],
+    mac: [{ ctrlKey: true, key: 'p' }],
+    linux: [{ ctrlKey: true, key: 'p' }],
+    emacs: [{ ctrlKey: true, key: 'p' }, { key: 'ArrowUp' }]
+  },
+  CONTROL_NEXT_LINE: {
+    action: 'moveVertical',
+    args: ['down'],
+    mac: [{ ctrlKey: true, key: 'n' }],
+    linux: [{ ctrlKey: true, key: 'n' }],
+    emacs: [{ ctrlKey: true, key: 'n' }, { key: 'ArrowDown' }]
+  },
+  SELECT_LINE_UP: {
+    action: 'selectVertical',
+    args: ['up'],
+    mac: [{ shiftKey: true, key: 'ArrowUp' }],
+    windows: [{ shiftKey: true, key: 'ArrowUp' }],
+    linux: [{ shiftKey: true, key: 'ArrowUp' }]
+  },
+  SELECT_LINE_DOWN: {
+    action: 'selectVertical',
+    args: ['down'],
+    mac: [{ shiftKey: true, key: 'ArrowDown' }],
+    windows: [{ shiftKey: true, key: 'ArrowDown' }],
+    linux: [{ shiftKey: true, key: 'ArrowDown' }]
+  },
+
+  // Whole text
+  JUMP_DOCUMENT_START: {
+    action: 'moveToDocumentBoundary',
+    args: ['start'],
+    mac: [{ metaKey: true, key: 'ArrowUp' }],
+    windows: [{ ctrlKey: true, key: 'Home' }],
+    linux: [{ ctrlKey: true, key: 'Home' }],
+    emacs: [{ altKey: true, key: '<', code: 'Comma' }]
+  },
+  JUMP_DOCUMENT_END: {
+    action: 'moveToDocumentBoundary',
+    args: ['end'],
+    mac: [{ metaKey: true, key: 'ArrowDown' }],
+    windows: [{ ctrlKey: true, key: 'End' }],
+    linux: [{ ctrlKey: true, key: 'End' }],
+    emacs: [{ altKey: true, key: '>', code: 'Period' }]
+  },
+  SELECT_TO_DOCUMENT_START: {
+    action: 'selectToDocumentBoundary',
+    args: ['start'],
+    mac: [{ metaKey: true, shiftKey: true, key: 'ArrowUp' }],
+    windows: [{ ctrlKey: true, shiftKey: true, key: 'Home' }],
+    linux: [{ ctrlKey: true, shiftKey: true, key: 'Home' }]
+  },
+  SELECT_TO_DOCUMENT_END: {
+    action: 'selectToDocumentBoundary',
+    args: ['end'],
+    mac: [{ metaKey: true, shiftKey: true, key: 'ArrowDown' }],
+    windows: [{ ctrlKey: true, shiftKey: true, key: 'End' }],
+    linux: [{ ctrlKey: true, shiftKey: true, key: 'End' }]
+  },
+  // Linux terminals use Control + A for line start (CONTROL_LINE_START), so there's no select-all there
+  SELECT_ALL: {
+    action: 'selectAll',
+    mac: [{ metaKey: true, key: 'a' }],
+    windows: [{ ctrlKey: true, key: 'a' }]
+  },
+
+  // Transpose and case (readline; on macOS Option types other characters, so `code` matches the key)
+  TRANSPOSE_CHARS: {
+    action: 'transposeCharacters',
+    mac: [{ ctrlKey: true, key: 't' }],
+    linux: [{ ctrlKey: true, key: 't' }],
+    emacs: [{ ctrlKey: true, key: 't' }]
+  },
+  TRANSPOSE_WORDS: {
+    action: 'transposeWords',
+    mac: [{ altKey: true, key: 't', code: 'KeyT' }],
+    linux: [{ altKey: true, key: 't', code: 'KeyT' }],
+    emacs: [{ altKey: true, key: 't', code: 'KeyT' }]
+  },
+  UPCASE_WORD: {
+    action: 'changeWordCase',
+    args: ['upper'],
+    mac: [{ altKey: true, key: 'u', code: 'KeyU' }],
+    linux: [{ altKey: true, key: 'u', code: 'KeyU' }],
+    emacs: [{ altKey: true, key: 'u', code: 'KeyU' }]
+  },
+  DOWNCASE_WORD: {
+    action: 'changeWordCase',
+    args: ['lower'],
+    mac: [{ altKey: true, key: 'l', code: 'KeyL' }],
+    linux: [{ altKey: true, key: 'l', code: 'KeyL' }],
+    emacs: [{ altKey: true, key: 'l', code: 'KeyL' }]
+  },
+  CAPITALIZE_WORD: {
+    action: 'changeWordCase',
+    args: ['capitalize'],
+    mac: [{ altKey: true, key: 'c', code: 'KeyC' }],
+    linux: [{ altKey: true, key: 'c', code: 'KeyC' }],
+    emacs: [{ altKey: true, key: 'c', code: 'KeyC' }]
+  },
+
+  // Clipboard
+  COPY: {
+    action: 'copy',
+    mac: [{ metaKey: true, key: 'c' }],
+    windows: [{ ctrlKey: true, key: 'c' }],
+    linux: [{ ctrlKey: true, key: 'c' }]
+  },
+  CUT: {
+    action: 'cut',
+    mac: [{ metaKey: true, key: 'x' }],
+    windows: [{ ctrlKey: true, key: 'x' }],
+    linux: [{ ctrlKey: true, key: 'x' }]
+  },
+  PASTE: {
+    action: 'paste',
+    mac: [{ metaKey: true, key: 'v' }],
+    windows: [{ ctrlKey: true, key: 'v' }],
+    linux: [{ ctrlKey: true, key: 'v' }]
+  },
+
+  // History and kill ring
+  UNDO: {
+    action: 'undo',
+    mac: [{ metaKey: true, key: 'z' }],
+    windows: [{ ctrlKey: true, key: 'z' }],
+    linux: [{ ctrlKey: true, key: 'z' }]
+  },
+  REDO: {
+    action: 'redo',
+    mac: [{ metaKey: true, shiftKey: true, key: 'z' }],
+    windows: [{ ctrlKey: true, key: 'y' }, { ctrlKey: true, shiftKey: true, key: 'z' }],
+    linux: [{ ctrlKey: true, shiftKey: true, key: 'z' }]
+  },
+  CONTROL_UNDO: {
+    action: 'undo',
+    mac: [{ ctrlKey: true, key: '_' }, { ctrlKey: true, key: '/' }],
+    linux: [{ ctrlKey: true, key: '_' }, { ctrlKey: true, key: '/' }],
+    emacs: [{ ctrlKey: true, key: '_' }, { ctrlKey: true, key: '/' }, [{ ctrlKey: true, key: 'x' }, { key: 'u' }]]
+  },
+  YANK: {
+    action: 'yank',
+    mac: [{ ctrlKey: true, key: 'y' }],
+    linux: [{ ctrlKey: true, key: 'y' }],
+    emacs: [{ ctrlKey: true, key: 'y' }]
+  },
+  YANK_POP: {
+    action: 'yankPop',
+    mac: [{ altKey: true, key: 'y', code: 'KeyY' }],
+    linux: [{ altKey: true, key: 'y', code: 'KeyY' }],
+    emacs: [{ altKey: true, key: 'y', code: 'KeyY' }]
+  },
+
+  // Mark and region (Emacs): the region runs from the mark to the cursor
+  SET_MARK: {
+    action: 'setMark',
+    emacs: [{ ctrlKey: true, key: ' ', code: 'Space' }]
+  },
+  EXCHANGE_POINT_AND_MARK: {
+    action: 'exchangePointAndMark',
+    emacs: [[{ ctrlKey: true, key: 'x' }, { ctrlKey: true, key: 'x' }]]
+  },
+  KILL_REGION: {
+    action: 'killRegion',
+    emacs: [{ ctrlKey: true, key: 'w' }]
+  },
+  COPY_REGION_AS_KILL: {
+    action: 'copyRegionAsKill',
+    emacs: [{ altKey: true, key: 'w', code: 'KeyW' }]
+  },
+  KEYBOARD_QUIT: {
+    action: 'deactivateMark',
+    emacs: [{ ctrlKey: true, key: 'g' }]
+  },
+  // Editors change the case of the selection instead (see the Sublime profile)
+  UPCASE_REGION: {
+    action: 'changeRegionCase',
+    args: ['upper'],
+    emacs: [[{ ctrlKey: true, key: 'x' }, { ctrlKey: true, key: 'u' }]]
+  },
+  DOWNCASE_REGION: {
+    action: 'changeRegionCase',
+    args: ['lower'],
+    emacs: [[{ ctrlKey: true, key: 'x' }, { ctrlKey: true, key: 'l' }]]
+  },
+
+  // Whole-text edits, only bound by editor profiles
+  TRIM_TRAILING_WHITESPACE: {
+    action: 'trimTrailingWhitespace'
+  }
+};
+
+// OSes editor profiles layer on ('vim' and 'emacs' are complete profiles of their own)
+export const EDITOR_PROFILE_OSES = ['mac', 'windows', 'linux'];
+
+// Readline keys, the same on every OS since the terminal passes them through
+// A prompt has no selection, system clipboard or undo shortcut of its own, and Up/Down walk the history
+const READLINE_BINDINGS = {
+  CONTROL_BACKWARD: [{ ctrlKey: true, key: 'b' }],
+  CONTROL_FORWARD: [{ ctrlKey: true, key: 'f' }],
+  SELECT_CHAR_LEFT: null,
+  SELECT_CHAR_RIGHT: null,
+  CONTROL_DELETE_FORWARD: [{ ctrlKey: true, key: 'd' }],
+  ALT_WORD_BACKWARD: [{ altKey: true, key: 'b', code: 'KeyB' }],
+  ALT_WORD_FORWARD: [{ altKey: true, key: 'f', code: 'KeyF' }],
+  SELECT_WORD_LEFT: null,
+  SELECT_WORD_RIGHT: null,
+  DELETE_WORD: [{ altKey: true, key: 'Backspace' }],
+  DELETE_WORD_FORWARD: [{ altKey: true, key: 'd', code: 'KeyD' }],
+  CONTROL_DELETE_WORD: [{ ctrlKey: true, key: 'w' }],
+  JUMP_LINE_START: [{ key: 'Home' }],
+  JUMP_LINE_END: [{ key: 'End' }],
+  CONTROL_LINE_START: [{ ctrlKey: true, key: 'a' }],
+  CONTROL_LINE_END: [{ ctrlKey: true, key: 'e' }],
+  SELECT_TO_LINE_START: null,
+  SELECT_TO_LINE_END: null,
+  DELETE_TO_LINE_START: null,
+  DELETE_TO_LINE_END: [{ ctrlKey: true, key: 'k' }],
+  CONTROL_DELETE_TO_START: [{ ctrlKey: true, key: 'u' }],
+  MOVE_LINE_UP: null,
+  MOVE_LINE_DOWN: null,
+  CONTROL_PREVIOUS_LINE: null,
+  CONTROL_NEXT_LINE: null,
+  SELECT_LINE_UP: null,
+  SELECT_LINE_DOWN: null,
+  JUMP_DOCUMENT_START: null,
+  JUMP_DOCUMENT_END: null,
+  SELECT_TO_DOCUMENT_START: null,
+  SELECT_TO_DOCUMENT_END: null,
+  SELECT_ALL: null,
+  TRANSPOSE_CHARS: [{ ctrlKey: true, key: 't' }],
+  TRANSPOSE_WORDS: [{ altKey: true, key: 't', code: 'KeyT' }],
+  UPCASE_WORD: [{ altKey: true, key: 'u', code: 'KeyU' }],
+  DOWNCASE_WORD: [{ altKey: true, key: 'l', code: 'KeyL' }],
+  CAPITALIZE_WORD: [{ altKey: true, key: 'c', code: 'KeyC' }],
+  COPY: null,
+  CUT: null,
+  PASTE: null,
+  UNDO: null,
+  REDO: null,
+  CONTROL_UNDO: [{ ctrlKey: true, key: '_' }, { ctrlKey: true, key: '/' }, [{ ctrlKey: true, key: 'x' }, { ctrlKey: true, key: 'u' }]],
+  YANK: [{ ctrlKey: true, key: 'y' }],
+  YANK_POP: [{ altKey: true, key: 'y', code: 'KeyY' }]
+};
+
+// Terminal-style keys code editors leave to other features on Windows and Linux (Control + B
+// toggles a sidebar, Control + W closes the tab...), and readline keys they don't have at all
+const EDITOR_UNBOUND_READLINE = {
+  CONTROL_BACKWARD: { windows: null, linux: null },
+  CONTROL_FORWARD: { windows: null, linux: null },
+  CONTROL_DELETE_FORWARD: { windows: null, linux: null },
+  ALT_WORD_BACKWARD: null,
+  ALT_WORD_FORWARD: null,
+  CONTROL_DELETE_WORD: null,
+  CONTROL_LINE_START: { windows: null, linux: null },
+  CONTROL_LINE_END: { windows: null, linux: null },
+  CONTROL_DELETE_TO_START: null,
+  CONTROL_PREVIOUS_LINE: { windows: null, linux: null },
+  CONTROL_NEXT_LINE: { windows: null, linux: null },
+  TRANSPOSE_WORDS: null,
+  UPCASE_WORD: null,
+  DOWNCASE_WORD: null,
+  CAPITALIZE_WORD: null,
+  CONTROL_UNDO: null,
+  YANK: null,
+  YANK_POP: null
+};
+
+// Editor profiles: the shortcuts of one editor or shell, layered on the OS columns of the keymap
+// `bindings` overrides keymap entries - a list of descriptors for every OS, an object with a list
+// per OS (OSes left out keep the keymap's), or null where the editor has no such shortcut
+// `wordStrategy` replaces the OS's word rules (words.js) for the regular word shortcuts
+export const EDITOR_PROFILES = {
+  default: {
+    name: 'OS default',
+    description: 'Text fields and terminals as the OS ships them',
+    bindings: {}
+  },
+  vscode: {
+    name: 'VS Code',
+    description: 'Visual Studio Code default keybindings',
+    wordStrategy: 'editor',
+    bindings: {
+      ...EDITOR_UNBOUND_READLINE,
+      DELETE_WORD: { linux: [{ ctrlKey: true, key: 'Backspace' }] },
+      DELETE_WORD_FORWARD: { linux: [{ ctrlKey: true, key: 'Delete' }] },
+      // Control + K starts chords in VS Code; deleting to either end of the line is only bound on macOS
+      DELETE_TO_LINE_START: { windows: null, linux: null },
+      DELETE_TO_LINE_END: { windows: null, linux: null },
+      TRANSPOSE_CHARS: { linux: null },
+      SELECT_ALL: { linux: [{ ctrlKey: true, key: 'a' }] },
+      TRIM_TRAILING_WHITESPACE: {
+        mac: [[{ metaKey: true, key: 'k' }, { metaKey: true, key: 'x' }]],
+        windows: [[{ ctrlKey: true, key: 'k' }, { ctrlKey: true, key: 'x' }]],
+        linux: [[{ ctrlKey: true, key: 'k' }, { ctrlKey: true, key: 'x' }]]
+      }
+    }
+  },
+  jetbrains: {
+    name: 'JetBrains',
+    description: 'IntelliJ IDEA, PyCharm, WebStorm... default keymap',
+    wordStrategy: 'windows',
+    bindings: {
+      ...EDITOR_UNBOUND_READLINE,
+      CONTROL_BACKWARD: null,
+      CONTROL_FORWARD: null,
+      CONTROL_DELETE_FORWARD: null,
+      CONTROL_LINE_START: null,
+      CONTROL_LINE_END: null,
+      CONTROL_PREVIOUS_LINE: null,
+      CONTROL_NEXT_LINE: null,
+      DELETE_WORD: { linux: [{ ctrlKey: true, key: 'Backspace' }] },
+      DELETE_WORD_FORWARD: { linux: [{ ctrlKey: true, key: 'Delete' }] },
+      // Command + Backspace deletes the whole line, Command + Up opens the navigation bar
+      DELETE_TO_LINE_START: null,
+      DELETE_TO_LINE_END: null,
+      JUMP_DOCUMENT_START: { mac: [{ metaKey: true, key: 'Home' }] },
+      JUMP_DOCUMENT_END: { mac: [{ metaKey: true, key: 'End' }] },
+      SELECT_TO_DOCUMENT_START: { mac: [{ metaKey: true, shiftKey: true, key: 'Home' }] },
+      SELECT_TO_DOCUMENT_END: { mac: [{ metaKey: true, shiftKey: true, key: 'End' }] },
+      TRANSPOSE_CHARS: null,
+      SELECT_ALL: { linux: [{ ctrlKey: true, key: 'a' }] },
+      // Control + Y deletes the line
+      REDO: { windows: [{ ctrlKey: true, shiftKey: true, key: 'z' }] }
+    }
+  },
+  sublime: {
+    name: 'Sublime Text',
+    description: 'Sublime Text default keybindings',
+    wordStrategy: 'editor',
+    bindings: {
+      ...EDITOR_UNBOUND_READLINE,
+      DELETE_WORD: { linux: [{ ctrlKey: true, key: 'Backspace' }] },
+      DELETE_WORD_FORWARD: { linux: [{ ctrlKey: true, key: 'Delete' }] },
+      // Windows and Linux also have the Control + K chords
+      DELETE_TO_LINE_START: {
+        windows: [{ ctrlKey: true, shiftKey: true, key: 'Backspace' }, [{ ctrlKey: true, key: 'k' }, { ctrlKey: true, key: 'Backspace' }]],
+        linux: [{ ctrlKey: true, shiftKey: true, key: 'Backspace' }, [{ ctrlKey: true, key: 'k' }, { ctrlKey: true, key: 'Backspace' }]]
+      },
+      DELETE_TO_LINE_END: {
+        windows: [{ ctrlKey: true, shiftKey: true, key: 'Delete' }, [{ ctrlKey: true, key: 'k' }, { ctrlKey: true, key: 'k' }]],
+        linux: [{ ctrlKey: true, shiftKey: true, key: 'Delete' }, [{ ctrlKey: true, key: 'k' }, { ctrlKey: true, key: 'k' }]]
+      },
+      TRANSPOSE_CHARS: { windows: [{ ctrlKey: true, key: 't' }] },
+      SELECT_ALL: { linux: [{ ctrlKey: true, key: 'a' }] },
+      REDO: { linux: [{ ctrlKey: true, key: 'y' }, { ctrlKey: true, shiftKey: true, key: 'z' }] },
+      UPCASE_REGION: {
+        mac: [[{ metaKey: true, key: 'k' }, { metaKey: true, key: 'u' }]],
+        windows: [[{ ctrlKey: true, key: 'k' }, { ctrlKey: true, key: 'u' }]],
+        linux: [[{ ctrlKey: true, key: 'k' }, { ctrlKey: true, key: 'u' }]]
+      },
+      DOWNCASE_REGION: {
+        mac: [[{ metaKey: true, key: 'k' }, { metaKey: true, key: 'l' }]],
+        windows: [[{ ctrlKey: true, key: 'k' }, { ctrlKey: true, key: 'l' }]],
+        linux: [[{ ctrlKey: true, key: 'k' }, { ctrlKey: true, key: 'l' }]]
+      }
+    }
+  },
+  readline: {
+    name: 'bash readline',
+    description: 'A bash prompt (emacs editing mode)',
+    wordStrategy: 'readline',
+    bindings: READLINE_BINDINGS
+  },
+  zsh: {
+    name: 'zsh emacs mode',
+    description: 'A zsh prompt (bindkey -e): words include the WORDCHARS punctuation',
+    wordStrategy: 'zsh',
+    bindings: {
+      ...READLINE_BINDINGS,
+      // Word motions and kills all follow WORDCHARS; Control + U kills the whole line in zsh, which
+      // monkeycmd has no command for, so the start-of-line kill is unbound rather than drilled wrong
+      MOVE_WORD_LEFT: [{ altKey: true, key: 'b', code: 'KeyB' }],
+      MOVE_WORD_RIGHT: [{ altKey: true, key: 'f', code: 'KeyF' }],
+      ALT_WORD_BACKWARD: null,
+      ALT_WORD_FORWARD: null,
+      DELETE_WORD: [{ ctrlKey: true, key: 'w' }, { altKey: true, key: 'Backspace' }],
+      CONTROL_DELETE_WORD: null,
+      CONTROL_DELETE_TO_START: null
+    }
+  }
+};
+
+// Key of the profile built from the player's own keybindings (keybindings.js)
+export const CUSTOM_EDITOR_PROFILE = 'custom';
+
+/**
+ * Add, replace or remove the player's own editor profile
+ * @param {Object|null} profile - Profile in the EDITOR_PROFILES format, or null to remove it
+ */
+export function setCustomEditorProfile(profile) {
+  if (profile) {
+    EDITOR_PROFILES[CUSTOM_EDITOR_PROFILE] = profile;
+  } else {
+    delete EDITOR_PROFILES[CUSTOM_EDITOR_PROFILE];
+  }
+}
+
+// Modifier flags in the order they're written in key labels
+const MODIFIERS = ['metaKey', 'ctrlKey', 'altKey', 'shiftKey'];
+
+// Key label per modifier and OS
+const MODIFIER_LABELS = {
+  mac: { metaKey: 'Command', ctrlKey: 'Control', altKey: 'Option', shiftKey: 'Shift' },
+  windows: { metaKey: 'Win', ctrlKey: 'Ctrl', altKey: 'Alt', shiftKey: 'Shift' },
+  linux: { metaKey: 'Super', ctrlKey: 'Ctrl', altKey: 'Alt', shiftKey: 'Shift' }
+};
+
+// Key labels for named keys (macOS calls Backspace 'Delete' and forward delete 'Fn + Delete')
+const KEY_LABELS = {
+  ArrowLeft: 'Left',
+  ArrowRight: 'Right',
+  ArrowUp: 'Up',
+  ArrowDown: 'Down',
+  Escape: 'Esc',
+  ' ': 'Space'
+};
+const MAC_KEY_LABELS = {
+  Backspace: 'Delete',
+  Delete: 'Delete'
+};
+
+/**
+ * Check whether a key is a typed symbol or digit, where Shift is part of the character ('_', '$')
+ * @param {string} key - KeyboardEvent key value
+ * @returns {boolean} True for single non-letter characters
+ */
+function isSymbolKey(key) {
+  return key.length === 1 && key.toLowerCase() === key.toUpperCase();
+}
+
+/**
+ * Normalize a key value for comparison (letters are matched case-insensitively)
+ * @param {string} key - KeyboardEvent key value
+ * @returns {string} Normalized key
+ */
+function normalizeKey(key) {
+  return key.length === 1 ? key.toLowerCase() : key;
+}
+
+/**
+ * Check whether a keyboard event matches a key descriptor
+ * Modifiers must match exactly, except Shift on symbol keys
+ * @param {KeyboardEvent|Object} event - Keydown event (or anything with key/code/modifier fields)
+ * @param {Object} descriptor - Key descriptor
+ * @returns {boolean} True if the event is that key combination
+ */
+export function matchesKeyDescriptor(event, descriptor) {
+  const keyMatches = normalizeKey(event.key) === normalizeKey(descriptor.key) ||
+    Boolean(descriptor.code && event.code === descriptor.code);
+  if (!keyMatches) return false;
+
+  return MODIFIERS.every(modifier => {
+    if (modifier === 'shiftKey' && isSymbolKey(descriptor.key)) return true;
+    return Boolean(event[modifier]) === Boolean(descriptor[modifier]);
+  });
+}
+
+/**
+ * Check whether an editor profile can be layered on an OS
+ * @param {string} profile - Key in EDITOR_PROFILES
+ * @param {'mac' | 'windows' | 'linux' | 'vim' | 'emacs'} os - The OS or profile
+ * @returns {boolean} True if the editor profile's bindings apply there
+ */
+export function isEditorProfileAvailable(profile, os) {
+  return Boolean(EDITOR_PROFILES[profile]) && EDITOR_PROFILE_OSES.includes(os);
+}
+
+/**
+ * Get the key descriptors bound to a keymap entry on an OS, with an editor profile layered on top
+ * @param {string} name - Keymap entry name
+ * @param {'mac' | 'windows' | 'linux' | 'emacs'} os - The OS or profile
+ * @param {string} [profile='default'] - Key in EDITOR_PROFILES (ignored where it doesn't apply)
+ * @returns {Array<Object|Object[]>} Descriptors and chords, canonical first (empty if unbound)
+ */
+export function getKeymapDescriptors(name, os, profile = 'default') {
+  const entry = KEYMAP[name];
+  if (!entry) return [];
+
+  const overrides = isEditorProfileAvailable(profile, os) ? EDITOR_PROFILES[profile].bindings : {};
+  if (name in overrides) {
+    const override = overrides[name];
+    if (override === null) return [];
+    if (Array.isArray(override)) return override;
+    if (os in override) return override[os] || [];
+  }
+
+  return entry[os] || [];
+}
+
+/**
+ * Find the keymap entry a keyboard event triggers on an OS
+ * Only single-key bindings are considered; see matchKeymapChord for chords
+ * @param {KeyboardEvent|Object} event - Keydown event
+ * @param {'mac' | 'windows' | 'linux' | 'emacs'} os - The OS or profile whose bindings apply
+ * @param {string} [profile='default'] - Editor profile layered on the OS
+ * @returns {string|null} Keymap entry name, or null if the event isn't bound
+ */
+export function findKeymapEntry(event, os, profile = 'default') {
+  for (const name of Object.keys(KEYMAP)) {
+    const descriptors = getKeymapDescriptors(name, os, profile);
+    if (descriptors.some(descriptor => !Array.isArray(descriptor) && matchesKeyDescriptor(event, descriptor))) {
+      return name;
+    }
+  }
+  return null;
+}
+
+/**
+ * Match the keys pressed so far against the chord bindings on an OS
+ * @param {Array<KeyboardEvent|Object>} events - Keydown events in the order they were pressed
+ * @param {'mac' | 'windows' | 'linux' | 'emacs'} os - The OS or profile whose bindings apply
+ * @param {string} [profile='default'] - Editor profile layered on the OS
+ * @returns {{name: string|null, pending: boolean}} The entry the keys complete, or pending if they
+ * are the start of a longer chord
+ */
+export function matchKeymapChord(events, os, profile = 'default') {
+  let pending = false;
+
+  for (const name of Object.keys(KEYMAP)) {
+    const chords = getKeymapDescriptors(name, os, profile).filter(Array.isArray);
+    for (const chord of chords) {
+      if (events.length > chord.length) continue;
+      if (!events.every((event, i) => matchesKeyDescriptor(event, chord[i]))) continue;
+
+      if (events.length === chord.length) {
+        return { name, pending: false };
+      }
+      pending = true;
+    }
+  }
+
+  return { name: null, pending };
+}
+
+/**
+ * Format a key descriptor as the key labels shown to the player
+ * @param {Object} descriptor - Key descriptor
+ * @param {'mac' | 'windows' | 'linux' | 'emacs'} os - The OS to label for
+ * @returns {string[]} Key labels, e.g. ['Option', 'Shift', 'Left']
+ */
+export function formatKeyDescriptor(descriptor, os) {
+  const modifierLabels = MODIFIER_LABELS[os] || MODIFIER_LABELS.linux;
+  const { key } = descriptor;
+  const labels = [];
+
+  if (os === 'mac' && key === 'Delete') {
+    labels.push('Fn');
+  }
+  MODIFIERS.forEach(modifier => {
+    if (!descriptor[modifier]) return;
+    if (modifier === 'shiftKey' && isSymbolKey(key)) return;
+    labels.push(modifierLabels[modifier]);
+  });
+
+  if (os === 'mac' && MAC_KEY_LABELS[key]) {
+    labels.push(MAC_KEY_LABELS[key]);
+  } else {
+    labels.push(KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key));
+  }
+
+  return labels;
+}
+
+/**
+ * Get a keymap entry's canonical shortcut for each OS, in the COMMANDS format
+ * A chord comes back flagged `chord`, with one label and one descriptor per key press
+ * @param {string} name - Keymap entry name
+ * @param {string} [profile='default'] - Editor profile layered on the OSes
+ * @returns {{mac: Object|null, windows: Object|null, linux: Object|null, emacs: Object|null}} `{ keys, keyCode, chord? }` per OS
+ */
+export function getKeymapBindings(name, profile = 'default') {
+  const bindings = {};
+
+  KEYMAP_PROFILES.forEach(os => {
+    const descriptor = getKeymapDescriptors(name, os, profile)[0];
+    if (!descriptor) {
+      bindings[os] = null;
+    } else if (Array.isArray(descriptor)) {
+      bindings[os] = {
+        keys: descriptor.map(step => formatKeyDescriptor(step, os).join(' + ')),
+        keyCode: descriptor,
+        chord: true
+      };
+    } else {
+      bindings[os] = { keys: formatKeyDescriptor(descriptor, os), keyCode: descriptor };
+    }
+  });
+
+  return bindings;
+}
+
+/**
+ * Label a binding from getKeymapBindings: 'Ctrl + W', or 'Ctrl + X Ctrl + U' for a chord
+ * @param {{keys: string[], chord?: boolean}} binding - One OS's binding
+ * @returns {string} The label
+ */
+export function formatKeyBinding({ keys, chord = false }) {
+  return keys.join(chord ? ' ' : ' + ');
+}
+
+/**
+ * Get the per-OS shortcuts for a sequence of keymap entries, in the COMMANDS sequence format
+ * An OS gets no binding if any step is unbound there
+ * @param {string[]} names - Keymap entry names, one per step
+ * @param {Array<string|null>} [labels] - Optional label per step, replacing the derived one (e.g. 'Up/Down')
+ * @param {string} [profile='default'] - Editor profile layered on the OSes
+ * @returns {{mac: Object|null, windows: Object|null, linux: Object|null, emacs: Object|null}} `{ keys, keyCode }` per OS
+ */
+export function getKeymapSequenceBindings(names, labels = [], profile = 'default') {
+  const steps = names.map(name => getKeymapBindings(name, profile));
+  const bindings = {};
+
+  KEYMAP_PROFILES.forEach(os => {
+    if (steps.some(step => !step[os])) {
+      bindings[os] = null;
+      return;
+    }
+    bindings[os] = {
+      keys: steps.map((step, i) => labels[i] || formatKeyBinding(step[os])),
+      keyCode: steps.map(step => step[os].keyCode)
+    };
+  });
+
+  return bindings;
+}
+
+export default {
+  KEYMAP_PROFILES,
+  KEYMAP,
+  EDITOR_PROFILE_OSES,
+  EDITOR_PROFILES,
+  CUSTOM_EDITOR_PROFILE,
+  setCustomEditorProfile,
+  isEditorProfileAvailable,
+  getKeymapDescriptors,
+  matchesKeyDescriptor,
+  findKeymapEntry,
+  matchKeymapChord,
+  formatKeyDescriptor,
+  getKeymapBindings,
+  formatKeyBinding,
+  getKeymapSequenceBindings
+};
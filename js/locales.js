@@ -0,0 +1,76 @@
+/**
+ * monkeycmd Locales
+ * Challenge instructions and command names in the player's language. A locale holds instruction
+ * templates keyed by command type, with {placeholders} the generators fill in:
+ *
+ * {
+ *   name: 'Deutsch',                            // shown in the language setting
+ *   commands: {                                 // name and description per command type
+ *     DELETE_WORD: { name: 'Wort löschen', description: 'Das vorherige Wort löschen' }
+ *   },
+ *   instructions: {                             // instruction per command type
+ *     DELETE_WORD: "Lösche das Wort '{word}'",
+ *     'DELETE_WORD.unnamed': 'Lösche das vorherige Wort'   // variants follow a dot
+ *   }
+ * }
+ *
+ * English is the source: its instructions are in locales/en.js, its command names in COMMANDS.
+ * Anything a locale leaves out falls back to English.
+ */
+
+import en from './locales/en.js';
+import es from './locales/es.js';
+import de from './locales/de.js';
+
+export const LOCALES = { en, es, de };
+
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Fill a template's {placeholders}
+ * @param {string} template - e.g. "Delete the word '{word}'"
+ * @param {Object} [params] - Values by placeholder name
+ * @returns {string} The text (placeholders without a value are left as they are)
+ */
+export function formatTemplate(template, params = {}) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] === undefined ? placeholder : String(params[name])
+  );
+}
+
+/**
+ * Get an instruction in a locale
+ * @param {string} locale - Key in LOCALES
+ * @param {string} key - Command type, or command type and variant (e.g. 'DELETE_WORD.unnamed')
+ * @param {Object} [params] - Values for the template's placeholders
+ * @returns {string} The instruction
+ */
+export function formatInstruction(locale, key, params = {}) {
+  const instructions = (LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).instructions;
+  const template = instructions[key] ?? LOCALES[DEFAULT_LOCALE].instructions[key] ?? key;
+  return formatTemplate(template, params);
+}
+
+/**
+ * Get a command's name and description in a locale
+ * @param {string} locale - Key in LOCALES
+ * @param {string} commandType - The command type
+ * @param {{name: string, description: string}} command - The command, with its English text
+ * @returns {{name: string, description: string}} Name and description
+ */
+export function translateCommand(locale, commandType, command) {
+  const commands = (LOCALES[locale] && LOCALES[locale].commands) || {};
+  const translated = commands[commandType] || {};
+  return {
+    name: translated.name || command.name,
+    description: translated.description || command.description
+  };
+}
+
+export default {
+  LOCALES,
+  DEFAULT_LOCALE,
+  formatTemplate,
+  formatInstruction,
+  translateCommand
+};
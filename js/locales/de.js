@@ -0,0 +1,179 @@
+/**
+ * monkeycmd Deutsch
+ * German command names and challenge instructions
+ */
+
+export default {
+  name: 'Deutsch',
+  commands: {
+    DELETE_WORD: { name: 'Wort löschen', description: 'Das vorherige Wort löschen' },
+    DELETE_WORD_FORWARD: { name: 'Wort vorwärts löschen', description: 'Das nächste Wort löschen' },
+    MOVE_WORD_LEFT: { name: 'Wort nach links', description: 'Den Cursor ein Wort nach links bewegen' },
+    MOVE_WORD_RIGHT: { name: 'Wort nach rechts', description: 'Den Cursor ein Wort nach rechts bewegen' },
+    JUMP_LINE_START: { name: 'Zum Zeilenanfang', description: 'Den Cursor an den Zeilenanfang setzen' },
+    JUMP_LINE_END: { name: 'Zum Zeilenende', description: 'Den Cursor an das Zeilenende setzen' },
+    DELETE_TO_LINE_START: { name: 'Bis zum Zeilenanfang löschen', description: 'Alles vom Cursor bis zum Zeilenanfang löschen' },
+    DELETE_TO_LINE_END: { name: 'Bis zum Zeilenende löschen', description: 'Alles vom Cursor bis zum Zeilenende löschen' },
+    CONTROL_DELETE_TO_START: { name: 'Zeilenanfang killen', description: 'Vom Cursor bis zum Zeilenanfang löschen (Terminal-Stil)' },
+    SELECT_WORD_LEFT: { name: 'Wort links auswählen', description: 'Das Wort links auswählen' },
+    SELECT_WORD_RIGHT: { name: 'Wort rechts auswählen', description: 'Das Wort rechts auswählen' },
+    SELECT_TO_LINE_START: { name: 'Bis zum Zeilenanfang auswählen', description: 'Vom Cursor bis zum Zeilenanfang auswählen' },
+    SELECT_TO_LINE_END: { name: 'Bis zum Zeilenende auswählen', description: 'Vom Cursor bis zum Zeilenende auswählen' },
+    SELECT_ALL: { name: 'Alles auswählen', description: 'Den gesamten Text auswählen' },
+    SELECT_CHAR_LEFT: { name: 'Zeichen links auswählen', description: 'Die Auswahl um ein Zeichen nach links erweitern' },
+    SELECT_CHAR_RIGHT: { name: 'Zeichen rechts auswählen', description: 'Die Auswahl um ein Zeichen nach rechts erweitern' },
+    CONTROL_LINE_START: { name: 'Control Zeilenanfang', description: 'Den Cursor an den Zeilenanfang setzen' },
+    CONTROL_LINE_END: { name: 'Control Zeilenende', description: 'Den Cursor an das Zeilenende setzen' },
+    CONTROL_FORWARD: { name: 'Vorwärts', description: 'Den Cursor ein Zeichen vorwärts bewegen' },
+    CONTROL_BACKWARD: { name: 'Rückwärts', description: 'Den Cursor ein Zeichen rückwärts bewegen' },
+    ALT_WORD_BACKWARD: { name: 'Alt Wort rückwärts', description: 'Zurück zum Wortanfang (Terminal-Stil, nur Buchstaben und Ziffern)' },
+    ALT_WORD_FORWARD: { name: 'Alt Wort vorwärts', description: 'Vorwärts zum Wortende (Terminal-Stil, nur Buchstaben und Ziffern)' },
+    CONTROL_DELETE_FORWARD: { name: 'Control Zeichen löschen', description: 'Das Zeichen unter dem Cursor löschen (Terminal-Stil)' },
+    CONTROL_DELETE_WORD: { name: 'Control Wort löschen', description: 'Bis zum vorherigen Leerzeichen löschen (Terminal-Stil)' },
+    UNDO: { name: 'Rückgängig', description: 'Die letzte Änderung rückgängig machen' },
+    REDO: { name: 'Wiederholen', description: 'Die zuletzt rückgängig gemachte Änderung wiederholen' },
+    CONTROL_UNDO: { name: 'Control Rückgängig', description: 'Die letzte Änderung rückgängig machen (Terminal-Stil)' },
+    MOVE_LINE_UP: { name: 'Zeile nach oben', description: 'Den Cursor in die Zeile darüber bewegen' },
+    MOVE_LINE_DOWN: { name: 'Zeile nach unten', description: 'Den Cursor in die Zeile darunter bewegen' },
+    CONTROL_PREVIOUS_LINE: { name: 'Control vorherige Zeile', description: 'Den Cursor in die Zeile darüber bewegen (Terminal-Stil)' },
+    CONTROL_NEXT_LINE: { name: 'Control nächste Zeile', description: 'Den Cursor in die Zeile darunter bewegen (Terminal-Stil)' },
+    JUMP_DOCUMENT_START: { name: 'Zum Textanfang', description: 'Den Cursor an den Anfang des Textes setzen' },
+    JUMP_DOCUMENT_END: { name: 'Zum Textende', description: 'Den Cursor an das Ende des Textes setzen' },
+    GO_TO_LINE_START: { name: 'Zum Anfang einer Zeile', description: 'In eine andere Zeile wechseln und an ihren Anfang springen' },
+    GO_TO_LINE_END: { name: 'Zum Ende einer Zeile', description: 'In eine andere Zeile wechseln und an ihr Ende springen' },
+    YANK: { name: 'Yank', description: 'Den zuletzt gekillten Text einfügen (Terminal-Stil)' },
+    YANK_POP: { name: 'Yank Pop', description: 'Den eingefügten Text durch den vorherigen Kill ersetzen (Terminal-Stil)' },
+    MOVE_ARGUMENT_TO_END: { name: 'Argument ans Ende verschieben', description: 'Ein Argument killen, ans Zeilenende springen und es dort wieder einfügen' },
+    TRANSPOSE_CHARS: { name: 'Zeichen vertauschen', description: 'Das Zeichen vor dem Cursor mit dem unter dem Cursor vertauschen (Terminal-Stil)' },
+    TRANSPOSE_WORDS: { name: 'Wörter vertauschen', description: 'Das Wort vor dem Cursor mit dem nächsten Wort vertauschen (Terminal-Stil)' },
+    UPCASE_WORD: { name: 'Wort in Großbuchstaben', description: 'Vom Cursor bis zum Wortende in Großbuchstaben umwandeln (Terminal-Stil)' },
+    DOWNCASE_WORD: { name: 'Wort in Kleinbuchstaben', description: 'Vom Cursor bis zum Wortende in Kleinbuchstaben umwandeln (Terminal-Stil)' },
+    CAPITALIZE_WORD: { name: 'Wort großschreiben', description: 'Das Wort ab dem Cursor großschreiben (Terminal-Stil)' },
+    COPY: { name: 'Kopieren', description: 'Die Auswahl in die Zwischenablage kopieren' },
+    CUT: { name: 'Ausschneiden', description: 'Die Auswahl in die Zwischenablage ausschneiden' },
+    PASTE: { name: 'Einfügen', description: 'Die Zwischenablage am Cursor einfügen' },
+    MOVE_WORD_WITH_CLIPBOARD: { name: 'Wort per Zwischenablage verschieben', description: 'Ein Wort auswählen, ausschneiden, ans andere Zeilenende springen und einfügen' },
+    SET_MARK: { name: 'Marke setzen', description: 'Die Marke am Cursor setzen und damit eine Region beginnen (Emacs)' },
+    EXCHANGE_POINT_AND_MARK: { name: 'Punkt und Marke tauschen', description: 'Zur Marke springen; die Marke bleibt, wo der Cursor war (Emacs)' },
+    KILL_REGION: { name: 'Region killen', description: 'Den Text zwischen Marke und Cursor killen (Emacs)' },
+    DUPLICATE_REGION: { name: 'Region duplizieren', description: 'Die Region in den Kill-Ring kopieren und direkt dahinter einfügen (Emacs)' },
+    MOVE_REGION_TO_END: { name: 'Region ans Ende verschieben', description: 'Die Region killen, ans Zeilenende springen und sie dort einfügen (Emacs)' },
+    UPCASE_REGION: { name: 'Region in Großbuchstaben', description: 'Die Region (Emacs) oder die Auswahl (Sublime Text) in Großbuchstaben umwandeln' },
+    DOWNCASE_REGION: { name: 'Region in Kleinbuchstaben', description: 'Die Region (Emacs) oder die Auswahl (Sublime Text) in Kleinbuchstaben umwandeln' },
+    TRIM_TRAILING_WHITESPACE: { name: 'Leerzeichen am Zeilenende entfernen', description: 'Die Leerzeichen am Ende jeder Zeile entfernen (VS Code)' },
+    MULTI_STEP_EDIT: { name: 'Bearbeitung in mehreren Schritten', description: 'Tastenkürzel verketten, um das Ziel mit möglichst wenigen Tastendrücken zu erreichen' },
+    NAVIGATE_TO_TARGET: { name: 'Zum Ziel', description: 'Den Cursor auf beliebigem Weg auf das hervorgehobene Zeichen setzen' },
+    VIM_WORD_FORWARD: { name: 'Vim Wort vorwärts', description: 'Zum Anfang des nächsten Wortes (Normalmodus)' },
+    VIM_WORD_BACKWARD: { name: 'Vim Wort rückwärts', description: 'Zum Anfang des vorherigen Wortes (Normalmodus)' },
+    VIM_WORD_END: { name: 'Vim Wortende', description: 'Zum Ende des Wortes (Normalmodus)' },
+    VIM_BIG_WORD_FORWARD: { name: 'Vim WORD vorwärts', description: 'Zum Anfang des nächsten durch Leerraum getrennten WORDs (Normalmodus)' },
+    VIM_BIG_WORD_BACKWARD: { name: 'Vim WORD rückwärts', description: 'Zum Anfang des vorherigen durch Leerraum getrennten WORDs (Normalmodus)' },
+    VIM_BIG_WORD_END: { name: 'Vim WORD-Ende', description: 'Zum Ende des durch Leerraum getrennten WORDs (Normalmodus)' },
+    VIM_LINE_START: { name: 'Vim Zeilenanfang', description: 'Zur ersten Spalte der Zeile (Normalmodus)' },
+    VIM_FIRST_NON_BLANK: { name: 'Vim erstes Nicht-Leerzeichen', description: 'Zum ersten Zeichen der Zeile, das kein Leerraum ist (Normalmodus)' },
+    VIM_LINE_END: { name: 'Vim Zeilenende', description: 'Zum letzten Zeichen der Zeile (Normalmodus)' },
+    VIM_VISUAL_WORD_END: { name: 'Vim Visual bis Wortende', description: 'Den visuellen Modus starten und die Auswahl bis zum Wortende erweitern' },
+    VIM_VISUAL_LINE_END: { name: 'Vim Visual bis Zeilenende', description: 'Den visuellen Modus starten und die Auswahl bis zum Zeilenende erweitern' },
+    VIM_DELETE_CHAR: { name: 'Vim Zeichen löschen', description: 'Das Zeichen unter dem Cursor löschen (Normalmodus)' },
+    VIM_DELETE_WORD: { name: 'Vim Wort löschen', description: 'Vom Cursor bis zum Anfang des nächsten Wortes löschen' },
+    VIM_DELETE_WORD_BACKWARD: { name: 'Vim Wort rückwärts löschen', description: 'Vom Anfang des vorherigen Wortes bis zum Cursor löschen' },
+    VIM_DELETE_TO_LINE_END: { name: 'Vim bis zum Zeilenende löschen', description: 'Vom Cursor bis zum Zeilenende löschen' },
+    VIM_DELETE_LINE: { name: 'Vim Zeile löschen', description: 'Die ganze Zeile löschen' },
+    VIM_CHANGE_WORD: { name: 'Vim Wort ändern', description: 'Ein Wort ersetzen: ändern, das neue Wort tippen und zurück in den Normalmodus' },
+    VIM_YANK_WORD_PUT: { name: 'Vim Wort duplizieren', description: 'Ein Wort yanken und vor dem Cursor wieder einfügen' },
+    VIM_PUT: { name: 'Vim Put', description: 'Den Registerinhalt hinter dem Cursor einfügen (Normalmodus)' }
+  },
+  instructions: {
+    DELETE_WORD: "Lösche das Wort '{word}'",
+    'DELETE_WORD.unnamed': 'Lösche das vorherige Wort',
+    DELETE_WORD_FORWARD: "Lösche das Wort '{word}' vorwärts",
+    'DELETE_WORD_FORWARD.unnamed': 'Lösche das nächste Wort',
+    MOVE_WORD_LEFT: "Setze den Cursor an den Anfang von '{word}'",
+    'MOVE_WORD_LEFT.unnamed': 'Bewege den Cursor ein Wort nach links',
+    MOVE_WORD_RIGHT: "Bewege den Cursor hinter '{word}'",
+    'MOVE_WORD_RIGHT.unnamed': 'Bewege den Cursor ein Wort nach rechts',
+    JUMP_LINE_START: 'Setze den Cursor an den Zeilenanfang',
+    JUMP_LINE_END: 'Setze den Cursor an das Zeilenende',
+    DELETE_TO_LINE_START: 'Lösche alles vor dem Cursor',
+    DELETE_TO_LINE_END: 'Lösche alles nach dem Cursor',
+    CONTROL_DELETE_TO_START: 'Lösche alles vor dem Cursor (Terminal-Stil)',
+    SELECT_WORD_LEFT: "Wähle '{word}' aus",
+    'SELECT_WORD_LEFT.unnamed': 'Wähle das Wort links vom Cursor aus',
+    SELECT_WORD_RIGHT: "Wähle '{word}' aus",
+    'SELECT_WORD_RIGHT.unnamed': 'Wähle das Wort rechts vom Cursor aus',
+    SELECT_TO_LINE_START: 'Wähle vom Cursor bis zum Zeilenanfang aus',
+    SELECT_TO_LINE_END: 'Wähle vom Cursor bis zum Zeilenende aus',
+    SELECT_ALL: 'Wähle den gesamten Text aus',
+    SELECT_CHAR_LEFT: 'Wähle ein Zeichen nach links aus',
+    SELECT_CHAR_RIGHT: 'Wähle ein Zeichen nach rechts aus',
+    CONTROL_LINE_START: 'Springe an den Zeilenanfang (Terminal-Stil)',
+    CONTROL_LINE_END: 'Springe an das Zeilenende (Terminal-Stil)',
+    CONTROL_FORWARD: 'Gehe ein Zeichen vorwärts',
+    CONTROL_BACKWARD: 'Gehe ein Zeichen rückwärts',
+    CONTROL_DELETE_FORWARD: "Lösche das überzählige '{extra}' in '{word}'",
+    ALT_WORD_BACKWARD: "Gehe zurück an den Anfang von '{word}' (Terminal-Stil)",
+    'ALT_WORD_BACKWARD.unnamed': 'Gehe ein Wort zurück (Terminal-Stil)',
+    ALT_WORD_FORWARD: "Gehe vorwärts an das Ende von '{word}' (Terminal-Stil)",
+    'ALT_WORD_FORWARD.unnamed': 'Gehe ein Wort vorwärts (Terminal-Stil)',
+    CONTROL_DELETE_WORD: "Lösche '{word}' bis zum Leerzeichen (Terminal-Stil)",
+    'CONTROL_DELETE_WORD.unnamed': 'Lösche bis zum vorherigen Leerzeichen (Terminal-Stil)',
+    MOVE_LINE_UP: 'Bewege den Cursor eine Zeile nach oben',
+    MOVE_LINE_DOWN: 'Bewege den Cursor eine Zeile nach unten',
+    CONTROL_PREVIOUS_LINE: 'Gehe eine Zeile nach oben (Terminal-Stil)',
+    CONTROL_NEXT_LINE: 'Gehe eine Zeile nach unten (Terminal-Stil)',
+    JUMP_DOCUMENT_START: 'Springe an den Anfang des Textes',
+    JUMP_DOCUMENT_END: 'Springe an das Ende des Textes',
+    GO_TO_LINE_START: 'Springe an den Anfang von Zeile {line}',
+    GO_TO_LINE_END: 'Springe an das Ende von Zeile {line}',
+    UNDO: "Mache das Löschen von '{deleted}' rückgängig",
+    REDO: "Wiederhole das Löschen von '{deleted}'",
+    CONTROL_UNDO: "Mache das Löschen von '{deleted}' rückgängig (Terminal-Stil)",
+    YANK: "Füge '{word}' per Yank wieder an seiner Stelle ein",
+    YANK_POP: "Tausche das eingefügte '{yanked}' gegen den früheren Kill '{word}'",
+    MOVE_ARGUMENT_TO_END: "Verschiebe '{word}' ans Zeilenende",
+    TRANSPOSE_CHARS: "Korrigiere den Tippfehler: '{typo}' sollte '{fixed}' sein",
+    TRANSPOSE_WORDS: "Korrigiere die Wortfolge: '{typo}' sollte '{fixed}' sein",
+    UPCASE_WORD: "Schreibe '{word}' in Großbuchstaben",
+    DOWNCASE_WORD: "Schreibe '{word}' in Kleinbuchstaben",
+    CAPITALIZE_WORD: "Schreibe '{word}' groß",
+    COPY: "Kopiere das ausgewählte '{word}'",
+    CUT: "Schneide das ausgewählte '{word}' aus",
+    PASTE: "Füge '{word}' wieder an seiner Stelle ein",
+    MOVE_WORD_WITH_CLIPBOARD: "Verschiebe '{word}' an den Zeilenanfang",
+    'MOVE_WORD_WITH_CLIPBOARD.end': "Verschiebe '{word}' ans Zeilenende",
+    SET_MARK: "Setze die Marke bei '{word}'",
+    EXCHANGE_POINT_AND_MARK: "Springe an das andere Ende der Region '{region}'",
+    KILL_REGION: "Kille die Region '{region}'",
+    DUPLICATE_REGION: "Dupliziere '{region}'",
+    MOVE_REGION_TO_END: "Verschiebe '{region}' ans Zeilenende",
+    UPCASE_REGION: "Schreibe die Region '{region}' in Großbuchstaben",
+    'UPCASE_REGION.selection': "Schreibe das ausgewählte '{region}' in Großbuchstaben",
+    DOWNCASE_REGION: "Schreibe die Region '{region}' in Kleinbuchstaben",
+    'DOWNCASE_REGION.selection': "Schreibe das ausgewählte '{region}' in Kleinbuchstaben",
+    TRIM_TRAILING_WHITESPACE: 'Entferne die Leerzeichen am Zeilenende (Zeile {lines})',
+    'TRIM_TRAILING_WHITESPACE.lines': 'Entferne die Leerzeichen am Zeilenende (Zeilen {lines})',
+    MULTI_STEP_EDIT: "Lösche '{deleted}'",
+    NAVIGATE_TO_TARGET: "Setze den Cursor auf das hervorgehobene '{target}'",
+    VIM_WORD_FORWARD: 'Gehe an den Anfang des nächsten Wortes',
+    VIM_WORD_BACKWARD: 'Gehe zurück an den Anfang des Wortes',
+    VIM_WORD_END: 'Gehe an das Ende des Wortes',
+    VIM_BIG_WORD_FORWARD: 'Springe zum nächsten WORD, über die Satzzeichen hinweg',
+    VIM_BIG_WORD_BACKWARD: 'Springe zurück an den Anfang des WORDs',
+    VIM_BIG_WORD_END: 'Springe an das Ende des WORDs',
+    VIM_LINE_START: 'Gehe in die erste Spalte der Zeile',
+    VIM_FIRST_NON_BLANK: 'Gehe zum ersten Zeichen der Zeile, das kein Leerraum ist',
+    VIM_LINE_END: 'Gehe zum letzten Zeichen der Zeile',
+    VIM_VISUAL_WORD_END: "Wähle '{word}' im visuellen Modus aus",
+    VIM_VISUAL_LINE_END: "Wähle '{text}' im visuellen Modus aus",
+    VIM_DELETE_CHAR: "Lösche das überzählige '{extra}' in '{word}'",
+    VIM_DELETE_WORD: "Lösche das Wort '{word}'",
+    'VIM_DELETE_WORD.unnamed': 'Lösche das Wort unter dem Cursor',
+    VIM_DELETE_WORD_BACKWARD: "Lösche '{word}' rückwärts ab dem Cursor",
+    'VIM_DELETE_WORD_BACKWARD.unnamed': 'Lösche das vorherige Wort',
+    VIM_DELETE_TO_LINE_END: "Lösche '{deleted}'",
+    VIM_DELETE_LINE: 'Lösche Zeile {line}',
+    VIM_CHANGE_WORD: "Ändere '{word}' in '{replacement}'",
+    VIM_YANK_WORD_PUT: "Dupliziere '{word}'",
+    VIM_PUT: "Füge '{word}' hinter dem Cursor wieder ein"
+  }
+};
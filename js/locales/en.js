@@ -0,0 +1,101 @@
+/**
+ * monkeycmd English
+ * Challenge instructions (the source for other locales; command names are in COMMANDS)
+ */
+
+export default {
+  name: 'English',
+  instructions: {
+    DELETE_WORD: "Delete the word '{word}'",
+    'DELETE_WORD.unnamed': 'Delete the previous word',
+    DELETE_WORD_FORWARD: "Delete the word '{word}' forward",
+    'DELETE_WORD_FORWARD.unnamed': 'Delete the next word',
+    MOVE_WORD_LEFT: "Move the cursor to the start of '{word}'",
+    'MOVE_WORD_LEFT.unnamed': 'Move the cursor one word to the left',
+    MOVE_WORD_RIGHT: "Move the cursor past '{word}'",
+    'MOVE_WORD_RIGHT.unnamed': 'Move the cursor one word to the right',
+    JUMP_LINE_START: 'Move the cursor to the start of the line',
+    JUMP_LINE_END: 'Move the cursor to the end of the line',
+    DELETE_TO_LINE_START: 'Delete everything before the cursor',
+    DELETE_TO_LINE_END: 'Delete everything after the cursor',
+    CONTROL_DELETE_TO_START: 'Delete everything before the cursor (terminal style)',
+    SELECT_WORD_LEFT: "Select '{word}'",
+    'SELECT_WORD_LEFT.unnamed': 'Select the word to the left of the cursor',
+    SELECT_WORD_RIGHT: "Select '{word}'",
+    'SELECT_WORD_RIGHT.unnamed': 'Select the word to the right of the cursor',
+    SELECT_TO_LINE_START: 'Select from the cursor to the start of the line',
+    SELECT_TO_LINE_END: 'Select from the cursor to the end of the line',
+    SELECT_ALL: 'Select all text',
+    SELECT_CHAR_LEFT: 'Select one character to the left',
+    SELECT_CHAR_RIGHT: 'Select one character to the right',
+    CONTROL_LINE_START: 'Move to the start of the line (terminal style)',
+    CONTROL_LINE_END: 'Move to the end of the line (terminal style)',
+    CONTROL_FORWARD: 'Move forward one character',
+    CONTROL_BACKWARD: 'Move backward one character',
+    CONTROL_DELETE_FORWARD: "Delete the extra '{extra}' in '{word}'",
+    ALT_WORD_BACKWARD: "Move back to the start of '{word}' (terminal style)",
+    'ALT_WORD_BACKWARD.unnamed': 'Move back one word (terminal style)',
+    ALT_WORD_FORWARD: "Move forward to the end of '{word}' (terminal style)",
+    'ALT_WORD_FORWARD.unnamed': 'Move forward one word (terminal style)',
+    CONTROL_DELETE_WORD: "Delete '{word}' back to the space (terminal style)",
+    'CONTROL_DELETE_WORD.unnamed': 'Delete back to the previous space (terminal style)',
+    MOVE_LINE_UP: 'Move the cursor up one line',
+    MOVE_LINE_DOWN: 'Move the cursor down one line',
+    CONTROL_PREVIOUS_LINE: 'Move up one line (terminal style)',
+    CONTROL_NEXT_LINE: 'Move down one line (terminal style)',
+    JUMP_DOCUMENT_START: 'Jump to the start of the text',
+    JUMP_DOCUMENT_END: 'Jump to the end of the text',
+    GO_TO_LINE_START: 'Jump to the start of line {line}',
+    GO_TO_LINE_END: 'Jump to the end of line {line}',
+    UNDO: "Undo deleting '{deleted}'",
+    REDO: "Redo deleting '{deleted}'",
+    CONTROL_UNDO: "Undo deleting '{deleted}' (terminal style)",
+    YANK: "Yank '{word}' back into place",
+    YANK_POP: "Swap the yanked '{yanked}' for the earlier kill '{word}'",
+    MOVE_ARGUMENT_TO_END: "Move '{word}' to the end of the line",
+    TRANSPOSE_CHARS: "Fix the typo: '{typo}' should be '{fixed}'",
+    TRANSPOSE_WORDS: "Fix the word order: '{typo}' should be '{fixed}'",
+    UPCASE_WORD: "Uppercase '{word}'",
+    DOWNCASE_WORD: "Lowercase '{word}'",
+    CAPITALIZE_WORD: "Capitalize '{word}'",
+    COPY: "Copy the selected '{word}'",
+    CUT: "Cut the selected '{word}'",
+    PASTE: "Paste '{word}' back into place",
+    MOVE_WORD_WITH_CLIPBOARD: "Move '{word}' to the start of the line",
+    'MOVE_WORD_WITH_CLIPBOARD.end': "Move '{word}' to the end of the line",
+    SET_MARK: "Set the mark at '{word}'",
+    EXCHANGE_POINT_AND_MARK: "Jump to the other end of the region '{region}'",
+    KILL_REGION: "Kill the region '{region}'",
+    DUPLICATE_REGION: "Duplicate '{region}'",
+    MOVE_REGION_TO_END: "Move '{region}' to the end of the line",
+    UPCASE_REGION: "Uppercase the region '{region}'",
+    'UPCASE_REGION.selection': "Uppercase the selected '{region}'",
+    DOWNCASE_REGION: "Lowercase the region '{region}'",
+    'DOWNCASE_REGION.selection': "Lowercase the selected '{region}'",
+    TRIM_TRAILING_WHITESPACE: 'Trim the trailing spaces (line {lines})',
+    'TRIM_TRAILING_WHITESPACE.lines': 'Trim the trailing spaces (lines {lines})',
+    MULTI_STEP_EDIT: "Delete '{deleted}'",
+    NAVIGATE_TO_TARGET: "Move the cursor to the highlighted '{target}'",
+    VIM_WORD_FORWARD: 'Move to the start of the next word',
+    VIM_WORD_BACKWARD: 'Move back to the start of the word',
+    VIM_WORD_END: 'Move to the end of the word',
+    VIM_BIG_WORD_FORWARD: 'Jump to the next WORD, past the punctuation',
+    VIM_BIG_WORD_BACKWARD: 'Jump back to the start of the WORD',
+    VIM_BIG_WORD_END: 'Jump to the end of the WORD',
+    VIM_LINE_START: 'Move to the first column of the line',
+    VIM_FIRST_NON_BLANK: 'Move to the first non-blank character of the line',
+    VIM_LINE_END: 'Move to the last character of the line',
+    VIM_VISUAL_WORD_END: "Select '{word}' in visual mode",
+    VIM_VISUAL_LINE_END: "Select '{text}' in visual mode",
+    VIM_DELETE_CHAR: "Delete the extra '{extra}' in '{word}'",
+    VIM_DELETE_WORD: "Delete the word '{word}'",
+    'VIM_DELETE_WORD.unnamed': 'Delete the word under the cursor',
+    VIM_DELETE_WORD_BACKWARD: "Delete '{word}' backwards from the cursor",
+    'VIM_DELETE_WORD_BACKWARD.unnamed': 'Delete the previous word',
+    VIM_DELETE_TO_LINE_END: "Delete '{deleted}'",
+    VIM_DELETE_LINE: 'Delete line {line}',
+    VIM_CHANGE_WORD: "Change '{word}' to '{replacement}'",
+    VIM_YANK_WORD_PUT: "Duplicate '{word}'",
+    VIM_PUT: "Put '{word}' back after the cursor"
+  }
+};
@@ -0,0 +1,179 @@
+/**
+ * monkeycmd Español
+ * Spanish command names and challenge instructions
+ */
+
+export default {
+  name: 'Español',
+  commands: {
+    DELETE_WORD: { name: 'Borrar palabra', description: 'Borrar la palabra anterior' },
+    DELETE_WORD_FORWARD: { name: 'Borrar palabra hacia delante', description: 'Borrar la palabra siguiente' },
+    MOVE_WORD_LEFT: { name: 'Palabra a la izquierda', description: 'Mover el cursor una palabra a la izquierda' },
+    MOVE_WORD_RIGHT: { name: 'Palabra a la derecha', description: 'Mover el cursor una palabra a la derecha' },
+    JUMP_LINE_START: { name: 'Ir al inicio de la línea', description: 'Llevar el cursor al inicio de la línea' },
+    JUMP_LINE_END: { name: 'Ir al final de la línea', description: 'Llevar el cursor al final de la línea' },
+    DELETE_TO_LINE_START: { name: 'Borrar hasta el inicio de la línea', description: 'Borrar todo desde el cursor hasta el inicio de la línea' },
+    DELETE_TO_LINE_END: { name: 'Borrar hasta el final de la línea', description: 'Borrar todo desde el cursor hasta el final de la línea' },
+    CONTROL_DELETE_TO_START: { name: 'Cortar el inicio de la línea', description: 'Borrar desde el cursor hasta el inicio de la línea (estilo terminal)' },
+    SELECT_WORD_LEFT: { name: 'Seleccionar palabra a la izquierda', description: 'Seleccionar la palabra de la izquierda' },
+    SELECT_WORD_RIGHT: { name: 'Seleccionar palabra a la derecha', description: 'Seleccionar la palabra de la derecha' },
+    SELECT_TO_LINE_START: { name: 'Seleccionar hasta el inicio de la línea', description: 'Seleccionar desde el cursor hasta el inicio de la línea' },
+    SELECT_TO_LINE_END: { name: 'Seleccionar hasta el final de la línea', description: 'Seleccionar desde el cursor hasta el final de la línea' },
+    SELECT_ALL: { name: 'Seleccionar todo', description: 'Seleccionar todo el texto' },
+    SELECT_CHAR_LEFT: { name: 'Seleccionar carácter a la izquierda', description: 'Ampliar la selección un carácter a la izquierda' },
+    SELECT_CHAR_RIGHT: { name: 'Seleccionar carácter a la derecha', description: 'Ampliar la selección un carácter a la derecha' },
+    CONTROL_LINE_START: { name: 'Control inicio de línea', description: 'Llevar el cursor al inicio de la línea' },
+    CONTROL_LINE_END: { name: 'Control final de línea', description: 'Llevar el cursor al final de la línea' },
+    CONTROL_FORWARD: { name: 'Avanzar', description: 'Mover el cursor un carácter hacia delante' },
+    CONTROL_BACKWARD: { name: 'Retroceder', description: 'Mover el cursor un carácter hacia atrás' },
+    ALT_WORD_BACKWARD: { name: 'Alt palabra atrás', description: 'Volver al inicio de la palabra (estilo terminal, solo letras y dígitos)' },
+    ALT_WORD_FORWARD: { name: 'Alt palabra adelante', description: 'Avanzar hasta el final de la palabra (estilo terminal, solo letras y dígitos)' },
+    CONTROL_DELETE_FORWARD: { name: 'Control borrar adelante', description: 'Borrar el carácter bajo el cursor (estilo terminal)' },
+    CONTROL_DELETE_WORD: { name: 'Control borrar palabra', description: 'Borrar hasta el espacio anterior (estilo terminal)' },
+    UNDO: { name: 'Deshacer', description: 'Deshacer la última edición' },
+    REDO: { name: 'Rehacer', description: 'Rehacer la última edición deshecha' },
+    CONTROL_UNDO: { name: 'Control deshacer', description: 'Deshacer la última edición (estilo terminal)' },
+    MOVE_LINE_UP: { name: 'Línea arriba', description: 'Mover el cursor a la línea de arriba' },
+    MOVE_LINE_DOWN: { name: 'Línea abajo', description: 'Mover el cursor a la línea de abajo' },
+    CONTROL_PREVIOUS_LINE: { name: 'Control línea anterior', description: 'Mover el cursor a la línea de arriba (estilo terminal)' },
+    CONTROL_NEXT_LINE: { name: 'Control línea siguiente', description: 'Mover el cursor a la línea de abajo (estilo terminal)' },
+    JUMP_DOCUMENT_START: { name: 'Ir al inicio del documento', description: 'Llevar el cursor al inicio del texto' },
+    JUMP_DOCUMENT_END: { name: 'Ir al final del documento', description: 'Llevar el cursor al final del texto' },
+    GO_TO_LINE_START: { name: 'Ir al inicio de una línea', description: 'Pasar a otra línea y saltar a su inicio' },
+    GO_TO_LINE_END: { name: 'Ir al final de una línea', description: 'Pasar a otra línea y saltar a su final' },
+    YANK: { name: 'Yank', description: 'Pegar el último texto cortado con kill (estilo terminal)' },
+    YANK_POP: { name: 'Yank pop', description: 'Sustituir el texto pegado por el kill anterior (estilo terminal)' },
+    MOVE_ARGUMENT_TO_END: { name: 'Mover argumento al final', description: 'Cortar un argumento, saltar al final de la línea y volver a pegarlo' },
+    TRANSPOSE_CHARS: { name: 'Intercambiar caracteres', description: 'Intercambiar el carácter anterior al cursor con el que está bajo él (estilo terminal)' },
+    TRANSPOSE_WORDS: { name: 'Intercambiar palabras', description: 'Intercambiar la palabra anterior al cursor con la siguiente (estilo terminal)' },
+    UPCASE_WORD: { name: 'Palabra en mayúsculas', description: 'Pasar a mayúsculas desde el cursor hasta el final de la palabra (estilo terminal)' },
+    DOWNCASE_WORD: { name: 'Palabra en minúsculas', description: 'Pasar a minúsculas desde el cursor hasta el final de la palabra (estilo terminal)' },
+    CAPITALIZE_WORD: { name: 'Inicial en mayúscula', description: 'Poner en mayúscula la inicial de la palabra desde el cursor (estilo terminal)' },
+    COPY: { name: 'Copiar', description: 'Copiar la selección al portapapeles' },
+    CUT: { name: 'Cortar', description: 'Cortar la selección al portapapeles' },
+    PASTE: { name: 'Pegar', description: 'Pegar el portapapeles en el cursor' },
+    MOVE_WORD_WITH_CLIPBOARD: { name: 'Mover palabra con el portapapeles', description: 'Seleccionar una palabra, cortarla, saltar al otro extremo de la línea y pegarla' },
+    SET_MARK: { name: 'Poner la marca', description: 'Poner la marca en el cursor, empezando una región (Emacs)' },
+    EXCHANGE_POINT_AND_MARK: { name: 'Intercambiar punto y marca', description: 'Saltar a la marca, dejando la marca donde estaba el cursor (Emacs)' },
+    KILL_REGION: { name: 'Cortar región', description: 'Cortar el texto entre la marca y el cursor (Emacs)' },
+    DUPLICATE_REGION: { name: 'Duplicar región', description: 'Copiar la región al kill ring y pegarla justo detrás (Emacs)' },
+    MOVE_REGION_TO_END: { name: 'Mover región al final', description: 'Cortar la región, saltar al final de la línea y pegarla allí (Emacs)' },
+    UPCASE_REGION: { name: 'Región en mayúsculas', description: 'Pasar a mayúsculas la región (Emacs) o la selección (Sublime Text)' },
+    DOWNCASE_REGION: { name: 'Región en minúsculas', description: 'Pasar a minúsculas la región (Emacs) o la selección (Sublime Text)' },
+    TRIM_TRAILING_WHITESPACE: { name: 'Quitar espacios finales', description: 'Quitar los espacios al final de cada línea (VS Code)' },
+    MULTI_STEP_EDIT: { name: 'Edición en varios pasos', description: 'Encadenar atajos para llegar al objetivo con las menos pulsaciones posibles' },
+    NAVIGATE_TO_TARGET: { name: 'Ir al objetivo', description: 'Poner el cursor sobre el carácter resaltado, por cualquier camino' },
+    VIM_WORD_FORWARD: { name: 'Vim palabra adelante', description: 'Ir al inicio de la palabra siguiente (modo normal)' },
+    VIM_WORD_BACKWARD: { name: 'Vim palabra atrás', description: 'Ir al inicio de la palabra anterior (modo normal)' },
+    VIM_WORD_END: { name: 'Vim final de palabra', description: 'Ir al final de la palabra (modo normal)' },
+    VIM_BIG_WORD_FORWARD: { name: 'Vim WORD adelante', description: 'Ir al inicio del siguiente WORD separado por espacios (modo normal)' },
+    VIM_BIG_WORD_BACKWARD: { name: 'Vim WORD atrás', description: 'Ir al inicio del WORD anterior separado por espacios (modo normal)' },
+    VIM_BIG_WORD_END: { name: 'Vim final de WORD', description: 'Ir al final del WORD separado por espacios (modo normal)' },
+    VIM_LINE_START: { name: 'Vim inicio de línea', description: 'Ir a la primera columna de la línea (modo normal)' },
+    VIM_FIRST_NON_BLANK: { name: 'Vim primer carácter no blanco', description: 'Ir al primer carácter no blanco de la línea (modo normal)' },
+    VIM_LINE_END: { name: 'Vim final de línea', description: 'Ir al último carácter de la línea (modo normal)' },
+    VIM_VISUAL_WORD_END: { name: 'Vim visual hasta el final de palabra', description: 'Entrar en modo visual y ampliar la selección hasta el final de la palabra' },
+    VIM_VISUAL_LINE_END: { name: 'Vim visual hasta el final de línea', description: 'Entrar en modo visual y ampliar la selección hasta el final de la línea' },
+    VIM_DELETE_CHAR: { name: 'Vim borrar carácter', description: 'Borrar el carácter bajo el cursor (modo normal)' },
+    VIM_DELETE_WORD: { name: 'Vim borrar palabra', description: 'Borrar desde el cursor hasta el inicio de la palabra siguiente' },
+    VIM_DELETE_WORD_BACKWARD: { name: 'Vim borrar palabra atrás', description: 'Borrar desde el inicio de la palabra anterior hasta el cursor' },
+    VIM_DELETE_TO_LINE_END: { name: 'Vim borrar hasta el final de línea', description: 'Borrar desde el cursor hasta el final de la línea' },
+    VIM_DELETE_LINE: { name: 'Vim borrar línea', description: 'Borrar la línea entera' },
+    VIM_CHANGE_WORD: { name: 'Vim cambiar palabra', description: 'Sustituir una palabra: cambiarla, escribir la nueva y volver al modo normal' },
+    VIM_YANK_WORD_PUT: { name: 'Vim duplicar palabra', description: 'Copiar (yank) una palabra y pegarla delante del cursor' },
+    VIM_PUT: { name: 'Vim put', description: 'Pegar el contenido del registro después del cursor (modo normal)' }
+  },
+  instructions: {
+    DELETE_WORD: "Borra la palabra '{word}'",
+    'DELETE_WORD.unnamed': 'Borra la palabra anterior',
+    DELETE_WORD_FORWARD: "Borra la palabra '{word}' hacia delante",
+    'DELETE_WORD_FORWARD.unnamed': 'Borra la palabra siguiente',
+    MOVE_WORD_LEFT: "Lleva el cursor al inicio de '{word}'",
+    'MOVE_WORD_LEFT.unnamed': 'Mueve el cursor una palabra a la izquierda',
+    MOVE_WORD_RIGHT: "Lleva el cursor más allá de '{word}'",
+    'MOVE_WORD_RIGHT.unnamed': 'Mueve el cursor una palabra a la derecha',
+    JUMP_LINE_START: 'Lleva el cursor al inicio de la línea',
+    JUMP_LINE_END: 'Lleva el cursor al final de la línea',
+    DELETE_TO_LINE_START: 'Borra todo lo que hay antes del cursor',
+    DELETE_TO_LINE_END: 'Borra todo lo que hay después del cursor',
+    CONTROL_DELETE_TO_START: 'Borra todo lo que hay antes del cursor (estilo terminal)',
+    SELECT_WORD_LEFT: "Selecciona '{word}'",
+    'SELECT_WORD_LEFT.unnamed': 'Selecciona la palabra a la izquierda del cursor',
+    SELECT_WORD_RIGHT: "Selecciona '{word}'",
+    'SELECT_WORD_RIGHT.unnamed': 'Selecciona la palabra a la derecha del cursor',
+    SELECT_TO_LINE_START: 'Selecciona desde el cursor hasta el inicio de la línea',
+    SELECT_TO_LINE_END: 'Selecciona desde el cursor hasta el final de la línea',
+    SELECT_ALL: 'Selecciona todo el texto',
+    SELECT_CHAR_LEFT: 'Selecciona un carácter a la izquierda',
+    SELECT_CHAR_RIGHT: 'Selecciona un carácter a la derecha',
+    CONTROL_LINE_START: 'Ve al inicio de la línea (estilo terminal)',
+    CONTROL_LINE_END: 'Ve al final de la línea (estilo terminal)',
+    CONTROL_FORWARD: 'Avanza un carácter',
+    CONTROL_BACKWARD: 'Retrocede un carácter',
+    CONTROL_DELETE_FORWARD: "Borra el '{extra}' que sobra en '{word}'",
+    ALT_WORD_BACKWARD: "Vuelve al inicio de '{word}' (estilo terminal)",
+    'ALT_WORD_BACKWARD.unnamed': 'Retrocede una palabra (estilo terminal)',
+    ALT_WORD_FORWARD: "Avanza hasta el final de '{word}' (estilo terminal)",
+    'ALT_WORD_FORWARD.unnamed': 'Avanza una palabra (estilo terminal)',
+    CONTROL_DELETE_WORD: "Borra '{word}' hasta el espacio (estilo terminal)",
+    'CONTROL_DELETE_WORD.unnamed': 'Borra hasta el espacio anterior (estilo terminal)',
+    MOVE_LINE_UP: 'Sube el cursor una línea',
+    MOVE_LINE_DOWN: 'Baja el cursor una línea',
+    CONTROL_PREVIOUS_LINE: 'Sube una línea (estilo terminal)',
+    CONTROL_NEXT_LINE: 'Baja una línea (estilo terminal)',
+    JUMP_DOCUMENT_START: 'Salta al inicio del texto',
+    JUMP_DOCUMENT_END: 'Salta al final del texto',
+    GO_TO_LINE_START: 'Salta al inicio de la línea {line}',
+    GO_TO_LINE_END: 'Salta al final de la línea {line}',
+    UNDO: "Deshaz el borrado de '{deleted}'",
+    REDO: "Rehaz el borrado de '{deleted}'",
+    CONTROL_UNDO: "Deshaz el borrado de '{deleted}' (estilo terminal)",
+    YANK: "Recupera '{word}' con yank en su sitio",
+    YANK_POP: "Cambia el '{yanked}' pegado por el kill anterior '{word}'",
+    MOVE_ARGUMENT_TO_END: "Mueve '{word}' al final de la línea",
+    TRANSPOSE_CHARS: "Corrige la errata: '{typo}' debería ser '{fixed}'",
+    TRANSPOSE_WORDS: "Corrige el orden de las palabras: '{typo}' debería ser '{fixed}'",
+    UPCASE_WORD: "Pasa '{word}' a mayúsculas",
+    DOWNCASE_WORD: "Pasa '{word}' a minúsculas",
+    CAPITALIZE_WORD: "Pon en mayúscula la inicial de '{word}'",
+    COPY: "Copia el '{word}' seleccionado",
+    CUT: "Corta el '{word}' seleccionado",
+    PASTE: "Pega '{word}' de nuevo en su sitio",
+    MOVE_WORD_WITH_CLIPBOARD: "Mueve '{word}' al inicio de la línea",
+    'MOVE_WORD_WITH_CLIPBOARD.end': "Mueve '{word}' al final de la línea",
+    SET_MARK: "Pon la marca en '{word}'",
+    EXCHANGE_POINT_AND_MARK: "Salta al otro extremo de la región '{region}'",
+    KILL_REGION: "Corta (kill) la región '{region}'",
+    DUPLICATE_REGION: "Duplica '{region}'",
+    MOVE_REGION_TO_END: "Mueve '{region}' al final de la línea",
+    UPCASE_REGION: "Pasa a mayúsculas la región '{region}'",
+    'UPCASE_REGION.selection': "Pasa a mayúsculas el '{region}' seleccionado",
+    DOWNCASE_REGION: "Pasa a minúsculas la región '{region}'",
+    'DOWNCASE_REGION.selection': "Pasa a minúsculas el '{region}' seleccionado",
+    TRIM_TRAILING_WHITESPACE: 'Quita los espacios finales (línea {lines})',
+    'TRIM_TRAILING_WHITESPACE.lines': 'Quita los espacios finales (líneas {lines})',
+    MULTI_STEP_EDIT: "Borra '{deleted}'",
+    NAVIGATE_TO_TARGET: "Lleva el cursor al '{target}' resaltado",
+    VIM_WORD_FORWARD: 'Ve al inicio de la palabra siguiente',
+    VIM_WORD_BACKWARD: 'Vuelve al inicio de la palabra',
+    VIM_WORD_END: 'Ve al final de la palabra',
+    VIM_BIG_WORD_FORWARD: 'Salta al siguiente WORD, pasando la puntuación',
+    VIM_BIG_WORD_BACKWARD: 'Vuelve al inicio del WORD',
+    VIM_BIG_WORD_END: 'Salta al final del WORD',
+    VIM_LINE_START: 'Ve a la primera columna de la línea',
+    VIM_FIRST_NON_BLANK: 'Ve al primer carácter no blanco de la línea',
+    VIM_LINE_END: 'Ve al último carácter de la línea',
+    VIM_VISUAL_WORD_END: "Selecciona '{word}' en modo visual",
+    VIM_VISUAL_LINE_END: "Selecciona '{text}' en modo visual",
+    VIM_DELETE_CHAR: "Borra el '{extra}' que sobra en '{word}'",
+    VIM_DELETE_WORD: "Borra la palabra '{word}'",
+    'VIM_DELETE_WORD.unnamed': 'Borra la palabra bajo el cursor',
+    VIM_DELETE_WORD_BACKWARD: "Borra '{word}' hacia atrás desde el cursor",
+    'VIM_DELETE_WORD_BACKWARD.unnamed': 'Borra la palabra anterior',
+    VIM_DELETE_TO_LINE_END: "Borra '{deleted}'",
+    VIM_DELETE_LINE: 'Borra la línea {line}',
+    VIM_CHANGE_WORD: "Cambia '{word}' por '{replacement}'",
+    VIM_YANK_WORD_PUT: "Duplica '{word}'",
+    VIM_PUT: "Pega '{word}' de nuevo después del cursor"
+  }
+};
@@ -3,9 +3,16 @@
  * Wires together game engine, challenges, terminal, and UI
  */
 
-import { Game, TimerModes } from './game.js';
-import { generateChallenge, validateChallenge, formatKeyCombination, setOS } from './challenges.js';
+import { Game, TimerModes, GameModes } from './game.js';
+import { generateChallenge, validateChallenge, VALIDATION_ERRORS, formatKeyCombination, setOS, setEditorProfile, isCommandAvailable, setSeed, parseCustomText, setCustomTextPool, TEXT_POOLS, setTextPool, setCommandWeights, ALL_COMMANDS, DIFFICULTIES, setDifficulty, setLocale } from './challenges.js';
+import { LOCALES, DEFAULT_LOCALE } from './locales.js';
 import { TerminalEditor } from './terminal.js';
+import { EDITOR_PROFILES, CUSTOM_EDITOR_PROFILE, setCustomEditorProfile, isEditorProfileAvailable } from './keymap.js';
+import { createVSCodeProfile } from './keybindings.js';
+import { nextGraphemeBoundary } from './graphemes.js';
+import { normalizeSeed } from './random.js';
+import { createCommandStats, normalizeCommandStats, recordCommandAttempt, getCommandWeights } from './scheduler.js';
+import { parseChallengePack, fetchChallengePack, getUnavailablePackCommands, createPackChallenge } from './packs.js';
 
 // Theme configuration - matches CSS data-theme values
 const THEMES = [
@@ -44,16 +51,39 @@ const THEME_NAMES = {
     forest: 'Forest',
     sunset: 'Sunset'
 };
+
+// What a wrong attempt shows: nothing but the red flash, or the expected and actual buffers side
+// by side - either while the player carries on, or with the game paused until a key is pressed
+const MISTAKE_REVIEWS = {
+    off: 'Off',
+    keep: 'Keep going',
+    pause: 'Pause on mistake'
+};
 const STORAGE_KEY_THEME = 'monkeycmd-theme';
 const STORAGE_KEY_BEST_CPM = 'monkeycmd-best-cpm';
 const STORAGE_KEY_OS = 'monkeycmd-os';
+const STORAGE_KEY_EDITOR_PROFILE = 'monkeycmd-editor-profile';
+const STORAGE_KEY_KEYBINDINGS = 'monkeycmd-keybindings';
 const STORAGE_KEY_HINTS = 'monkeycmd-hints';
+const STORAGE_KEY_SYSTEM_CLIPBOARD = 'monkeycmd-system-clipboard';
 const STORAGE_KEY_CAT_NAVIGATION = 'monkeycmd-cat-navigation';
 const STORAGE_KEY_CAT_SELECTION = 'monkeycmd-cat-selection';
 const STORAGE_KEY_CAT_DELETION = 'monkeycmd-cat-deletion';
-
-// OS configuration
-const OS_TYPES = ['mac', 'windows', 'linux'];
+const STORAGE_KEY_CAT_EDITING = 'monkeycmd-cat-editing';
+const STORAGE_KEY_CUSTOM_TEXT = 'monkeycmd-custom-text';
+const STORAGE_KEY_TEXT_POOL = 'monkeycmd-text-pool';
+const STORAGE_KEY_ADAPTIVE = 'monkeycmd-adaptive';
+const STORAGE_KEY_PARTIAL_CREDIT = 'monkeycmd-partial-credit';
+const STORAGE_KEY_MISTAKE_REVIEW = 'monkeycmd-mistake-review';
+const STORAGE_KEY_DIFFICULTY = 'monkeycmd-difficulty';
+const STORAGE_KEY_LANGUAGE = 'monkeycmd-language';
+const STORAGE_KEY_COMMAND_STATS = 'monkeycmd-command-stats';
+
+// Only the start of a huge dropped file is read; the line limit would drop the rest anyway
+const CUSTOM_TEXT_MAX_FILE_BYTES = 256 * 1024;
+
+// OS configuration ('vim' and 'emacs' are keyboard profiles rather than OSes)
+const OS_TYPES = ['mac', 'windows', 'linux', 'vim', 'emacs'];
 
 // ============================================
 // Easter Egg Terminal Commands
@@ -417,6 +447,10 @@ const MOBILE_COMMAND_ACTIONS = {
     'MOVE_WORD_RIGHT': () => app.terminal.moveByWord('right'),
     'JUMP_LINE_START': () => app.terminal.moveToLineStart(),
     'JUMP_LINE_END': () => app.terminal.moveToLineEnd(),
+    'MOVE_LINE_UP': () => app.terminal.moveVertical('up'),
+    'MOVE_LINE_DOWN': () => app.terminal.moveVertical('down'),
+    'JUMP_DOCUMENT_START': () => app.terminal.moveToDocumentBoundary('start'),
+    'JUMP_DOCUMENT_END': () => app.terminal.moveToDocumentBoundary('end'),
     'SELECT_WORD_LEFT': () => app.terminal.selectByWord('left'),
     'SELECT_WORD_RIGHT': () => app.terminal.selectByWord('right'),
     'SELECT_TO_LINE_START': () => app.terminal.selectToLineStart(),
@@ -426,6 +460,13 @@ const MOBILE_COMMAND_ACTIONS = {
     'DELETE_WORD_FORWARD': () => app.terminal.deleteWordForward(),
     'DELETE_TO_LINE_START': () => app.terminal.deleteToLineStart(),
     'DELETE_TO_LINE_END': () => app.terminal.deleteToLineEnd(),
+    'UNDO': () => app.terminal.undo(),
+    'REDO': () => app.terminal.redo(),
+    'YANK': () => app.terminal.yank(),
+    'YANK_POP': () => app.terminal.yankPop(),
+    'COPY': () => app.terminal.copy(),
+    'CUT': () => app.terminal.cut(),
+    'PASTE': () => app.terminal.paste(),
 };
 
 // OS-specific key labels for mobile keyboard buttons
@@ -439,6 +480,10 @@ const OS_KEY_LABELS = {
         'MOVE_WORD_RIGHT': '⌥ + →',
         'JUMP_LINE_START': '⌘ + ←',
         'JUMP_LINE_END': '⌘ + →',
+        'MOVE_LINE_UP': '↑',
+        'MOVE_LINE_DOWN': '↓',
+        'JUMP_DOCUMENT_START': '⌘ + ↑',
+        'JUMP_DOCUMENT_END': '⌘ + ↓',
         'DELETE_TO_LINE_START': '⌘ + ⌫',
         'DELETE_TO_LINE_END': '⌃ + K',
         'SELECT_WORD_LEFT': '⌥⇧ + ←',
@@ -446,6 +491,13 @@ const OS_KEY_LABELS = {
         'SELECT_TO_LINE_START': '⌘⇧ + ←',
         'SELECT_TO_LINE_END': '⌘⇧ + →',
         'SELECT_ALL': '⌘ + A',
+        'UNDO': '⌘ + Z',
+        'REDO': '⌘⇧ + Z',
+        'YANK': '⌃ + Y',
+        'YANK_POP': '⌥ + Y',
+        'COPY': '⌘ + C',
+        'CUT': '⌘ + X',
+        'PASTE': '⌘ + V',
     },
     windows: {
         'DELETE_WORD': 'Ctrl + ⌫',
@@ -454,6 +506,10 @@ const OS_KEY_LABELS = {
         'MOVE_WORD_RIGHT': 'Ctrl + →',
         'JUMP_LINE_START': 'Home',
         'JUMP_LINE_END': 'End',
+        'MOVE_LINE_UP': '↑',
+        'MOVE_LINE_DOWN': '↓',
+        'JUMP_DOCUMENT_START': 'Ctrl + Home',
+        'JUMP_DOCUMENT_END': 'Ctrl + End',
         'DELETE_TO_LINE_START': 'Ctrl+Shift + ⌫',
         'DELETE_TO_LINE_END': 'Ctrl+Shift + Del',
         'SELECT_WORD_LEFT': 'Ctrl+Shift + ←',
@@ -461,6 +517,11 @@ const OS_KEY_LABELS = {
         'SELECT_TO_LINE_START': 'Shift + Home',
         'SELECT_TO_LINE_END': 'Shift + End',
         'SELECT_ALL': 'Ctrl + A',
+        'UNDO': 'Ctrl + Z',
+        'REDO': 'Ctrl + Y',
+        'COPY': 'Ctrl + C',
+        'CUT': 'Ctrl + X',
+        'PASTE': 'Ctrl + V',
     },
     linux: {
         'DELETE_WORD': 'Alt + ⌫',
@@ -469,6 +530,10 @@ const OS_KEY_LABELS = {
         'MOVE_WORD_RIGHT': 'Ctrl + →',
         'JUMP_LINE_START': 'Home',
         'JUMP_LINE_END': 'End',
+        'MOVE_LINE_UP': '↑',
+        'MOVE_LINE_DOWN': '↓',
+        'JUMP_DOCUMENT_START': 'Ctrl + Home',
+        'JUMP_DOCUMENT_END': 'Ctrl + End',
         'DELETE_TO_LINE_START': 'Ctrl + U',
         'DELETE_TO_LINE_END': 'Ctrl + K',
         'SELECT_WORD_LEFT': 'Ctrl+Shift + ←',
@@ -476,25 +541,22 @@ const OS_KEY_LABELS = {
         'SELECT_TO_LINE_START': 'Shift + Home',
         'SELECT_TO_LINE_END': 'Shift + End',
         'SELECT_ALL': 'Ctrl + A',
+        'UNDO': 'Ctrl + Z',
+        'REDO': 'Ctrl+Shift + Z',
+        'YANK': 'Ctrl + Y',
+        'YANK_POP': 'Alt + Y',
+        'COPY': 'Ctrl + C',
+        'CUT': 'Ctrl + X',
+        'PASTE': 'Ctrl + V',
     },
 };
 
-// Map command names (from challenges.js) to command keys (used in mobile keyboard)
-const COMMAND_NAME_TO_KEY = {
-    'Delete Word': 'DELETE_WORD',
-    'Delete Word Forward': 'DELETE_WORD_FORWARD',
-    'Move Word Left': 'MOVE_WORD_LEFT',
-    'Move Word Right': 'MOVE_WORD_RIGHT',
-    'Jump to Line Start': 'JUMP_LINE_START',
-    'Jump to Line End': 'JUMP_LINE_END',
-    'Delete to Line Start': 'DELETE_TO_LINE_START',
-    'Delete to Line End': 'DELETE_TO_LINE_END',
-    'Kill Line Start': 'DELETE_TO_LINE_START',
-    'Select Word Left': 'SELECT_WORD_LEFT',
-    'Select Word Right': 'SELECT_WORD_RIGHT',
-    'Select to Line Start': 'SELECT_TO_LINE_START',
-    'Select to Line End': 'SELECT_TO_LINE_END',
-    'Select All': 'SELECT_ALL',
+// Command types the mobile keyboard has no button of its own for, mapped to the button that does the same
+const MOBILE_COMMAND_ALIASES = {
+    'CONTROL_DELETE_TO_START': 'DELETE_TO_LINE_START',
+    'CONTROL_PREVIOUS_LINE': 'MOVE_LINE_UP',
+    'CONTROL_NEXT_LINE': 'MOVE_LINE_DOWN',
+    'CONTROL_UNDO': 'UNDO',
 };
 
 // Set up mobile keyboard event listeners
@@ -575,23 +637,20 @@ function highlightCorrectMobileButton() {
     // Only highlight if we have a current challenge
     if (!app.currentChallenge || !app.currentChallenge.command) return;
 
-    const challengeCommand = app.currentChallenge.command;
-    if (challengeCommand.name) {
-        const commandKey = COMMAND_NAME_TO_KEY[challengeCommand.name];
-        if (commandKey) {
-            const matchingButton = mobileKeyboard.querySelector(`[data-command="${commandKey}"]`);
-            if (matchingButton) {
-                matchingButton.classList.add('correct-hint');
-            }
-        }
+    // Match by type: command names are shown in the player's language
+    const commandType = app.currentChallenge.command.type;
+    const commandKey = MOBILE_COMMAND_ALIASES[commandType] || commandType;
+    const matchingButton = mobileKeyboard.querySelector(`[data-command="${commandKey}"]`);
+    if (matchingButton) {
+        matchingButton.classList.add('correct-hint');
     }
 }
 
 function handleMobileCommand(commandType, button) {
     if (!commandType || !MOBILE_COMMAND_ACTIONS[commandType]) return;
 
-    // Ignore if showing results
-    if (app.isShowingResults) return;
+    // Ignore if showing results, or paused on a mistake
+    if (app.isShowingResults || app.reviewPaused) return;
 
     // Start game if not started
     if (!app.hasStarted) {
@@ -604,7 +663,8 @@ function handleMobileCommand(commandType, button) {
         setTimeout(() => button.classList.remove('pressed'), 150);
     }
 
-    // Execute the command
+    // Execute the command (a tap is one keystroke)
+    app.challengeKeystrokes++;
     MOBILE_COMMAND_ACTIONS[commandType]();
 
     // Check if command was correct and show visual feedback on the button
@@ -623,13 +683,25 @@ function checkMobileCommand(button) {
         text: terminalState.text,
         cursorPosition: terminalState.cursorPosition,
         selection: terminalState.selection ?
-            [terminalState.selection.start, terminalState.selection.end] : null
+            [terminalState.selection.start, terminalState.selection.end] : null,
+        mode: terminalState.mode,
+        register: terminalState.register,
+        clipboard: terminalState.clipboard,
+        mark: terminalState.mark,
+        keystrokes: app.challengeKeystrokes
     });
 
     if (validation.success) {
-        // Command was correct
-        app.game.handleCommandAttempt(true);
+        recordChallengeAttempt(true);
+
+        // Command was correct (golf scores the hole's strokes against par)
+        app.game.handleCommandAttempt(true, {
+            strokes: validation.keystrokes,
+            par: validation.optimalKeystrokes,
+            route: getNavigationRoute(validation)
+        });
         showFeedback(true);
+        showKeystrokeSummary(validation);
 
         // Show correct visual feedback on the button
         if (button) {
@@ -641,6 +713,9 @@ function checkMobileCommand(button) {
         setTimeout(() => {
             loadNextChallenge();
         }, 500);
+    } else if (validation.inProgress || app.gameMode === GameModes.GOLF) {
+        // Part way through a multi-step challenge - wait for the next step
+        // (a golf hole is played until the target is reached; extra strokes are the penalty)
     } else {
         // Check if user actually tried a command (text or cursor changed)
         const stateChanged =
@@ -650,8 +725,10 @@ function checkMobileCommand(button) {
 
         if (stateChanged) {
             // User tried but got it wrong
-            app.game.handleCommandAttempt(false);
+            recordChallengeAttempt(false);
+            app.game.handleCommandAttempt(false, { score: validation.score });
             showFeedback(false);
+            showMistakeReview(validation);
 
             // Show wrong visual feedback on the button
             if (button) {
@@ -659,10 +736,12 @@ function checkMobileCommand(button) {
                 setTimeout(() => button.classList.remove('wrong'), 500);
             }
 
-            // Reset terminal to challenge state for retry
-            setTimeout(() => {
-                setupChallengeInTerminal(app.currentChallenge);
-            }, 300);
+            // Reset terminal to challenge state for retry (a paused review resets it when dismissed)
+            if (!app.reviewPaused) {
+                setTimeout(() => {
+                    setupChallengeInTerminal(app.currentChallenge);
+                }, 300);
+            }
         }
     }
 
@@ -676,11 +755,30 @@ const app = {
     terminal: null,
     currentChallenge: null,
     currentThemeIndex: 0,
-    enabledCategories: { navigation: true, selection: true, deletion: true }, // All enabled by default
-    currentOS: 'mac', // Default OS (mac, windows, linux)
+    enabledCategories: { navigation: true, selection: true, deletion: true, editing: true }, // All enabled by default
+    currentOS: 'mac', // Default OS (mac, windows, linux) or the 'vim'/'emacs' profile
+    editorProfile: 'default', // Editor profile layered on the OS shortcuts (key in EDITOR_PROFILES)
+    gameMode: GameModes.TIMED, // 'timed' (CPM against the clock) or 'golf' (strokes over par)
     showHints: false, // Default OFF - keys are hidden (challenge mode)
+    useSystemClipboard: false, // Mirror copy/cut to the system clipboard (off by default)
+    customSeed: null, // Seed entered by the player (null = a fresh random seed every session)
+    sessionSeed: null, // Seed the current session's challenges are drawn from
+    customTextLines: null, // Lines of the player's own practice text (null = built-in text)
+    textPool: 'mixed', // Built-in text pool (key in TEXT_POOLS)
+    difficulty: 'normal', // Difficulty of generated challenges (key in DIFFICULTIES)
+    language: DEFAULT_LOCALE, // Language of instructions and command names (key in LOCALES)
+    challengePack: null, // Loaded challenge pack, played in order in pack mode
+    settingsBeforePack: null, // The player's own OS and editor profile while a pack plays with its own
+    packIndex: 0, // Next challenge of the pack
+    adaptive: false, // Favour the commands the player misses or is slow at (off = every command alike)
+    commandStats: null, // Misses and solve times per command type (scheduler.js), kept across sessions
+    partialCredit: false, // Count near misses for part of a success in the accuracy shown
+    mistakeReview: 'off', // Review of wrong attempts (key in MISTAKE_REVIEWS)
+    reviewPaused: false, // The game is paused on a mistake until the player dismisses the review
+    challengeShownAt: 0, // When the current challenge appeared during a game (0 = before the game started)
     hasStarted: false,
     isShowingResults: false,
+    challengeKeystrokes: 0, // Keys pressed since the current challenge was set up (multi-step scoring)
     commandsCorrect: 0,
     commandsWrong: 0,
     currentStreak: 0,
@@ -713,8 +811,11 @@ function initDOMReferences() {
 
         // Stats display
         cpmDisplay: document.getElementById('cpmDisplay'),
+        cpmLabel: document.getElementById('cpmLabel'),
         accuracyDisplay: document.getElementById('accuracyDisplay'),
         timeDisplay: document.getElementById('timeDisplay'),
+        timeLabel: document.getElementById('timeLabel'),
+        golfModeBtn: document.getElementById('golfModeBtn'),
 
         // Instruction area
         commandInstruction: document.getElementById('commandInstruction'),
@@ -723,6 +824,8 @@ function initDOMReferences() {
         // Terminal
         terminalArea: document.getElementById('terminalArea'),
         terminalText: document.getElementById('terminalText'),
+        targetLine: document.getElementById('targetLine'),
+        targetText: document.getElementById('targetText'),
 
         // Status message
         statusMessage: document.getElementById('statusMessage'),
@@ -732,9 +835,13 @@ function initDOMReferences() {
         resultCpmMain: document.getElementById('resultCpmMain'),
         resultAccMain: document.getElementById('resultAccMain'),
         resultTimeMain: document.getElementById('resultTimeMain'),
+        resultCpmLabel: document.getElementById('resultCpmLabel'),
+        resultAccLabel: document.getElementById('resultAccLabel'),
+        resultTimeLabel: document.getElementById('resultTimeLabel'),
         resultsChart: document.getElementById('resultsChart'),
         resultsPb: document.getElementById('resultsPb'),
         resultInfo: document.getElementById('resultInfo'),
+        resultSeed: document.getElementById('resultSeed'),
 
         // Theme picker
         themeDropdown: document.getElementById('themeDropdown'),
@@ -742,6 +849,7 @@ function initDOMReferences() {
 
         // OS selector
         osButtons: document.querySelectorAll('.os-btn'),
+        editorProfileSelect: document.getElementById('editorProfileSelect'),
 
         // Personal best elements
         bestCpmDisplay: document.getElementById('bestCpmDisplay'),
@@ -749,9 +857,39 @@ function initDOMReferences() {
 
         // Settings toggles
         settingHints: document.getElementById('settingHints'),
+        settingSystemClipboard: document.getElementById('settingSystemClipboard'),
+        settingAdaptive: document.getElementById('settingAdaptive'),
+        settingPartialCredit: document.getElementById('settingPartialCredit'),
+        settingMistakeReview: document.getElementById('settingMistakeReview'),
+        mistakeReview: document.getElementById('mistakeReview'),
+        reviewError: document.getElementById('reviewError'),
+        reviewHint: document.getElementById('reviewHint'),
+        reviewExpected: document.getElementById('reviewExpected'),
+        reviewActual: document.getElementById('reviewActual'),
+        reviewNotes: document.getElementById('reviewNotes'),
+        settingSeed: document.getElementById('settingSeed'),
+        settingDifficulty: document.getElementById('settingDifficulty'),
+        settingLanguage: document.getElementById('settingLanguage'),
+        settingTextPool: document.getElementById('settingTextPool'),
+        settingCustomText: document.getElementById('settingCustomText'),
+        customTextStatus: document.getElementById('customTextStatus'),
+        customTextFileBtn: document.getElementById('customTextFileBtn'),
+        customTextClearBtn: document.getElementById('customTextClearBtn'),
+        customTextFile: document.getElementById('customTextFile'),
+        settingKeybindings: document.getElementById('settingKeybindings'),
+        keybindingsStatus: document.getElementById('keybindingsStatus'),
+        keybindingsFileBtn: document.getElementById('keybindingsFileBtn'),
+        keybindingsClearBtn: document.getElementById('keybindingsClearBtn'),
+        keybindingsFile: document.getElementById('keybindingsFile'),
+        settingPackUrl: document.getElementById('settingPackUrl'),
+        packStatus: document.getElementById('packStatus'),
+        packFileBtn: document.getElementById('packFileBtn'),
+        packExitBtn: document.getElementById('packExitBtn'),
+        packFile: document.getElementById('packFile'),
         settingNavigation: document.getElementById('settingNavigation'),
         settingSelection: document.getElementById('settingSelection'),
         settingDeletion: document.getElementById('settingDeletion'),
+        settingEditing: document.getElementById('settingEditing'),
 
         // Terminal container
         terminalContainer: document.getElementById('terminalContainer'),
@@ -821,11 +959,25 @@ function initTerminal() {
  * Load personal best from localStorage
  */
 function loadPersonalBest() {
-    const savedBest = localStorage.getItem(STORAGE_KEY_BEST_CPM);
-    if (savedBest) {
-        app.bestCpm = parseInt(savedBest, 10);
-        updateBestCpmDisplay();
+    const savedBest = localStorage.getItem(getPersonalBestKey());
+    app.bestCpm = savedBest ? parseInt(savedBest, 10) : 0;
+    updateBestCpmDisplay();
+}
+
+/**
+ * Get the localStorage key of the personal best for the current text pool and difficulty
+ * Scores are only comparable within a pool and difficulty, so each has its own best
+ * (the mixed pool on normal keeps the original key)
+ */
+function getPersonalBestKey() {
+    let key = STORAGE_KEY_BEST_CPM;
+    if (app.textPool !== 'mixed') {
+        key += `-${app.textPool}`;
     }
+    if (app.difficulty !== 'normal') {
+        key += `-${app.difficulty}`;
+    }
+    return key;
 }
 
 /**
@@ -853,18 +1005,19 @@ function isUsingAllCategories() {
 
 /**
  * Check if score is valid for personal best
- * Returns true if hints are OFF and all categories are enabled
+ * Returns true if hints are OFF, all categories are enabled, the built-in text is in use
+ * and commands are picked uniformly (adaptive sessions lean on the player's weak spots)
  */
 function isValidForPersonalBest() {
-    return !app.showHints && areAllCategoriesEnabled();
+    return !app.showHints && areAllCategoriesEnabled() && !app.customTextLines && !app.adaptive;
 }
 
 /**
  * Check and update personal best
- * Only counts toward personal best if hints are OFF and using all categories
+ * Only counts toward personal best if hints are OFF, using all categories and the built-in text
  */
 function checkPersonalBest(cpm) {
-    // Don't count if hints are enabled (cheating) or filtered categories
+    // Don't count if hints are enabled (cheating), filtered categories or the player's own text
     if (!isValidForPersonalBest()) {
         return false;
     }
@@ -872,7 +1025,7 @@ function checkPersonalBest(cpm) {
     if (cpm > app.bestCpm) {
         app.bestCpm = cpm;
         app.isNewBest = true;
-        localStorage.setItem(STORAGE_KEY_BEST_CPM, cpm.toString());
+        localStorage.setItem(getPersonalBestKey(), cpm.toString());
         updateBestCpmDisplay();
         showNewBestAnimation();
         return true;
@@ -1097,17 +1250,23 @@ function loadSavedOS() {
     if (app.terminal) {
         app.terminal.setOS(app.currentOS);
     }
+    updateGolfAvailability();
+    updateEditorProfileAvailability();
 }
 
 /**
  * Apply OS selection to the document
+ * @param {string} os - The OS
+ * @param {boolean} [save=true] - Whether to remember it for next time
  */
-function applyOS(os) {
+function applyOS(os, save = true) {
     // Set data attribute on body for CSS styling and JS reference
     document.body.setAttribute('data-os', os);
 
     // Save to localStorage
-    localStorage.setItem(STORAGE_KEY_OS, os);
+    if (save) {
+        localStorage.setItem(STORAGE_KEY_OS, os);
+    }
 
     // Update button active states
     updateOSButtonActiveState(os);
@@ -1134,11 +1293,15 @@ function updateOSButtonActiveState(os) {
 
 /**
  * Handle OS selection
+ * @param {string} os - The OS
+ * @param {HTMLElement} [button] - The OS button clicked
+ * @param {Object} [options]
+ * @param {boolean} [options.save=true] - Whether to remember it for next time (not for a pack's OS)
  */
-function selectOS(os, button) {
+function selectOS(os, button, { save = true } = {}) {
     if (!OS_TYPES.includes(os)) return;
 
-    applyOS(os);
+    applyOS(os, save);
 
     // Update the OS in the challenges module
     setOS(os);
@@ -1150,6 +1313,9 @@ function selectOS(os, button) {
 
     // Update mobile keyboard labels for new OS
     updateMobileKeyboardLabels();
+    updateGolfAvailability();
+    updatePackAvailability();
+    updateEditorProfileAvailability();
 
     // Reload the current challenge to show the new OS shortcuts
     if (app.currentChallenge) {
@@ -1162,6 +1328,195 @@ function selectOS(os, button) {
     }
 }
 
+/**
+ * Fill the editor profile selector with the built-in profiles and any imported one
+ */
+function fillEditorProfileOptions() {
+    if (!app.dom.editorProfileSelect) return;
+
+    app.dom.editorProfileSelect.innerHTML = '';
+    Object.entries(EDITOR_PROFILES).forEach(([id, profile]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = profile.name;
+        option.title = profile.description;
+        app.dom.editorProfileSelect.appendChild(option);
+    });
+    app.dom.editorProfileSelect.value = app.editorProfile;
+}
+
+/**
+ * Fill the editor profile selector and load the saved profile from localStorage
+ */
+function loadSavedEditorProfile() {
+    loadSavedKeybindings();
+
+    const savedProfile = localStorage.getItem(STORAGE_KEY_EDITOR_PROFILE);
+    app.editorProfile = EDITOR_PROFILES[savedProfile] ? savedProfile : 'default';
+    setEditorProfile(app.editorProfile);
+    if (app.terminal) {
+        app.terminal.setEditorProfile(app.editorProfile);
+    }
+    fillEditorProfileOptions();
+    updateEditorProfileAvailability();
+}
+
+/**
+ * Handle editor profile selection
+ * @param {string} profile - Key in EDITOR_PROFILES
+ * @param {Object} [options]
+ * @param {boolean} [options.save=true] - Whether to remember it for next time (not for a pack's profile)
+ */
+function selectEditorProfile(profile, { save = true } = {}) {
+    if (!EDITOR_PROFILES[profile]) return;
+
+    app.editorProfile = profile;
+    if (save) {
+        localStorage.setItem(STORAGE_KEY_EDITOR_PROFILE, profile);
+    }
+    if (app.dom.editorProfileSelect) {
+        app.dom.editorProfileSelect.value = profile;
+    }
+
+    // Update the shortcuts in the challenges module and the terminal editor
+    setEditorProfile(profile);
+    if (app.terminal) {
+        app.terminal.setEditorProfile(profile);
+    }
+
+    updateGolfAvailability();
+    updatePackAvailability();
+
+    // Reload the current challenge to show the profile's shortcuts
+    if (app.currentChallenge) {
+        loadFirstChallenge();
+    }
+
+    if (app.dom.terminalArea) {
+        app.dom.terminalArea.focus();
+    }
+}
+
+/**
+ * Load the saved VS Code keybindings from localStorage as the custom editor profile
+ */
+function loadSavedKeybindings() {
+    const source = localStorage.getItem(STORAGE_KEY_KEYBINDINGS);
+    if (!source) {
+        setKeybindingsStatus('none imported');
+        return;
+    }
+
+    try {
+        const { profile, applied } = createVSCodeProfile(source);
+        setCustomEditorProfile(profile);
+        showKeybindingsImported(source, applied);
+    } catch (error) {
+        // Saved by an older version that read it differently: drop it rather than fail on every load
+        localStorage.removeItem(STORAGE_KEY_KEYBINDINGS);
+        setKeybindingsStatus('none imported');
+    }
+}
+
+/**
+ * Import a VS Code keybindings.json as the custom editor profile and switch to it
+ * @param {string} source - The file's contents (empty to remove the custom profile)
+ */
+function importKeybindings(source) {
+    if (!source.trim()) {
+        clearKeybindings();
+        return;
+    }
+
+    let imported;
+    try {
+        imported = createVSCodeProfile(source);
+    } catch (error) {
+        setKeybindingsStatus(error.message);
+        if (app.dom.keybindingsStatus) {
+            app.dom.keybindingsStatus.title = error.message;
+        }
+        return;
+    }
+
+    setCustomEditorProfile(imported.profile);
+    localStorage.setItem(STORAGE_KEY_KEYBINDINGS, source);
+    showKeybindingsImported(source, imported.applied);
+    fillEditorProfileOptions();
+    // Also rebuilds the commands when the custom profile was already selected
+    selectEditorProfile(CUSTOM_EDITOR_PROFILE);
+}
+
+/**
+ * Remove the custom editor profile, going back to the OS shortcuts if it was selected
+ */
+function clearKeybindings() {
+    setCustomEditorProfile(null);
+    localStorage.removeItem(STORAGE_KEY_KEYBINDINGS);
+    if (app.dom.settingKeybindings) {
+        app.dom.settingKeybindings.value = '';
+    }
+    if (app.dom.keybindingsClearBtn) {
+        app.dom.keybindingsClearBtn.hidden = true;
+    }
+    setKeybindingsStatus('none imported');
+
+    if (app.editorProfile === CUSTOM_EDITOR_PROFILE) {
+        selectEditorProfile('default');
+    }
+    fillEditorProfileOptions();
+    updateEditorProfileAvailability();
+}
+
+/**
+ * Read a keybindings.json file and import it
+ * @param {File} file - Dropped or picked file
+ */
+function loadKeybindingsFile(file) {
+    file.text()
+        .then(importKeybindings)
+        .catch(() => {
+            setKeybindingsStatus(`couldn't read ${file.name}`);
+        });
+}
+
+/**
+ * Show imported keybindings in settings
+ * @param {string} source - The file's contents
+ * @param {number} applied - How many of its bindings changed a practiced shortcut
+ */
+function showKeybindingsImported(source, applied) {
+    if (app.dom.settingKeybindings) {
+        app.dom.settingKeybindings.value = source;
+    }
+    if (app.dom.keybindingsClearBtn) {
+        app.dom.keybindingsClearBtn.hidden = false;
+    }
+    setKeybindingsStatus(`${applied} ${applied === 1 ? 'binding' : 'bindings'} imported`);
+    if (app.dom.keybindingsStatus) {
+        app.dom.keybindingsStatus.title = '';
+    }
+}
+
+/**
+ * Set the keybindings import status line in settings
+ * @param {string} text - Status text
+ */
+function setKeybindingsStatus(text) {
+    if (app.dom.keybindingsStatus) {
+        app.dom.keybindingsStatus.textContent = text;
+    }
+}
+
+/**
+ * Disable the editor profile selector where profiles don't apply (Vim and Emacs have their own keys)
+ */
+function updateEditorProfileAvailability() {
+    if (app.dom.editorProfileSelect) {
+        app.dom.editorProfileSelect.disabled = !isEditorProfileAvailable(app.editorProfile, app.currentOS);
+    }
+}
+
 /**
  * Set up all event listeners
  */
@@ -1169,6 +1524,10 @@ function setupEventListeners() {
     // Timer mode buttons
     app.dom.timerButtons.forEach(button => {
         button.addEventListener('click', () => {
+            if (button.dataset.mode === GameModes.GOLF) {
+                selectGolfMode(button);
+                return;
+            }
             const duration = parseInt(button.dataset.time, 10);
             selectTimerMode(duration, button);
         });
@@ -1209,6 +1568,11 @@ function setupEventListeners() {
             setCategoryEnabled('deletion', app.dom.settingDeletion.checked);
         });
     }
+    if (app.dom.settingEditing) {
+        app.dom.settingEditing.addEventListener('change', () => {
+            setCategoryEnabled('editing', app.dom.settingEditing.checked);
+        });
+    }
 
     // OS selector buttons
     if (app.dom.osButtons) {
@@ -1220,6 +1584,13 @@ function setupEventListeners() {
         });
     }
 
+    // Editor profile selector
+    if (app.dom.editorProfileSelect) {
+        app.dom.editorProfileSelect.addEventListener('change', () => {
+            selectEditorProfile(app.dom.editorProfileSelect.value);
+        });
+    }
+
     // Hints toggle - should instantly update display
     if (app.dom.settingHints) {
         app.dom.settingHints.addEventListener('change', () => {
@@ -1245,6 +1616,175 @@ function setupEventListeners() {
         });
     }
 
+    // System clipboard toggle
+    if (app.dom.settingSystemClipboard) {
+        app.dom.settingSystemClipboard.addEventListener('change', () => {
+            setUseSystemClipboard(app.dom.settingSystemClipboard.checked);
+        });
+    }
+
+    // Adaptive practice toggle
+    if (app.dom.settingAdaptive) {
+        app.dom.settingAdaptive.addEventListener('change', () => {
+            setAdaptive(app.dom.settingAdaptive.checked);
+        });
+    }
+
+    // Partial credit toggle
+    if (app.dom.settingPartialCredit) {
+        app.dom.settingPartialCredit.addEventListener('change', () => {
+            setPartialCredit(app.dom.settingPartialCredit.checked);
+        });
+    }
+
+    // Mistake review selector
+    if (app.dom.settingMistakeReview) {
+        app.dom.settingMistakeReview.addEventListener('change', () => {
+            selectMistakeReview(app.dom.settingMistakeReview.value);
+        });
+    }
+
+    // A paused review is dismissed by a click (or tap) as well as a key
+    if (app.dom.mistakeReview) {
+        app.dom.mistakeReview.addEventListener('click', dismissMistakeReview);
+    }
+
+    // Seed input - applies when the field is committed (Enter or blur)
+    if (app.dom.settingSeed) {
+        app.dom.settingSeed.addEventListener('change', () => {
+            setCustomSeed(app.dom.settingSeed.value);
+        });
+    }
+
+    // Difficulty selector
+    if (app.dom.settingDifficulty) {
+        app.dom.settingDifficulty.addEventListener('change', () => {
+            selectDifficulty(app.dom.settingDifficulty.value);
+        });
+    }
+
+    // Language selector
+    if (app.dom.settingLanguage) {
+        app.dom.settingLanguage.addEventListener('change', () => {
+            selectLanguage(app.dom.settingLanguage.value);
+        });
+    }
+
+    // Text pool selector
+    if (app.dom.settingTextPool) {
+        app.dom.settingTextPool.addEventListener('change', () => {
+            selectTextPool(app.dom.settingTextPool.value);
+        });
+    }
+
+    // Practice text - pasted (applied on blur), loaded from a file, or dropped onto the text box
+    if (app.dom.settingCustomText) {
+        const textArea = app.dom.settingCustomText;
+        textArea.addEventListener('change', () => {
+            setCustomText(textArea.value);
+        });
+        textArea.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            textArea.classList.add('drag-over');
+        });
+        textArea.addEventListener('dragleave', () => {
+            textArea.classList.remove('drag-over');
+        });
+        textArea.addEventListener('drop', (e) => {
+            textArea.classList.remove('drag-over');
+            const file = e.dataTransfer && e.dataTransfer.files[0];
+            if (file) {
+                e.preventDefault();
+                loadCustomTextFile(file);
+            }
+        });
+    }
+    if (app.dom.customTextFileBtn && app.dom.customTextFile) {
+        app.dom.customTextFileBtn.addEventListener('click', () => {
+            app.dom.customTextFile.click();
+        });
+        app.dom.customTextFile.addEventListener('change', () => {
+            const file = app.dom.customTextFile.files[0];
+            if (file) {
+                loadCustomTextFile(file);
+            }
+            // Allow picking the same file again after editing it
+            app.dom.customTextFile.value = '';
+        });
+    }
+    if (app.dom.customTextClearBtn) {
+        app.dom.customTextClearBtn.addEventListener('click', () => {
+            setCustomText('');
+        });
+    }
+
+    // VS Code keybindings - pasted (applied on blur), loaded from a file, or dropped onto the text box
+    if (app.dom.settingKeybindings) {
+        const textArea = app.dom.settingKeybindings;
+        textArea.addEventListener('change', () => {
+            importKeybindings(textArea.value);
+        });
+        textArea.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            textArea.classList.add('drag-over');
+        });
+        textArea.addEventListener('dragleave', () => {
+            textArea.classList.remove('drag-over');
+        });
+        textArea.addEventListener('drop', (e) => {
+            textArea.classList.remove('drag-over');
+            const file = e.dataTransfer && e.dataTransfer.files[0];
+            if (file) {
+                e.preventDefault();
+                loadKeybindingsFile(file);
+            }
+        });
+    }
+    if (app.dom.keybindingsFileBtn && app.dom.keybindingsFile) {
+        app.dom.keybindingsFileBtn.addEventListener('click', () => {
+            app.dom.keybindingsFile.click();
+        });
+        app.dom.keybindingsFile.addEventListener('change', () => {
+            const file = app.dom.keybindingsFile.files[0];
+            if (file) {
+                loadKeybindingsFile(file);
+            }
+            app.dom.keybindingsFile.value = '';
+        });
+    }
+    if (app.dom.keybindingsClearBtn) {
+        app.dom.keybindingsClearBtn.addEventListener('click', () => {
+            clearKeybindings();
+        });
+    }
+
+    // Challenge pack - from a URL on this site (applied on Enter or blur) or a file
+    if (app.dom.settingPackUrl) {
+        app.dom.settingPackUrl.addEventListener('change', () => {
+            const url = app.dom.settingPackUrl.value.trim();
+            if (url) {
+                loadChallengePackFromURL(url);
+            }
+        });
+    }
+    if (app.dom.packFileBtn && app.dom.packFile) {
+        app.dom.packFileBtn.addEventListener('click', () => {
+            app.dom.packFile.click();
+        });
+        app.dom.packFile.addEventListener('change', () => {
+            const file = app.dom.packFile.files[0];
+            if (file) {
+                loadChallengePackFile(file);
+            }
+            app.dom.packFile.value = '';
+        });
+    }
+    if (app.dom.packExitBtn) {
+        app.dom.packExitBtn.addEventListener('click', () => {
+            exitChallengePack();
+        });
+    }
+
     // Click to reveal blurred key hint (only works when hints are hidden)
     if (app.dom.keyHint) {
         app.dom.keyHint.addEventListener('click', () => {
@@ -1279,6 +1819,8 @@ function setupEventListeners() {
 
     // Global keyboard events
     document.addEventListener('keydown', handleGlobalKeydown);
+    // Capture phase, so a paused review gets the key before the terminal does
+    document.addEventListener('keydown', handleReviewKeydown, true);
 
     // Focus terminal on page load
     if (app.dom.terminalArea) {
@@ -1417,11 +1959,147 @@ function selectTimerMode(duration, button) {
 
     // Update game settings
     app.game.setDuration(duration);
+    setGameMode(GameModes.TIMED);
 
     // Update display
     updateTimeDisplay(duration);
 }
 
+/**
+ * Handle golf mode selection
+ */
+function selectGolfMode(button) {
+    // Don't allow changes during active game, or on profiles the solver can't play
+    if (app.hasStarted || !isCommandAvailable('MULTI_STEP_EDIT', app.currentOS)) return;
+
+    app.dom.timerButtons.forEach(btn => btn.classList.remove('active'));
+    button.classList.add('active');
+
+    setGameMode(GameModes.GOLF);
+}
+
+/**
+ * Switch between the timed game, keystroke golf and a challenge pack
+ * @param {string} mode - One of GameModes
+ */
+function setGameMode(mode) {
+    const changed = mode !== app.gameMode;
+    app.gameMode = mode;
+    app.game.setMode(mode);
+
+    // Leaving pack mode puts the pack away
+    if (mode !== GameModes.PACK && app.challengePack) {
+        app.challengePack = null;
+        updatePackStatus();
+    }
+
+    updateModeDisplay();
+
+    // Golf plays multi-step holes only, so swap out the current challenge
+    if (changed && app.currentChallenge) {
+        loadFirstChallenge();
+    }
+}
+
+/**
+ * Enable golf only where there's a solver for the shortcuts (not the modal Vim profile),
+ * falling back to the timed game when switching to a profile without one
+ */
+function updateGolfAvailability() {
+    const available = isCommandAvailable('MULTI_STEP_EDIT', app.currentOS);
+    if (app.dom.golfModeBtn) {
+        app.dom.golfModeBtn.disabled = !available;
+    }
+
+    if (!available && app.gameMode === GameModes.GOLF) {
+        fallBackToTimedMode();
+    }
+}
+
+/**
+ * Switch to the timed game at the last duration, ending any session underway or on show
+ */
+function fallBackToTimedMode() {
+    const wasPlaying = app.hasStarted || app.isShowingResults;
+    if (wasPlaying) {
+        // The engine only changes mode when idle
+        app.hasStarted = false;
+        app.game.reset();
+    }
+
+    const duration = app.game.getDuration();
+    selectTimerMode(duration, document.querySelector(`.timer-btn[data-time="${duration}"]`));
+
+    if (wasPlaying) {
+        hideResultsModal();
+        resetGame();
+    }
+}
+
+/**
+ * Relabel the stats bar for the game mode: CPM and time left, score to par and hole,
+ * or CPM and progress through the pack
+ */
+function updateModeDisplay() {
+    const golf = app.gameMode === GameModes.GOLF;
+    const pack = app.gameMode === GameModes.PACK;
+
+    if (app.dom.cpmLabel) {
+        app.dom.cpmLabel.textContent = golf ? 'To par' : 'CPM';
+    }
+    if (app.dom.timeLabel) {
+        app.dom.timeLabel.textContent = golf ? 'Hole' : pack ? 'Challenge' : 'Time';
+    }
+    if (app.dom.targetLine) {
+        app.dom.targetLine.hidden = !golf;
+    }
+
+    if (golf) {
+        updateGolfDisplay();
+    } else if (pack) {
+        updatePackDisplay();
+    } else {
+        updateTimeDisplay(app.game.getTimeRemaining());
+    }
+}
+
+/**
+ * Update progress through the challenge pack in the stats bar
+ */
+function updatePackDisplay() {
+    const completed = app.game.getStats().commandsCompleted;
+    const length = app.game.getPackLength();
+
+    if (app.dom.timeDisplay) {
+        app.dom.timeDisplay.textContent = `${Math.min(completed + 1, length)}/${length}`;
+    }
+}
+
+/**
+ * Format a golf score the way golfers do: '-1' under par, 'E' for even, '+3' over par
+ * @param {number} overPar - Strokes over par (negative when under)
+ * @returns {string} Score label
+ */
+function formatToPar(overPar) {
+    if (overPar === 0) return 'E';
+    return overPar > 0 ? `+${overPar}` : `${overPar}`;
+}
+
+/**
+ * Update the golf score and hole number in the stats bar
+ */
+function updateGolfDisplay() {
+    const stats = app.game.getStats();
+    const holes = app.game.getHoles();
+
+    if (app.dom.cpmDisplay) {
+        app.dom.cpmDisplay.textContent = stats.commandsCompleted > 0 ? formatToPar(stats.overPar) : '-';
+    }
+    if (app.dom.timeDisplay) {
+        app.dom.timeDisplay.textContent = `${Math.min(stats.commandsCompleted + 1, holes)}/${holes}`;
+    }
+}
+
 /**
  * Set category enabled state
  */
@@ -1436,7 +2114,8 @@ function setCategoryEnabled(category, enabled) {
     const storageKey = {
         navigation: STORAGE_KEY_CAT_NAVIGATION,
         selection: STORAGE_KEY_CAT_SELECTION,
-        deletion: STORAGE_KEY_CAT_DELETION
+        deletion: STORAGE_KEY_CAT_DELETION,
+        editing: STORAGE_KEY_CAT_EDITING
     }[category];
     if (storageKey) {
         localStorage.setItem(storageKey, enabled ? 'true' : 'false');
@@ -1462,10 +2141,12 @@ function loadSavedCategories() {
     const savedNavigation = localStorage.getItem(STORAGE_KEY_CAT_NAVIGATION);
     const savedSelection = localStorage.getItem(STORAGE_KEY_CAT_SELECTION);
     const savedDeletion = localStorage.getItem(STORAGE_KEY_CAT_DELETION);
+    const savedEditing = localStorage.getItem(STORAGE_KEY_CAT_EDITING);
 
     app.enabledCategories.navigation = savedNavigation !== 'false';
     app.enabledCategories.selection = savedSelection !== 'false';
     app.enabledCategories.deletion = savedDeletion !== 'false';
+    app.enabledCategories.editing = savedEditing !== 'false';
 
     // Update toggle states
     if (app.dom.settingNavigation) {
@@ -1477,6 +2158,9 @@ function loadSavedCategories() {
     if (app.dom.settingDeletion) {
         app.dom.settingDeletion.checked = app.enabledCategories.deletion;
     }
+    if (app.dom.settingEditing) {
+        app.dom.settingEditing.checked = app.enabledCategories.editing;
+    }
 }
 
 /**
@@ -1485,7 +2169,8 @@ function loadSavedCategories() {
 function areAllCategoriesEnabled() {
     return app.enabledCategories.navigation &&
            app.enabledCategories.selection &&
-           app.enabledCategories.deletion;
+           app.enabledCategories.deletion &&
+           app.enabledCategories.editing;
 }
 
 /**
@@ -1525,24 +2210,136 @@ function setShowHints(enabled) {
 }
 
 /**
- * Apply hints setting to the UI
- * When hints are ON: keys are fully visible
- * When hints are OFF: keys are hidden (challenge mode)
+ * Load saved system clipboard setting from localStorage
  */
-function applyHintsSetting(enabled) {
-    // Set data attribute on body for CSS styling
-    document.body.setAttribute('data-hints', enabled ? 'on' : 'off');
+function loadSavedSystemClipboard() {
+    app.useSystemClipboard = localStorage.getItem(STORAGE_KEY_SYSTEM_CLIPBOARD) === 'true';
+    if (app.terminal) {
+        app.terminal.mirrorSystemClipboard = app.useSystemClipboard;
+    }
+    if (app.dom.settingSystemClipboard) {
+        app.dom.settingSystemClipboard.checked = app.useSystemClipboard;
+    }
+}
 
-    // Also update the hints-hidden class on keyHint element
-    if (app.dom.keyHint) {
-        app.dom.keyHint.classList.remove('revealed');
-        if (enabled) {
-            app.dom.keyHint.classList.remove('hints-hidden');
-            // Clear inline blur style when hints are enabled
-            app.dom.keyHint.style.filter = '';
-            app.dom.keyHint.style.opacity = '';
-            app.dom.keyHint.style.pointerEvents = '';
-        } else {
+/**
+ * Set whether copy/cut in the terminal also write to the system clipboard
+ */
+function setUseSystemClipboard(enabled) {
+    app.useSystemClipboard = enabled;
+    localStorage.setItem(STORAGE_KEY_SYSTEM_CLIPBOARD, enabled ? 'true' : 'false');
+    if (app.terminal) {
+        app.terminal.mirrorSystemClipboard = enabled;
+    }
+
+    // Keep focus on terminal
+    if (app.dom.terminalArea) {
+        app.dom.terminalArea.focus();
+    }
+}
+
+/**
+ * Load the adaptive practice setting and the command stats it works from
+ */
+function loadSavedAdaptive() {
+    app.adaptive = localStorage.getItem(STORAGE_KEY_ADAPTIVE) === 'true';
+    if (app.dom.settingAdaptive) {
+        app.dom.settingAdaptive.checked = app.adaptive;
+    }
+
+    try {
+        app.commandStats = normalizeCommandStats(JSON.parse(localStorage.getItem(STORAGE_KEY_COMMAND_STATS)));
+    } catch (e) {
+        app.commandStats = createCommandStats();
+    }
+}
+
+/**
+ * Set whether challenges favour the commands the player struggles with
+ * Takes effect from the next challenge; the stats keep being recorded either way
+ */
+function setAdaptive(enabled) {
+    app.adaptive = enabled;
+    localStorage.setItem(STORAGE_KEY_ADAPTIVE, enabled ? 'true' : 'false');
+
+    // Keep focus on terminal
+    if (app.dom.terminalArea) {
+        app.dom.terminalArea.focus();
+    }
+}
+
+/**
+ * Load the partial credit setting
+ */
+function loadSavedPartialCredit() {
+    app.partialCredit = localStorage.getItem(STORAGE_KEY_PARTIAL_CREDIT) === 'true';
+    if (app.dom.settingPartialCredit) {
+        app.dom.settingPartialCredit.checked = app.partialCredit;
+    }
+}
+
+/**
+ * Set whether near misses count toward the accuracy shown
+ * Only changes what's displayed: the game keeps both the strict and the graded accuracy
+ */
+function setPartialCredit(enabled) {
+    app.partialCredit = enabled;
+    localStorage.setItem(STORAGE_KEY_PARTIAL_CREDIT, enabled ? 'true' : 'false');
+    app.lastAccuracy = null;
+    updateStatsDisplay();
+
+    // Keep focus on terminal
+    if (app.dom.terminalArea) {
+        app.dom.terminalArea.focus();
+    }
+}
+
+/**
+ * Get the game's accuracy, graded if partial credit is on
+ * @returns {number} Accuracy percentage
+ */
+function getDisplayedAccuracy() {
+    return app.partialCredit ? app.game.getGradedAccuracy() : app.game.getAccuracy();
+}
+
+/**
+ * Record how the player did on the current challenge, for adaptive practice
+ * Only timed games count: golf holes are all the same command and packs are fixed
+ * @param {boolean} success - Whether the command was done right
+ */
+function recordChallengeAttempt(success) {
+    const challenge = app.currentChallenge;
+    if (!app.hasStarted || app.gameMode !== GameModes.TIMED || !challenge || !challenge.command || !app.commandStats) return;
+
+    // The first challenge is on screen before the clock starts, so it has no fair time
+    const time = success && app.challengeShownAt ? Date.now() - app.challengeShownAt : null;
+    recordCommandAttempt(app.commandStats, challenge.command.type, { success, time });
+    try {
+        localStorage.setItem(STORAGE_KEY_COMMAND_STATS, JSON.stringify(app.commandStats));
+    } catch (e) {
+        // Storage full or unavailable - the stats still apply for this visit
+    }
+}
+
+/**
+ * Apply hints setting to the UI
+ * When hints are ON: keys are fully visible
+ * When hints are OFF: keys are hidden (challenge mode)
+ */
+function applyHintsSetting(enabled) {
+    // Set data attribute on body for CSS styling
+    document.body.setAttribute('data-hints', enabled ? 'on' : 'off');
+
+    // Also update the hints-hidden class on keyHint element
+    if (app.dom.keyHint) {
+        app.dom.keyHint.classList.remove('revealed');
+        if (enabled) {
+            app.dom.keyHint.classList.remove('hints-hidden');
+            // Clear inline blur style when hints are enabled
+            app.dom.keyHint.style.filter = '';
+            app.dom.keyHint.style.opacity = '';
+            app.dom.keyHint.style.pointerEvents = '';
+        } else {
             // CRITICAL: Keep hints hidden with blur
             app.dom.keyHint.classList.add('hints-hidden');
             // Apply inline blur as backup (ensures blur even if CSS fails)
@@ -1609,10 +2406,15 @@ function handleTerminalKeydown(event) {
         return;
     }
 
+    app.challengeKeystrokes++;
+
     // Start game on first shortcut if not started
     if (!app.hasStarted && !app.isShowingResults) {
-        // Check if this is a valid shortcut (has modifier keys)
-        if (metaKey || altKey || ctrlKey) {
+        // Check if this is a valid shortcut (has modifier keys; in Vim every key is a command,
+        // and in golf and free navigation every keystroke counts)
+        const everyKeyCounts = app.gameMode === GameModes.GOLF ||
+            Boolean(app.currentChallenge && app.currentChallenge.freeNavigation);
+        if (metaKey || altKey || ctrlKey || app.currentOS === 'vim' || everyKeyCounts) {
             startGame();
         }
     }
@@ -1685,18 +2487,33 @@ function checkCommand() {
         text: terminalState.text,
         cursorPosition: terminalState.cursorPosition,
         selection: terminalState.selection ?
-            [terminalState.selection.start, terminalState.selection.end] : null
+            [terminalState.selection.start, terminalState.selection.end] : null,
+        mode: terminalState.mode,
+        register: terminalState.register,
+        clipboard: terminalState.clipboard,
+        mark: terminalState.mark,
+        keystrokes: app.challengeKeystrokes
     });
 
     if (validation.success) {
-        // Command was correct
-        app.game.handleCommandAttempt(true);
+        recordChallengeAttempt(true);
+
+        // Command was correct (golf scores the hole's strokes against par)
+        app.game.handleCommandAttempt(true, {
+            strokes: validation.keystrokes,
+            par: validation.optimalKeystrokes,
+            route: getNavigationRoute(validation)
+        });
         showFeedback(true);
+        showKeystrokeSummary(validation);
 
         // Quick transition to next challenge
         setTimeout(() => {
             loadNextChallenge();
         }, 500);
+    } else if (validation.inProgress || app.gameMode === GameModes.GOLF) {
+        // Part way through a multi-step challenge - wait for the next step
+        // (a golf hole is played until the target is reached; extra strokes are the penalty)
     } else {
         // Check if user actually tried a command (text or cursor changed)
         const stateChanged =
@@ -1706,12 +2523,16 @@ function checkCommand() {
 
         if (stateChanged) {
             // User tried but got it wrong
-            app.game.handleCommandAttempt(false);
+            recordChallengeAttempt(false);
+            app.game.handleCommandAttempt(false, { score: validation.score });
             showFeedback(false);
-            // Reset terminal to challenge state for retry
-            setTimeout(() => {
-                setupChallengeInTerminal(app.currentChallenge);
-            }, 300);
+            showMistakeReview(validation);
+            // Reset terminal to challenge state for retry (a paused review resets it when dismissed)
+            if (!app.reviewPaused) {
+                setTimeout(() => {
+                    setupChallengeInTerminal(app.currentChallenge);
+                }, 300);
+            }
         }
     }
 
@@ -1719,6 +2540,59 @@ function checkCommand() {
     updateStatsDisplay();
 }
 
+/**
+ * Describe the route taken to a free navigation target, for the game stats
+ * @param {Object} validation - Result from validateChallenge
+ * @returns {{strokes: number, par: number, time: number|null}|null} The route, or null for other challenges
+ */
+function getNavigationRoute(validation) {
+    if (!app.currentChallenge || !app.currentChallenge.freeNavigation) return null;
+
+    return {
+        strokes: validation.keystrokes,
+        par: validation.optimalKeystrokes,
+        // The first challenge is on screen before the clock starts, so it has no fair time
+        time: app.challengeShownAt ? Date.now() - app.challengeShownAt : null
+    };
+}
+
+/**
+ * Sum up the routes taken to free navigation targets in a session
+ * @param {Object[]} routes - Routes from the game results
+ * @returns {string} e.g. '4 targets in 19 keys (best 14), 2.1s each'
+ */
+function formatRouteSummary(routes) {
+    const strokes = routes.reduce((sum, route) => sum + route.strokes, 0);
+    const par = routes.reduce((sum, route) => sum + route.par, 0);
+    let summary = `${routes.length} target${routes.length === 1 ? '' : 's'} in ${strokes} keys (best ${par})`;
+
+    const times = routes.map(route => route.time).filter(time => time !== null);
+    if (times.length > 0) {
+        const average = times.reduce((sum, time) => sum + time, 0) / times.length;
+        summary += `, ${(average / 1000).toFixed(1)}s each`;
+    }
+    return summary;
+}
+
+/**
+ * Show how a solved multi-step challenge compares with the shortest solution
+ * @param {Object} validation - Result from validateChallenge
+ */
+function showKeystrokeSummary(validation) {
+    if (validation.extraKeystrokes === undefined || !app.dom.commandInstruction) return;
+
+    const { keystrokes, optimalKeystrokes, extraKeystrokes } = validation;
+    // Keys the solver doesn't use (clipboard, undo, typing) can beat its best
+    if (keystrokes < optimalKeystrokes) {
+        app.dom.commandInstruction.textContent =
+            `${keystrokes} keystrokes - ${optimalKeystrokes - keystrokes} fewer than the solver's best (${optimalKeystrokes})`;
+        return;
+    }
+    app.dom.commandInstruction.textContent = extraKeystrokes === 0
+        ? `Optimal - ${keystrokes} keystrokes`
+        : `${keystrokes} keystrokes - ${extraKeystrokes} more than the best (${optimalKeystrokes})`;
+}
+
 /**
  * Show visual feedback for correct/incorrect input
  */
@@ -1755,6 +2629,215 @@ function showFeedback(isCorrect) {
     }
 }
 
+/**
+ * Load the mistake review setting
+ */
+function loadSavedMistakeReview() {
+    if (app.dom.settingMistakeReview) {
+        app.dom.settingMistakeReview.innerHTML = '';
+        Object.entries(MISTAKE_REVIEWS).forEach(([id, name]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            app.dom.settingMistakeReview.appendChild(option);
+        });
+    }
+
+    const savedReview = localStorage.getItem(STORAGE_KEY_MISTAKE_REVIEW);
+    app.mistakeReview = MISTAKE_REVIEWS[savedReview] ? savedReview : 'off';
+    if (app.dom.settingMistakeReview) {
+        app.dom.settingMistakeReview.value = app.mistakeReview;
+    }
+}
+
+/**
+ * Set what a wrong attempt shows
+ * @param {string} review - Key in MISTAKE_REVIEWS
+ */
+function selectMistakeReview(review) {
+    if (!MISTAKE_REVIEWS[review]) return;
+
+    app.mistakeReview = review;
+    localStorage.setItem(STORAGE_KEY_MISTAKE_REVIEW, review);
+    if (review === 'off') {
+        dismissMistakeReview();
+        hideMistakeReview();
+    }
+}
+
+/**
+ * Show a wrong attempt next to what the challenge expected
+ * Built from the validation details: only what didn't match is listed there, so everything
+ * else in the player's buffer is as expected
+ * @param {Object} validation - Result from validateChallenge
+ */
+function showMistakeReview(validation) {
+    const challenge = app.currentChallenge;
+    if (app.mistakeReview === 'off' || !app.dom.mistakeReview || !challenge || !challenge.expectedResult) return;
+
+    const expected = challenge.expectedResult;
+    const details = Object.fromEntries(validation.details.map(detail => [detail.type, detail]));
+    const received = (type, fallback) => (details[type] ? details[type].received : fallback);
+
+    renderReviewBuffer(app.dom.reviewExpected, challenge.text, {
+        text: expected.text,
+        cursorPosition: expected.cursorPosition,
+        selection: expected.selection || null
+    });
+    renderReviewBuffer(app.dom.reviewActual, challenge.text, {
+        text: received('text', expected.text),
+        cursorPosition: received('cursor', expected.cursorPosition),
+        selection: received('selection', expected.selection || null)
+    });
+    // Mark the parts of the player's buffer that are off
+    app.dom.reviewActual.dataset.wrong = ['text', 'cursor', 'selection'].filter(type => details[type]).join(' ');
+
+    // Vim mode, register, clipboard and Emacs mark aren't in the buffer: list them instead
+    if (app.dom.reviewNotes) {
+        app.dom.reviewNotes.textContent = '';
+        ['mode', 'register', 'clipboard', 'mark'].filter(type => details[type]).forEach(type => {
+            const note = document.createElement('li');
+            note.textContent = `${type}: expected ${formatReviewValue(details[type].expected)}, got ${formatReviewValue(details[type].received)}`;
+            app.dom.reviewNotes.appendChild(note);
+        });
+    }
+
+    if (app.dom.reviewError) {
+        app.dom.reviewError.textContent = VALIDATION_ERRORS[validation.error] || 'Not quite';
+    }
+
+    const pause = app.mistakeReview === 'pause' && app.game.pause();
+    app.reviewPaused = Boolean(pause);
+    if (app.dom.reviewHint) {
+        app.dom.reviewHint.textContent = app.reviewPaused ? 'press any key to retry' : '';
+    }
+    app.dom.mistakeReview.hidden = false;
+}
+
+/**
+ * Render a buffer for the mistake review: cursor, selection, and what changed from the
+ * challenge's starting text (deleted text struck through where it was, new text marked)
+ * @param {HTMLElement} element - Element to render into
+ * @param {string} original - The challenge's starting text
+ * @param {{text: string, cursorPosition: number, selection: [number, number]|null}} state - Buffer to show
+ */
+function renderReviewBuffer(element, original, { text, cursorPosition, selection }) {
+    if (!element) return;
+
+    // What the buffer shares with the original at either end is untouched; the rest changed
+    let start = 0;
+    while (start < original.length && start < text.length && original[start] === text[start]) {
+        start++;
+    }
+    let end = 0;
+    while (end < original.length - start && end < text.length - start &&
+        original[original.length - 1 - end] === text[text.length - 1 - end]) {
+        end++;
+    }
+    const deleted = original.slice(start, original.length - end);
+    const insertedEnd = text.length - end;
+    const cursorEnd = nextGraphemeBoundary(text, cursorPosition);
+    const [selectionStart, selectionEnd] = selection || [0, 0];
+
+    const getClassName = i => [
+        i >= selectionStart && i < selectionEnd && 'review-selection',
+        i >= start && i < insertedEnd && 'review-inserted',
+        i >= cursorPosition && i < cursorEnd && 'review-cursor'
+    ].filter(Boolean).join(' ');
+
+    element.textContent = '';
+    const append = (tag, className, content) => {
+        const node = document.createElement(tag);
+        node.className = className;
+        node.textContent = content;
+        element.appendChild(node);
+    };
+
+    // Runs of characters with the same marks share a span
+    let run = '';
+    let runClassName = '';
+    const flush = () => {
+        if (run && runClassName) {
+            append('span', runClassName, run);
+        } else if (run) {
+            element.append(run);
+        }
+        run = '';
+    };
+    for (let i = 0; i < text.length; i++) {
+        if (i === start && deleted) {
+            flush();
+            append('del', 'review-deleted', deleted);
+        }
+        const className = getClassName(i);
+        if (className !== runClassName) {
+            flush();
+            runClassName = className;
+        }
+        run += text[i];
+    }
+    flush();
+
+    if (start >= text.length && deleted) {
+        append('del', 'review-deleted', deleted);
+    }
+    if (cursorPosition >= text.length) {
+        append('span', 'review-cursor', '\u00a0');
+    }
+}
+
+/**
+ * Describe a register, clipboard, mode or mark value for the mistake review
+ * @param {*} value - The value
+ * @returns {string} e.g. "'hello'", '12' or 'nothing'
+ */
+function formatReviewValue(value) {
+    if (value === null || value === undefined || value === '') return 'nothing';
+    return typeof value === 'string' ? `'${value}'` : String(value);
+}
+
+/**
+ * Carry on after pausing on a mistake: resume the game and reset the challenge for a retry
+ */
+function dismissMistakeReview() {
+    if (!app.reviewPaused) return;
+
+    hideMistakeReview();
+    if (app.currentChallenge) {
+        setupChallengeInTerminal(app.currentChallenge);
+    }
+    if (app.dom.terminalArea) {
+        app.dom.terminalArea.focus();
+    }
+}
+
+/**
+ * Hide the mistake review (a new challenge or a new game), resuming the game if it was paused
+ */
+function hideMistakeReview() {
+    if (app.reviewPaused) {
+        app.reviewPaused = false;
+        app.game.resume();
+    }
+    if (app.dom.mistakeReview) {
+        app.dom.mistakeReview.hidden = true;
+    }
+}
+
+/**
+ * While paused on a mistake, any key dismisses the review instead of reaching the terminal
+ * Escape and Tab+Enter still restart
+ */
+function handleReviewKeydown(event) {
+    if (!app.reviewPaused) return;
+    if (['Shift', 'Control', 'Alt', 'Meta', 'Tab', 'Escape'].includes(event.key)) return;
+    if (event.key === 'Enter' && Date.now() - app.lastTabPressTime < app.tabEnterWindow) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    dismissMistakeReview();
+}
+
 /**
  * Create particle burst effect for success celebration - DISABLED (too flashy)
  */
@@ -1779,7 +2862,7 @@ function recordPerformancePoint() {
     const stats = app.game.getStats();
     const elapsedSeconds = Math.round(stats.elapsedTime / 1000);
     const cpm = Math.round(app.game.getCPM());
-    const accuracy = Math.round(app.game.getAccuracy());
+    const accuracy = Math.round(getDisplayedAccuracy());
 
     app.performanceHistory.push({
         time: elapsedSeconds,
@@ -1936,7 +3019,7 @@ function resetGame() {
     loadFirstChallenge();
 
     // Reset stats display
-    updateTimeDisplay(app.game.getTimeRemaining());
+    updateModeDisplay();
     updateStatsDisplay();
 
     // Focus terminal
@@ -1975,9 +3058,9 @@ function handleGameEnd(results) {
     app.hasStarted = false;
     app.isShowingResults = true;
 
-    // Check for personal best
+    // Check for personal best (CPM is only comparable in the timed game)
     const finalCpm = Math.round(results.cpm || 0);
-    const isNewBest = checkPersonalBest(finalCpm);
+    const isNewBest = results.mode === GameModes.TIMED && checkPersonalBest(finalCpm);
 
     showResultsModal(results, isNewBest);
 }
@@ -2022,13 +3105,20 @@ function animateNumberChange(element, fromValue, toValue, duration = 200) {
  * Update all stats displays - SIMPLIFIED (no dramatic animations)
  */
 function updateStatsDisplay() {
-    updateCPMDisplay();
+    if (app.gameMode === GameModes.GOLF) {
+        updateGolfDisplay();
+    } else {
+        updateCPMDisplay();
+    }
+    if (app.gameMode === GameModes.PACK) {
+        updatePackDisplay();
+    }
 
     if (app.dom.accuracyDisplay && app.game) {
         // Only show accuracy percentage when game has started and there are actual attempts
         const stats = app.game.getStats();
         if (app.hasStarted && stats.commandsAttempted > 0) {
-            const accuracy = Math.round(app.game.getAccuracy());
+            const accuracy = Math.round(getDisplayedAccuracy());
             if (accuracy !== app.lastAccuracy) {
                 app.lastAccuracy = accuracy;
                 // Simply update the text - no animation
@@ -2041,11 +3131,404 @@ function updateStatsDisplay() {
     }
 }
 
+/**
+ * Fill the text pool selector and load the saved pool from localStorage
+ */
+function loadSavedTextPool() {
+    if (app.dom.settingTextPool) {
+        app.dom.settingTextPool.innerHTML = '';
+        Object.entries(TEXT_POOLS).forEach(([id, pool]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = pool.name;
+            app.dom.settingTextPool.appendChild(option);
+        });
+    }
+
+    const savedPool = localStorage.getItem(STORAGE_KEY_TEXT_POOL);
+    app.textPool = TEXT_POOLS[savedPool] ? savedPool : 'mixed';
+    setTextPool(app.textPool);
+    if (app.dom.settingTextPool) {
+        app.dom.settingTextPool.value = app.textPool;
+    }
+}
+
+/**
+ * Select the built-in text pool challenges draw from
+ * @param {string} poolId - Key in TEXT_POOLS
+ */
+function selectTextPool(poolId) {
+    // Don't allow changes during active game (the score would mix pools)
+    if (app.hasStarted || !TEXT_POOLS[poolId]) {
+        if (app.dom.settingTextPool) {
+            app.dom.settingTextPool.value = app.textPool;
+        }
+        return;
+    }
+
+    app.textPool = poolId;
+    setTextPool(poolId);
+    localStorage.setItem(STORAGE_KEY_TEXT_POOL, poolId);
+
+    // Each pool has its own personal best
+    loadPersonalBest();
+
+    if (!app.isShowingResults) {
+        loadFirstChallenge();
+    }
+}
+
+/**
+ * Fill the difficulty selector and load the saved difficulty from localStorage
+ */
+function loadSavedDifficulty() {
+    if (app.dom.settingDifficulty) {
+        app.dom.settingDifficulty.innerHTML = '';
+        Object.entries(DIFFICULTIES).forEach(([id, difficulty]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = difficulty.name;
+            app.dom.settingDifficulty.appendChild(option);
+        });
+    }
+
+    const savedDifficulty = localStorage.getItem(STORAGE_KEY_DIFFICULTY);
+    app.difficulty = DIFFICULTIES[savedDifficulty] ? savedDifficulty : 'normal';
+    setDifficulty(app.difficulty);
+    if (app.dom.settingDifficulty) {
+        app.dom.settingDifficulty.value = app.difficulty;
+    }
+}
+
+/**
+ * Set the difficulty of generated challenges
+ * @param {string} difficulty - Key in DIFFICULTIES
+ */
+function selectDifficulty(difficulty) {
+    // Don't allow changes during active game (the score would mix difficulties)
+    if (app.hasStarted || !DIFFICULTIES[difficulty]) {
+        if (app.dom.settingDifficulty) {
+            app.dom.settingDifficulty.value = app.difficulty;
+        }
+        return;
+    }
+
+    app.difficulty = difficulty;
+    setDifficulty(difficulty);
+    localStorage.setItem(STORAGE_KEY_DIFFICULTY, difficulty);
+
+    // Each difficulty has its own personal best
+    loadPersonalBest();
+
+    if (!app.isShowingResults) {
+        loadFirstChallenge();
+    }
+}
+
+/**
+ * Fill the language selector and load the saved language from localStorage
+ */
+function loadSavedLanguage() {
+    if (app.dom.settingLanguage) {
+        app.dom.settingLanguage.innerHTML = '';
+        Object.entries(LOCALES).forEach(([id, locale]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = locale.name;
+            app.dom.settingLanguage.appendChild(option);
+        });
+    }
+
+    const savedLanguage = localStorage.getItem(STORAGE_KEY_LANGUAGE);
+    app.language = LOCALES[savedLanguage] ? savedLanguage : DEFAULT_LOCALE;
+    setLocale(app.language);
+    if (app.dom.settingLanguage) {
+        app.dom.settingLanguage.value = app.language;
+    }
+}
+
+/**
+ * Set the language of instructions and command names
+ * @param {string} language - Key in LOCALES
+ */
+function selectLanguage(language) {
+    if (!LOCALES[language]) return;
+
+    app.language = language;
+    setLocale(language);
+    localStorage.setItem(STORAGE_KEY_LANGUAGE, language);
+
+    // Reword the challenge on screen, unless the player is already working on it
+    if (!app.hasStarted && !app.isShowingResults) {
+        loadFirstChallenge();
+    }
+}
+
+/**
+ * Get the name of the text challenges are drawn from, for the results screen
+ * @returns {string} e.g. 'python', or 'your text'
+ */
+function getTextPoolDisplayName() {
+    return app.customTextLines ? 'your text' : TEXT_POOLS[app.textPool].name.toLowerCase();
+}
+
+/**
+ * Load the saved practice text from localStorage
+ */
+function loadSavedCustomText() {
+    applyCustomTextLines(parseCustomText(localStorage.getItem(STORAGE_KEY_CUSTOM_TEXT)));
+}
+
+/**
+ * Use pasted or loaded text as the practice text
+ * @param {string} source - Raw text (empty to go back to the built-in text)
+ */
+function setCustomText(source) {
+    const lines = parseCustomText(source);
+    applyCustomTextLines(lines);
+
+    if (lines.length > 0) {
+        localStorage.setItem(STORAGE_KEY_CUSTOM_TEXT, lines.join('\n'));
+    } else {
+        localStorage.removeItem(STORAGE_KEY_CUSTOM_TEXT);
+    }
+
+    // Text with no usable lines: say so and leave it to edit, rather than silently keeping the built-in text
+    if (lines.length === 0 && source.trim()) {
+        if (app.dom.settingCustomText) {
+            app.dom.settingCustomText.value = source;
+        }
+        if (app.dom.customTextStatus) {
+            app.dom.customTextStatus.textContent = 'no usable lines';
+        }
+    }
+
+    // Draw the next challenge from the new text, unless a session is underway
+    if (!app.hasStarted && !app.isShowingResults) {
+        loadFirstChallenge();
+    }
+}
+
+/**
+ * Read a text file as the practice text
+ * @param {File} file - Dropped or picked file
+ */
+function loadCustomTextFile(file) {
+    file.slice(0, CUSTOM_TEXT_MAX_FILE_BYTES).text()
+        .then(setCustomText)
+        .catch(() => {
+            if (app.dom.customTextStatus) {
+                app.dom.customTextStatus.textContent = `couldn't read ${file.name}`;
+            }
+        });
+}
+
+/**
+ * Point the challenge generators at practice text lines and show them in settings
+ * @param {string[]} lines - Lines from parseCustomText (empty for the built-in text)
+ */
+function applyCustomTextLines(lines) {
+    app.customTextLines = lines.length > 0 ? lines : null;
+    setCustomTextPool(app.customTextLines);
+
+    // Show the lines that will actually be used, so skipped ones aren't a surprise
+    if (app.dom.settingCustomText) {
+        app.dom.settingCustomText.value = lines.join('\n');
+    }
+    if (app.dom.customTextStatus) {
+        app.dom.customTextStatus.textContent = app.customTextLines
+            ? `${lines.length} ${lines.length === 1 ? 'line' : 'lines'} of your text`
+            : 'built-in text';
+    }
+}
+
+/**
+ * Load a challenge pack from a URL on this site
+ * @param {string} url - Absolute or relative URL of the pack's JSON
+ */
+function loadChallengePackFromURL(url) {
+    if (app.dom.settingPackUrl) {
+        app.dom.settingPackUrl.value = url;
+    }
+    setPackStatus('loading...');
+    fetchChallengePack(url, window.location.href)
+        .then(startChallengePack)
+        .catch(showPackError);
+}
+
+/**
+ * Load a challenge pack from a dropped or picked file
+ * @param {File} file - The pack's JSON file
+ */
+function loadChallengePackFile(file) {
+    file.text()
+        .then(parseChallengePack)
+        .then(startChallengePack)
+        .catch(showPackError);
+}
+
+/**
+ * Play a loaded challenge pack: switches to the pack's OS and editor profile, then to pack mode
+ * The pack's settings are only for the pack: they aren't saved, and exitChallengePack puts the player's back
+ * @param {Object} pack - Pack from parseChallengePack
+ */
+function startChallengePack(pack) {
+    // Check everything first, so a pack that can't be played leaves the settings alone
+    // Without an OS of its own it plays on the player's, not on a previous pack's
+    const os = pack.os || (app.settingsBeforePack ? app.settingsBeforePack.os : app.currentOS);
+    if (pack.profile !== 'default' && !isEditorProfileAvailable(pack.profile, os)) {
+        throw new Error(`The ${EDITOR_PROFILES[pack.profile].name} profile has no ${os} shortcuts`);
+    }
+    const missing = getUnavailablePackCommands(pack, os);
+    if (missing.length > 0) {
+        throw new Error(`No ${os} shortcut for ${missing.join(', ')}`);
+    }
+
+    // End any session underway; the engine only changes mode when idle
+    if (app.hasStarted || app.isShowingResults) {
+        hideResultsModal();
+        resetGame();
+    }
+    if (app.challengePack) {
+        exitChallengePack();
+    }
+
+    // The expected results assume the pack's OS and editor profile (the OS default unless it names one)
+    app.settingsBeforePack = { os: app.currentOS, editorProfile: app.editorProfile };
+    if (os !== app.currentOS) {
+        selectOS(os, null, { save: false });
+    }
+    if (pack.profile !== app.editorProfile) {
+        selectEditorProfile(pack.profile, { save: false });
+    }
+
+    app.challengePack = pack;
+    app.game.setPackLength(pack.challenges.length);
+    app.dom.timerButtons.forEach(btn => btn.classList.remove('active'));
+    setGameMode(GameModes.PACK);
+    loadFirstChallenge();
+    updatePackStatus();
+}
+
+/**
+ * Stop playing the challenge pack and go back to the timed game with the player's own settings
+ */
+function exitChallengePack() {
+    const pack = app.challengePack;
+    const saved = app.settingsBeforePack;
+    if (app.gameMode === GameModes.PACK) {
+        fallBackToTimedMode();
+    }
+    app.challengePack = null;
+    app.settingsBeforePack = null;
+
+    // Keep a setting the player changed themselves (which is what puts the pack away)
+    // The others were never saved, so there's nothing to save back
+    if (saved && pack.os === app.currentOS && saved.os !== app.currentOS) {
+        selectOS(saved.os, null, { save: false });
+    }
+    if (saved && pack.profile === app.editorProfile && saved.editorProfile !== app.editorProfile) {
+        selectEditorProfile(saved.editorProfile, { save: false });
+    }
+    updatePackStatus();
+}
+
+/**
+ * Put the pack away when the OS or editor profile changes to one it wasn't written for,
+ * or the OS has no shortcuts for it
+ */
+function updatePackAvailability() {
+    const pack = app.challengePack;
+    if (!pack) return;
+
+    if (pack.os && pack.os !== app.currentOS) {
+        exitChallengePack();
+        setPackStatus(`pack is for ${pack.os}`);
+    } else if (pack.profile !== app.editorProfile) {
+        exitChallengePack();
+        setPackStatus(`pack is for ${EDITOR_PROFILES[pack.profile].name}`);
+    } else if (getUnavailablePackCommands(pack, app.currentOS).length > 0) {
+        exitChallengePack();
+        setPackStatus(`pack has no ${app.currentOS} shortcuts`);
+    }
+}
+
+/**
+ * Show the loaded pack (or that there isn't one) in settings
+ */
+function updatePackStatus() {
+    const pack = app.challengePack;
+    setPackStatus(pack ? `${pack.name} - ${pack.challenges.length} challenges` : 'no pack loaded');
+    if (app.dom.packStatus) {
+        app.dom.packStatus.title = pack ? pack.description : '';
+    }
+    if (app.dom.packExitBtn) {
+        app.dom.packExitBtn.hidden = !pack;
+    }
+}
+
+/**
+ * Show why a challenge pack couldn't be loaded
+ * @param {Error} error - Error from loading or checking the pack
+ */
+function showPackError(error) {
+    setPackStatus(error.message);
+    if (app.dom.packStatus) {
+        // The full message may not fit: keep it on hover
+        app.dom.packStatus.title = error.message;
+    }
+}
+
+/**
+ * Set the challenge pack status line in settings
+ * @param {string} text - Status text
+ */
+function setPackStatus(text) {
+    if (app.dom.packStatus) {
+        app.dom.packStatus.textContent = text;
+    }
+}
+
+/**
+ * Load a seed from the ?seed= URL parameter, so a shared link replays the same session
+ * Not saved: a seed is for one comparison, not a preference
+ */
+function loadSeedFromURL() {
+    const params = new URLSearchParams(window.location.search);
+    app.customSeed = normalizeSeed(params.get('seed'));
+    if (app.dom.settingSeed) {
+        app.dom.settingSeed.value = app.customSeed || '';
+    }
+}
+
+/**
+ * Set the seed sessions are drawn from
+ * @param {string} value - Seed as typed (empty for a fresh random seed every session)
+ */
+function setCustomSeed(value) {
+    app.customSeed = normalizeSeed(value);
+    if (app.dom.settingSeed) {
+        app.dom.settingSeed.value = app.customSeed || '';
+    }
+
+    // Restart the sequence from the new seed, unless a session is underway
+    if (!app.hasStarted && !app.isShowingResults) {
+        loadFirstChallenge();
+    }
+}
+
 /**
  * Load and display the first challenge
+ * Starts a new seeded sequence, so the same seed and settings give the same session
  */
 function loadFirstChallenge() {
-    app.currentChallenge = generateChallenge(null, null, app.enabledCategories, app.currentOS);
+    app.sessionSeed = setSeed(app.customSeed || undefined);
+    app.packIndex = 0;
+    app.currentChallenge = generateNextChallenge();
+    if (!app.currentChallenge) {
+        handleMissingChallenge();
+        return;
+    }
     displayChallenge(app.currentChallenge);
 
     // Update mobile keyboard to show relevant shortcuts and highlight correct answer
@@ -2056,16 +3539,56 @@ function loadFirstChallenge() {
  * Load and display the next challenge
  */
 function loadNextChallenge() {
-    app.currentChallenge = generateChallenge(null, null, app.enabledCategories, app.currentOS);
+    app.currentChallenge = generateNextChallenge();
+    if (!app.currentChallenge) {
+        handleMissingChallenge();
+        return;
+    }
     displayChallenge(app.currentChallenge);
 }
 
+/**
+ * Deal with a challenge that couldn't be generated for the current settings
+ * There is nothing to play, so a session underway ends instead of waiting out the timer
+ */
+function handleMissingChallenge() {
+    if (app.hasStarted) {
+        app.game.end();
+    }
+    if (app.dom.commandInstruction) {
+        app.dom.commandInstruction.textContent = 'No challenge fits these settings - try another text pool or difficulty';
+    }
+    if (app.dom.keyHint) {
+        app.dom.keyHint.textContent = '';
+    }
+}
+
+/**
+ * Generate a challenge for the current game mode
+ * @returns {Object|null} Challenge object
+ */
+function generateNextChallenge() {
+    if (app.gameMode === GameModes.GOLF) {
+        // Every hole is a multi-step edit, with the solver's shortest path as par
+        return generateChallenge('MULTI_STEP_EDIT', null, null, app.currentOS);
+    }
+    if (app.gameMode === GameModes.PACK && app.challengePack) {
+        // A pack plays its challenges in order
+        return createPackChallenge(app.challengePack, app.packIndex++, app.currentOS);
+    }
+    // Adaptive practice leans toward the commands the player misses or is slow at
+    setCommandWeights(app.adaptive && app.commandStats ? getCommandWeights(app.commandStats, ALL_COMMANDS) : null);
+    return generateChallenge(null, null, app.enabledCategories, app.currentOS);
+}
+
 /**
  * Display a challenge in the UI
  */
 function displayChallenge(challenge) {
     if (!challenge) return;
 
+    app.challengeShownAt = app.hasStarted ? Date.now() : 0;
+
     const instructionArea = document.querySelector('.instruction-area');
 
     // Add challenge enter animation
@@ -2089,7 +3612,9 @@ function displayChallenge(challenge) {
     // Update key hint with formatted keys (simple text for overlay)
     if (app.dom.keyHint) {
         const keys = challenge.command.keys;
-        app.dom.keyHint.textContent = keys.join(' + ');
+        // Multi-step commands list one key combination per step, chords one per key press
+        const separator = challenge.command.chord ? ' ' : challenge.command.sequence ? ' then ' : ' + ';
+        app.dom.keyHint.textContent = keys.join(separator);
         // When hints are ON: no blur, fully visible
         // When hints are OFF: add hidden class (challenge mode) with inline blur as backup
         app.dom.keyHint.classList.remove('revealed', 'blurred');
@@ -2111,20 +3636,53 @@ function displayChallenge(challenge) {
 
     // Set up terminal with challenge
     setupChallengeInTerminal(challenge);
+    renderTargetBuffer(challenge);
+    hideMistakeReview();
 
     // Highlight the correct mobile keyboard button for this challenge
     highlightCorrectMobileButton();
 }
 
+/**
+ * Show the buffer a golf hole has to reach, with a marker where the cursor should end
+ */
+function renderTargetBuffer(challenge) {
+    if (!app.dom.targetText) return;
+
+    app.dom.targetText.textContent = '';
+    if (app.gameMode !== GameModes.GOLF || !challenge.expectedResult) return;
+
+    const { text, cursorPosition } = challenge.expectedResult;
+    const cursorEnd = nextGraphemeBoundary(text, cursorPosition);
+    const cursor = document.createElement('span');
+    cursor.className = 'target-cursor';
+    cursor.textContent = cursorPosition < text.length ? text.slice(cursorPosition, cursorEnd) : '\u00a0';
+
+    app.dom.targetText.append(text.slice(0, cursorPosition), cursor, text.slice(cursorEnd));
+}
+
 /**
  * Set up the terminal with challenge text and cursor
  */
 function setupChallengeInTerminal(challenge) {
+    app.challengeKeystrokes = 0;
     if (app.terminal) {
         app.terminal.setState({
             text: challenge.text,
             cursorPosition: challenge.cursorPosition,
-            selection: null
+            selection: challenge.selection || null,
+            // Undo/redo, kill ring and clipboard challenges start with prepared state; everything else starts clean
+            history: challenge.history || null,
+            killRing: challenge.killRing || [],
+            yank: challenge.yank || null,
+            // Vim challenges start in normal mode, some with a filled register
+            mode: 'normal',
+            register: challenge.register || null,
+            clipboard: challenge.clipboard || '',
+            // Emacs region challenges start with the mark set
+            mark: challenge.mark ?? null,
+            // Free navigation highlights the character to move to
+            target: challenge.target ?? null
         });
     }
 }
@@ -2159,8 +3717,9 @@ function getEnabledCategoriesDisplayName() {
     if (app.enabledCategories.navigation) enabled.push('Navigation');
     if (app.enabledCategories.selection) enabled.push('Selection');
     if (app.enabledCategories.deletion) enabled.push('Deletion');
+    if (app.enabledCategories.editing) enabled.push('Editing');
 
-    if (enabled.length === 3) {
+    if (enabled.length === 4) {
         return 'All Commands';
     } else if (enabled.length === 0) {
         return 'None'; // Shouldn't happen but fallback
@@ -2177,18 +3736,33 @@ function showResultsModal(results, isNewBest = false) {
 
     const isPracticeMode = !areAllCategoriesEnabled();
     const validForPersonalBest = isValidForPersonalBest();
+    const isGolf = results.mode === GameModes.GOLF;
+    const isPack = results.mode === GameModes.PACK;
+
+    // Update final stats (golf: score to par, strokes and par instead of cpm, accuracy and time)
+    if (app.dom.resultCpmLabel) {
+        app.dom.resultCpmLabel.textContent = isGolf ? 'to par' : 'cpm';
+    }
+    if (app.dom.resultAccLabel) {
+        app.dom.resultAccLabel.textContent = isGolf ? 'strokes' : 'acc';
+    }
+    if (app.dom.resultTimeLabel) {
+        app.dom.resultTimeLabel.textContent = isGolf ? 'par' : 'time';
+    }
 
-    // Update final stats
     if (app.dom.resultCpmMain) {
-        app.dom.resultCpmMain.textContent = Math.round(results.cpm || 0);
+        app.dom.resultCpmMain.textContent = isGolf ? formatToPar(results.overPar) : Math.round(results.cpm || 0);
     }
 
     if (app.dom.resultAccMain) {
-        app.dom.resultAccMain.textContent = `${Math.round(results.accuracy || 0)}%`;
+        const accuracy = app.partialCredit ? results.gradedAccuracy : results.accuracy;
+        app.dom.resultAccMain.textContent = isGolf ? results.strokes : `${Math.round(accuracy || 0)}%`;
     }
 
     if (app.dom.resultTimeMain) {
-        app.dom.resultTimeMain.textContent = results.duration + 's';
+        // A pack has no set duration: show how long it took
+        const seconds = isPack ? Math.round(results.totalTime / 1000) : results.duration;
+        app.dom.resultTimeMain.textContent = isGolf ? results.par : seconds + 's';
     }
 
     // Show personal best indicator if new best
@@ -2203,7 +3777,13 @@ function showResultsModal(results, isNewBest = false) {
     // Update result info with test details
     if (app.dom.resultInfo) {
         const categoryName = getEnabledCategoriesDisplayName().toLowerCase();
-        let infoText = `${results.duration}s - ${categoryName}`;
+        const difficultyName = DIFFICULTIES[app.difficulty].name.toLowerCase();
+        let infoText = `${results.duration}s - ${categoryName} - ${getTextPoolDisplayName()} - ${difficultyName}`;
+        if (isGolf) {
+            infoText = `golf - ${results.holes} holes - ${getTextPoolDisplayName()} - ${difficultyName}`;
+        } else if (isPack) {
+            infoText = `pack - ${app.challengePack ? app.challengePack.name : 'challenge pack'} - ${results.packLength} challenges`;
+        }
         if (!validForPersonalBest) {
             if (app.showHints && isPracticeMode) {
                 infoText += ' (hints on)';
@@ -2211,11 +3791,30 @@ function showResultsModal(results, isNewBest = false) {
                 infoText += ' (hints on)';
             }
         }
+        if (app.adaptive && results.mode === GameModes.TIMED) {
+            infoText += ' (adaptive)';
+        }
+        if (app.partialCredit && !isGolf) {
+            infoText += ' (partial credit)';
+        }
+        if (results.routes && results.routes.length > 0) {
+            infoText += ` - ${formatRouteSummary(results.routes)}`;
+        }
         app.dom.resultInfo.textContent = infoText;
     }
+    if (app.dom.resultSeed) {
+        // A pack is the same every time, so there's no seed to share
+        app.dom.resultSeed.textContent = app.sessionSeed && !isPack ? `seed ${app.sessionSeed}` : '';
+    }
 
-    // Render performance graph
-    renderPerformanceGraph(results.duration);
+    // Render performance graph (golf and packs have no clock to plot against)
+    if (isGolf || isPack) {
+        if (app.dom.resultsChart) {
+            app.dom.resultsChart.innerHTML = '';
+        }
+    } else {
+        renderPerformanceGraph(results.duration);
+    }
 
     // Show/hide hints warning
     if (app.dom.hintsWarning) {
@@ -2355,8 +3954,18 @@ function init() {
     initTerminal();
     loadSavedTheme();
     loadSavedOS();
+    loadSavedEditorProfile();
     loadSavedCategories();
     loadSavedHints();
+    loadSavedSystemClipboard();
+    loadSavedAdaptive();
+    loadSavedPartialCredit();
+    loadSavedMistakeReview();
+    loadSavedTextPool();
+    loadSavedDifficulty();
+    loadSavedLanguage();
+    loadSavedCustomText();
+    loadSeedFromURL();
     loadPersonalBest();
     setupEventListeners();
     setupMobileKeyboard();
@@ -2374,6 +3983,12 @@ function init() {
     loadFirstChallenge();
     showStatusMessage('Press any shortcut to start');
 
+    // A ?pack= link opens straight into a challenge pack
+    const packUrl = new URLSearchParams(window.location.search).get('pack');
+    if (packUrl) {
+        loadChallengePackFromURL(packUrl);
+    }
+
     // Show console easter egg for curious developers
     showConsoleEasterEgg();
 
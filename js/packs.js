@@ -0,0 +1,231 @@
+/**
+ * monkeycmd Challenge Packs
+ * Hand-written drills (e.g. for onboarding) stored as JSON, played in order as a session
+ * instead of generated challenges. Packs load from a file or a URL on the same site,
+ * so a team can commit them next to their dotfiles.
+ *
+ * {
+ *   "format": "monkeycmd-pack",
+ *   "version": 1,
+ *   "name": "Word motions",
+ *   "description": "Optional", "author": "Optional",
+ *   "os": "mac",                          // optional: profile the expected results assume
+ *   "profile": "vscode",                  // optional: editor profile the keys assume (default: OS default)
+ *   "challenges": [{
+ *     "command": "DELETE_WORD",           // command type in COMMANDS (not MULTI_STEP_EDIT or NAVIGATE_TO_TARGET)
+ *     "instruction": "Delete 'world'",    // optional, defaults to the command's description
+ *     "text": "hello world",              // or a list of lines
+ *     "cursorPosition": 11,
+ *     "selection": [0, 5],                // optional starting selection
+ *     "expectedResult": { "text": "hello ", "cursorPosition": 6 }
+ *   }]
+ * }
+ *
+ * expectedResult takes the fields validateChallenge checks: text, cursorPosition and optionally
+ * selection, mode, register, clipboard and mark. A challenge can also start with a clipboard,
+ * killRing or mark.
+ */
+
+import { getChallengeProblems, getCommandForOS, isCommandAvailable } from './challenges.js';
+import { KEYMAP_PROFILES, EDITOR_PROFILES, CUSTOM_EDITOR_PROFILE, isEditorProfileAvailable } from './keymap.js';
+
+export const PACK_FORMAT = 'monkeycmd-pack';
+export const PACK_VERSION = 1;
+
+// Longest pack accepted - a drill, not a dump
+const MAX_PACK_CHALLENGES = 200;
+
+// Profiles a pack can be written for
+const PACK_PROFILES = [...KEYMAP_PROFILES, 'vim'];
+
+// Commands played against a route the generator solves for (par keystrokes, the target), which a pack doesn't have
+const GENERATED_ONLY_COMMANDS = ['MULTI_STEP_EDIT', 'NAVIGATE_TO_TARGET'];
+
+// Fields copied from a pack's expected result
+const EXPECTED_RESULT_FIELDS = ['text', 'cursorPosition', 'selection', 'mode', 'register', 'clipboard', 'mark'];
+
+/**
+ * Join text given as a list of lines
+ * @param {*} value - A string or an array of lines
+ * @returns {*} The text, or the value unchanged if it isn't a list of lines
+ */
+function joinLines(value) {
+  return Array.isArray(value) && value.every(line => typeof line === 'string') ? value.join('\n') : value;
+}
+
+/**
+ * Turn one entry of a pack into a challenge (with the command still a command type)
+ * @param {Object} entry - Challenge entry from the pack
+ * @returns {Object} Challenge in the shape validateChallenge expects
+ */
+function toChallenge(entry) {
+  if (!entry || typeof entry !== 'object') return entry;
+
+  const expected = entry.expectedResult && typeof entry.expectedResult === 'object' ? entry.expectedResult : null;
+  const expectedResult = expected && Object.fromEntries(
+    EXPECTED_RESULT_FIELDS.filter(field => expected[field] !== undefined).map(field => [field, expected[field]])
+  );
+  if (expectedResult) {
+    expectedResult.text = joinLines(expectedResult.text);
+  }
+
+  const selection = entry.selection;
+  const challenge = {
+    command: entry.command,
+    instruction: typeof entry.instruction === 'string' ? entry.instruction.trim() : '',
+    text: joinLines(entry.text),
+    cursorPosition: entry.cursorPosition,
+    // Packs write ranges as [start, end]; the terminal takes { start, end }
+    selection: Array.isArray(selection) ? { start: selection[0], end: selection[1] } : selection ?? null,
+    expectedResult
+  };
+
+  ['clipboard', 'killRing', 'mark'].forEach(field => {
+    if (entry[field] !== undefined) {
+      challenge[field] = entry[field];
+    }
+  });
+
+  return challenge;
+}
+
+/**
+ * Read and check a challenge pack
+ * @param {string|Object} source - Pack JSON, or the already parsed object
+ * @returns {{name: string, description: string, author: string, os: string|null, challenges: Object[]}} The pack
+ * @throws {Error} If the pack is malformed; the message says what's wrong and where
+ */
+export function parseChallengePack(source) {
+  let data = source;
+  if (typeof source === 'string') {
+    try {
+      data = JSON.parse(source);
+    } catch (error) {
+      throw new Error('Not a JSON file');
+    }
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('A pack must be a JSON object');
+  }
+  if (data.format !== PACK_FORMAT) {
+    throw new Error(`Not a challenge pack (format should be '${PACK_FORMAT}')`);
+  }
+  if (data.version !== PACK_VERSION) {
+    throw new Error(`Unsupported pack version ${data.version} (this version reads ${PACK_VERSION})`);
+  }
+  if (typeof data.name !== 'string' || !data.name.trim()) {
+    throw new Error('The pack needs a name');
+  }
+  if (data.os !== undefined && !PACK_PROFILES.includes(data.os)) {
+    throw new Error(`Unknown os '${data.os}' (use one of ${PACK_PROFILES.join(', ')})`);
+  }
+  // The player's imported keybindings aren't something a pack can rely on
+  const editorProfiles = Object.keys(EDITOR_PROFILES).filter(profile => profile !== CUSTOM_EDITOR_PROFILE);
+  if (data.profile !== undefined && !editorProfiles.includes(data.profile)) {
+    throw new Error(`Unknown profile '${data.profile}' (use one of ${editorProfiles.join(', ')})`);
+  }
+  if (data.profile && data.profile !== 'default' && data.os && !isEditorProfileAvailable(data.profile, data.os)) {
+    throw new Error(`The ${data.profile} profile doesn't apply on ${data.os}`);
+  }
+  if (!Array.isArray(data.challenges) || data.challenges.length === 0) {
+    throw new Error('The pack has no challenges');
+  }
+  if (data.challenges.length > MAX_PACK_CHALLENGES) {
+    throw new Error(`Too many challenges (at most ${MAX_PACK_CHALLENGES})`);
+  }
+
+  const challenges = data.challenges.map((entry, index) => {
+    const challenge = toChallenge(entry);
+    const problems = getChallengeProblems(challenge);
+    if (problems.length === 0 && GENERATED_ONLY_COMMANDS.includes(challenge.command)) {
+      problems.push(`${challenge.command} challenges are generated, not played from a pack`);
+    }
+    if (problems.length === 0 && data.os && !isCommandAvailable(challenge.command, data.os, data.profile || 'default')) {
+      problems.push(`${challenge.command} has no shortcut on ${data.os}`);
+    }
+    if (problems.length > 0) {
+      throw new Error(`Challenge ${index + 1}: ${problems.join('; ')}`);
+    }
+    return challenge;
+  });
+
+  return {
+    name: data.name.trim(),
+    description: typeof data.description === 'string' ? data.description : '',
+    author: typeof data.author === 'string' ? data.author : '',
+    os: data.os || null,
+    profile: data.profile || 'default',
+    challenges
+  };
+}
+
+/**
+ * Fetch a challenge pack from a URL on the same site
+ * @param {string} url - Absolute or relative URL of the pack
+ * @param {string} base - URL of the page (packs from other origins are refused)
+ * @returns {Promise<Object>} The pack, as returned by parseChallengePack
+ */
+export function fetchChallengePack(url, base) {
+  let resolved;
+  try {
+    resolved = new URL(url, base);
+  } catch (error) {
+    return Promise.reject(new Error(`Not a URL: ${url}`));
+  }
+  if (resolved.origin !== new URL(base).origin) {
+    return Promise.reject(new Error('Packs can only be loaded from this site'));
+  }
+
+  return fetch(resolved.href)
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`Couldn't load ${url} (${response.status})`);
+      }
+      return response.text();
+    })
+    .then(parseChallengePack);
+}
+
+/**
+ * Get the commands of a pack that have no shortcut on an OS with the pack's editor profile
+ * @param {Object} pack - Pack from parseChallengePack
+ * @param {'mac' | 'windows' | 'linux' | 'vim' | 'emacs'} os - The OS or profile
+ * @returns {string[]} Command types the pack can't be played with
+ */
+export function getUnavailablePackCommands(pack, os) {
+  const missing = pack.challenges
+    .map(challenge => challenge.command)
+    .filter(commandType => !isCommandAvailable(commandType, os, pack.profile));
+  return [...new Set(missing)];
+}
+
+/**
+ * Get a pack's challenge, ready to play
+ * @param {Object} pack - Pack from parseChallengePack
+ * @param {number} index - Challenge index (wraps around)
+ * @param {'mac' | 'windows' | 'linux' | 'vim' | 'emacs'} os - The OS or profile to show shortcuts for
+ * @returns {Object} Challenge object
+ */
+export function createPackChallenge(pack, index, os) {
+  const position = index % pack.challenges.length;
+  const challenge = pack.challenges[position];
+  const command = getCommandForOS(challenge.command, os);
+
+  return {
+    ...challenge,
+    id: `pack_${position + 1}`,
+    instruction: challenge.instruction || command.description,
+    expectedResult: { ...challenge.expectedResult },
+    command
+  };
+}
+
+export default {
+  PACK_FORMAT,
+  PACK_VERSION,
+  parseChallengePack,
+  fetchChallengePack,
+  getUnavailablePackCommands,
+  createPackChallenge
+};
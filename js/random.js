@@ -0,0 +1,69 @@
+/**
+ * monkeycmd Random Numbers
+ * A small seedable generator, so a session's challenges can be replayed from its seed
+ * Any string works as a seed; generated ones are short enough to read out to a teammate
+ */
+
+// Letters and digits for generated seeds (no 0/o, 1/l/i to misread)
+const SEED_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const SEED_LENGTH = 8;
+
+/**
+ * Make a new random seed
+ * @returns {string} Seed, e.g. 'k7qz2mfa'
+ */
+export function createSeed() {
+  let seed = '';
+  for (let i = 0; i < SEED_LENGTH; i++) {
+    seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+  }
+  return seed;
+}
+
+/**
+ * Tidy a seed typed or pasted by the player
+ * @param {*} input - Raw input
+ * @returns {string|null} Trimmed seed, or null if empty
+ */
+export function normalizeSeed(input) {
+  const seed = String(input ?? '').trim();
+  return seed || null;
+}
+
+/**
+ * Hash a seed string to a 32-bit integer (FNV-1a)
+ * @param {string} seed - The seed
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a random number generator from a seed (mulberry32)
+ * The same seed always gives the same sequence
+ * @param {string} seed - The seed
+ * @returns {Function} () => number in [0, 1), a drop-in for Math.random
+ */
+export function createRandom(seed) {
+  let state = hashSeed(String(seed));
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export default {
+  createSeed,
+  normalizeSeed,
+  createRandom
+};
@@ -0,0 +1,130 @@
+/**
+ * monkeycmd Adaptive Scheduler
+ * Remembers how each command goes - misses and time to solve - and weights the next pick
+ * toward the weak ones. Like spaced repetition, commands you keep getting right fade into the
+ * background, and ones you haven't seen in a while come back.
+ */
+
+// How much of a command's history each new attempt keeps (lower = recent attempts count more)
+const HISTORY_DECAY = 0.8;
+
+// Assumed history of a command never tried: one attempt, half a miss
+const PRIOR_ATTEMPTS = 1;
+const PRIOR_MISSES = 0.5;
+
+// Challenges after which an unpractised command is fully due again
+const DUE_AFTER = 40;
+
+// Weight = BASE + MISS_WEIGHT * miss rate + extra time taken (relative to the median) + DUE_WEIGHT * how overdue
+const BASE_WEIGHT = 0.25;
+const MISS_WEIGHT = 3;
+const DUE_WEIGHT = 0.5;
+const MIN_WEIGHT = 0.1;
+const MAX_SLOWNESS = 3;
+
+/**
+ * Create empty command stats
+ * @returns {{seen: number, commands: Object}} Stats: challenges seen, and a record per command type
+ */
+export function createCommandStats() {
+  return { seen: 0, commands: {} };
+}
+
+/**
+ * Tidy command stats loaded from storage, dropping anything malformed
+ * @param {*} data - Parsed JSON (or anything else)
+ * @returns {{seen: number, commands: Object}} Usable stats
+ */
+export function normalizeCommandStats(data) {
+  const stats = createCommandStats();
+  if (!data || typeof data !== 'object') return stats;
+
+  const isCount = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  stats.seen = isCount(data.seen) ? data.seen : 0;
+
+  Object.entries(data.commands || {}).forEach(([commandType, record]) => {
+    if (!record || !isCount(record.attempts) || !isCount(record.misses)) return;
+    stats.commands[commandType] = {
+      attempts: record.attempts,
+      misses: Math.min(record.misses, record.attempts),
+      time: isCount(record.time) ? record.time : null,
+      lastSeen: isCount(record.lastSeen) ? Math.min(record.lastSeen, stats.seen) : 0
+    };
+  });
+
+  return stats;
+}
+
+/**
+ * Record an attempt at a command
+ * @param {Object} stats - Stats from createCommandStats (updated in place)
+ * @param {string} commandType - The command type
+ * @param {Object} attempt
+ * @param {boolean} attempt.success - Whether the command was done right
+ * @param {number|null} [attempt.time] - Milliseconds taken to solve it (null if unknown)
+ * @returns {Object} The stats
+ */
+export function recordCommandAttempt(stats, commandType, { success, time = null }) {
+  const record = stats.commands[commandType] || { attempts: 0, misses: 0, time: null, lastSeen: 0 };
+
+  stats.seen++;
+  record.attempts = record.attempts * HISTORY_DECAY + 1;
+  record.misses = record.misses * HISTORY_DECAY + (success ? 0 : 1);
+  record.lastSeen = stats.seen;
+  if (success && time !== null && time > 0) {
+    record.time = record.time === null ? time : record.time * HISTORY_DECAY + time * (1 - HISTORY_DECAY);
+  }
+
+  stats.commands[commandType] = record;
+  return stats;
+}
+
+/**
+ * Get the median of the commands' solve times
+ * @param {Object} stats - Command stats
+ * @returns {number|null} Median milliseconds, or null if no command has a time yet
+ */
+function getMedianTime(stats) {
+  const times = Object.values(stats.commands)
+    .map(record => record.time)
+    .filter(time => time !== null)
+    .sort((a, b) => a - b);
+  if (times.length === 0) return null;
+
+  const middle = Math.floor(times.length / 2);
+  return times.length % 2 ? times[middle] : (times[middle - 1] + times[middle]) / 2;
+}
+
+/**
+ * Get how strongly each command should be favoured in the next pick
+ * @param {Object} stats - Command stats
+ * @param {string[]} commandTypes - Command types to weigh
+ * @returns {Object<string, number>} Weight per command type (higher = picked more often)
+ */
+export function getCommandWeights(stats, commandTypes) {
+  const medianTime = getMedianTime(stats);
+  const weights = {};
+
+  commandTypes.forEach(commandType => {
+    const record = stats.commands[commandType];
+    const attempts = (record ? record.attempts : 0) + PRIOR_ATTEMPTS;
+    const misses = (record ? record.misses : 0) + PRIOR_MISSES;
+    const missRate = misses / attempts;
+
+    const slowness = record && record.time !== null && medianTime
+      ? Math.min(record.time / medianTime, MAX_SLOWNESS)
+      : 1;
+    const due = record ? Math.min(1, (stats.seen - record.lastSeen) / DUE_AFTER) : 1;
+
+    weights[commandType] = Math.max(MIN_WEIGHT, BASE_WEIGHT + MISS_WEIGHT * missRate + (slowness - 1) + DUE_WEIGHT * due);
+  });
+
+  return weights;
+}
+
+export default {
+  createCommandStats,
+  normalizeCommandStats,
+  recordCommandAttempt,
+  getCommandWeights
+};
@@ -0,0 +1,251 @@
+/**
+ * monkeycmd Shortcut Solver
+ * Finds the fewest keystrokes that take the editor from one buffer state to another,
+ * by trying the keymap's commands on a headless editor
+ * Used to score multi-step challenges against the optimal solution
+ */
+
+import { KEYMAP, getKeymapDescriptors } from './keymap.js';
+import { TerminalEditor } from './terminal.js';
+
+// Editor actions the solver may use: they only change the text, cursor and selection.
+// Clipboard, kill ring, undo and mark commands depend on state the search doesn't track.
+const SOLVER_ACTIONS = [
+  'moveByCharacter',
+  'selectByCharacter',
+  'deleteCharacter',
+  'moveByWord',
+  'selectByWord',
+  'deleteWord',
+  'deleteWordForward',
+  'moveToLineStart',
+  'moveToLineEnd',
+  'selectToLineStart',
+  'selectToLineEnd',
+  'deleteToLineStart',
+  'deleteToLineEnd',
+  'moveVertical',
+  'selectVertical',
+  'moveToDocumentBoundary',
+  'selectToDocumentBoundary',
+  'selectAll',
+  'transposeCharacters',
+  'transposeWords',
+  'changeWordCase'
+];
+
+// Actions that only ever remove text: no use once the text is as short as the target's
+const DELETE_ACTIONS = ['deleteCharacter', 'deleteWord', 'deleteWordForward', 'deleteToLineStart', 'deleteToLineEnd'];
+
+// Search limits - a challenge with a longer optimal path isn't worth waiting for
+const DEFAULT_MAX_KEYSTROKES = 8;
+const DEFAULT_MAX_STATES = 20000;
+// Every state visited costs a pass or two over the text, so longer texts get fewer of them
+// (the search runs on the main thread while the next challenge is generated)
+const MAX_STATE_CHARACTERS = 250000;
+
+// Shared headless editor the commands are tried on
+let editor = null;
+
+/**
+ * Get the shared headless editor, set to an OS's word rules
+ * @param {'mac' | 'windows' | 'linux' | 'emacs'} os - The OS or profile
+ * @param {string} [profile='default'] - Editor profile layered on the OS
+ * @returns {TerminalEditor} The editor
+ */
+function getEditor(os, profile = 'default') {
+  if (!editor) {
+    editor = new TerminalEditor(null, { headless: true });
+  }
+  if (editor.getOS() !== os) {
+    editor.setOS(os);
+  }
+  if (editor.getEditorProfile() !== profile) {
+    editor.setEditorProfile(profile);
+  }
+  return editor;
+}
+
+/**
+ * Get the moves the solver can make on an OS
+ * Each is a keymap entry's canonical binding; when several entries run the same action
+ * (Home and Control + A), the one with fewer key presses wins
+ * @param {'mac' | 'windows' | 'linux' | 'emacs'} os - The OS or profile
+ * @param {string} [profile='default'] - Editor profile layered on the OS
+ * @returns {Array<{name: string, action: string, args: Array, cost: number}>} Moves
+ */
+function getMoves(os, profile = 'default') {
+  const moves = new Map();
+
+  Object.entries(KEYMAP).forEach(([name, entry]) => {
+    const binding = getKeymapDescriptors(name, os, profile)[0];
+    if (!binding || !SOLVER_ACTIONS.includes(entry.action)) return;
+
+    const args = entry.args || [];
+    const cost = Array.isArray(binding) ? binding.length : 1;
+    const key = `${entry.action}(${args.join(',')})`;
+    const existing = moves.get(key);
+    if (!existing || cost < existing.cost) {
+      moves.set(key, { name, action: entry.action, args, cost });
+    }
+  });
+
+  return [...moves.values()];
+}
+
+/**
+ * Check whether one string can be turned into another by deleting characters
+ * @param {string} needle - The shorter string
+ * @param {string} haystack - The longer string
+ * @returns {boolean} True if needle is a subsequence of haystack
+ */
+function isSubsequence(needle, haystack) {
+  let i = 0;
+  for (let j = 0; j < haystack.length && i < needle.length; j++) {
+    if (haystack[j] === needle[i]) i++;
+  }
+  return i === needle.length;
+}
+
+/**
+ * Identify an editor state for the visited set
+ * The sticky column is part of it: Up/Down from the same cursor can land in different places
+ * @param {Object} state - { text, cursorPosition, selection, goalColumn }
+ * @returns {string} Key
+ */
+function stateKey({ text, cursorPosition, selection, goalColumn }) {
+  const range = selection ? `${selection.start},${selection.end},${selection.anchor}` : '';
+  const column = goalColumn ? `${goalColumn.column},${goalColumn.position}` : '';
+  return `${cursorPosition}|${range}|${column}|${text}`;
+}
+
+/**
+ * Read the state the search tracks off the editor
+ * @param {TerminalEditor} headlessEditor - The editor
+ * @returns {Object} { text, cursorPosition, selection, goalColumn }
+ */
+function readState(headlessEditor) {
+  const { text, cursorPosition, selection } = headlessEditor;
+  return {
+    text,
+    cursorPosition,
+    selection: selection ? { ...selection } : null,
+    goalColumn: headlessEditor.getGoalColumn()
+  };
+}
+
+/**
+ * Run one keymap entry on a state
+ * @param {TerminalEditor} headlessEditor - Editor to run it on
+ * @param {Object} state - { text, cursorPosition, selection, goalColumn }
+ * @param {string} action - TerminalEditor method
+ * @param {Array} args - Method arguments
+ * @returns {Object} The state afterwards
+ */
+function applyAction(headlessEditor, state, action, args) {
+  headlessEditor.setState({
+    text: state.text,
+    cursorPosition: state.cursorPosition,
+    selection: state.selection,
+    goalColumn: state.goalColumn,
+    history: null,
+    killRing: []
+  });
+  headlessEditor[action](...args);
+  return readState(headlessEditor);
+}
+
+/**
+ * Apply a sequence of keymap entries to a state, one after the other as the editor would
+ * @param {{text: string, cursorPosition: number}} start - Starting state
+ * @param {string[]} names - Keymap entry names, in order
+ * @param {'mac' | 'windows' | 'linux' | 'emacs'} os - The OS or profile (sets the word rules)
+ * @param {string} [profile='default'] - Editor profile layered on the OS (also sets the word rules)
+ * @returns {{text: string, cursorPosition: number, selection: Object|null}} Resulting state
+ */
+export function applyKeymapSteps(start, names, os, profile = 'default') {
+  const headlessEditor = getEditor(os, profile);
+  headlessEditor.setState({
+    text: start.text,
+    cursorPosition: start.cursorPosition,
+    selection: start.selection || null,
+    history: null,
+    killRing: []
+  });
+
+  names.forEach(name => {
+    const { action, args = [] } = KEYMAP[name];
+    headlessEditor[action](...args);
+  });
+
+  const { text, cursorPosition, selection } = readState(headlessEditor);
+  return { text, cursorPosition, selection };
+}
+
+/**
+ * Find the fewest keystrokes from one buffer state to another
+ * A uniform-cost search over the OS's shortcuts (a chord costs one keystroke per key).
+ * The solver never types, so text that no longer contains the target text is a dead end.
+ * @param {{text: string, cursorPosition: number}} start - Starting state
+ * @param {{text: string, cursorPosition: number}} target - State to reach (text and cursor)
+ * @param {'mac' | 'windows' | 'linux' | 'emacs'} os - The OS or profile whose shortcuts to use
+ * @param {Object} [options]
+ * @param {number} [options.maxKeystrokes=8] - Give up on paths longer than this
+ * @param {number} [options.maxStates] - Give up after visiting this many states (default: 20000,
+ *        fewer for texts over a dozen characters)
+ * @param {string} [options.profile='default'] - Editor profile layered on the OS
+ * @returns {{path: string[], keystrokes: number}|null} Keymap entry names of a shortest path,
+ *          or null if none was found within the limits
+ */
+export function findShortestPath(start, target, os, options = {}) {
+  const {
+    maxKeystrokes = DEFAULT_MAX_KEYSTROKES,
+    maxStates = Math.min(DEFAULT_MAX_STATES, Math.floor(MAX_STATE_CHARACTERS / Math.max(start.text.length, 1))),
+    profile = 'default'
+  } = options;
+  const moves = getMoves(os, profile);
+  if (moves.length === 0) return null;
+
+  const headlessEditor = getEditor(os, profile);
+  const isTarget = state => state.text === target.text && state.cursorPosition === target.cursorPosition;
+  const canReach = text => text === target.text ||
+    (text.length > target.text.length && isSubsequence(target.text, text));
+
+  const initial = { text: start.text, cursorPosition: start.cursorPosition, selection: start.selection || null, goalColumn: null };
+  if (!canReach(initial.text)) return null;
+
+  // Frontier buckets by keystroke cost (moves cost 1 or 2, so buckets beat a heap here)
+  const buckets = [[{ state: initial, path: [] }]];
+  const visited = new Set([stateKey(initial)]);
+
+  for (let cost = 0; cost < buckets.length && cost <= maxKeystrokes; cost++) {
+    const bucket = buckets[cost] || [];
+
+    for (const { state, path } of bucket) {
+      if (isTarget(state)) {
+        return { path, keystrokes: cost };
+      }
+
+      for (const move of moves) {
+        const nextCost = cost + move.cost;
+        if (nextCost > maxKeystrokes) continue;
+        if (state.text.length <= target.text.length && DELETE_ACTIONS.includes(move.action)) continue;
+
+        const next = applyAction(headlessEditor, state, move.action, move.args);
+        const key = stateKey(next);
+        if (visited.has(key) || !canReach(next.text)) continue;
+        if (visited.size >= maxStates) return null;
+
+        visited.add(key);
+        (buckets[nextCost] = buckets[nextCost] || []).push({ state: next, path: [...path, move.name] });
+      }
+    }
+  }
+
+  return null;
+}
+
+export default {
+  applyKeymapSteps,
+  findShortestPath
+};
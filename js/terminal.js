@@ -1,9 +1,14 @@
 /**
  * Terminal Text Editor Simulator
  * A text input simulation with cursor, selection, and keyboard shortcut handling
- * Supports macOS, Windows, and Linux keyboard shortcuts
+ * Supports macOS, Windows, and Linux keyboard shortcuts, plus a modal Vim profile
+ * Editor profiles (VS Code, bash readline...) change some of an OS's shortcuts and word rules
  */
 
+import { findWordBoundary, getWordStrategy } from './words.js';
+import { KEYMAP, EDITOR_PROFILES, findKeymapEntry, matchKeymapChord, formatKeyDescriptor } from './keymap.js';
+import { nextGraphemeBoundary, previousGraphemeBoundary, snapToGrapheme } from './graphemes.js';
+
 // HTML escape map - defined once at module level for performance
 const HTML_ESCAPE_MAP = {
     '&': '&amp;',
@@ -13,6 +18,33 @@ const HTML_ESCAPE_MAP = {
     "'": '&#39;'
 };
 
+// Maximum number of undo steps kept per editor
+const HISTORY_LIMIT = 100;
+
+// Maximum number of entries kept in the kill ring
+const KILL_RING_LIMIT = 60;
+
+// Milliseconds a chord prefix (e.g. Control + X) waits for its next key before it's dropped
+const CHORD_TIMEOUT = 3000;
+
+// Keys that only press a modifier, which don't break a chord (Control can be let go between its keys)
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta'];
+
+// Keyboard profiles the editor understands ('vim' is modal, 'emacs' adds the mark and region,
+// the rest are OS shortcut sets)
+const PROFILES = ['mac', 'windows', 'linux', 'vim', 'emacs'];
+
+// Vim normal/visual mode: arrow keys act like hjkl
+const VIM_ARROW_MOTIONS = {
+    ArrowLeft: 'h',
+    ArrowDown: 'j',
+    ArrowUp: 'k',
+    ArrowRight: 'l'
+};
+
+// Vim motions supported in normal/visual mode and after an operator
+const VIM_MOTIONS = ['h', 'j', 'k', 'l', 'w', 'b', 'e', 'W', 'B', 'E', '0', '^', '$'];
+
 /**
  * Detect the current operating system
  * @returns {'mac' | 'windows' | 'linux'} The detected OS
@@ -31,20 +63,48 @@ function detectOS() {
 }
 
 export class TerminalEditor {
-    constructor(containerElement) {
-        if (!containerElement) {
+    /**
+     * @param {HTMLElement|null} containerElement - Element to render into and take keys from
+     * @param {Object} [options]
+     * @param {boolean} [options.headless=false] - Run without a DOM (no container, no rendering),
+     *        e.g. for the solver to try out commands
+     */
+    constructor(containerElement, options = {}) {
+        const { headless = false } = options;
+        if (!containerElement && !headless) {
             throw new Error('TerminalEditor requires a container element');
         }
 
-        this.container = containerElement;
+        this.container = containerElement || null;
+        this.headless = headless;
         this.text = '';
         this.cursorPosition = 0;
         this.selection = null; // { start: number, end: number } or null
-        this.os = detectOS(); // Detect OS for proper shortcut handling
+        this.os = headless ? 'linux' : detectOS(); // Detect OS for proper shortcut handling
+        this.editorProfile = 'default'; // Editor profile layered on the OS's shortcuts (see EDITOR_PROFILES)
         this.onEnterCallback = null; // Optional callback for Enter key (easter egg commands)
-
-        this._setupDOM();
-        this._setupEventListeners();
+        this.undoStack = []; // Snapshots of previous states, most recent last
+        this.redoStack = []; // Snapshots of undone states, most recent last
+        this._typingGroupEnd = null; // Cursor position where the current run of typed characters ends
+        this.killRing = []; // Killed text (readline/Emacs style), most recent first
+        this._lastKill = null; // Text and cursor right after the last kill, to detect consecutive kills
+        this._lastYank = null; // Yanked region and resulting buffer state, for yank-pop
+        this._goalColumn = null; // Sticky column for consecutive Up/Down moves: { column, position }
+        this.mode = 'insert'; // Vim profile mode: 'normal' | 'insert' | 'visual' (other profiles always insert)
+        this.register = null; // Vim unnamed register: { text, linewise }
+        this._pendingOperator = null; // Vim operator ('d', 'c', 'y') waiting for its motion
+        this.clipboard = ''; // Internal clipboard for copy/cut/paste
+        this.mirrorSystemClipboard = false; // Also write copied/cut text to the system clipboard when allowed
+        this.mark = null; // Emacs mark position, or null if unset; the region runs from here to the cursor
+        this.markActive = false; // Whether the region is active (highlighted), like Emacs transient-mark-mode
+        this._pendingKeys = []; // Keys of a chord typed so far (e.g. Control + X waiting for its second key)
+        this._chordTimer = null; // Timeout that drops the pending chord keys
+        this.target = null; // Position of a character highlighted for the player to move to, or null
+
+        if (!headless) {
+            this._setupDOM();
+            this._setupEventListeners();
+        }
     }
 
     /**
@@ -102,139 +162,67 @@ export class TerminalEditor {
 
     /**
      * Handle keydown events
-     * Supports both Mac and Windows/Linux keyboard shortcuts
+     * Shortcuts are looked up in the keymap (keymap.js) for the current OS
      */
     _handleKeyDown(e) {
-        const { key, metaKey, altKey, ctrlKey, shiftKey } = e;
-        const isMac = this.os === 'mac';
-        const isWindows = this.os === 'windows';
-        const isLinux = this.os === 'linux';
+        const { key, metaKey, altKey, ctrlKey } = e;
+
+        // Vim normal/visual mode has its own key handling
+        if (this.os === 'vim' && this.mode !== 'insert') {
+            if (this._handleVimKey(e)) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.render();
+            }
+            return;
+        }
 
         // Determine if we should handle this key combination
         let handled = false;
+        // Vim insert mode keeps the terminal (readline) editing keys
+        const keymapOS = this.os === 'vim' ? 'linux' : this.os;
+        const keymapProfile = this.os === 'vim' ? 'default' : this.editorProfile;
 
-        // Navigation keys
-        if (key === 'ArrowLeft') {
-            if (isMac && metaKey && shiftKey) {
-                // Mac: Command + Shift + Left: Select to line start
-                this.selectToLineStart();
-                handled = true;
-            } else if (isMac && metaKey) {
-                // Mac: Command + Left: Move to line start
-                this.moveToLineStart();
-                handled = true;
-            } else if (isMac && altKey && shiftKey) {
-                // Mac: Option + Shift + Left: Select by word
-                this.selectByWord('left');
-                handled = true;
-            } else if (isMac && altKey) {
-                // Mac: Option + Left: Move by word
-                this.moveByWord('left');
-                handled = true;
-            } else if ((isWindows || isLinux) && ctrlKey && shiftKey) {
-                // Windows/Linux: Ctrl + Shift + Left: Select by word
-                this.selectByWord('left');
-                handled = true;
-            } else if ((isWindows || isLinux) && ctrlKey) {
-                // Windows/Linux: Ctrl + Left: Move by word
-                this.moveByWord('left');
-                handled = true;
-            } else if (shiftKey) {
-                // Shift + Left: Extend selection left
-                this._extendSelection('left');
-                handled = true;
-            } else {
-                // Plain left arrow
-                this._moveCursorLeft();
-                handled = true;
-            }
-        } else if (key === 'ArrowRight') {
-            if (isMac && metaKey && shiftKey) {
-                // Mac: Command + Shift + Right: Select to line end
-                this.selectToLineEnd();
-                handled = true;
-            } else if (isMac && metaKey) {
-                // Mac: Command + Right: Move to line end
-                this.moveToLineEnd();
-                handled = true;
-            } else if (isMac && altKey && shiftKey) {
-                // Mac: Option + Shift + Right: Select by word
-                this.selectByWord('right');
-                handled = true;
-            } else if (isMac && altKey) {
-                // Mac: Option + Right: Move by word
-                this.moveByWord('right');
-                handled = true;
-            } else if ((isWindows || isLinux) && ctrlKey && shiftKey) {
-                // Windows/Linux: Ctrl + Shift + Right: Select by word
-                this.selectByWord('right');
-                handled = true;
-            } else if ((isWindows || isLinux) && ctrlKey) {
-                // Windows/Linux: Ctrl + Right: Move by word
-                this.moveByWord('right');
-                handled = true;
-            } else if (shiftKey) {
-                // Shift + Right: Extend selection right
-                this._extendSelection('right');
-                handled = true;
-            } else {
-                // Plain right arrow
-                this._moveCursorRight();
-                handled = true;
-            }
-        } else if (key === 'Backspace') {
-            if (isMac && metaKey) {
-                // Mac: Command + Backspace: Delete to line start
-                this.deleteToLineStart();
-                handled = true;
-            } else if ((isWindows || isLinux) && ctrlKey && shiftKey) {
-                // Windows/Linux: Ctrl + Shift + Backspace: Delete to line start
-                this.deleteToLineStart();
-                handled = true;
-            } else if (isMac && altKey) {
-                // Mac: Option + Backspace: Delete word backward
-                this.deleteWord();
-                handled = true;
-            } else if ((isWindows || isLinux) && ctrlKey) {
-                // Windows/Linux: Ctrl + Backspace: Delete word backward
-                this.deleteWord();
-                handled = true;
-            } else {
-                // Regular backspace
-                this._deleteCharacter('backward');
-                handled = true;
-            }
-        } else if (key === 'Delete') {
-            if ((isWindows || isLinux) && ctrlKey && shiftKey) {
-                // Windows/Linux: Ctrl + Shift + Delete: Delete to line end
-                this.deleteToLineEnd();
-                handled = true;
-            } else if (isMac && altKey) {
-                // Mac: Option + Delete (Fn+Backspace): Delete word forward
-                this.deleteWordForward();
-                handled = true;
-            } else if ((isWindows || isLinux) && ctrlKey) {
-                // Windows/Linux: Ctrl + Delete: Delete word forward
-                this.deleteWordForward();
-                handled = true;
-            } else {
-                // Regular delete
-                this._deleteCharacter('forward');
-                handled = true;
-            }
-        } else if (key === 'Home') {
-            if (shiftKey) {
-                this.selectToLineStart();
-            } else {
-                this.moveToLineStart();
+        // Chords: hold on to the keys while they're the start of one
+        if (this._pendingKeys.length > 0 && MODIFIER_KEYS.includes(key)) {
+            return;
+        }
+        const chord = matchKeymapChord([...this._pendingKeys, e], keymapOS, keymapProfile);
+        if (chord.pending) {
+            const { key: chordKey, code, metaKey: meta, ctrlKey: ctrl, altKey: alt, shiftKey } = e;
+            this._pendingKeys.push({ key: chordKey, code, metaKey: meta, ctrlKey: ctrl, altKey: alt, shiftKey });
+            clearTimeout(this._chordTimer);
+            this._chordTimer = setTimeout(() => {
+                this._clearPendingKeys();
+                this.render();
+            }, CHORD_TIMEOUT);
+            e.preventDefault();
+            e.stopPropagation();
+            this.render();
+            return;
+        }
+        if (this._pendingKeys.length > 0) {
+            // The chord is complete, or broken by a key that doesn't continue it (which is swallowed)
+            this._clearPendingKeys();
+            if (chord.name) {
+                const { action, args = [] } = KEYMAP[chord.name];
+                this[action](...args);
             }
+            e.preventDefault();
+            e.stopPropagation();
+            this.render();
+            return;
+        }
+
+        const keymapEntry = findKeymapEntry(e, keymapOS, keymapProfile);
+
+        if (this.os === 'vim' && key === 'Escape') {
+            // Vim: Escape leaves insert mode
+            this._exitVimInsertMode();
             handled = true;
-        } else if (key === 'End') {
-            if (shiftKey) {
-                this.selectToLineEnd();
-            } else {
-                this.moveToLineEnd();
-            }
+        } else if (keymapEntry) {
+            const { action, args = [] } = KEYMAP[keymapEntry];
+            this[action](...args);
             handled = true;
         } else if (key.length === 1 && !metaKey && !ctrlKey && !altKey) {
             // Regular character input (only shift allowed for uppercase)
@@ -242,75 +230,10 @@ export class TerminalEditor {
             handled = true;
         } else if (key === 'Enter') {
             // Check if there's a callback for Enter (easter egg commands)
-            if (this.onEnterCallback) {
-                const preventNewline = this.onEnterCallback(this.text);
-                if (preventNewline) {
-                    handled = true;
-                } else {
-                    this._insertCharacter('\n');
-                    handled = true;
-                }
-            } else {
+            const preventNewline = this.onEnterCallback && this.onEnterCallback(this.text);
+            if (!preventNewline) {
                 this._insertCharacter('\n');
-                handled = true;
-            }
-        } else if (ctrlKey && key.toLowerCase() === 'a') {
-            if (isMac || isLinux) {
-                // Mac/Linux: Control + A: Move to line start (terminal/Emacs style)
-                this.moveToLineStart();
-                handled = true;
-            } else if (isWindows) {
-                // Windows: Ctrl + A: Select all
-                this.selectAll();
-                handled = true;
-            }
-        } else if (ctrlKey && key.toLowerCase() === 'e') {
-            // Control + E: Move to line end (terminal/Emacs style) - Mac/Linux only
-            if (isMac || isLinux) {
-                this.moveToLineEnd();
-                handled = true;
-            }
-        } else if (ctrlKey && key.toLowerCase() === 'w') {
-            // Control + W: Delete previous word (terminal style) - all platforms
-            this.deleteWord();
-            handled = true;
-        } else if (ctrlKey && key.toLowerCase() === 'd') {
-            // Control + D: Forward delete (terminal style)
-            if (isMac || isLinux) {
-                this._deleteCharacter('forward');
-                handled = true;
-            }
-        } else if (ctrlKey && key.toLowerCase() === 'f') {
-            // Control + F: Move forward one character (terminal/Emacs style) - Mac/Linux only
-            if (isMac || isLinux) {
-                this._moveCursorRight();
-                handled = true;
-            }
-        } else if (ctrlKey && key.toLowerCase() === 'b') {
-            // Control + B: Move backward one character (terminal/Emacs style) - Mac/Linux only
-            if (isMac || isLinux) {
-                this._moveCursorLeft();
-                handled = true;
-            }
-        } else if (ctrlKey && key.toLowerCase() === 'k') {
-            // Control + K: Kill to end of line (terminal/Emacs style) - all platforms
-            this.deleteToLineEnd();
-            handled = true;
-        } else if (ctrlKey && key.toLowerCase() === 'u') {
-            // Control + U: Kill to start of line (terminal style) - all platforms
-            this.deleteToLineStart();
-            handled = true;
-        } else if (isMac && metaKey && key.toLowerCase() === 'a') {
-            // Mac: Command + A: Select all
-            this.selectAll();
-            handled = true;
-        } else if ((isLinux) && altKey && key.toLowerCase() === 'd') {
-            // Linux: Alt + D: Delete word forward (bash style)
-            this.deleteWordForward();
-            handled = true;
-        } else if (isLinux && altKey && key === 'Backspace') {
-            // Linux: Alt + Backspace: Delete word backward
-            this.deleteWord();
+            }
             handled = true;
         }
 
@@ -328,6 +251,7 @@ export class TerminalEditor {
         this.text = text;
         this.cursorPosition = Math.min(this.cursorPosition, text.length);
         this.selection = null;
+        this.target = null;
         this.render();
     }
 
@@ -353,16 +277,51 @@ export class TerminalEditor {
      */
     insertChar(char) {
         // Insert character at cursor position
-        this.text = this.text.slice(0, this.cursorPosition) + char + this.text.slice(this.cursorPosition);
-        this.cursorPosition++;
+        this._recordEdit('insert', () => {
+            this.text = this.text.slice(0, this.cursorPosition) + char + this.text.slice(this.cursorPosition);
+            this.cursorPosition += char.length;
+        });
+        this.render();
+    }
+
+    /**
+     * Move cursor by one character (collapses a selection to its edge)
+     * @param {'left' | 'right'} direction - Direction to move
+     */
+    moveByCharacter(direction) {
+        if (direction === 'left') {
+            this._moveCursorLeft();
+        } else {
+            this._moveCursorRight();
+        }
+        this.render();
+    }
+
+    /**
+     * Extend the selection by one character
+     * @param {'left' | 'right'} direction - Direction to extend
+     */
+    selectByCharacter(direction) {
+        this._extendSelection(direction);
+        this.render();
+    }
+
+    /**
+     * Delete one character, or the selection if there is one
+     * @param {'backward' | 'forward'} direction - Backspace or forward delete
+     */
+    deleteCharacter(direction) {
+        this._deleteCharacter(direction);
         this.render();
     }
 
     /**
      * Move cursor by word
+     * @param {'left' | 'right'} direction - Direction to move
+     * @param {string} [strategy] - Word boundary strategy (defaults to the OS's)
      */
-    moveByWord(direction) {
-        const newPosition = this._findWordBoundary(this.cursorPosition, direction);
+    moveByWord(direction, strategy) {
+        const newPosition = this._findWordBoundary(this.cursorPosition, direction, strategy);
         this.cursorPosition = newPosition;
         this.selection = null;
         this.render();
@@ -388,12 +347,66 @@ export class TerminalEditor {
         this.render();
     }
 
+    /**
+     * Move cursor up or down one line, keeping the column of the first vertical move
+     * @param {'up' | 'down'} direction - Direction to move
+     */
+    moveVertical(direction) {
+        let fromPosition = this.cursorPosition;
+        if (this.selection) {
+            // Collapse the selection on the side we're moving towards
+            fromPosition = direction === 'up' ? this.selection.start : this.selection.end;
+            this.selection = null;
+        }
+
+        this.cursorPosition = this._moveVerticalFrom(fromPosition, direction);
+        this.render();
+    }
+
+    /**
+     * Move cursor to the start or end of the whole text
+     * @param {'start' | 'end'} boundary - Which end of the document
+     */
+    moveToDocumentBoundary(boundary) {
+        this.cursorPosition = boundary === 'start' ? 0 : this.text.length;
+        this.selection = null;
+        this.render();
+    }
+
+    /**
+     * Extend selection up or down one line
+     * @param {'up' | 'down'} direction - Direction to extend
+     */
+    selectVertical(direction) {
+        const anchorPos = this.selection ? this.selection.anchor : this.cursorPosition;
+        const newPosition = this._moveVerticalFrom(this.cursorPosition, direction);
+
+        this.cursorPosition = newPosition;
+        this._updateSelection(anchorPos, newPosition);
+        this.render();
+    }
+
+    /**
+     * Select to the start or end of the whole text
+     * @param {'start' | 'end'} boundary - Which end of the document
+     */
+    selectToDocumentBoundary(boundary) {
+        const anchorPos = this.selection ? this.selection.anchor : this.cursorPosition;
+        const newPosition = boundary === 'start' ? 0 : this.text.length;
+
+        this.cursorPosition = newPosition;
+        this._updateSelection(anchorPos, newPosition);
+        this.render();
+    }
+
     /**
      * Select by word
+     * @param {'left' | 'right'} direction - Direction to extend
+     * @param {string} [strategy] - Word boundary strategy (defaults to the OS's)
      */
-    selectByWord(direction) {
+    selectByWord(direction, strategy) {
         const anchorPos = this.selection ? this.selection.anchor : this.cursorPosition;
-        const newPosition = this._findWordBoundary(this.cursorPosition, direction);
+        const newPosition = this._findWordBoundary(this.cursorPosition, direction, strategy);
 
         this.cursorPosition = newPosition;
         this._updateSelection(anchorPos, newPosition);
@@ -426,15 +439,17 @@ export class TerminalEditor {
 
     /**
      * Delete word before cursor
+     * @param {string} [strategy] - Word boundary strategy (defaults to the OS's)
      */
-    deleteWord() {
-        if (this.selection) {
-            this._deleteSelection();
-        } else {
-            const wordStart = this._findWordBoundary(this.cursorPosition, 'left');
-            this.text = this.text.slice(0, wordStart) + this.text.slice(this.cursorPosition);
-            this.cursorPosition = wordStart;
-        }
+    deleteWord(strategy) {
+        this._recordEdit('delete', () => {
+            if (this.selection) {
+                this._deleteSelection();
+            } else {
+                const wordStart = this._findWordBoundary(this.cursorPosition, 'left', strategy);
+                this._killText(wordStart, this.cursorPosition, 'backward');
+            }
+        });
         this.render();
     }
 
@@ -442,13 +457,14 @@ export class TerminalEditor {
      * Delete from cursor to line start
      */
     deleteToLineStart() {
-        if (this.selection) {
-            this._deleteSelection();
-        } else {
-            const lineStart = this._findLineStart(this.cursorPosition);
-            this.text = this.text.slice(0, lineStart) + this.text.slice(this.cursorPosition);
-            this.cursorPosition = lineStart;
-        }
+        this._recordEdit('delete', () => {
+            if (this.selection) {
+                this._deleteSelection();
+            } else {
+                const lineStart = this._findLineStart(this.cursorPosition);
+                this._killText(lineStart, this.cursorPosition, 'backward');
+            }
+        });
         this.render();
     }
 
@@ -456,175 +472,622 @@ export class TerminalEditor {
      * Delete from cursor to line end
      */
     deleteToLineEnd() {
-        if (this.selection) {
-            this._deleteSelection();
-        } else {
-            const lineEnd = this._findLineEnd(this.cursorPosition);
-            this.text = this.text.slice(0, this.cursorPosition) + this.text.slice(lineEnd);
-            // Cursor stays at current position
-        }
+        this._recordEdit('delete', () => {
+            if (this.selection) {
+                this._deleteSelection();
+            } else {
+                const lineEnd = this._findLineEnd(this.cursorPosition);
+                // Cursor stays at current position
+                this._killText(this.cursorPosition, lineEnd, 'forward');
+            }
+        });
         this.render();
     }
 
     /**
      * Delete word after cursor (forward word delete)
+     * @param {string} [strategy] - Word boundary strategy (defaults to the OS's)
      */
-    deleteWordForward() {
-        if (this.selection) {
-            this._deleteSelection();
-        } else {
-            const wordEnd = this._findWordBoundary(this.cursorPosition, 'right');
-            this.text = this.text.slice(0, this.cursorPosition) + this.text.slice(wordEnd);
-            // Cursor stays at current position
+    deleteWordForward(strategy) {
+        this._recordEdit('delete', () => {
+            if (this.selection) {
+                this._deleteSelection();
+            } else {
+                const wordEnd = this._findWordBoundary(this.cursorPosition, 'right', strategy);
+                // Cursor stays at current position
+                this._killText(this.cursorPosition, wordEnd, 'forward');
+            }
+        });
+        this.render();
+    }
+
+    /**
+     * Swap the character before the cursor with the one under it and move past both (Control + T)
+     * At the end of a line the two characters before the cursor are swapped instead, like readline
+     * Characters are grapheme clusters, so an emoji or accented letter moves as a whole
+     * @returns {boolean} Whether anything was swapped
+     */
+    transposeCharacters() {
+        const lineStart = this._findLineStart(this.cursorPosition);
+        const lineEnd = this._findLineEnd(this.cursorPosition);
+        const end = this.cursorPosition === lineEnd
+            ? this.cursorPosition
+            : nextGraphemeBoundary(this.text, this.cursorPosition);
+        const middle = previousGraphemeBoundary(this.text, end);
+        const start = previousGraphemeBoundary(this.text, middle);
+        if (start < lineStart || start === middle) {
+            return false;
         }
+
+        this._recordEdit('replace', () => {
+            this.text = this.text.slice(0, start) + this.text.slice(middle, end) +
+                this.text.slice(start, middle) + this.text.slice(end);
+            this.cursorPosition = end;
+            this.selection = null;
+        });
         this.render();
+        return true;
     }
 
     /**
-     * Select all text
+     * Swap the word before the cursor with the word under or after it, ending after both (Alt + T)
+     * Uses readline words (letters and digits)
+     * @returns {boolean} Whether two words were swapped
      */
-    selectAll() {
-        if (this.text.length === 0) {
+    transposeWords() {
+        const secondStart = this._findWordBoundary(
+            this._findWordBoundary(this.cursorPosition, 'right', 'readline'), 'left', 'readline');
+        const secondEnd = this._findWordBoundary(secondStart, 'right', 'readline');
+        const firstStart = this._findWordBoundary(secondStart, 'left', 'readline');
+        const firstEnd = this._findWordBoundary(firstStart, 'right', 'readline');
+        if (firstStart === secondStart || secondStart < firstEnd) {
+            return false;
+        }
+
+        this._recordEdit('replace', () => {
+            this.text = this.text.slice(0, firstStart) +
+                this.text.slice(secondStart, secondEnd) +
+                this.text.slice(firstEnd, secondStart) +
+                this.text.slice(firstStart, firstEnd) +
+                this.text.slice(secondEnd);
+            this.cursorPosition = secondEnd;
             this.selection = null;
+        });
+        this.render();
+        return true;
+    }
+
+    /**
+     * Change the case from the cursor to the end of the word and move to the word end (Alt + U/L/C)
+     * @param {'upper' | 'lower' | 'capitalize'} change - Uppercase, lowercase, or capitalize the first letter
+     */
+    changeWordCase(change) {
+        const start = this.cursorPosition;
+        const end = this._findWordBoundary(start, 'right', 'readline');
+        const word = this.text.slice(start, end);
+
+        let changed;
+        if (change === 'upper') {
+            changed = word.toUpperCase();
+        } else if (change === 'lower') {
+            changed = word.toLowerCase();
         } else {
-            this.selection = {
-                start: 0,
-                end: this.text.length,
-                anchor: 0
-            };
-            this.cursorPosition = this.text.length;
+            changed = word.toLowerCase().replace(/[\p{L}\p{N}]/u, char => char.toUpperCase());
         }
+
+        this._recordEdit('replace', () => {
+            this.text = this.text.slice(0, start) + changed + this.text.slice(end);
+            this.cursorPosition = start + changed.length;
+            this.selection = null;
+        });
         this.render();
     }
 
     /**
-     * Get current state for validation
+     * Remove spaces and tabs from the end of every line (Control + K Control + X in VS Code)
+     * The cursor stays on its line, moving back to the new line end if it was past it
      */
-    getState() {
-        return {
-            text: this.text,
-            cursorPosition: this.cursorPosition,
-            selection: this.selection ? {
-                start: this.selection.start,
-                end: this.selection.end
-            } : null
-        };
+    trimTrailingWhitespace() {
+        let lineStart = 0;
+        let trimmedStart = 0;
+        let cursorPosition = this.cursorPosition;
+        const lines = this.text.split('\n').map(line => {
+            const trimmed = line.replace(/[ \t]+$/, '');
+            const lineEnd = lineStart + line.length;
+            if (this.cursorPosition >= lineStart && this.cursorPosition <= lineEnd) {
+                cursorPosition = trimmedStart + Math.min(this.cursorPosition - lineStart, trimmed.length);
+            }
+            lineStart = lineEnd + 1;
+            trimmedStart += trimmed.length + 1;
+            return trimmed;
+        });
+
+        this._recordEdit('replace', () => {
+            this.text = lines.join('\n');
+            this.cursorPosition = cursorPosition;
+            this.selection = null;
+        });
+        this.render();
     }
 
     /**
-     * Set state programmatically
+     * Yank (paste) the most recent kill at the cursor
+     * @returns {boolean} Whether there was anything to yank
      */
-    setState(state) {
-        if (state.text !== undefined) {
-            this.text = state.text;
+    yank() {
+        if (this.killRing.length === 0) {
+            return false;
         }
-        if (state.cursorPosition !== undefined) {
-            this.cursorPosition = Math.max(0, Math.min(state.cursorPosition, this.text.length));
-        }
-        if (state.selection !== undefined) {
-            if (state.selection) {
-                this.selection = {
-                    start: state.selection.start,
-                    end: state.selection.end,
-                    anchor: state.selection.anchor || state.selection.start
-                };
-            } else {
-                this.selection = null;
-            }
+
+        this._recordEdit('yank', () => this._insertYank());
+        this.render();
+        return true;
+    }
+
+    /**
+     * Replace the text just yanked with the previous kill, rotating the kill ring
+     * Only works immediately after a yank or another yank-pop
+     * @returns {boolean} Whether the yanked text was replaced
+     */
+    yankPop() {
+        const lastYank = this._lastYank;
+        if (!lastYank || lastYank.text !== this.text || lastYank.cursorPosition !== this.cursorPosition ||
+            this.killRing.length < 2) {
+            return false;
         }
+
+        this._recordEdit('yank', () => {
+            this.text = this.text.slice(0, lastYank.start) + this.text.slice(lastYank.end);
+            this.cursorPosition = lastYank.start;
+            this.killRing.push(this.killRing.shift());
+            this._insertYank();
+        });
         this.render();
+        return true;
     }
 
     /**
-     * Compare current state to expected state
+     * Get the kill ring contents, most recent first
+     * @returns {string[]} Killed text entries
      */
-    compareState(expectedState) {
-        const current = this.getState();
-        const result = {
-            matches: true,
-            differences: []
-        };
+    getKillRing() {
+        return [...this.killRing];
+    }
 
-        // Compare text
-        if (expectedState.text !== undefined && current.text !== expectedState.text) {
-            result.matches = false;
-            result.differences.push({
-                field: 'text',
-                expected: expectedState.text,
-                actual: current.text
-            });
-        }
+    /**
+     * Set the mark at the cursor and activate the region (Control + Space)
+     */
+    setMark() {
+        this.mark = this.cursorPosition;
+        this.markActive = true;
+        this.selection = null;
+        this.render();
+    }
 
-        // Compare cursor position
-        if (expectedState.cursorPosition !== undefined &&
-            current.cursorPosition !== expectedState.cursorPosition) {
-            result.matches = false;
-            result.differences.push({
-                field: 'cursorPosition',
-                expected: expectedState.cursorPosition,
-                actual: current.cursorPosition
-            });
+    /**
+     * Swap the cursor and the mark, reactivating the region (Control + X Control + X)
+     * @returns {boolean} Whether there was a mark to swap with
+     */
+    exchangePointAndMark() {
+        if (this.mark === null) {
+            return false;
         }
 
-        // Compare selection
-        if (expectedState.selection !== undefined) {
-            const selectionMatches = this._compareSelections(current.selection, expectedState.selection);
-            if (!selectionMatches) {
-                result.matches = false;
-                result.differences.push({
-                    field: 'selection',
-                    expected: expectedState.selection,
-                    actual: current.selection
-                });
-            }
+        [this.mark, this.cursorPosition] = [this.cursorPosition, this.mark];
+        this.markActive = true;
+        this.selection = null;
+        this.render();
+        return true;
+    }
+
+    /**
+     * Kill the text between the mark and the cursor (Control + W)
+     * @returns {boolean} Whether there was a mark to kill to
+     */
+    killRegion() {
+        if (this.mark === null) {
+            return false;
         }
 
-        return result;
+        const start = Math.min(this.mark, this.cursorPosition);
+        const end = Math.max(this.mark, this.cursorPosition);
+        const direction = this.cursorPosition > this.mark ? 'backward' : 'forward';
+        this._recordEdit('delete', () => {
+            this._killText(start, end, direction);
+            this.selection = null;
+        });
+        this.mark = start;
+        this.markActive = false;
+        this.render();
+        return true;
     }
 
     /**
-     * Render the terminal display
+     * Add the region to the kill ring without removing it (Alt + W)
+     * @returns {boolean} Whether there was a mark
      */
-    render() {
-        let html = '';
+    copyRegionAsKill() {
+        if (this.mark === null) {
+            return false;
+        }
 
-        if (this.selection && this.selection.start !== this.selection.end) {
+        const start = Math.min(this.mark, this.cursorPosition);
+        const end = Math.max(this.mark, this.cursorPosition);
+        if (end > start) {
+            this.killRing.unshift(this.text.slice(start, end));
+            if (this.killRing.length > KILL_RING_LIMIT) {
+                this.killRing.pop();
+            }
+        }
+        this._lastKill = null;
+        this.markActive = false;
+        this.render();
+        return true;
+    }
+
+    /**
+     * Uppercase or lowercase the selection, or else the text between the mark and the cursor
+     * (Control + X Control + U in Emacs, Control + K Control + U in Sublime Text)
+     * A selection stays selected; the cursor stays at its end of the text
+     * @param {'upper' | 'lower'} change - Case to change to
+     * @returns {boolean} Whether there was a selection or mark to change
+     */
+    changeRegionCase(change) {
+        let start, end;
+        if (this.selection && this.selection.start !== this.selection.end) {
+            ({ start, end } = this.selection);
+        } else if (this.mark !== null) {
+            start = Math.min(this.mark, this.cursorPosition);
+            end = Math.max(this.mark, this.cursorPosition);
+        } else {
+            return false;
+        }
+
+        const original = this.text.slice(start, end);
+        const changed = change === 'upper' ? original.toUpperCase() : original.toLowerCase();
+        // Case changes can change the length ('ß' uppercases to 'SS'): keep positions at the end in place
+        const shift = changed.length - original.length;
+        const adjust = position => (position >= end ? position + shift : position);
+
+        this._recordEdit('replace', () => {
+            this.text = this.text.slice(0, start) + changed + this.text.slice(end);
+            this.cursorPosition = adjust(this.cursorPosition);
+            if (this.selection) {
+                this.selection = {
+                    start: this.selection.start,
+                    end: adjust(this.selection.end),
+                    anchor: adjust(this.selection.anchor)
+                };
+            }
+        });
+        this.render();
+        return true;
+    }
+
+    /**
+     * Deactivate the region, keeping the mark where it is (Control + G)
+     */
+    deactivateMark() {
+        this.markActive = false;
+        this.render();
+    }
+
+    /**
+     * Get the active region
+     * @returns {{start: number, end: number}|null} Region bounds, or null if the region isn't active
+     */
+    getRegion() {
+        if (!this.markActive || this.mark === null || this.mark === this.cursorPosition) {
+            return null;
+        }
+        return {
+            start: Math.min(this.mark, this.cursorPosition),
+            end: Math.max(this.mark, this.cursorPosition)
+        };
+    }
+
+    /**
+     * Copy the selection to the clipboard
+     * @returns {boolean} Whether there was a selection to copy
+     */
+    copy() {
+        if (!this.selection) {
+            return false;
+        }
+
+        const start = Math.min(this.selection.start, this.selection.end);
+        const end = Math.max(this.selection.start, this.selection.end);
+        this._setClipboard(this.text.slice(start, end));
+        return true;
+    }
+
+    /**
+     * Cut the selection to the clipboard
+     * @returns {boolean} Whether there was a selection to cut
+     */
+    cut() {
+        if (!this.copy()) {
+            return false;
+        }
+
+        this._recordEdit('delete', () => this._deleteSelection());
+        this.render();
+        return true;
+    }
+
+    /**
+     * Paste the clipboard at the cursor, replacing the selection
+     * @returns {boolean} Whether there was anything to paste
+     */
+    paste() {
+        if (!this.clipboard) {
+            return false;
+        }
+
+        this._recordEdit('paste', () => {
+            this._deleteSelection();
+            this.text = this.text.slice(0, this.cursorPosition) + this.clipboard + this.text.slice(this.cursorPosition);
+            this.cursorPosition += this.clipboard.length;
+        });
+        this.render();
+        return true;
+    }
+
+    /**
+     * Undo the last edit, restoring text, cursor and selection
+     * @returns {boolean} Whether there was anything to undo
+     */
+    undo() {
+        if (this.undoStack.length === 0) {
+            return false;
+        }
+
+        this.redoStack.push(this._snapshot());
+        this._restoreSnapshot(this.undoStack.pop());
+        this.render();
+        return true;
+    }
+
+    /**
+     * Redo the last undone edit
+     * @returns {boolean} Whether there was anything to redo
+     */
+    redo() {
+        if (this.redoStack.length === 0) {
+            return false;
+        }
+
+        this.undoStack.push(this._snapshot());
+        this._restoreSnapshot(this.redoStack.pop());
+        this.render();
+        return true;
+    }
+
+    /**
+     * Discard all undo/redo history
+     */
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this._typingGroupEnd = null;
+    }
+
+    /**
+     * Select all text
+     */
+    selectAll() {
+        if (this.text.length === 0) {
+            this.selection = null;
+        } else {
+            this.selection = {
+                start: 0,
+                end: this.text.length,
+                anchor: 0
+            };
+            this.cursorPosition = this.text.length;
+        }
+        this.render();
+    }
+
+    /**
+     * Get current state for validation
+     */
+    getState() {
+        return {
+            text: this.text,
+            cursorPosition: this.cursorPosition,
+            selection: this.selection ? {
+                start: this.selection.start,
+                end: this.selection.end
+            } : null,
+            mode: this.mode,
+            register: this.register ? { ...this.register } : null,
+            clipboard: this.clipboard,
+            mark: this.mark
+        };
+    }
+
+    /**
+     * Get the sticky column kept for consecutive Up/Down moves
+     * @returns {{column: number, position: number}|null} The column, and the position it applies from
+     */
+    getGoalColumn() {
+        return this._goalColumn ? { ...this._goalColumn } : null;
+    }
+
+    /**
+     * Set state programmatically
+     */
+    setState(state) {
+        // The sticky column only carries over when handed in (the solver replays Up/Down moves)
+        this._goalColumn = state.goalColumn ? { ...state.goalColumn } : null;
+        this._pendingOperator = null;
+        this._clearPendingKeys();
+        if (state.text !== undefined) {
+            this.text = state.text;
+        }
+        if (state.cursorPosition !== undefined) {
+            this.cursorPosition = Math.max(0, Math.min(state.cursorPosition, this.text.length));
+        }
+        if (state.selection !== undefined) {
+            if (state.selection) {
+                this.selection = {
+                    start: state.selection.start,
+                    end: state.selection.end,
+                    anchor: state.selection.anchor || state.selection.start
+                };
+            } else {
+                this.selection = null;
+            }
+        }
+        if (state.history !== undefined) {
+            // Seed undo/redo history, e.g. for challenges that start right after an edit
+            const history = state.history || {};
+            this.undoStack = (history.undo || []).map(snapshot => this._normalizeSnapshot(snapshot));
+            this.redoStack = (history.redo || []).map(snapshot => this._normalizeSnapshot(snapshot));
+            this._typingGroupEnd = null;
+        }
+        if (state.killRing !== undefined) {
+            this.killRing = [...(state.killRing || [])];
+            this._lastKill = null;
+            this._lastYank = null;
+        }
+        if (state.mode !== undefined) {
+            this.mode = this.os === 'vim' ? (state.mode || 'normal') : 'insert';
+        }
+        if (state.register !== undefined) {
+            this.register = state.register ? {
+                text: state.register.text,
+                linewise: Boolean(state.register.linewise)
+            } : null;
+        }
+        if (state.clipboard !== undefined) {
+            this.clipboard = state.clipboard || '';
+        }
+        if (state.target !== undefined) {
+            this.target = state.target ?? null;
+        }
+        if (state.mark !== undefined) {
+            // A mark handed in with the state starts with an active region
+            this.mark = state.mark ?? null;
+            this.markActive = this.mark !== null;
+        }
+        if (state.yank) {
+            // Mark a region of the current text as just yanked, so yank-pop can replace it
+            this._lastYank = {
+                start: state.yank.start,
+                end: state.yank.end,
+                text: this.text,
+                cursorPosition: this.cursorPosition
+            };
+        }
+        this.render();
+    }
+
+    /**
+     * Compare current state to expected state
+     */
+    compareState(expectedState) {
+        const current = this.getState();
+        const result = {
+            matches: true,
+            differences: []
+        };
+
+        // Compare text
+        if (expectedState.text !== undefined && current.text !== expectedState.text) {
+            result.matches = false;
+            result.differences.push({
+                field: 'text',
+                expected: expectedState.text,
+                actual: current.text
+            });
+        }
+
+        // Compare cursor position
+        if (expectedState.cursorPosition !== undefined &&
+            current.cursorPosition !== expectedState.cursorPosition) {
+            result.matches = false;
+            result.differences.push({
+                field: 'cursorPosition',
+                expected: expectedState.cursorPosition,
+                actual: current.cursorPosition
+            });
+        }
+
+        // Compare selection
+        if (expectedState.selection !== undefined) {
+            const selectionMatches = this._compareSelections(current.selection, expectedState.selection);
+            if (!selectionMatches) {
+                result.matches = false;
+                result.differences.push({
+                    field: 'selection',
+                    expected: expectedState.selection,
+                    actual: current.selection
+                });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Render the terminal display
+     */
+    render() {
+        if (this.headless) return;
+
+        let html = '';
+        // An active Emacs region is highlighted like a selection
+        const highlight = this.selection && this.selection.start !== this.selection.end
+            ? this.selection
+            : this.getRegion();
+        const highlightClass = highlight === this.selection ? 'selection' : 'selection region';
+
+        if (highlight) {
             // Render with selection
-            const selStart = Math.min(this.selection.start, this.selection.end);
-            const selEnd = Math.max(this.selection.start, this.selection.end);
+            const selStart = Math.min(highlight.start, highlight.end);
+            const selEnd = Math.max(highlight.start, highlight.end);
 
-            const beforeSelection = this._escapeHtml(this.text.slice(0, selStart));
-            const selectedText = this._escapeHtml(this.text.slice(selStart, selEnd));
-            const afterSelection = this._escapeHtml(this.text.slice(selEnd));
+            const beforeSelection = this._renderText(0, selStart);
+            const selectedText = this._renderText(selStart, selEnd);
+            const afterSelection = this._renderText(selEnd);
 
             // Determine cursor position within the selection context
             if (this.cursorPosition <= selStart) {
                 // Cursor before selection
-                const beforeCursor = this._escapeHtml(this.text.slice(0, this.cursorPosition));
-                const cursorToSelStart = this._escapeHtml(this.text.slice(this.cursorPosition, selStart));
-                html = `${beforeCursor}<span class="cursor"></span>${cursorToSelStart}<span class="selection">${selectedText}</span>${afterSelection}`;
+                const beforeCursor = this._renderText(0, this.cursorPosition);
+                const cursorToSelStart = this._renderText(this.cursorPosition, selStart);
+                html = `${beforeCursor}<span class="cursor"></span>${cursorToSelStart}<span class="${highlightClass}">${selectedText}</span>${afterSelection}`;
             } else if (this.cursorPosition >= selEnd) {
                 // Cursor after selection
-                const afterSelToCursor = this._escapeHtml(this.text.slice(selEnd, this.cursorPosition));
-                const afterCursor = this._escapeHtml(this.text.slice(this.cursorPosition));
-                html = `${beforeSelection}<span class="selection">${selectedText}</span>${afterSelToCursor}<span class="cursor"></span>${afterCursor}`;
+                const afterSelToCursor = this._renderText(selEnd, this.cursorPosition);
+                const afterCursor = this._renderText(this.cursorPosition);
+                html = `${beforeSelection}<span class="${highlightClass}">${selectedText}</span>${afterSelToCursor}<span class="cursor"></span>${afterCursor}`;
             } else {
                 // Cursor within selection (at start or end based on anchor)
-                html = `${beforeSelection}<span class="selection">${selectedText}</span>${afterSelection}`;
+                html = `${beforeSelection}<span class="${highlightClass}">${selectedText}</span>${afterSelection}`;
                 // Add cursor at its position
                 if (this.cursorPosition === selStart) {
-                    html = `${beforeSelection}<span class="cursor"></span><span class="selection">${selectedText}</span>${afterSelection}`;
+                    html = `${beforeSelection}<span class="cursor"></span><span class="${highlightClass}">${selectedText}</span>${afterSelection}`;
                 } else {
-                    html = `${beforeSelection}<span class="selection">${selectedText}</span><span class="cursor"></span>${afterSelection}`;
+                    html = `${beforeSelection}<span class="${highlightClass}">${selectedText}</span><span class="cursor"></span>${afterSelection}`;
                 }
             }
         } else {
             // Render without selection (just cursor)
-            const beforeCursor = this._escapeHtml(this.text.slice(0, this.cursorPosition));
-            const cursorChar = this.text[this.cursorPosition];
-            const afterCursor = this._escapeHtml(this.text.slice(this.cursorPosition + 1));
-
-            if (cursorChar !== undefined) {
+            const beforeCursor = this._renderText(0, this.cursorPosition);
+            // The block cursor covers a whole grapheme cluster, never half an emoji
+            const cursorCharEnd = nextGraphemeBoundary(this.text, this.cursorPosition);
+            const cursorChar = this.cursorPosition < this.text.length
+                ? this.text.slice(this.cursorPosition, cursorCharEnd)
+                : undefined;
+            const afterCursor = this._renderText(cursorCharEnd);
+
+            if (cursorChar === '\n') {
+                // Cursor at end of a line that has more lines below - show a block before the break
+                html = `${beforeCursor}<span class="cursor">&nbsp;</span>\n${afterCursor}`;
+            } else if (cursorChar !== undefined) {
                 const escapedCursorChar = this._escapeHtml(cursorChar);
                 html = `${beforeCursor}<span class="cursor">${escapedCursorChar}</span>${afterCursor}`;
             } else {
@@ -642,6 +1105,21 @@ export class TerminalEditor {
         html = html.replace(/\n/g, '<br>');
 
         this.displayElement.innerHTML = html;
+
+        // Expose the Vim mode for styling (e.g. a bar cursor in insert mode)
+        if (this.os === 'vim') {
+            this.container.setAttribute('data-vim-mode', this.mode);
+        } else {
+            this.container.removeAttribute('data-vim-mode');
+        }
+
+        // Show the start of a chord while it waits for its next key (like Emacs's echo area)
+        const pendingKeys = this.getPendingKeys();
+        if (pendingKeys.length > 0) {
+            this.container.setAttribute('data-pending-keys', `${pendingKeys.join(' ')} …`);
+        } else {
+            this.container.removeAttribute('data-pending-keys');
+        }
     }
 
     /**
@@ -660,7 +1138,7 @@ export class TerminalEditor {
 
     /**
      * Get the current OS setting
-     * @returns {'mac' | 'windows' | 'linux'} Current OS
+     * @returns {'mac' | 'windows' | 'linux' | 'vim'} Current OS or keyboard profile
      */
     getOS() {
         return this.os;
@@ -668,54 +1146,81 @@ export class TerminalEditor {
 
     /**
      * Set the OS for keyboard shortcuts (useful for testing)
-     * @param {'mac' | 'windows' | 'linux'} os - The OS to use
+     * The 'vim' profile is modal and starts in normal mode
+     * @param {'mac' | 'windows' | 'linux' | 'vim'} os - The OS or keyboard profile to use
      */
     setOS(os) {
-        if (['mac', 'windows', 'linux'].includes(os)) {
+        if (PROFILES.includes(os)) {
             this.os = os;
+            this.mode = os === 'vim' ? 'normal' : 'insert';
+            this._pendingOperator = null;
+            this._clearPendingKeys();
+            this.selection = null;
+            this.mark = null;
+            this.markActive = false;
+            this.render();
         }
     }
 
-    // ========== Private Helper Methods ==========
-
     /**
-     * Find word boundary in given direction
-     * Uses whitespace-based word boundaries to match standard text editor behavior
+     * Drop the keys of a chord typed so far
      */
-    _findWordBoundary(position, direction) {
-        if (direction === 'left') {
-            if (position === 0) return 0;
-
-            let pos = position - 1;
-
-            // Skip any whitespace first
-            while (pos > 0 && /\s/.test(this.text[pos])) {
-                pos--;
-            }
+    _clearPendingKeys() {
+        this._pendingKeys = [];
+        clearTimeout(this._chordTimer);
+        this._chordTimer = null;
+    }
 
-            // Then find the start of the word (go back until whitespace or start)
-            while (pos > 0 && /\S/.test(this.text[pos - 1])) {
-                pos--;
-            }
+    /**
+     * Get the keys of a chord typed so far, waiting for the next one
+     * @returns {string[]} A label per key press, e.g. ['Ctrl + X'] (empty if no chord is pending)
+     */
+    getPendingKeys() {
+        const os = this.os === 'vim' ? 'linux' : this.os;
+        return this._pendingKeys.map(event => formatKeyDescriptor(event, os).join(' + '));
+    }
 
-            return pos;
-        } else {
-            if (position >= this.text.length) return this.text.length;
+    /**
+     * Get the current editor profile
+     * @returns {string} Key in EDITOR_PROFILES
+     */
+    getEditorProfile() {
+        return this.editorProfile;
+    }
 
-            let pos = position;
+    /**
+     * Set the editor profile layered on the OS's shortcuts
+     * It only applies on macOS, Windows and Linux; Vim and Emacs keep their own keys
+     * @param {string} profile - Key in EDITOR_PROFILES
+     */
+    setEditorProfile(profile) {
+        if (EDITOR_PROFILES[profile]) {
+            this.editorProfile = profile;
+            this._clearPendingKeys();
+            this.render();
+        }
+    }
 
-            // Skip current word characters first (non-whitespace)
-            while (pos < this.text.length && /\S/.test(this.text[pos])) {
-                pos++;
-            }
+    /**
+     * Get the current Vim mode
+     * @returns {'normal' | 'insert' | 'visual'} Current mode ('insert' for non-modal profiles)
+     */
+    getMode() {
+        return this.mode;
+    }
 
-            // Then skip any whitespace
-            while (pos < this.text.length && /\s/.test(this.text[pos])) {
-                pos++;
-            }
+    // ========== Private Helper Methods ==========
 
-            return pos;
-        }
+    /**
+     * Find word boundary in given direction
+     * Words follow the platform's rules (see words.js) unless a strategy is given
+     * @param {number} position - Position to move from
+     * @param {'left' | 'right'} direction - Direction to move
+     * @param {string} [strategy] - Word boundary strategy (defaults to the OS's and editor profile's)
+     * @returns {number} Boundary position
+     */
+    _findWordBoundary(position, direction, strategy = getWordStrategy(this.os, this.editorProfile)) {
+        return findWordBoundary(this.text, position, direction, strategy);
     }
 
     /**
@@ -740,6 +1245,47 @@ export class TerminalEditor {
         return pos;
     }
 
+    /**
+     * Find the position one line up or down, honouring the sticky goal column
+     * Moving up from the first line goes to the start of the text, down from the last line to the end
+     * @param {number} position - Position to move from
+     * @param {'up' | 'down'} direction - Direction to move
+     * @returns {number} New cursor position
+     */
+    _moveVerticalFrom(position, direction) {
+        const lineStart = this._findLineStart(position);
+
+        // Keep the goal column only while the cursor hasn't moved since the last vertical move
+        let goalColumn = position - lineStart;
+        if (this._goalColumn && this._goalColumn.position === position) {
+            goalColumn = this._goalColumn.column;
+        }
+
+        let newPosition;
+        if (direction === 'up') {
+            if (lineStart === 0) {
+                newPosition = 0;
+            } else {
+                const prevLineStart = this._findLineStart(lineStart - 1);
+                newPosition = Math.min(prevLineStart + goalColumn, lineStart - 1);
+            }
+        } else {
+            const lineEnd = this._findLineEnd(position);
+            if (lineEnd === this.text.length) {
+                newPosition = this.text.length;
+            } else {
+                const nextLineStart = lineEnd + 1;
+                newPosition = Math.min(nextLineStart + goalColumn, this._findLineEnd(nextLineStart));
+            }
+        }
+
+        // The goal column counts code units, so it may land inside a cluster on another line
+        newPosition = snapToGrapheme(this.text, newPosition);
+
+        this._goalColumn = { column: goalColumn, position: newPosition };
+        return newPosition;
+    }
+
     /**
      * Move cursor left by one character
      */
@@ -749,7 +1295,7 @@ export class TerminalEditor {
             this.cursorPosition = Math.min(this.selection.start, this.selection.end);
             this.selection = null;
         } else if (this.cursorPosition > 0) {
-            this.cursorPosition--;
+            this.cursorPosition = previousGraphemeBoundary(this.text, this.cursorPosition);
         }
     }
 
@@ -762,7 +1308,7 @@ export class TerminalEditor {
             this.cursorPosition = Math.max(this.selection.start, this.selection.end);
             this.selection = null;
         } else if (this.cursorPosition < this.text.length) {
-            this.cursorPosition++;
+            this.cursorPosition = nextGraphemeBoundary(this.text, this.cursorPosition);
         }
     }
 
@@ -773,9 +1319,9 @@ export class TerminalEditor {
         const anchorPos = this.selection ? this.selection.anchor : this.cursorPosition;
 
         if (direction === 'left' && this.cursorPosition > 0) {
-            this.cursorPosition--;
+            this.cursorPosition = previousGraphemeBoundary(this.text, this.cursorPosition);
         } else if (direction === 'right' && this.cursorPosition < this.text.length) {
-            this.cursorPosition++;
+            this.cursorPosition = nextGraphemeBoundary(this.text, this.cursorPosition);
         }
 
         this._updateSelection(anchorPos, this.cursorPosition);
@@ -800,29 +1346,35 @@ export class TerminalEditor {
      * Insert a character at cursor position
      */
     _insertCharacter(char) {
-        if (this.selection) {
-            this._deleteSelection();
-        }
+        this._recordEdit('insert', () => {
+            if (this.selection) {
+                this._deleteSelection();
+            }
 
-        this.text = this.text.slice(0, this.cursorPosition) + char + this.text.slice(this.cursorPosition);
-        this.cursorPosition++;
+            this.text = this.text.slice(0, this.cursorPosition) + char + this.text.slice(this.cursorPosition);
+            this.cursorPosition += char.length;
+        });
     }
 
     /**
-     * Delete a character
+     * Delete a character (a whole grapheme cluster)
      */
     _deleteCharacter(direction) {
-        if (this.selection) {
-            this._deleteSelection();
-            return;
-        }
+        this._recordEdit('delete', () => {
+            if (this.selection) {
+                this._deleteSelection();
+                return;
+            }
 
-        if (direction === 'backward' && this.cursorPosition > 0) {
-            this.text = this.text.slice(0, this.cursorPosition - 1) + this.text.slice(this.cursorPosition);
-            this.cursorPosition--;
-        } else if (direction === 'forward' && this.cursorPosition < this.text.length) {
-            this.text = this.text.slice(0, this.cursorPosition) + this.text.slice(this.cursorPosition + 1);
-        }
+            if (direction === 'backward' && this.cursorPosition > 0) {
+                const start = previousGraphemeBoundary(this.text, this.cursorPosition);
+                this.text = this.text.slice(0, start) + this.text.slice(this.cursorPosition);
+                this.cursorPosition = start;
+            } else if (direction === 'forward' && this.cursorPosition < this.text.length) {
+                const end = nextGraphemeBoundary(this.text, this.cursorPosition);
+                this.text = this.text.slice(0, this.cursorPosition) + this.text.slice(end);
+            }
+        });
     }
 
     /**
@@ -839,6 +1391,669 @@ export class TerminalEditor {
         this.selection = null;
     }
 
+    /**
+     * Remove text between start and end and add it to the kill ring
+     * Consecutive kills (nothing else happened in between) are merged into one entry,
+     * prepended for backward kills and appended for forward kills, like readline
+     * @param {number} start - Start of the killed range
+     * @param {number} end - End of the killed range
+     * @param {'backward' | 'forward'} direction - Kill direction relative to the cursor
+     */
+    _killText(start, end, direction) {
+        const killed = this.text.slice(start, end);
+        const continuesKill = this._lastKill !== null &&
+            this._lastKill.text === this.text &&
+            this._lastKill.cursorPosition === this.cursorPosition &&
+            this.killRing.length > 0;
+
+        this.text = this.text.slice(0, start) + this.text.slice(end);
+        this.cursorPosition = start;
+
+        if (!killed) {
+            return;
+        }
+
+        if (continuesKill) {
+            this.killRing[0] = direction === 'backward' ? killed + this.killRing[0] : this.killRing[0] + killed;
+        } else {
+            this.killRing.unshift(killed);
+            if (this.killRing.length > KILL_RING_LIMIT) {
+                this.killRing.pop();
+            }
+        }
+
+        this._lastKill = { text: this.text, cursorPosition: this.cursorPosition };
+    }
+
+    /**
+     * Put text on the internal clipboard, mirroring it to the system clipboard if enabled
+     * @param {string} text - Copied or cut text
+     */
+    _setClipboard(text) {
+        this.clipboard = text;
+
+        if (this.mirrorSystemClipboard && typeof navigator !== 'undefined' && navigator.clipboard) {
+            // The browser may refuse (no permission, insecure context); the internal clipboard still works
+            navigator.clipboard.writeText(text).catch(() => {});
+        }
+    }
+
+    /**
+     * Insert the front of the kill ring at the cursor and remember the yanked region
+     */
+    _insertYank() {
+        if (this.selection) {
+            this._deleteSelection();
+        }
+
+        const yanked = this.killRing[0];
+        const start = this.cursorPosition;
+
+        this.text = this.text.slice(0, start) + yanked + this.text.slice(start);
+        this.cursorPosition = start + yanked.length;
+        this._lastYank = {
+            start,
+            end: this.cursorPosition,
+            text: this.text,
+            cursorPosition: this.cursorPosition
+        };
+    }
+
+    /**
+     * Run a text mutation and record the prior state in the undo history
+     * Consecutive typed characters are grouped into a single undo step
+     * @param {'insert' | 'delete' | 'yank' | 'paste' | 'replace'} kind - The kind of edit
+     * @param {Function} mutate - Function that performs the edit
+     */
+    _recordEdit(kind, mutate) {
+        const before = this._snapshot();
+        mutate();
+
+        // Nothing changed (e.g. backspace at start of text) - don't create an undo step
+        if (this.text === before.text) {
+            return;
+        }
+
+        const continuesTyping = kind === 'insert' &&
+            this._typingGroupEnd === before.cursorPosition &&
+            !before.selection;
+
+        if (!continuesTyping) {
+            this.undoStack.push(before);
+            if (this.undoStack.length > HISTORY_LIMIT) {
+                this.undoStack.shift();
+            }
+        }
+
+        this.redoStack = [];
+        this._typingGroupEnd = kind === 'insert' ? this.cursorPosition : null;
+
+        // Editing deactivates the region; the mark itself stays (within the text)
+        this.markActive = false;
+        if (this.mark !== null) {
+            this.mark = Math.min(this.mark, this.text.length);
+        }
+    }
+
+    /**
+     * Capture the current text, cursor and selection
+     * @returns {{text: string, cursorPosition: number, selection: Object|null}} Snapshot
+     */
+    _snapshot() {
+        return {
+            text: this.text,
+            cursorPosition: this.cursorPosition,
+            selection: this.selection ? { ...this.selection } : null
+        };
+    }
+
+    /**
+     * Normalize an externally supplied snapshot (missing fields default to an empty buffer)
+     */
+    _normalizeSnapshot(snapshot) {
+        const text = snapshot.text || '';
+        return {
+            text,
+            cursorPosition: Math.max(0, Math.min(snapshot.cursorPosition ?? text.length, text.length)),
+            selection: snapshot.selection ? {
+                start: snapshot.selection.start,
+                end: snapshot.selection.end,
+                anchor: snapshot.selection.anchor ?? snapshot.selection.start
+            } : null
+        };
+    }
+
+    /**
+     * Restore a snapshot taken with _snapshot()
+     */
+    _restoreSnapshot(snapshot) {
+        this.text = snapshot.text;
+        this.cursorPosition = snapshot.cursorPosition;
+        this.selection = snapshot.selection ? { ...snapshot.selection } : null;
+        this._typingGroupEnd = null;
+    }
+
+    // ========== Vim Profile ==========
+
+    /**
+     * Handle a key in Vim normal or visual mode
+     * @param {KeyboardEvent} e - The keydown event
+     * @returns {boolean} Whether the key was handled
+     */
+    _handleVimKey(e) {
+        const { key, metaKey, altKey, ctrlKey } = e;
+
+        if (metaKey || altKey) {
+            return false;
+        }
+
+        if (ctrlKey) {
+            if (key.toLowerCase() === 'r' && this.mode === 'normal') {
+                // Control + R: Redo
+                this.redo();
+                this.cursorPosition = this._clampVimCursor(this.cursorPosition);
+                return true;
+            }
+            return false;
+        }
+
+        if (key === 'Escape') {
+            // Cancel a pending operator or visual mode; otherwise let Escape through (e.g. to reset the game)
+            if (this._pendingOperator || this.mode === 'visual') {
+                this._pendingOperator = null;
+                this._exitVimVisualMode();
+                return true;
+            }
+            return false;
+        }
+
+        const vimKey = VIM_ARROW_MOTIONS[key] || key;
+
+        if (this.mode === 'visual') {
+            return this._handleVimVisualKey(vimKey);
+        }
+
+        if (this._pendingOperator) {
+            const operator = this._pendingOperator;
+            this._pendingOperator = null;
+            this._applyVimOperator(operator, vimKey);
+            return true;
+        }
+
+        if (VIM_MOTIONS.includes(vimKey)) {
+            this.cursorPosition = this._vimMotionTarget(vimKey, this.cursorPosition, false).position;
+            return true;
+        }
+
+        const lineStart = this._findLineStart(this.cursorPosition);
+        const lineEnd = this._findLineEnd(this.cursorPosition);
+
+        switch (vimKey) {
+            case 'd':
+            case 'c':
+            case 'y':
+                this._pendingOperator = vimKey;
+                break;
+            case 'D':
+            case 'C':
+                // D/C: Delete or change to end of line
+                this._applyVimOperator(vimKey.toLowerCase(), '$');
+                break;
+            case 'Y':
+                // Y: Yank the whole line
+                this._applyVimOperator('y', 'y');
+                break;
+            case 'x':
+                // x: Delete the character under the cursor
+                if (this.cursorPosition < lineEnd) {
+                    this._vimOperateRange('d', this.cursorPosition, nextGraphemeBoundary(this.text, this.cursorPosition), false);
+                }
+                break;
+            case 'X':
+                // X: Delete the character before the cursor
+                if (this.cursorPosition > lineStart) {
+                    this._vimOperateRange('d', previousGraphemeBoundary(this.text, this.cursorPosition), this.cursorPosition, false);
+                }
+                break;
+            case 'p':
+            case 'P':
+                this._vimPut(vimKey === 'P');
+                break;
+            case 'i':
+                this.mode = 'insert';
+                break;
+            case 'a':
+                // a: Append after the cursor character
+                if (this.cursorPosition < lineEnd) {
+                    this.cursorPosition = nextGraphemeBoundary(this.text, this.cursorPosition);
+                }
+                this.mode = 'insert';
+                break;
+            case 'I':
+                this.cursorPosition = this._findFirstNonBlank(this.cursorPosition);
+                this.mode = 'insert';
+                break;
+            case 'A':
+                this.cursorPosition = lineEnd;
+                this.mode = 'insert';
+                break;
+            case 'o':
+            case 'O': {
+                // o/O: Open a new line below/above
+                const at = vimKey === 'o' ? lineEnd : lineStart;
+                this._recordEdit('insert', () => {
+                    this.text = this.text.slice(0, at) + '\n' + this.text.slice(at);
+                    this.cursorPosition = vimKey === 'o' ? at + 1 : at;
+                });
+                this.mode = 'insert';
+                break;
+            }
+            case 'v':
+                this.mode = 'visual';
+                this.selection = { anchor: this.cursorPosition };
+                this._updateVimVisualSelection();
+                break;
+            case 'u':
+                this.undo();
+                this.cursorPosition = this._clampVimCursor(this.cursorPosition);
+                break;
+            default:
+                // Unmapped printable keys do nothing in normal mode (and never insert text)
+                return key.length === 1;
+        }
+
+        return true;
+    }
+
+    /**
+     * Handle a key in Vim visual mode
+     * @param {string} vimKey - The key, with arrows already mapped to hjkl
+     * @returns {boolean} Whether the key was handled
+     */
+    _handleVimVisualKey(vimKey) {
+        if (VIM_MOTIONS.includes(vimKey)) {
+            this.cursorPosition = this._vimMotionTarget(vimKey, this.cursorPosition, false).position;
+            this._updateVimVisualSelection();
+            return true;
+        }
+
+        switch (vimKey) {
+            case 'd':
+            case 'x':
+            case 'c':
+            case 'y': {
+                const { start, end } = this.selection;
+                this.selection = null;
+                this.mode = 'normal';
+                this._vimOperateRange(vimKey === 'x' ? 'd' : vimKey, start, end, false);
+                break;
+            }
+            case 'o': {
+                // o: Jump to the other end of the selection
+                const anchor = this.selection.anchor;
+                this.selection.anchor = this.cursorPosition;
+                this.cursorPosition = anchor;
+                this._updateVimVisualSelection();
+                break;
+            }
+            case 'v':
+                this._exitVimVisualMode();
+                break;
+            default:
+                return vimKey.length === 1;
+        }
+
+        return true;
+    }
+
+    /**
+     * Leave visual mode (or cancel a pending operator) back to normal mode
+     */
+    _exitVimVisualMode() {
+        this.mode = 'normal';
+        this.selection = null;
+    }
+
+    /**
+     * Leave insert mode; like Vim, the cursor steps back onto the last inserted character
+     */
+    _exitVimInsertMode() {
+        this.mode = 'normal';
+        this.selection = null;
+        if (this.cursorPosition > this._findLineStart(this.cursorPosition)) {
+            this.cursorPosition = previousGraphemeBoundary(this.text, this.cursorPosition);
+        }
+        this._typingGroupEnd = null;
+    }
+
+    /**
+     * Recompute the visual selection: inclusive of the characters under the anchor and the cursor
+     */
+    _updateVimVisualSelection() {
+        const anchor = this.selection.anchor;
+        this.selection = {
+            start: Math.min(anchor, this.cursorPosition),
+            end: nextGraphemeBoundary(this.text, Math.max(anchor, this.cursorPosition)),
+            anchor
+        };
+    }
+
+    /**
+     * Apply an operator (d, c, y) with a motion, or doubled (dd, cc, yy) for the whole line
+     * @param {'d' | 'c' | 'y'} operator - The operator
+     * @param {string} motion - The motion key
+     */
+    _applyVimOperator(operator, motion) {
+        const position = this.cursorPosition;
+
+        if (motion === operator) {
+            this._vimOperateLine(operator);
+            return;
+        }
+
+        if (!VIM_MOTIONS.includes(motion) || motion === 'j' || motion === 'k') {
+            // Unsupported motion - the operator is cancelled
+            return;
+        }
+
+        let target;
+        const charClass = this._vimCharClassAt(position, motion === 'W');
+        if (operator === 'c' && (motion === 'w' || motion === 'W') && charClass !== 0) {
+            // cw on a word changes to the end of the word (like ce), leaving the following space
+            let end = position;
+            let next = nextGraphemeBoundary(this.text, end);
+            while (next < this.text.length && this._vimCharClassAt(next, motion === 'W') === charClass) {
+                end = next;
+                next = nextGraphemeBoundary(this.text, end);
+            }
+            target = { position: end, inclusive: true };
+        } else {
+            target = this._vimMotionTarget(motion, position, true);
+        }
+
+        const start = Math.min(position, target.position);
+        let end = Math.max(position, target.position);
+        if (target.inclusive && end < this.text.length && this.text[end] !== '\n') {
+            end = nextGraphemeBoundary(this.text, end);
+        }
+
+        this._vimOperateRange(operator, start, end, false);
+    }
+
+    /**
+     * Apply an operator to the current line (dd, cc, yy)
+     * @param {'d' | 'c' | 'y'} operator - The operator
+     */
+    _vimOperateLine(operator) {
+        const lineStart = this._findLineStart(this.cursorPosition);
+        const lineEnd = this._findLineEnd(this.cursorPosition);
+        const lineText = this.text.slice(lineStart, lineEnd);
+
+        if (operator === 'y') {
+            this.register = { text: lineText + '\n', linewise: true };
+            return;
+        }
+
+        if (operator === 'c') {
+            this._recordEdit('delete', () => {
+                this.text = this.text.slice(0, lineStart) + this.text.slice(lineEnd);
+                this.cursorPosition = lineStart;
+            });
+            this.register = { text: lineText + '\n', linewise: true };
+            this.mode = 'insert';
+            return;
+        }
+
+        // Remove the line together with one of its line breaks
+        let start = lineStart;
+        let end = lineEnd;
+        if (lineEnd < this.text.length) {
+            end++;
+        } else if (lineStart > 0) {
+            start--;
+        }
+
+        this._recordEdit('delete', () => {
+            this.text = this.text.slice(0, start) + this.text.slice(end);
+            this.cursorPosition = this._findFirstNonBlank(Math.min(start, this.text.length));
+        });
+        this.register = { text: lineText + '\n', linewise: true };
+    }
+
+    /**
+     * Apply an operator to a character range, filling the register
+     * @param {'d' | 'c' | 'y'} operator - The operator
+     * @param {number} start - Range start
+     * @param {number} end - Range end (exclusive)
+     * @param {boolean} linewise - Whether the register holds whole lines
+     */
+    _vimOperateRange(operator, start, end, linewise) {
+        if (start === end && operator !== 'c') {
+            return;
+        }
+
+        this.register = { text: this.text.slice(start, end), linewise };
+
+        if (operator !== 'y') {
+            this._recordEdit('delete', () => {
+                this.text = this.text.slice(0, start) + this.text.slice(end);
+                this.cursorPosition = start;
+            });
+        } else {
+            this.cursorPosition = start;
+        }
+
+        if (operator === 'c') {
+            this.mode = 'insert';
+        } else {
+            this.cursorPosition = this._clampVimCursor(this.cursorPosition);
+        }
+    }
+
+    /**
+     * Put the register after (p) or before (P) the cursor
+     * @param {boolean} before - Put before the cursor instead of after
+     */
+    _vimPut(before) {
+        if (!this.register || !this.register.text) {
+            return;
+        }
+
+        const { text: content, linewise } = this.register;
+
+        this._recordEdit('yank', () => {
+            if (linewise) {
+                const body = content.endsWith('\n') ? content.slice(0, -1) : content;
+                if (before) {
+                    const lineStart = this._findLineStart(this.cursorPosition);
+                    this.text = this.text.slice(0, lineStart) + body + '\n' + this.text.slice(lineStart);
+                    this.cursorPosition = this._findFirstNonBlank(lineStart);
+                } else {
+                    const lineEnd = this._findLineEnd(this.cursorPosition);
+                    this.text = this.text.slice(0, lineEnd) + '\n' + body + this.text.slice(lineEnd);
+                    this.cursorPosition = this._findFirstNonBlank(lineEnd + 1);
+                }
+            } else {
+                let at = this.cursorPosition;
+                if (!before && at < this._findLineEnd(at)) {
+                    at = nextGraphemeBoundary(this.text, at);
+                }
+                this.text = this.text.slice(0, at) + content + this.text.slice(at);
+                // Cursor ends on the last put character
+                this.cursorPosition = previousGraphemeBoundary(this.text, at + content.length);
+            }
+        });
+    }
+
+    /**
+     * Find where a Vim motion lands
+     * @param {string} motion - The motion key
+     * @param {number} position - Position to move from
+     * @param {boolean} forOperator - Whether the motion follows an operator (may land past the last character)
+     * @returns {{position: number, inclusive: boolean}} Target and whether an operator includes its character
+     */
+    _vimMotionTarget(motion, position, forOperator) {
+        const lineStart = this._findLineStart(position);
+        const lineEnd = this._findLineEnd(position);
+        let target = position;
+        let inclusive = false;
+
+        switch (motion) {
+            case 'h':
+                target = Math.max(lineStart, previousGraphemeBoundary(this.text, position));
+                break;
+            case 'l':
+                target = Math.min(nextGraphemeBoundary(this.text, position), lineEnd);
+                break;
+            case 'j':
+            case 'k':
+                target = this._moveVerticalFrom(position, motion === 'j' ? 'down' : 'up');
+                break;
+            case 'w':
+            case 'W':
+                target = this._findVimWordStart(position, motion === 'W');
+                if (forOperator && target > lineEnd) {
+                    // dw on the last word of a line stops at the line end
+                    target = lineEnd;
+                }
+                break;
+            case 'e':
+            case 'E':
+                target = this._findVimWordEnd(position, motion === 'E');
+                inclusive = true;
+                break;
+            case 'b':
+            case 'B':
+                target = this._findVimWordBackward(position, motion === 'B');
+                break;
+            case '0':
+                target = lineStart;
+                break;
+            case '^':
+                target = this._findFirstNonBlank(position);
+                break;
+            case '$':
+                target = Math.max(lineStart, previousGraphemeBoundary(this.text, lineEnd));
+                inclusive = true;
+                break;
+        }
+
+        if (!forOperator) {
+            target = this._clampVimCursor(target);
+            if (this._goalColumn && (motion === 'j' || motion === 'k')) {
+                this._goalColumn.position = target;
+            }
+        }
+
+        return { position: target, inclusive };
+    }
+
+    /**
+     * Keep the normal-mode cursor on a character (never past the end of a non-empty line)
+     * @param {number} position - Cursor position
+     * @returns {number} Clamped position
+     */
+    _clampVimCursor(position) {
+        if (this.mode === 'insert') {
+            return position;
+        }
+
+        const lineStart = this._findLineStart(position);
+        const lineEnd = this._findLineEnd(position);
+        return lineEnd > lineStart
+            ? Math.min(snapToGrapheme(this.text, position), previousGraphemeBoundary(this.text, lineEnd))
+            : lineStart;
+    }
+
+    /**
+     * Find the first non-blank character of the line containing position
+     */
+    _findFirstNonBlank(position) {
+        const lineEnd = this._findLineEnd(position);
+        let pos = this._findLineStart(position);
+        while (pos < lineEnd && /\s/.test(this.text[pos])) {
+            pos++;
+        }
+        return pos;
+    }
+
+    /**
+     * Classify the grapheme cluster at a position for Vim word motions
+     * A cluster takes the class of its base character, so accented letters are word characters
+     * @param {number} position - Start of the cluster
+     * @param {boolean} bigWord - WORD motions (W/B/E) only split on whitespace
+     * @returns {number} 0 for whitespace, 1 for word characters, 2 for punctuation
+     */
+    _vimCharClassAt(position, bigWord) {
+        const char = this.text.slice(position, nextGraphemeBoundary(this.text, position));
+        if (char === '' || /^\s/.test(char)) return 0;
+        if (bigWord || /^[\p{L}\p{M}\p{N}_]/u.test(char)) return 1;
+        return 2;
+    }
+
+    /**
+     * Find the start of the next word (w/W)
+     */
+    _findVimWordStart(position, bigWord) {
+        const length = this.text.length;
+        let pos = position;
+        const charClass = this._vimCharClassAt(pos, bigWord);
+
+        if (charClass !== 0) {
+            while (pos < length && this._vimCharClassAt(pos, bigWord) === charClass) {
+                pos = nextGraphemeBoundary(this.text, pos);
+            }
+        }
+        while (pos < length && this._vimCharClassAt(pos, bigWord) === 0) {
+            pos = nextGraphemeBoundary(this.text, pos);
+        }
+
+        return pos;
+    }
+
+    /**
+     * Find the end of the current or next word (e/E)
+     */
+    _findVimWordEnd(position, bigWord) {
+        const length = this.text.length;
+        let pos = nextGraphemeBoundary(this.text, position);
+
+        while (pos < length && this._vimCharClassAt(pos, bigWord) === 0) {
+            pos = nextGraphemeBoundary(this.text, pos);
+        }
+        if (pos >= length) {
+            return previousGraphemeBoundary(this.text, length);
+        }
+
+        const charClass = this._vimCharClassAt(pos, bigWord);
+        let next = nextGraphemeBoundary(this.text, pos);
+        while (next < length && this._vimCharClassAt(next, bigWord) === charClass) {
+            pos = next;
+            next = nextGraphemeBoundary(this.text, pos);
+        }
+
+        return pos;
+    }
+
+    /**
+     * Find the start of the current or previous word (b/B)
+     */
+    _findVimWordBackward(position, bigWord) {
+        if (position <= 0) return 0;
+
+        let pos = previousGraphemeBoundary(this.text, position);
+        while (pos > 0 && this._vimCharClassAt(pos, bigWord) === 0) {
+            pos = previousGraphemeBoundary(this.text, pos);
+        }
+
+        const charClass = this._vimCharClassAt(pos, bigWord);
+        while (pos > 0 && this._vimCharClassAt(previousGraphemeBoundary(this.text, pos), bigWord) === charClass) {
+            pos = previousGraphemeBoundary(this.text, pos);
+        }
+
+        return pos;
+    }
+
     /**
      * Compare two selection objects
      */
@@ -848,6 +2063,24 @@ export class TerminalEditor {
         return sel1.start === sel2.start && sel1.end === sel2.end;
     }
 
+    /**
+     * Escape part of the text for display, highlighting the navigation target if it's in there
+     * @param {number} start - Start of the slice
+     * @param {number} [end] - End of the slice (defaults to the end of the text)
+     * @returns {string} HTML
+     */
+    _renderText(start, end = this.text.length) {
+        const { target } = this;
+        if (target === null || target < start || target >= end) {
+            return this._escapeHtml(this.text.slice(start, end));
+        }
+
+        const targetEnd = Math.min(nextGraphemeBoundary(this.text, target), end);
+        return this._escapeHtml(this.text.slice(start, target)) +
+            `<span class="target">${this._escapeHtml(this.text.slice(target, targetEnd))}</span>` +
+            this._escapeHtml(this.text.slice(targetEnd, end));
+    }
+
     /**
      * Escape HTML special characters
      * Uses module-level constant for better performance (no object allocation per call)
@@ -0,0 +1,145 @@
+/**
+ * monkeycmd Word Boundaries
+ * Where word motions and word deletions stop, per platform and editor profile
+ * Shared by the terminal editor and the challenge generators so both agree
+ */
+
+import { snapToGrapheme } from './graphemes.js';
+import { EDITOR_PROFILES, isEditorProfileAvailable } from './keymap.js';
+
+// Word boundary strategies
+// `wordPattern` matches the runs of text that count as words; everything else is skipped over.
+// `stopAtWordEnd` - moving right stops at the end of the word (macOS, readline)
+// instead of the start of the next one (Windows, bash whitespace words)
+export const WORD_STRATEGIES = {
+  cocoa: {
+    name: 'macOS',
+    description: 'Option + arrows: letters, digits and underscores form words, punctuation is skipped',
+    // Apostrophes inside a word (don't) don't split it
+    wordPattern: /[\p{L}\p{M}\p{N}_]+(?:'[\p{L}\p{M}\p{N}_]+)*/gu,
+    stopAtWordEnd: true
+  },
+  windows: {
+    name: 'Windows',
+    description: 'Ctrl + arrows: runs of word characters and runs of punctuation are separate words',
+    wordPattern: /[\p{L}\p{M}\p{N}_]+|[^\p{L}\p{M}\p{N}_\s]+/gu,
+    stopAtWordEnd: false
+  },
+  readline: {
+    name: 'readline',
+    description: 'Alt + B / Alt + F: only letters and digits form words',
+    wordPattern: /[\p{L}\p{M}\p{N}]+/gu,
+    stopAtWordEnd: true
+  },
+  editor: {
+    name: 'Code editor',
+    description: 'VS Code, Sublime Text: words as on Windows, but moving right stops at the end of the word',
+    wordPattern: /[\p{L}\p{M}\p{N}_]+|[^\p{L}\p{M}\p{N}_\s]+/gu,
+    stopAtWordEnd: true
+  },
+  zsh: {
+    name: 'zsh',
+    description: 'Alt + B / Alt + F in zsh: the WORDCHARS punctuation (*?_-.[]~=/&;!#$%^(){}<>) is part of words',
+    wordPattern: /[\p{L}\p{M}\p{N}*?_\-.[\]~=/&;!#$%^(){}<>]+/gu,
+    stopAtWordEnd: false
+  },
+  whitespace: {
+    name: 'bash Control + W',
+    description: 'unix-word-rubout: anything between spaces is one word',
+    wordPattern: /\S+/g,
+    stopAtWordEnd: false
+  }
+};
+
+// Strategy used by the regular word shortcuts on each OS/profile
+const OS_WORD_STRATEGIES = {
+  mac: 'cocoa',
+  windows: 'windows',
+  linux: 'readline',
+  vim: 'readline',
+  emacs: 'readline'
+};
+
+/**
+ * Get the default word boundary strategy for an OS
+ * @param {'mac' | 'windows' | 'linux' | 'vim' | 'emacs'} os - The OS or keyboard profile
+ * @param {string} [profile='default'] - Editor profile layered on the OS (see EDITOR_PROFILES)
+ * @returns {string} Strategy key in WORD_STRATEGIES
+ */
+export function getWordStrategy(os, profile = 'default') {
+  if (isEditorProfileAvailable(profile, os) && EDITOR_PROFILES[profile].wordStrategy) {
+    return EDITOR_PROFILES[profile].wordStrategy;
+  }
+  return OS_WORD_STRATEGIES[os] || 'whitespace';
+}
+
+/**
+ * Find the words in text according to a strategy
+ * @param {string} text - The text to analyze
+ * @param {string} [strategy='whitespace'] - Strategy key in WORD_STRATEGIES
+ * @returns {Array<{start: number, end: number, word: string}>} Array of word positions
+ */
+export function findWords(text, strategy = 'whitespace') {
+  const { wordPattern } = WORD_STRATEGIES[strategy] || WORD_STRATEGIES.whitespace;
+  const regex = new RegExp(wordPattern.source, wordPattern.flags);
+  const words = [];
+  let match;
+
+  while ((match = regex.exec(text)) !== null) {
+    // Never start or end inside a grapheme cluster (e.g. an emoji followed by a variation selector)
+    const start = snapToGrapheme(text, match.index);
+    const end = snapToGrapheme(text, match.index + match[0].length, 'forward');
+    const previous = words[words.length - 1];
+
+    if (previous && start < previous.end) {
+      previous.end = Math.max(previous.end, end);
+      previous.word = text.slice(previous.start, previous.end);
+    } else {
+      words.push({ start, end, word: text.slice(start, end) });
+    }
+  }
+
+  return words;
+}
+
+// Words of the last text each strategy searched: repeated motions on one text (the solver) reuse them
+const recentWords = new Map();
+
+/**
+ * Find where a word motion from position lands
+ * Left always goes to the start of the current or previous word; right goes to the end of
+ * the current or next word, or the start of the next word, depending on the strategy
+ * @param {string} text - The text
+ * @param {number} position - Cursor position
+ * @param {'left' | 'right'} direction - Direction to move
+ * @param {string} [strategy='whitespace'] - Strategy key in WORD_STRATEGIES
+ * @returns {number} New position
+ */
+export function findWordBoundary(text, position, direction, strategy = 'whitespace') {
+  const { stopAtWordEnd } = WORD_STRATEGIES[strategy] || WORD_STRATEGIES.whitespace;
+  let recent = recentWords.get(strategy);
+  if (!recent || recent.text !== text) {
+    recent = { text, words: findWords(text, strategy) };
+    recentWords.set(strategy, recent);
+  }
+  const { words } = recent;
+
+  if (direction === 'left') {
+    const previous = words.filter(word => word.start < position).pop();
+    return previous ? previous.start : 0;
+  }
+
+  const next = stopAtWordEnd
+    ? words.find(word => word.end > position)
+    : words.find(word => word.start > position);
+  if (!next) return text.length;
+
+  return stopAtWordEnd ? next.end : next.start;
+}
+
+export default {
+  WORD_STRATEGIES,
+  getWordStrategy,
+  findWords,
+  findWordBoundary
+};